@@ -1,3 +1,4 @@
+const path = require('path');
 const nodemailer = require('nodemailer');
 
 // Email configuration from environment variables
@@ -8,15 +9,25 @@ const EMAIL_USER = process.env.EMAIL_USER || 'foodloop.official27@gmail.com';
 const EMAIL_PASSWORD = process.env.EMAIL_PASSWORD;
 const EMAIL_FROM = process.env.EMAIL_FROM || 'FoodLoop <foodloop.official27@gmail.com>';
 
+// 'smtp' (default) or 'file' - development: write each message as an .eml file instead of sending
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'emails');
+
+const isFileTransport = () => EMAIL_TRANSPORT === 'file';
+
 // Check if email is configured
 const isEmailConfigured = () => {
-  return !!(EMAIL_PASSWORD && EMAIL_USER);
+  return isFileTransport() || !!(EMAIL_PASSWORD && EMAIL_USER);
 };
 
 // Create transporter
 let transporter = null;
 
-if (isEmailConfigured()) {
+if (isFileTransport()) {
+  // Renders the raw message; services/emailOutbox.js writes it to EMAIL_FILE_DIR
+  transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  console.log(`✅ Email file transport: messages are written to ${EMAIL_FILE_DIR}`);
+} else if (isEmailConfigured()) {
   transporter = nodemailer.createTransport({
     host: EMAIL_HOST,
     port: EMAIL_PORT,
@@ -45,6 +56,8 @@ if (isEmailConfigured()) {
 module.exports = {
   transporter,
   isEmailConfigured,
+  isFileTransport,
   EMAIL_FROM,
+  EMAIL_FILE_DIR,
   EMAIL_USER,
 };
@@ -1,12 +1,12 @@
 require('dotenv').config();
 
+// AWS credentials are only needed when uploads are stored in S3 (see config/storage.js)
+const usesS3 = (process.env.STORAGE_DRIVER || (process.env.AWS_S3_BUCKET_NAME ? 's3' : 'local')).toLowerCase() === 's3';
+
 // Validate required environment variables
 const requiredEnvVars = [
   'MONGODB_URI',
-  'AWS_ACCESS_KEY_ID',
-  'AWS_SECRET_ACCESS_KEY',
-  'AWS_REGION',
-  'AWS_S3_BUCKET_NAME',
+  ...(usesS3 ? ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_REGION', 'AWS_S3_BUCKET_NAME'] : []),
   'JWT_SECRET',
 ];
 
@@ -70,7 +70,7 @@ module.exports = {
   // MongoDB
   MONGODB_URI: process.env.MONGODB_URI,
   
-  // AWS S3
+  // AWS S3 (only when STORAGE_DRIVER is s3)
   AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
   AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
   AWS_REGION: process.env.AWS_REGION,
@@ -78,6 +78,8 @@ module.exports = {
   
   // JWT
   JWT_SECRET: process.env.JWT_SECRET,
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m', // access token lifetime (jsonwebtoken format)
+  REFRESH_TOKEN_DAYS: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30, // idle lifetime of a device session
   
   // File Upload Limits
   MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
@@ -93,6 +95,22 @@ module.exports = {
   AI_SERVICE_URL: process.env.AI_SERVICE_URL || 'http://localhost:8000',
   AI_SERVICE_TIMEOUT: parseInt(process.env.AI_SERVICE_TIMEOUT) || 60000, // 60 seconds (increased for Gemini API)
 
+  // Automatic driver dispatch (optional; off by default - every driver sees every claimed job)
+  AUTO_DISPATCH_ENABLED: process.env.AUTO_DISPATCH_ENABLED === 'true',
+  DISPATCH_OFFER_SECONDS: parseInt(process.env.DISPATCH_OFFER_SECONDS) || 90, // accept window per offer
+  DISPATCH_MAX_OFFERS: parseInt(process.env.DISPATCH_MAX_OFFERS) || 5, // drivers asked before broadcasting
+
+  // Donation image uploads and AI analysis (per donor per day, Sri Lanka time)
+  IMAGE_UPLOAD_DAILY_LIMIT: parseInt(process.env.IMAGE_UPLOAD_DAILY_LIMIT) || 30,
+  AI_ANALYSIS_DAILY_LIMIT: parseInt(process.env.AI_ANALYSIS_DAILY_LIMIT) || 20,
+  ORPHANED_UPLOAD_HOURS: parseInt(process.env.ORPHANED_UPLOAD_HOURS) || 24, // unattached uploads are deleted after this
+  AI_PREDICTION_CACHE_DAYS: parseInt(process.env.AI_PREDICTION_CACHE_DAYS) || 30, // predictions reused for identical photos
+
+  // Duplicate donation photos: 'flag' (admins are told), 'block' (donation rejected) or 'off'
+  DUPLICATE_IMAGE_ACTION: (process.env.DUPLICATE_IMAGE_ACTION || 'flag').toLowerCase(),
+  DUPLICATE_IMAGE_DAYS: parseInt(process.env.DUPLICATE_IMAGE_DAYS) || 30, // how far back to compare
+  DUPLICATE_IMAGE_MAX_DISTANCE: parseInt(process.env.DUPLICATE_IMAGE_MAX_DISTANCE) || 6, // differing bits (of 64) still a match
+
   // Frontend URL (for email links; default to deployed app)
   FRONTEND_URL: (process.env.FRONTEND_URL || 'https://foodloop-hypernova.vercel.app').replace(/\/$/, ''),
 };
@@ -0,0 +1,31 @@
+const path = require('path');
+
+// SMS configuration from environment variables
+// SMS_PROVIDER: 'console' (log only), 'file' (write each message to SMS_FILE_DIR),
+// 'notifylk' (Notify.lk gateway) or 'none'. Development defaults to 'console', other
+// environments send nothing until a provider is configured.
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const SMS_PROVIDER = (process.env.SMS_PROVIDER || (NODE_ENV === 'development' ? 'console' : 'none')).toLowerCase();
+const SMS_FILE_DIR = process.env.SMS_FILE_DIR || path.join(__dirname, '..', 'tmp', 'sms');
+const SMS_SENDER_ID = process.env.SMS_SENDER_ID || 'FoodLoop';
+
+// Notify.lk credentials (https://app.notify.lk -> Settings -> API Keys)
+const NOTIFYLK_USER_ID = process.env.NOTIFYLK_USER_ID;
+const NOTIFYLK_API_KEY = process.env.NOTIFYLK_API_KEY;
+
+if (SMS_PROVIDER === 'none') {
+  console.warn('⚠️  SMS not configured. Set SMS_PROVIDER to enable text messages.');
+} else if (SMS_PROVIDER === 'notifylk' && !(NOTIFYLK_USER_ID && NOTIFYLK_API_KEY)) {
+  console.warn('⚠️  SMS_PROVIDER=notifylk but NOTIFYLK_USER_ID / NOTIFYLK_API_KEY are missing.');
+  console.warn('   SMS will be disabled.');
+} else {
+  console.log(`✅ SMS provider: ${SMS_PROVIDER}`);
+}
+
+module.exports = {
+  SMS_PROVIDER,
+  SMS_FILE_DIR,
+  SMS_SENDER_ID,
+  NOTIFYLK_USER_ID,
+  NOTIFYLK_API_KEY,
+};
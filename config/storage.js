@@ -0,0 +1,39 @@
+const path = require('path');
+
+// File storage configuration from environment variables
+// STORAGE_DRIVER: 's3' (AWS S3) or 'local' (files on this server's disk under LOCAL_STORAGE_DIR).
+// Defaults to 's3' when AWS_S3_BUCKET_NAME is set, otherwise 'local', so development needs no AWS.
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const PORT = process.env.PORT || 5000;
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || (process.env.AWS_S3_BUCKET_NAME ? 's3' : 'local')).toLowerCase();
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads');
+
+// Public address of this API, used to build links to locally stored files and signed URLs
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Private files (identity documents, handover photos) are only reachable through signed links
+// that expire after this many seconds
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 5 * 60;
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+if (!['s3', 'local'].includes(STORAGE_DRIVER)) {
+  console.error(`❌ Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Use "s3" or "local".`);
+  process.exit(1);
+}
+
+if (STORAGE_DRIVER === 'local') {
+  console.log(`✅ File storage: local disk (${LOCAL_STORAGE_DIR})`);
+  if (NODE_ENV === 'production') {
+    console.warn('⚠️  STORAGE_DRIVER=local in production: uploads are lost if the server disk is replaced.');
+  }
+} else {
+  console.log(`✅ File storage: S3 bucket ${process.env.AWS_S3_BUCKET_NAME}`);
+}
+
+module.exports = {
+  STORAGE_DRIVER,
+  LOCAL_STORAGE_DIR,
+  API_PUBLIC_URL,
+  SIGNED_URL_TTL_SECONDS,
+  STORAGE_SIGNING_SECRET,
+};
@@ -1,9 +1,18 @@
 const { verifyToken } = require('../utils/jwt');
 const User = require('../models/User');
+const { getActiveSession } = require('../services/sessionService');
+const { hasAdminPermission } = require('../utils/adminPermissions');
+
+const revokedSessionResponse = {
+  success: false,
+  code: 'SESSION_REVOKED',
+  message: 'Session expired or revoked. Please log in again.',
+};
 
 /**
  * Middleware to authenticate admin users
- * Verifies JWT token and checks if user role is 'Admin'
+ * Verifies JWT token, loads the admin account (must still be an active Admin)
+ * and attaches its permissions for requireAdminPermission
  */
 const authenticateAdmin = async (req, res, next) => {
   try {
@@ -31,11 +40,34 @@ const authenticateAdmin = async (req, res, next) => {
         });
       }
 
+      // Reject tokens whose session was logged out or revoked
+      if (!(await getActiveSession(decoded))) {
+        return res.status(401).json(revokedSessionResponse);
+      }
+
+      // Role and permissions come from the account, not the token, so changes apply immediately
+      const admin = await User.findById(decoded.id).select('email role status adminPermissions').lean();
+      if (!admin || admin.role !== 'Admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Admin privileges required.',
+        });
+      }
+      if (admin.status !== 'completed') {
+        return res.status(403).json({
+          success: false,
+          message: 'Account deactivated',
+          status: admin.status,
+        });
+      }
+
       // Attach user info to request
       req.user = {
         id: decoded.id,
-        email: decoded.email,
-        role: decoded.role,
+        email: admin.email,
+        role: admin.role,
+        permissions: admin.adminPermissions || [],
+        sessionId: decoded.sid,
       };
 
       next();
@@ -76,18 +108,13 @@ const authenticateUser = async (req, res, next) => {
       // Verify token
       const decoded = verifyToken(token);
 
-      // Skip status check for static admin
-      if (decoded.id === 'admin_static_id' && decoded.role === 'Admin') {
-        req.user = {
-          id: decoded.id,
-          email: decoded.email,
-          role: decoded.role,
-        };
-        return next();
+      // Reject tokens whose session was logged out or revoked
+      if (!(await getActiveSession(decoded))) {
+        return res.status(401).json(revokedSessionResponse);
       }
 
-      // For everyone else: fetch user and check status
-      const user = await User.findById(decoded.id).select('status email role').lean();
+      // Fetch user and check status
+      const user = await User.findById(decoded.id).select('status email role adminPermissions').lean();
       if (!user) {
         return res.status(401).json({
           success: false,
@@ -107,6 +134,8 @@ const authenticateUser = async (req, res, next) => {
         id: decoded.id,
         email: user.email,
         role: user.role,
+        ...(user.role === 'Admin' && { permissions: user.adminPermissions || [] }),
+        sessionId: decoded.sid,
       };
 
       next();
@@ -125,4 +154,20 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateAdmin, authenticateUser };
+/**
+ * Middleware factory: allow the request only if the admin holds the permission.
+ * Use after authenticateAdmin (or authenticateUser for routes shared with other roles).
+ * @param {string} permission - One of ADMIN_PERMISSIONS (utils/adminPermissions.js)
+ */
+const requireAdminPermission = (permission) => (req, res, next) => {
+  if (!hasAdminPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Missing admin permission.',
+      requiredPermission: permission,
+    });
+  }
+  next();
+};
+
+module.exports = { authenticateAdmin, authenticateUser, requireAdminPermission };
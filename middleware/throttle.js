@@ -0,0 +1,51 @@
+const { checkThrottle, recordAttempt, getRequestIp } = require('../services/throttleService');
+
+/**
+ * Send the 429 response for a blocked IP/account
+ * @param {import('express').Response} res
+ * @param {{ retryAfterSeconds: number }} block - From checkThrottle or recordAttempt
+ */
+const sendThrottled = (res, { retryAfterSeconds }) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many attempts. Please try again in ${formatWait(retryAfterSeconds)}.`,
+    retryAfterSeconds,
+  });
+};
+
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Middleware factory: rate-limit every request to an endpoint per IP (and per account
+ * when getAccount returns one, e.g. the email in the body). Needs the body parsed first.
+ * @param {string} action - Key of THROTTLE_POLICIES (services/throttleService.js)
+ * @param {(req: import('express').Request) => string|undefined} [getAccount]
+ */
+const throttleRequests = (action, getAccount) => async (req, res, next) => {
+  try {
+    const account = getAccount ? getAccount(req) : undefined;
+    const target = {
+      ip: getRequestIp(req),
+      account: typeof account === 'string' && account.trim() ? account : undefined,
+    };
+
+    const block = await checkThrottle(action, target);
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
+    await recordAttempt(action, target);
+    next();
+  } catch (error) {
+    // Never lock users out because the counter store is unavailable
+    console.error(`[Throttle] ${action} counter error:`, error);
+    next();
+  }
+};
+
+module.exports = { throttleRequests, sendThrottled };
@@ -1,7 +1,7 @@
 const multer = require('multer');
 const { MAX_FILE_SIZE } = require('../config/env');
 
-// Configure multer to store files in memory (for S3 upload)
+// Configure multer to store files in memory (handed to services/storageService.js)
 const storage = multer.memoryStorage();
 
 // File filter function
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Cached /predict result of the AI service for one photo, keyed by the SHA-256 of the uploaded
+// bytes (see services/aiService.js). Only real predictions are cached, never mock data or errors.
+const aiPredictionSchema = new mongoose.Schema({
+  contentHash: {
+    type: String,
+    required: true,
+  },
+  predictions: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Times the cached result was served instead of calling the AI service
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // TTL: AI_PREDICTION_CACHE_DAYS after the prediction was made
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+aiPredictionSchema.index({ contentHash: 1 }, { unique: true });
+aiPredictionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AiPrediction = mongoose.model('AiPrediction', aiPredictionSchema);
+
+module.exports = AiPrediction;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Attempt counter for one auth action per IP or per account (see services/throttleService.js)
+const authThrottleSchema = new mongoose.Schema({
+  // e.g. 'login:ip:203.0.113.5' or 'login:account:user@example.com'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  scope: {
+    type: String,
+    enum: ['ip', 'account'],
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  blockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // TTL: forget the counter once the window and any block are over
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model('AuthThrottle', authThrottleSchema);
+
+module.exports = AuthThrottle;
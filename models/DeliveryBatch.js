@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// One stop on a driver's route: collect at the donor or drop off at the receiver
+const batchStopSchema = new mongoose.Schema({
+  donationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['pickup', 'dropoff'],
+    required: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  latitude: {
+    type: Number,
+    default: null,
+  },
+  longitude: {
+    type: Number,
+    default: null,
+  },
+  address: {
+    type: String,
+    default: '',
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+  },
+  // Straight-line distance from the previous stop (or the driver's start point)
+  legDistanceKm: {
+    type: Number,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'skipped'],
+    default: 'pending',
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+const deliveryBatchSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  vehicleType: {
+    type: String,
+    default: null,
+  },
+  // Capacity limits applied when the batch was built (see services/batchService.js)
+  maxServings: {
+    type: Number,
+    default: null,
+  },
+  maxDonations: {
+    type: Number,
+    required: true,
+  },
+  donationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+  }],
+  stops: {
+    type: [batchStopSchema],
+    default: [],
+  },
+  totalQuantity: {
+    type: Number,
+    default: 0,
+  },
+  plannedDistanceKm: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active',
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+deliveryBatchSchema.index({ driverId: 1, status: 1 });
+
+const DeliveryBatch = mongoose.model('DeliveryBatch', deliveryBatchSchema);
+
+module.exports = DeliveryBatch;
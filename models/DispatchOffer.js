@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One exclusive job offer made by the auto-dispatcher (see services/dispatchService.js)
+const dispatchOfferSchema = new mongoose.Schema({
+  donationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    required: true,
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // 1 for the first driver asked, 2 for the next, ...
+  attempt: {
+    type: Number,
+    required: true,
+  },
+  // Ranking inputs at the time of the offer
+  score: {
+    type: Number,
+    default: null,
+  },
+  routeDistanceKm: {
+    type: Number,
+    default: null,
+  },
+  vehicleType: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['offered', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'offered',
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+dispatchOfferSchema.index({ donationId: 1, offeredAt: 1 });
+dispatchOfferSchema.index({ driverId: 1, status: 1 });
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 });
+
+const DispatchOffer = mongoose.model('DispatchOffer', dispatchOfferSchema);
+
+module.exports = DispatchOffer;
@@ -1,5 +1,159 @@
 const mongoose = require('mongoose');
 const { getNextSequenceForDate } = require('./DonationTrackingSequence');
+const { toGeoPoint, geoPointField } = require('../utils/geoUtils');
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  changedByRole: {
+    type: String,
+    default: 'System',
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// A field the donor changed from the AI's suggestion before posting (services/aiFeedbackService.js)
+const aiCorrectionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['foodCategory', 'itemName', 'quantity', 'storageRecommendation'],
+    required: true,
+  },
+  predicted: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  submitted: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+// Temperature/condition check a driver logs at pickup or drop-off (services/foodSafetyService.js)
+const safetyCheckSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: ['pickup', 'dropoff'],
+    required: true,
+  },
+  temperatureC: {
+    type: Number,
+    default: null,
+  },
+  condition: {
+    type: String,
+    enum: ['good', 'acceptable', 'spoiled'],
+    required: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  temperatureSafe: {
+    type: Boolean,
+    default: true,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const safetyAlertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['holding_window', 'temperature', 'condition'],
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  raisedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Proof that the food changed hands (services/handshakeService.js): the driver enters or scans
+// the one-time code the donor (pickup) or receiver (delivery) holds
+const handoverProofField = () => ({
+  code: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  codeIssuedAt: {
+    type: Date,
+    default: null,
+  },
+  confirmedAt: {
+    type: Date,
+    default: null,
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  method: {
+    type: String,
+    enum: ['code', 'qr', null],
+    default: null,
+  },
+  // Private storage key; formatHandoverProof turns it into a signed link
+  photoUrl: {
+    type: String,
+    default: null,
+  },
+  // Driver position at confirmation: from the device, or their last shared location
+  latitude: {
+    type: Number,
+    default: null,
+  },
+  longitude: {
+    type: Number,
+    default: null,
+  },
+  accuracyMeters: {
+    type: Number,
+    default: null,
+  },
+  locationSource: {
+    type: String,
+    enum: ['device', 'last_known', null],
+    default: null,
+  },
+  // How far that position was from the donor (pickup) or receiver (delivery) location
+  distanceKm: {
+    type: Number,
+    default: null,
+  },
+});
 
 const donationSchema = new mongoose.Schema({
   // Donor information
@@ -31,11 +185,35 @@ const donationSchema = new mongoose.Schema({
     enum: ['Hot', 'Cold', 'Dry'],
   },
   
-  // Image
+  // Image (the original; resized copies from services/imageService.js are in imageVariants,
+  // scripts/processStoredImages.js adds them for older photos)
   imageUrl: {
     type: String,
     required: true,
   },
+  imageVariants: {
+    thumbnail: { type: String, default: null },
+    medium: { type: String, default: null },
+    original: { type: String, default: null },
+  },
+  // Hashes of the uploaded photo (services/imageService.js hashImage), copied from its ImageUpload
+  imageContentHash: {
+    type: String,
+    default: null,
+  },
+  imagePerceptualHash: {
+    type: String,
+    default: null,
+  },
+  // Set when the photo closely matches a recent donation's (services/duplicateImageService.js)
+  duplicateImage: {
+    donationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donation', default: null },
+    trackingId: { type: String, default: null },
+    donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    sameDonor: { type: Boolean, default: null },
+    distance: { type: Number, default: null }, // differing bits of the perceptual hashes
+    detectedAt: { type: Date, default: null },
+  },
   
   // AI Analysis data
   aiConfidence: {
@@ -59,6 +237,20 @@ const donationSchema = new mongoose.Schema({
     type: [String],
     default: [],
   },
+  // What the AI suggested for the photo (null fields if it was not analysed) and the fields the
+  // donor changed; kept as labelled data for retraining
+  aiPrediction: {
+    foodCategory: { type: String, default: null },
+    itemName: { type: String, default: null },
+    quantity: { type: Number, default: null },
+    storageRecommendation: { type: String, default: null },
+    confidence: { type: Number, default: null },
+    predictedAt: { type: Date, default: null },
+  },
+  aiCorrections: {
+    type: [aiCorrectionSchema],
+    default: [],
+  },
   
   // Pickup information
   preferredPickupDate: {
@@ -77,6 +269,10 @@ const donationSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
   
   // Product type and expiry
   productType: {
@@ -111,13 +307,41 @@ const donationSchema = new mongoose.Schema({
     type: Number,
     default: null,
   },
+  // GeoJSON copy of donorLatitude/donorLongitude for 2dsphere queries (kept in sync on save)
+  donorLocation: geoPointField(),
   
   // Status tracking
   status: {
     type: String,
-    enum: ['pending', 'approved', 'assigned', 'picked_up', 'delivered', 'cancelled'],
+    enum: ['pending', 'approved', 'assigned', 'picked_up', 'delivered', 'cancelled', 'expired'],
     default: 'pending',
   },
+  // Expiry archive (set when the expiry job moves a donation to 'expired' instead of deleting it)
+  expiredAt: {
+    type: Date,
+    default: null,
+  },
+  // fully_claimed: a listing whose servings were all claimed as portions; nothing was lost
+  expiryReason: {
+    type: String,
+    enum: ['unclaimed', 'awaiting_pickup', 'in_transit', 'fully_claimed', null],
+    default: null,
+  },
+  // Servings lost to expiry (unclaimed remainder, or the whole claim if it never got delivered)
+  expiredQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Set when the "expiring soon" email went out, so reruns and restarts don't resend it
+  expiryWarningSentAt: {
+    type: Date,
+    default: null,
+  },
+  // Every status change (see services/donationStatusService.js)
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: [],
+  },
   
   // Assignment
   assignedDriverId: {
@@ -130,6 +354,24 @@ const donationSchema = new mongoose.Schema({
     ref: 'User',
     default: null,
   },
+  // Auto-dispatch: 'offering' while one driver holds an exclusive offer (dispatchDriverId),
+  // 'broadcast' once the job is open to every driver
+  dispatchStatus: {
+    type: String,
+    enum: ['offering', 'broadcast', null],
+    default: null,
+  },
+  dispatchDriverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Multi-stop run this donation belongs to once a driver accepts it
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryBatch',
+    default: null,
+  },
 
   // Receiver delivery location (set at claim time when receiver confirms on map)
   receiverLatitude: {
@@ -144,7 +386,52 @@ const donationSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
-  
+  // GeoJSON copy of receiverLatitude/receiverLongitude (kept in sync on save)
+  receiverLocation: geoPointField(),
+
+  pickupProof: handoverProofField(),
+  deliveryProof: handoverProofField(),
+
+  // Food safety in transit: driver checks, alerts raised, and (once delivered) the time the
+  // food spent between pickup and drop-off against the category's safe holding window
+  safetyChecks: {
+    type: [safetyCheckSchema],
+    default: [],
+  },
+  safetyAlerts: {
+    type: [safetyAlertSchema],
+    default: [],
+  },
+  transitMinutes: {
+    type: Number,
+    default: null,
+  },
+  holdingWindowMinutes: {
+    type: Number,
+    default: null,
+  },
+  holdingWindowExceeded: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Partial claims: servings already allocated to receivers. A claim for part of the
+  // remaining quantity is split off into its own child donation (parentDonationId)
+  claimedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  claimCount: {
+    type: Number,
+    default: 0,
+  },
+  parentDonationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    default: null,
+  },
+
   // Tracking
   trackingId: {
     type: String,
@@ -175,12 +462,28 @@ donationSchema.pre('save', async function() {
     this.trackingId = `FL-${dateStr}-${sequence.toString().padStart(2, '0')}`;
   }
 
+  // Keep GeoJSON points in sync with the lat/lng fields
+  if (this.isNew || this.isModified('donorLatitude') || this.isModified('donorLongitude')) {
+    this.donorLocation = toGeoPoint(this.donorLatitude, this.donorLongitude);
+  }
+  if (this.isNew || this.isModified('receiverLatitude') || this.isModified('receiverLongitude')) {
+    this.receiverLocation = toGeoPoint(this.receiverLatitude, this.receiverLongitude);
+  }
+
   this.updatedAt = Date.now();
 });
 
 // Index for efficient queries
 donationSchema.index({ donorId: 1, createdAt: -1 });
 donationSchema.index({ status: 1 });
+donationSchema.index({ parentDonationId: 1 });
+donationSchema.index({ status: 1, expiredAt: -1 });
+donationSchema.index({ status: 1, deliveredAt: -1 });
+donationSchema.index({ donorLocation: '2dsphere' });
+donationSchema.index({ receiverLocation: '2dsphere' });
+donationSchema.index({ createdAt: -1, imagePerceptualHash: 1 });
+donationSchema.index({ 'duplicateImage.detectedAt': -1 });
+donationSchema.index({ 'aiPrediction.predictedAt': -1 });
 // trackingId index is already created by unique: true in field definition
 
 const Donation = mongoose.model('Donation', donationSchema);
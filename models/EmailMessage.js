@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// One outgoing email in the outbox (see services/emailOutbox.js); doubles as the delivery log
+const emailMessageSchema = new mongoose.Schema({
+  // Which send*Email built it, e.g. 'welcome', 'signup_otp', 'receipt_to_donor'
+  template: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true,
+  },
+  from: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    default: '',
+  },
+  // Rendered body; emptied after delivery for templates with one-time secrets
+  html: {
+    type: String,
+    default: '',
+  },
+  text: {
+    type: String,
+    default: null,
+  },
+  // Template variables and language, so a resend renders the template again
+  // (not kept for templates with one-time secrets)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  language: {
+    type: String,
+    default: null,
+  },
+  attachments: [{
+    filename: String,
+    contentType: String,
+    content: Buffer,
+    _id: false,
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Claim held by the instance currently sending it
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+  // SMTP message id, or the file written by the file transport
+  messageId: {
+    type: String,
+    default: null,
+  },
+  transport: {
+    type: String,
+    default: null,
+  },
+  // Set on copies created by an admin resend
+  resendOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailMessage',
+    default: null,
+  },
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+// Keep the delivery log for 90 days
+emailMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+module.exports = EmailMessage;
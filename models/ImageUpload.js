@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A donation photo uploaded through /api/donations/upload-image or analyze-image
+// (see services/imageUploadService.js). Unattached uploads are deleted after ORPHANED_UPLOAD_HOURS.
+const imageUploadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Original variant URL, the value a donation stores in imageUrl
+  imageUrl: {
+    type: String,
+    required: true,
+  },
+  imageVariants: {
+    thumbnail: { type: String, default: null },
+    medium: { type: String, default: null },
+    original: { type: String, default: null },
+  },
+  // services/imageService.js hashImage: keys the AI prediction cache / duplicate photo check
+  contentHash: {
+    type: String,
+    default: null,
+  },
+  perceptualHash: {
+    type: String,
+    default: null,
+  },
+  // Latest AI analysis of the photo, copied onto the donation (services/aiFeedbackService.js)
+  aiPrediction: {
+    foodCategory: { type: String, default: null },
+    itemName: { type: String, default: null },
+    quantity: { type: Number, default: null },
+    storageRecommendation: { type: String, default: null },
+    confidence: { type: Number, default: null },
+    predictedAt: { type: Date, default: null },
+  },
+  // Size of the uploaded file (before resizing)
+  bytes: {
+    type: Number,
+    default: 0,
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    default: null,
+  },
+  attachedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when the orphaned-upload cleanup removed the files
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+imageUploadSchema.index({ imageUrl: 1 });
+imageUploadSchema.index({ user: 1, createdAt: -1 });
+imageUploadSchema.index({ donation: 1, deletedAt: 1, createdAt: 1 });
+
+const ImageUpload = mongoose.model('ImageUpload', imageUploadSchema);
+
+module.exports = ImageUpload;
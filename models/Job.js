@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Shared state of one scheduled job across all server instances (see services/jobScheduler.js)
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // node-cron expression the job is registered with
+  schedule: {
+    type: String,
+    default: null,
+  },
+  // Lease: only the instance named here may run the job until lockedUntil
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Minute of the last scheduled tick that was claimed, so each tick runs once across instances
+  lastSlot: {
+    type: Number,
+    default: null,
+  },
+  lastRunAt: {
+    type: Date,
+    default: null,
+  },
+  lastFinishedAt: {
+    type: Date,
+    default: null,
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null,
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  lastDurationMs: {
+    type: Number,
+    default: null,
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0,
+  },
+  // Pending retry after a failed run (picked up by any instance once due)
+  retryAt: {
+    type: Date,
+    default: null,
+  },
+  retryAttempt: {
+    type: Number,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
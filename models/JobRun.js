@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// History entry for one execution of a scheduled job
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'retry', 'manual'],
+    required: true,
+  },
+  // 1 for the first try, 2+ for retries after a failure
+  attempt: {
+    type: Number,
+    default: 1,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running',
+  },
+  // Instance that ran it (hostname:pid)
+  instanceId: {
+    type: String,
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  durationMs: {
+    type: Number,
+    default: null,
+  },
+  // Counts returned by the job handler, e.g. { archived: 3, errors: 0 }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+});
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Keep 30 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
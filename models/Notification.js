@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DISTRICT_NAMES } = require('../utils/sriLankaDistricts');
 
 const notificationSchema = new mongoose.Schema({
   title: {
@@ -22,11 +23,41 @@ const notificationSchema = new mongoose.Schema({
       message: 'At least one target role is required',
     },
   },
+  // Limit to users whose service area reaches one of these districts (empty = everywhere)
+  targetDistricts: {
+    type: [{ type: String, enum: DISTRICT_NAMES }],
+    default: [],
+  },
+  // scheduled -> active (published by the broadcast-schedule job at publishAt) -> expired (after expiresAt)
   status: {
     type: String,
-    enum: ['active', 'inactive'],
+    enum: ['scheduled', 'active', 'expired', 'inactive'],
     default: 'active',
   },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'urgent'],
+    default: 'info',
+  },
+  // Pinned broadcasts stay at the top of the inbox
+  pinned: {
+    type: Boolean,
+    default: false,
+  },
+  publishAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // When it went live; inboxes order broadcasts by this, or by createdAt for ones from before
+  // scheduling (scripts/backfillBroadcastSchedule.js fills it in)
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -41,6 +72,9 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ targetRoles: 1 });
 notificationSchema.index({ status: 1 });
+notificationSchema.index({ status: 1, publishAt: 1 });
+notificationSchema.index({ status: 1, expiresAt: 1 });
+notificationSchema.index({ publishedAt: -1 });
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Channel toggles for one event type; everything is on until the user opts out
+const channelsSchema = new mongoose.Schema({
+  email: { type: Boolean, default: true },
+  inApp: { type: Boolean, default: true },
+  socket: { type: Boolean, default: true },
+  sms: { type: Boolean, default: true },
+}, { _id: false });
+
+const eventField = { type: channelsSchema, default: () => ({}) };
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  // Keys match NOTIFICATION_EVENTS in services/notificationPreferences.js
+  events: {
+    new_donations: eventField,
+    claims: eventField,
+    pickups: eventField,
+    deliveries: eventField,
+    receipts: eventField,
+    broadcasts: eventField,
+  },
+  // Emails are held and live alerts skipped between start and end (HH:mm, Sri Lanka time)
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00' },
+    end: { type: String, default: '07:00' },
+  },
+}, { timestamps: true });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
@@ -15,6 +15,11 @@ const notificationReadSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Set when the user removed the broadcast from their inbox
+  dismissedAt: {
+    type: Date,
+    default: null,
+  },
 });
 
 notificationReadSchema.index({ user: 1, notification: 1 }, { unique: true });
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Holds the current refresh token (hashed) - see services/sessionService.js
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // sha256 of the current refresh token; replaced on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // sha256 of the token it replaced, so a replayed (stolen) token can be detected
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  deviceName: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// TTL index: drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Image uploads and AI analyses one donor used on one Sri Lankan calendar day
+// (see services/imageUploadService.js); also the source of the admin upload volume report
+const uploadQuotaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // YYYY-MM-DD in Asia/Colombo
+  day: {
+    type: String,
+    required: true,
+  },
+  uploads: {
+    type: Number,
+    default: 0,
+  },
+  analyses: {
+    type: Number,
+    default: 0,
+  },
+  bytes: {
+    type: Number,
+    default: 0,
+  },
+  // TTL: usage history is kept for the report, then dropped
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+uploadQuotaSchema.index({ user: 1, day: 1 }, { unique: true });
+uploadQuotaSchema.index({ day: 1 });
+uploadQuotaSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UploadQuota = mongoose.model('UploadQuota', uploadQuotaSchema);
+
+module.exports = UploadQuota;
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { toGeoPoint, geoPointField } = require('../utils/geoUtils');
+const { ALL_ADMIN_PERMISSIONS } = require('../utils/adminPermissions');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/languages');
+const { DISTRICT_NAMES } = require('../utils/sriLankaDistricts');
 
 const userSchema = new mongoose.Schema({
   // Common fields for all roles
@@ -31,11 +35,23 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Resized copies of the avatar (services/imageService.js)
+  profileImageVariants: {
+    thumbnail: { type: String, default: null },
+    medium: { type: String, default: null },
+    original: { type: String, default: null },
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'rejected', 'inactive'],
     default: 'pending',
   },
+  // Language for emails (en, ta, si)
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE,
+  },
 
   // Donor-specific fields
   donorType: {
@@ -58,6 +74,7 @@ const userSchema = new mongoose.Schema({
     enum: ['Restaurant', 'Supermarket', 'Wedding Hall'],
     default: null,
   },
+  // Identity documents are private: storage keys (services/storageService.js), shown via signed links
   businessRegFileUrl: {
     type: String,
     default: null,
@@ -113,6 +130,101 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: null,
   },
+  // GeoJSON copy of driverLatitude/driverLongitude for 2dsphere queries (kept in sync on save)
+  driverLocation: geoPointField(),
+
+  // Receiver/driver service area for donation alerts (services/serviceAreaService.js).
+  // No mode means the whole country.
+  serviceArea: {
+    mode: {
+      type: String,
+      enum: ['radius', 'districts'],
+      default: null,
+    },
+    center: geoPointField(),
+    radiusKm: {
+      type: Number,
+      default: null,
+    },
+    districts: {
+      type: [{ type: String, enum: DISTRICT_NAMES }],
+      default: undefined,
+    },
+    // Districts the area reaches (derived when the area is set); used to target admin broadcasts
+    coveredDistricts: {
+      type: [String],
+      default: undefined,
+    },
+  },
+
+  // Admin-specific fields (see utils/adminPermissions.js)
+  adminPermissions: {
+    type: [{
+      type: String,
+      enum: ALL_ADMIN_PERMISSIONS,
+    }],
+    default: undefined,
+  },
+
+  // Two-factor authentication (TOTP; see utils/otp.js). Secrets and recovery hashes are never selected by default
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // Secret generated by /2fa/setup, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: undefined,
+    select: false,
+  },
+  // Last accepted TOTP time step, so a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+    select: false,
+  },
+  twoFactorFailedAttempts: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Login lockout (see services/throttleService.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  unlockTokenHash: {
+    type: String,
+    select: false,
+  },
+  unlockTokenExpires: {
+    type: Date,
+    select: false,
+  },
 
   // Password reset (optional; cleared after use or expiry)
   resetToken: {
@@ -128,6 +240,13 @@ const userSchema = new mongoose.Schema({
   timestamps: true, // Automatically adds createdAt and updatedAt
 });
 
+// Keep driver GeoJSON point in sync with driverLatitude/driverLongitude
+userSchema.pre('save', function () {
+  if (this.isModified('driverLatitude') || this.isModified('driverLongitude')) {
+    this.driverLocation = toGeoPoint(this.driverLatitude, this.driverLongitude);
+  }
+});
+
 // Hash password before saving
 userSchema.pre('save', async function () {
   // Only hash password if it's been modified (or is new)
@@ -143,6 +262,10 @@ userSchema.pre('save', async function () {
   }
 });
 
+userSchema.index({ driverLocation: '2dsphere' });
+userSchema.index({ 'serviceArea.center': '2dsphere' });
+userSchema.index({ role: 1, 'serviceArea.coveredDistricts': 1 });
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -16,6 +16,16 @@ const userNotificationSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Notification event it belongs to (services/notificationPreferences.js); null for account notices
+  event: {
+    type: String,
+    default: null,
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    default: null,
+  },
   readAt: {
     type: Date,
     default: null,
@@ -1,22 +1,62 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { once } = require('events');
 const router = express.Router();
 const User = require('../models/User');
+const Donation = require('../models/Donation');
+const DispatchOffer = require('../models/DispatchOffer');
 const ContactMessage = require('../models/ContactMessage');
 const Notification = require('../models/Notification');
-const UserNotification = require('../models/UserNotification');
-const { authenticateAdmin } = require('../middleware/auth');
-const { sendApprovalEmail, sendRejectionEmail, sendDeactivationEmail, sendActivationEmail, sendContactReplyEmail, sendNotificationEmail } = require('../utils/emailService');
+const {
+  createUserNotification,
+  publishBroadcast,
+  pushBroadcastRemoved,
+  getBroadcastReadCounts,
+} = require('../services/notificationService');
+const { authenticateAdmin, requireAdminPermission } = require('../middleware/auth');
+const { sendApprovalEmail, sendRejectionEmail, sendDeactivationEmail, sendActivationEmail, sendContactReplyEmail } = require('../utils/emailService');
 const socketService = require('../services/socketService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { disableTwoFactor } = require('../services/twoFactorService');
+const { unlockAccount } = require('../services/throttleService');
+const AuthThrottle = require('../models/AuthThrottle');
+const JobRun = require('../models/JobRun');
+const jobScheduler = require('../services/jobScheduler');
+const EmailMessage = require('../models/EmailMessage');
+const { resendEmail, isOutboxError } = require('../services/emailOutbox');
+const { listEmailTemplates, isEmailTemplate, isSensitiveTemplate, previewEmail } = require('../utils/emailTemplates');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../utils/languages');
+const { ADMIN_PERMISSIONS, hasAdminPermission, parseAdminPermissions } = require('../utils/adminPermissions');
+const { DISTRICT_NAMES, isDistrict } = require('../utils/sriLankaDistricts');
+const { DOCUMENT_FIELDS, getSignedFileUrl, withSignedDocumentUrls } = require('../services/storageService');
+const { formatImageVariants } = require('../services/imageService');
+const { getUploadStats } = require('../services/imageUploadService');
+const { getFlaggedDuplicates } = require('../services/duplicateImageService');
+const {
+  getAccuracyStats,
+  getTrainingPairs,
+  trainingCsvHeader,
+  toTrainingCsvRow,
+} = require('../services/aiFeedbackService');
 
 // Apply JSON body parser and admin authentication to all routes
+// Each route additionally requires one admin permission (utils/adminPermissions.js)
 router.use(express.json());
 router.use(authenticateAdmin);
 
+const canViewAnalytics = requireAdminPermission(ADMIN_PERMISSIONS.ANALYTICS);
+const canApproveUsers = requireAdminPermission(ADMIN_PERMISSIONS.USER_APPROVAL);
+const canReplyToContacts = requireAdminPermission(ADMIN_PERMISSIONS.CONTACT_REPLIES);
+const canBroadcast = requireAdminPermission(ADMIN_PERMISSIONS.BROADCAST_NOTIFICATIONS);
+const canManageAdmins = requireAdminPermission(ADMIN_PERMISSIONS.MANAGE_ADMINS);
+const canRunJobs = requireAdminPermission(ADMIN_PERMISSIONS.SYSTEM_JOBS);
+const canViewEmailLog = requireAdminPermission(ADMIN_PERMISSIONS.EMAIL_LOG);
+
 /**
  * GET /api/admin/stats
  * Dashboard counts: donors, drivers, receivers (completed), and pending users
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', canViewAnalytics, async (req, res) => {
   try {
     const [donors, drivers, receivers, pending] = await Promise.all([
       User.countDocuments({ role: 'Donor', status: 'completed' }),
@@ -49,7 +89,7 @@ router.get('/stats', async (req, res) => {
  * Fetch all users with status: 'pending'
  * Returns users sorted by createdAt (newest first)
  */
-router.get('/users/pending', async (req, res) => {
+router.get('/users/pending', canApproveUsers, async (req, res) => {
   try {
     const pendingUsers = await User.find({ status: 'pending' })
       .select('-password') // Exclude password
@@ -65,6 +105,7 @@ router.get('/users/pending', async (req, res) => {
         contactNo: user.contactNo,
         address: user.address,
         profileImageUrl: user.profileImageUrl,
+        profileImageVariants: formatImageVariants(user.profileImageUrl, user.profileImageVariants),
         status: user.status,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -87,10 +128,10 @@ router.get('/users/pending', async (req, res) => {
 
       // IMPORTANT: Include ALL document fields regardless of role
       // This ensures we show all documents that were uploaded during signup
-      userData.businessRegFileUrl = user.businessRegFileUrl;
-      userData.addressProofFileUrl = user.addressProofFileUrl;
-      userData.nicFileUrl = user.nicFileUrl;
-      userData.licenseFileUrl = user.licenseFileUrl;
+      // Documents are private: send short-lived signed links, never the stored keys
+      for (const field of DOCUMENT_FIELDS) {
+        userData[field] = getSignedFileUrl(user[field]);
+      }
 
       return userData;
     });
@@ -115,7 +156,7 @@ router.get('/users/pending', async (req, res) => {
  * Update user status (approve or reject)
  * Body: { status: 'completed' | 'rejected' }
  */
-router.patch('/users/:id/status', async (req, res) => {
+router.patch('/users/:id/status', canApproveUsers, async (req, res) => {
   try {
     const { id } = req.params;
     let { status } = req.body;
@@ -152,6 +193,23 @@ router.patch('/users/:id/status', async (req, res) => {
       });
     }
 
+    // Other admins' accounts are managed by admins with manage_admins; nobody can lock themselves out
+    if (user.role === 'Admin') {
+      if (user._id.toString() === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change the status of your own account',
+        });
+      }
+      if (!hasAdminPermission(req.user, ADMIN_PERMISSIONS.MANAGE_ADMINS)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Missing admin permission.',
+          requiredPermission: ADMIN_PERMISSIONS.MANAGE_ADMINS,
+        });
+      }
+    }
+
     // Save previous status before updating
     const previousStatus = user.status;
 
@@ -159,9 +217,12 @@ router.patch('/users/:id/status', async (req, res) => {
     user.status = status;
     await user.save();
 
-    // Notify user's clients immediately when deactivated (so they sign out)
-    if (status === 'inactive') {
-      socketService.emitToUser(id, 'account_deactivated', {});
+    // Notify user's clients immediately when deactivated (so they sign out), then end every session
+    if (status === 'inactive' || status === 'rejected') {
+      if (status === 'inactive') {
+        socketService.emitToUser(id, 'account_deactivated', {});
+      }
+      await revokeAllSessions(id, status === 'inactive' ? 'account_deactivated' : 'account_rejected');
     }
 
     // Send email notification based on status change
@@ -184,7 +245,7 @@ router.patch('/users/:id/status', async (req, res) => {
     }
 
     // Prepare response (exclude password)
-    const userResponse = user.toObject();
+    const userResponse = withSignedDocumentUrls(user.toObject());
     delete userResponse.password;
 
     res.status(200).json({
@@ -202,12 +263,144 @@ router.patch('/users/:id/status', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/users/:id/2fa/reset
+ * Clear a user's two-factor authentication (lost device) and sign them out everywhere.
+ * They log in with their password again; admins are asked to enrol again.
+ */
+router.post('/users/:id/2fa/reset', canApproveUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = await User.findById(id).select('email role twoFactorEnabled');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'Admin' && !hasAdminPermission(req.user, ADMIN_PERMISSIONS.MANAGE_ADMINS)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing admin permission.',
+        requiredPermission: ADMIN_PERMISSIONS.MANAGE_ADMINS,
+      });
+    }
+
+    await disableTwoFactor(id, { force: true });
+    await revokeAllSessions(id, '2fa_reset');
+
+    console.log(`[Admin] 2FA reset for ${user.email} by ${req.user.email}`);
+
+    try {
+      await createUserNotification(user._id, {
+        title: 'Two-factor authentication reset',
+        message: 'An administrator reset two-factor authentication on your account. If you did not ask for this, contact support.',
+      });
+    } catch (notifError) {
+      console.error('[Admin] Error creating user notification for 2FA reset:', notifError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset',
+    });
+  } catch (error) {
+    console.error('[Admin] Error resetting 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/security/locked-accounts
+ * Accounts locked after failed logins, plus IPs/identifiers currently in backoff
+ */
+router.get('/security/locked-accounts', canApproveUsers, async (req, res) => {
+  try {
+    const now = new Date();
+    const [lockedUsers, blockedKeys] = await Promise.all([
+      User.find({ lockedUntil: { $gt: now } })
+        .select('email role status lockedAt lockedUntil')
+        .sort({ lockedAt: -1 })
+        .lean(),
+      AuthThrottle.find({ blockedUntil: { $gt: now } })
+        .select('action scope key count blockedUntil lastAttemptAt')
+        .sort({ blockedUntil: -1 })
+        .limit(200)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      lockedAccounts: lockedUsers.map(user => ({
+        _id: user._id,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        lockedAt: user.lockedAt,
+        lockedUntil: user.lockedUntil,
+      })),
+      throttled: blockedKeys.map(entry => ({
+        action: entry.action,
+        scope: entry.scope,
+        // Key is '<action>:<scope>:<value>'; value is the IP or the email/username tried
+        value: entry.key.split(':').slice(2).join(':'),
+        attempts: entry.count,
+        blockedUntil: entry.blockedUntil,
+        lastAttemptAt: entry.lastAttemptAt,
+      })),
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching locked accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch locked accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Lift a failed-login lock before it expires
+ */
+router.post('/users/:id/unlock', canApproveUsers, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email username lockedUntil');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await unlockAccount(user);
+    console.log(`[Admin] Account ${user.email} unlocked by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked',
+    });
+  } catch (error) {
+    console.error('[Admin] Error unlocking account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 /**
  * GET /api/admin/users
  * Fetch all users with optional filters
  * Query params: status, role, search (name, organization, email)
  */
-router.get('/users', async (req, res) => {
+router.get('/users', canApproveUsers, async (req, res) => {
   try {
     const { status, role, search } = req.query;
 
@@ -247,7 +440,10 @@ router.get('/users', async (req, res) => {
         contactNo: user.contactNo,
         address: user.address,
         profileImageUrl: user.profileImageUrl,
+        profileImageVariants: formatImageVariants(user.profileImageUrl, user.profileImageVariants),
         status: user.status,
+        twoFactorEnabled: !!user.twoFactorEnabled,
+        lockedUntil: user.lockedUntil && new Date(user.lockedUntil) > new Date() ? user.lockedUntil : null,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       };
@@ -265,14 +461,16 @@ router.get('/users', async (req, res) => {
         userData.driverName = user.driverName;
         userData.vehicleNumber = user.vehicleNumber;
         userData.vehicleType = user.vehicleType;
+      } else if (user.role === 'Admin') {
+        userData.adminPermissions = user.adminPermissions || [];
       }
 
       // IMPORTANT: Include ALL document fields regardless of role
       // This ensures we show all documents that were uploaded during signup
-      userData.businessRegFileUrl = user.businessRegFileUrl;
-      userData.addressProofFileUrl = user.addressProofFileUrl;
-      userData.nicFileUrl = user.nicFileUrl;
-      userData.licenseFileUrl = user.licenseFileUrl;
+      // Documents are private: send short-lived signed links, never the stored keys
+      for (const field of DOCUMENT_FIELDS) {
+        userData[field] = getSignedFileUrl(user[field]);
+      }
 
       return userData;
     });
@@ -296,7 +494,7 @@ router.get('/users', async (req, res) => {
  * GET /api/admin/messages
  * List all contact messages (newest first)
  */
-router.get('/messages', async (req, res) => {
+router.get('/messages', canReplyToContacts, async (req, res) => {
   try {
     const messages = await ContactMessage.find({})
       .sort({ createdAt: -1 })
@@ -336,7 +534,7 @@ router.get('/messages', async (req, res) => {
  * Reply to a contact message and send reply by email
  * Body: { reply: string }
  */
-router.post('/messages/:id/reply', async (req, res) => {
+router.post('/messages/:id/reply', canReplyToContacts, async (req, res) => {
   try {
     const { id } = req.params;
     const { reply } = req.body;
@@ -356,15 +554,12 @@ router.post('/messages/:id/reply', async (req, res) => {
       });
     }
 
-    const adminId = req.user && req.user.id;
     const updateData = {
       adminReply: reply.trim(),
       repliedAt: new Date(),
+      repliedBy: req.user.id,
       updatedAt: new Date(),
     };
-    if (adminId && adminId !== 'admin_static_id' && String(adminId).match(/^[0-9a-fA-F]{24}$/)) {
-      updateData.repliedBy = adminId;
-    }
 
     await ContactMessage.findByIdAndUpdate(id, updateData);
 
@@ -390,12 +585,10 @@ router.post('/messages/:id/reply', async (req, res) => {
         const replyText = reply.trim();
         const maxLength = 500;
         const displayReply = replyText.length <= maxLength ? replyText : replyText.slice(0, maxLength - 3) + '...';
-        const userNotification = new UserNotification({
-          user: targetUserId,
+        await createUserNotification(targetUserId, {
           title: 'Reply from FoodLoop',
           message: `Admin replied to your contact message.\n\n${displayReply}`,
         });
-        await userNotification.save();
       }
     } catch (notifError) {
       console.error('[Admin] Error creating user notification for contact reply:', notifError);
@@ -415,13 +608,45 @@ router.post('/messages/:id/reply', async (req, res) => {
   }
 });
 
+const BROADCAST_SEVERITIES = ['info', 'warning', 'urgent'];
+
+// Optional date from a request body: undefined when absent, null when cleared, Invalid Date when unparseable
+const parseOptionalDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return new Date(value);
+};
+
+const isInvalidDate = (date) => date instanceof Date && Number.isNaN(date.getTime());
+
+const formatBroadcastForAdmin = (n, counts = {}) => ({
+  id: n._id.toString(),
+  title: n.title,
+  message: n.message,
+  targetRoles: n.targetRoles,
+  targetDistricts: n.targetDistricts || [],
+  status: n.status,
+  severity: n.severity || 'info',
+  pinned: !!n.pinned,
+  publishAt: n.publishAt || n.createdAt,
+  publishedAt: n.publishedAt || null,
+  expiresAt: n.expiresAt || null,
+  readCount: counts.readCount || 0,
+  dismissedCount: counts.dismissedCount || 0,
+  createdAt: n.createdAt,
+});
+
 /**
  * POST /api/admin/notifications
- * Create a notification (admin only). Body: { message, title?, roles }
+ * Create a notification (admin only).
+ * Body: { message, title?, roles, districts?, severity?, pinned?, publishAt?, expiresAt? }
+ * districts limits it to users whose service area reaches one of them; users without
+ * a service area (including every donor) still receive it. A future publishAt schedules it
+ * for the broadcast-schedule job; expiresAt takes it out of inboxes.
  */
-router.post('/notifications', async (req, res) => {
+router.post('/notifications', canBroadcast, async (req, res) => {
   try {
-    const { message, title, roles } = req.body;
+    const { message, title, roles, districts, severity, pinned } = req.body;
 
     if (!message || typeof message !== 'string' || !message.trim()) {
       return res.status(400).json({
@@ -446,67 +671,69 @@ router.post('/notifications', async (req, res) => {
       });
     }
 
+    if (districts !== undefined && (!Array.isArray(districts) || districts.some((d) => !isDistrict(d)))) {
+      return res.status(400).json({
+        success: false,
+        message: `districts must be a list of Sri Lankan districts (${DISTRICT_NAMES.join(', ')})`,
+      });
+    }
+    if (severity !== undefined && !BROADCAST_SEVERITIES.includes(severity)) {
+      return res.status(400).json({
+        success: false,
+        message: `severity must be one of: ${BROADCAST_SEVERITIES.join(', ')}`,
+      });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'pinned must be true or false',
+      });
+    }
+
+    const now = new Date();
+    const publishAt = parseOptionalDate(req.body.publishAt) || now;
+    const expiresAt = parseOptionalDate(req.body.expiresAt) || null;
+    if (isInvalidDate(publishAt) || isInvalidDate(expiresAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'publishAt and expiresAt must be valid dates',
+      });
+    }
+    if (expiresAt && (expiresAt <= publishAt || expiresAt <= now)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresAt must be in the future and after publishAt',
+      });
+    }
+
     const targetRoles = normalized.includes('All') ? ['All'] : [...new Set(normalized)];
-    const adminId = req.user && req.user.id;
-    const createdBy = adminId && adminId !== 'admin_static_id' && String(adminId).match(/^[0-9a-fA-F]{24}$/) ? adminId : null;
+    const targetDistricts = [...new Set(districts || [])];
+    const scheduled = publishAt > now;
+    const createdBy = req.user.id;
 
     const notification = new Notification({
       title: title && typeof title === 'string' ? title.trim() : 'Update',
       message: message.trim(),
       targetRoles,
-      status: 'active',
+      targetDistricts,
+      severity: severity || 'info',
+      pinned: !!pinned,
+      publishAt,
+      publishedAt: scheduled ? null : now,
+      expiresAt,
+      status: scheduled ? 'scheduled' : 'active',
       createdBy,
     });
 
     await notification.save();
 
-    // Emit real-time new_notification to target role rooms (so users see badge/list without refresh)
-    const rolesToEmit = targetRoles.includes('All')
-      ? ['Donor', 'Receiver', 'Driver']
-      : targetRoles;
-    for (const role of rolesToEmit) {
-      socketService.emitToRole(role, 'new_notification', {
-        notificationId: notification._id.toString(),
-        title: notification.title,
-        message: notification.message,
-      });
-    }
-
-    // Send emails to relevant users (non-blocking)
-    (async () => {
-      try {
-        const rolesToMatch = targetRoles.includes('All')
-          ? ['Donor', 'Receiver', 'Driver']
-          : targetRoles;
-        const query = { role: { $in: rolesToMatch }, status: 'completed' };
-        const users = await User.find(query).select('email').lean();
-        const title = notification.title || 'Update';
-        const message = notification.message;
-        for (const u of users) {
-          if (u.email) {
-            try {
-              await sendNotificationEmail(u.email, title, message);
-            } catch (emailErr) {
-              console.error(`[Admin] Failed to send notification email to ${u.email}:`, emailErr.message);
-            }
-          }
-        }
-      } catch (err) {
-        console.error('[Admin] Error sending notification emails:', err);
-      }
-    })();
+    // Push to connected users and email everyone it reaches; scheduled ones go out from the job
+    if (!scheduled) publishBroadcast(notification);
 
     res.status(201).json({
       success: true,
-      message: 'Notification created',
-      notification: {
-        id: notification._id.toString(),
-        title: notification.title,
-        message: notification.message,
-        targetRoles: notification.targetRoles,
-        status: notification.status,
-        createdAt: notification.createdAt,
-      },
+      message: scheduled ? 'Notification scheduled' : 'Notification created',
+      notification: formatBroadcastForAdmin(notification),
     });
   } catch (error) {
     console.error('[Admin] Error creating notification:', error);
@@ -518,24 +745,109 @@ router.post('/notifications', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/admin/notifications/:id
+ * Update a notification (admin only). Body: { pinned?, severity?, expiresAt?, status? }
+ * status 'inactive' withdraws it from every inbox.
+ */
+router.patch('/notifications/:id', canBroadcast, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { pinned, severity, status } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID',
+      });
+    }
+    if (severity !== undefined && !BROADCAST_SEVERITIES.includes(severity)) {
+      return res.status(400).json({
+        success: false,
+        message: `severity must be one of: ${BROADCAST_SEVERITIES.join(', ')}`,
+      });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'pinned must be true or false',
+      });
+    }
+    if (status !== undefined && status !== 'inactive') {
+      return res.status(400).json({
+        success: false,
+        message: "status can only be set to 'inactive'",
+      });
+    }
+    const expiresAt = parseOptionalDate(req.body.expiresAt);
+    if (isInvalidDate(expiresAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresAt must be a valid date',
+      });
+    }
+
+    const notification = await Notification.findById(id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+    if (['expired', 'inactive'].includes(notification.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Notification is already ${notification.status}`,
+      });
+    }
+    if (expiresAt && (expiresAt <= new Date() || expiresAt <= notification.publishAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresAt must be in the future and after publishAt',
+      });
+    }
+
+    const wasLive = notification.status === 'active';
+    if (pinned !== undefined) notification.pinned = pinned;
+    if (severity !== undefined) notification.severity = severity;
+    if (expiresAt !== undefined) notification.expiresAt = expiresAt;
+    if (status !== undefined) notification.status = status;
+    await notification.save();
+
+    if (wasLive && notification.status === 'inactive') {
+      pushBroadcastRemoved(notification).catch((err) => {
+        console.error('[Admin] Error pushing notification removal:', err);
+      });
+    }
+
+    const counts = await getBroadcastReadCounts([notification._id]);
+    res.status(200).json({
+      success: true,
+      message: 'Notification updated',
+      notification: formatBroadcastForAdmin(notification, counts.get(notification._id.toString())),
+    });
+  } catch (error) {
+    console.error('[Admin] Error updating notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 /**
  * GET /api/admin/notifications
- * List all notifications (admin only)
+ * List all notifications with how many users read or dismissed each (admin only)
  */
-router.get('/notifications', async (req, res) => {
+router.get('/notifications', canBroadcast, async (req, res) => {
   try {
     const notifications = await Notification.find({})
       .sort({ createdAt: -1 })
       .lean();
 
-    const formatted = notifications.map((n) => ({
-      id: n._id.toString(),
-      title: n.title,
-      message: n.message,
-      targetRoles: n.targetRoles,
-      status: n.status,
-      createdAt: n.createdAt,
-    }));
+    const counts = await getBroadcastReadCounts(notifications.map((n) => n._id));
+    const formatted = notifications.map((n) => formatBroadcastForAdmin(n, counts.get(n._id.toString())));
 
     res.status(200).json({
       success: true,
@@ -552,4 +864,861 @@ router.get('/notifications', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/reports/expired-donations
+ * Food that expired before delivery, grouped by category, donor and reason
+ * Query params: from, to (ISO dates, filter on expiredAt), limit (top donors, default 20)
+ */
+router.get('/reports/expired-donations', canViewAnalytics, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    // Fully claimed listings are closed at expiry without losing any food
+    const match = { status: 'expired', expiryReason: { $ne: 'fully_claimed' } };
+    if (from || to) {
+      match.expiredAt = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+          return res.status(400).json({ success: false, errors: [{ field: 'from', message: 'Invalid date' }] });
+        }
+        match.expiredAt.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) {
+          return res.status(400).json({ success: false, errors: [{ field: 'to', message: 'Invalid date' }] });
+        }
+        match.expiredAt.$lte = toDate;
+      }
+    }
+
+    const summarise = {
+      donations: { $sum: 1 },
+      servingsExpired: { $sum: '$expiredQuantity' },
+      unclaimedServings: {
+        $sum: { $cond: [{ $eq: ['$expiryReason', 'unclaimed'] }, '$expiredQuantity', 0] },
+      },
+    };
+
+    const [result] = await Donation.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...summarise } }],
+          byCategory: [
+            { $group: { _id: '$foodCategory', ...summarise } },
+            { $sort: { servingsExpired: -1 } },
+          ],
+          byReason: [
+            { $group: { _id: '$expiryReason', ...summarise } },
+            { $sort: { servingsExpired: -1 } },
+          ],
+          byDonor: [
+            { $group: { _id: '$donorId', ...summarise } },
+            { $sort: { servingsExpired: -1 } },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'donor',
+                pipeline: [{ $project: { email: 1, donorType: 1, username: 1, businessName: 1 } }],
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const formatGroup = (group) => ({
+      donations: group.donations,
+      servingsExpired: group.servingsExpired,
+      unclaimedServings: group.unclaimedServings,
+    });
+    const totals = result.totals[0] || { donations: 0, servingsExpired: 0, unclaimedServings: 0 };
+
+    res.status(200).json({
+      success: true,
+      report: {
+        from: match.expiredAt?.$gte || null,
+        to: match.expiredAt?.$lte || null,
+        totals: formatGroup(totals),
+        byCategory: result.byCategory.map(g => ({ foodCategory: g._id, ...formatGroup(g) })),
+        byReason: result.byReason.map(g => ({ expiryReason: g._id, ...formatGroup(g) })),
+        byDonor: result.byDonor.map(g => {
+          const donor = g.donor[0];
+          return {
+            donorId: g._id,
+            donorName: donor ? (donor.donorType === 'Business' ? donor.businessName : donor.username) || donor.email : null,
+            donorEmail: donor?.email || null,
+            ...formatGroup(g),
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('[Admin] Error building expired donations report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build expired donations report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/food-safety
+ * Time in transit, driver temperature/condition checks and food safety alerts for delivered
+ * donations, overall and by category, plus the latest donations that raised alerts
+ * Query params: from, to (ISO dates, filter on deliveredAt), limit (incidents, default 20)
+ */
+router.get('/reports/food-safety', canViewAnalytics, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const match = { status: 'delivered', deliveredAt: { $ne: null } };
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate.getTime())) {
+        return res.status(400).json({ success: false, errors: [{ field: 'from', message: 'Invalid date' }] });
+      }
+      match.deliveredAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate.getTime())) {
+        return res.status(400).json({ success: false, errors: [{ field: 'to', message: 'Invalid date' }] });
+      }
+      match.deliveredAt.$lte = toDate;
+    }
+
+    const hasCheck = (stage) => ({ $cond: [{ $in: [stage, { $ifNull: ['$safetyChecks.stage', []] }] }, 1, 0] });
+    const summarise = {
+      deliveries: { $sum: 1 },
+      avgTransitMinutes: { $avg: '$transitMinutes' },
+      maxTransitMinutes: { $max: '$transitMinutes' },
+      holdingWindowExceeded: { $sum: { $cond: ['$holdingWindowExceeded', 1, 0] } },
+      withPickupCheck: { $sum: hasCheck('pickup') },
+      withDropoffCheck: { $sum: hasCheck('dropoff') },
+      unsafeReadings: {
+        $sum: {
+          $size: {
+            $filter: { input: { $ifNull: ['$safetyChecks', []] }, cond: { $eq: ['$$this.temperatureSafe', false] } },
+          },
+        },
+      },
+      withAlerts: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$safetyAlerts', []] } }, 0] }, 1, 0] } },
+    };
+
+    const [result] = await Donation.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...summarise } }],
+          byCategory: [
+            { $group: { _id: { foodCategory: '$foodCategory', storage: '$storageRecommendation' }, ...summarise } },
+            { $sort: { holdingWindowExceeded: -1, deliveries: -1 } },
+          ],
+          incidents: [
+            { $match: { $or: [{ holdingWindowExceeded: true }, { 'safetyAlerts.0': { $exists: true } }] } },
+            { $sort: { deliveredAt: -1 } },
+            { $limit: limit },
+            {
+              $project: {
+                trackingId: 1, itemName: 1, foodCategory: 1, storageRecommendation: 1, assignedDriverId: 1,
+                deliveredAt: 1, transitMinutes: 1, holdingWindowMinutes: 1, holdingWindowExceeded: 1, safetyAlerts: 1,
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const formatGroup = (group) => ({
+      deliveries: group.deliveries,
+      avgTransitMinutes: group.avgTransitMinutes != null ? Math.round(group.avgTransitMinutes) : null,
+      maxTransitMinutes: group.maxTransitMinutes ?? null,
+      holdingWindowExceeded: group.holdingWindowExceeded,
+      withPickupCheck: group.withPickupCheck,
+      withDropoffCheck: group.withDropoffCheck,
+      unsafeReadings: group.unsafeReadings,
+      withAlerts: group.withAlerts,
+    });
+    const totals = result.totals[0] || {
+      deliveries: 0, avgTransitMinutes: null, maxTransitMinutes: null, holdingWindowExceeded: 0,
+      withPickupCheck: 0, withDropoffCheck: 0, unsafeReadings: 0, withAlerts: 0,
+    };
+
+    res.status(200).json({
+      success: true,
+      report: {
+        from: match.deliveredAt.$gte || null,
+        to: match.deliveredAt.$lte || null,
+        totals: formatGroup(totals),
+        byCategory: result.byCategory.map(g => ({
+          foodCategory: g._id.foodCategory,
+          storage: g._id.storage,
+          ...formatGroup(g),
+        })),
+        incidents: result.incidents.map(d => ({
+          donationId: d._id.toString(),
+          trackingId: d.trackingId,
+          itemName: d.itemName,
+          foodCategory: d.foodCategory,
+          storage: d.storageRecommendation,
+          driverId: d.assignedDriverId?.toString() || null,
+          deliveredAt: d.deliveredAt,
+          transitMinutes: d.transitMinutes,
+          holdingWindowMinutes: d.holdingWindowMinutes,
+          holdingWindowExceeded: d.holdingWindowExceeded,
+          alerts: (d.safetyAlerts || []).map(a => ({ type: a.type, message: a.message, raisedAt: a.raisedAt })),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('[Admin] Error building food safety report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build food safety report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/uploads
+ * Donation image upload and AI analysis volume: totals, per day and top uploaders, plus how
+ * many uploads were attached to a donation, are waiting, or were deleted as orphans
+ * Query params: days (default 30, max 90)
+ */
+router.get('/reports/uploads', canViewAnalytics, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 90);
+    const report = await getUploadStats(days);
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('[Admin] Error building upload report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build upload report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/duplicate-images
+ * Donations whose photo closely matches an earlier donation's (same or another donor), newest
+ * first, with both photos. Only filled when DUPLICATE_IMAGE_ACTION is flag.
+ * Query params: days (default 30, max 90), limit (default 50, max 200)
+ */
+router.get('/reports/duplicate-images', canViewAnalytics, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 90);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const report = await getFlaggedDuplicates(days, limit);
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('[Admin] Error building duplicate image report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build duplicate image report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// from/to query params of the AI feedback routes; sends a 400 and returns null when invalid
+const parseDateRange = (req, res) => {
+  const range = {};
+  for (const field of ['from', 'to']) {
+    if (!req.query[field]) continue;
+    const date = new Date(req.query[field]);
+    if (isNaN(date.getTime())) {
+      res.status(400).json({ success: false, errors: [{ field, message: 'Invalid date' }] });
+      return null;
+    }
+    range[field] = date;
+  }
+  return range;
+};
+
+/**
+ * GET /api/admin/reports/ai-accuracy
+ * How often donors kept the AI's suggested category, item name, quantity and storage, overall,
+ * per food category and per category over time (donations made from an analysed photo)
+ * Query params: from, to (ISO dates, filter on createdAt), interval (day, week or month; default week)
+ */
+router.get('/reports/ai-accuracy', canViewAnalytics, async (req, res) => {
+  try {
+    const range = parseDateRange(req, res);
+    if (!range) return;
+    const interval = req.query.interval || 'week';
+    if (!['day', 'week', 'month'].includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'interval', message: 'interval must be day, week or month' }],
+      });
+    }
+    const report = await getAccuracyStats({ ...range, interval });
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('[Admin] Error building AI accuracy report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build AI accuracy report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/ai-feedback/export
+ * Download (image URL, predicted, corrected) pairs for retraining the AI model
+ * Query params: from, to (ISO dates, filter on createdAt), correctedOnly (true/false),
+ * format (jsonl - one JSON object per line, the default - or csv)
+ */
+router.get('/reports/ai-feedback/export', canViewAnalytics, async (req, res) => {
+  const range = parseDateRange(req, res);
+  if (!range) return;
+  const format = req.query.format || 'jsonl';
+  if (!['jsonl', 'csv'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      errors: [{ field: 'format', message: 'format must be jsonl or csv' }],
+    });
+  }
+
+  try {
+    const rows = getTrainingPairs({ ...range, correctedOnly: req.query.correctedOnly === 'true' });
+    // Read the first row before sending headers, so a query error can still get a 500
+    const first = await rows.next();
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="ai-feedback-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    if (format === 'csv') res.write(trainingCsvHeader());
+    const write = async (row) => {
+      const line = format === 'csv' ? toTrainingCsvRow(row) : `${JSON.stringify(row)}\n`;
+      // Wait for the client to catch up (or disconnect) before reading more
+      if (!res.write(line)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    };
+    if (!first.done) {
+      await write(first.value);
+      for await (const row of rows) {
+        if (res.destroyed) break;
+        await write(row);
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('[Admin] Error exporting AI feedback:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export AI feedback',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/donations/:id/dispatch-offers
+ * Auto-dispatch offer log for a donation (who was offered the job, when, and what happened)
+ */
+router.get('/donations/:id/dispatch-offers', canViewAnalytics, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid donation ID',
+      });
+    }
+    const donation = await Donation.findById(id)
+      .select('trackingId status assignedDriverId dispatchStatus dispatchDriverId')
+      .lean();
+    if (!donation) {
+      return res.status(404).json({ success: false, message: 'Donation not found' });
+    }
+
+    const offers = await DispatchOffer.find({ donationId: id })
+      .populate('driverId', 'driverName email vehicleType vehicleNumber')
+      .sort({ offeredAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      donation: {
+        id: donation._id.toString(),
+        trackingId: donation.trackingId,
+        status: donation.status,
+        assignedDriverId: donation.assignedDriverId?.toString() || null,
+        dispatchStatus: donation.dispatchStatus,
+      },
+      offers: offers.map(offer => ({
+        id: offer._id.toString(),
+        attempt: offer.attempt,
+        driverId: offer.driverId?._id?.toString(),
+        driverName: offer.driverId?.driverName,
+        driverEmail: offer.driverId?.email,
+        vehicleType: offer.vehicleType,
+        routeDistanceKm: offer.routeDistanceKm,
+        score: offer.score,
+        status: offer.status,
+        reason: offer.reason,
+        offeredAt: offer.offeredAt,
+        expiresAt: offer.expiresAt,
+        respondedAt: offer.respondedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching dispatch offers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispatch offers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+const formatAdmin = (admin) => ({
+  _id: admin._id,
+  email: admin.email,
+  status: admin.status,
+  adminPermissions: admin.adminPermissions || [],
+  twoFactorEnabled: !!admin.twoFactorEnabled,
+  createdAt: admin.createdAt,
+  updatedAt: admin.updatedAt,
+});
+
+/**
+ * GET /api/admin/admins
+ * List admin accounts and their permissions
+ */
+router.get('/admins', canManageAdmins, async (req, res) => {
+  try {
+    const admins = await User.find({ role: 'Admin' })
+      .select('email status adminPermissions twoFactorEnabled createdAt updatedAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: admins.length,
+      admins: admins.map(formatAdmin),
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching admins:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admins',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/admins
+ * Create another admin account
+ * Body: { email, password, permissions: string[], contactNo? }
+ */
+router.post('/admins', canManageAdmins, async (req, res) => {
+  try {
+    const { email, password, contactNo } = req.body;
+    const errors = [];
+
+    const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+    if (!normalizedEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+      errors.push({ field: 'email', message: 'A valid email is required' });
+    }
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      errors.push({ field: 'password', message: 'Password must be at least 6 characters' });
+    }
+    const { permissions, invalid } = parseAdminPermissions(req.body.permissions);
+    if (invalid.length > 0) {
+      errors.push({ field: 'permissions', message: `Unknown permission(s): ${invalid.join(', ')}` });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({
+        success: false,
+        errors: [{ field: 'email', message: 'This email is already registered' }],
+      });
+    }
+
+    const admin = new User({
+      email: normalizedEmail,
+      password,
+      role: 'Admin',
+      status: 'completed',
+      contactNo: typeof contactNo === 'string' && contactNo.trim() ? contactNo.trim() : 'N/A',
+      address: 'N/A',
+      adminPermissions: permissions,
+    });
+    await admin.save();
+
+    console.log(`[Admin] Admin ${normalizedEmail} created by ${req.user.email} with [${permissions.join(', ')}]`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin account created',
+      admin: formatAdmin(admin),
+    });
+  } catch (error) {
+    console.error('[Admin] Error creating admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create admin',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/admins/:id/permissions
+ * Replace an admin's permissions
+ * Body: { permissions: string[] }
+ */
+router.patch('/admins/:id/permissions', canManageAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin ID',
+      });
+    }
+    if (!Array.isArray(req.body.permissions)) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'permissions', message: 'Permissions must be an array' }],
+      });
+    }
+    const { permissions, invalid } = parseAdminPermissions(req.body.permissions);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'permissions', message: `Unknown permission(s): ${invalid.join(', ')}` }],
+      });
+    }
+
+    const admin = await User.findOne({ _id: id, role: 'Admin' });
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    // Keep at least the caller able to manage admins
+    if (admin._id.toString() === req.user.id && !permissions.includes(ADMIN_PERMISSIONS.MANAGE_ADMINS)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove manage_admins from your own account',
+      });
+    }
+
+    admin.adminPermissions = permissions;
+    await admin.save();
+
+    console.log(`[Admin] Permissions of ${admin.email} set to [${permissions.join(', ')}] by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Permissions updated',
+      admin: formatAdmin(admin),
+    });
+  } catch (error) {
+    console.error('[Admin] Error updating admin permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update permissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs
+ * Background jobs with their schedule, last result and any pending retry
+ */
+router.get('/jobs', canRunJobs, async (req, res) => {
+  try {
+    const jobs = await jobScheduler.listJobs();
+
+    res.status(200).json({
+      success: true,
+      jobs,
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Run history of a job, newest first
+ * Query: limit (default 20, max 100)
+ */
+router.get('/jobs/:name/runs', canRunJobs, async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!jobScheduler.hasJob(name)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const runs = await JobRun.find({ jobName: name })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      runs: runs.map(run => ({
+        id: run._id.toString(),
+        trigger: run.trigger,
+        attempt: run.attempt,
+        status: run.status,
+        instanceId: run.instanceId,
+        triggeredBy: run.triggeredBy?.toString() || null,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        durationMs: run.durationMs,
+        result: run.result,
+        error: run.error,
+      })),
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job runs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a job now. Responds as soon as the run has started; poll /jobs/:name/runs for the result.
+ */
+router.post('/jobs/:name/run', canRunJobs, async (req, res) => {
+  try {
+    const run = await jobScheduler.triggerJob(req.params.name, req.user.id);
+    console.log(`[Admin] Job ${req.params.name} triggered by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Job started',
+      runId: run._id.toString(),
+    });
+  } catch (error) {
+    if (jobScheduler.isJobError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('[Admin] Error triggering job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+const formatEmailMessage = (m) => ({
+  id: m._id.toString(),
+  template: m.template,
+  to: m.to,
+  subject: m.subject,
+  status: m.status,
+  attempts: m.attempts,
+  nextAttemptAt: m.status === 'queued' ? m.nextAttemptAt : null,
+  lastAttemptAt: m.lastAttemptAt,
+  lastError: m.lastError,
+  sentAt: m.sentAt,
+  transport: m.transport,
+  attachments: (m.attachments || []).map(a => a.filename),
+  resendOf: m.resendOf ? m.resendOf.toString() : null,
+  resentBy: m.resentBy ? m.resentBy.toString() : null,
+  createdAt: m.createdAt,
+});
+
+/**
+ * GET /api/admin/emails
+ * Email delivery log, newest first
+ * Query: status, template, search (recipient or subject), page (default 1), limit (default 50, max 100)
+ */
+router.get('/emails', canViewEmailLog, async (req, res) => {
+  try {
+    const { status, template, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (template) {
+      query.template = template;
+    }
+    if (search && typeof search === 'string' && search.trim()) {
+      const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const regex = new RegExp(escaped, 'i');
+      query.$or = [{ to: regex }, { subject: regex }];
+    }
+
+    const [messages, total] = await Promise.all([
+      EmailMessage.find(query)
+        .select('-html -text -data -attachments.content')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EmailMessage.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page,
+      limit,
+      emails: messages.map(formatEmailMessage),
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching email log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/emails/templates
+ * Transactional email templates and the languages they can be rendered in
+ */
+router.get('/emails/templates', canViewEmailLog, (req, res) => {
+  res.status(200).json({
+    success: true,
+    templates: listEmailTemplates(),
+    languages: SUPPORTED_LANGUAGES,
+  });
+});
+
+/**
+ * GET /api/admin/emails/templates/:name/preview
+ * Render a template with sample data
+ * Query: lang (en, ta, si; default en), format (json default, html or text for the raw body)
+ */
+router.get('/emails/templates/:name/preview', canViewEmailLog, (req, res) => {
+  try {
+    const { name } = req.params;
+    const { lang = 'en', format = 'json' } = req.query;
+    if (!isEmailTemplate(name)) {
+      return res.status(404).json({ success: false, message: 'Email template not found' });
+    }
+    if (!isSupportedLanguage(lang)) {
+      return res.status(400).json({
+        success: false,
+        message: `lang must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`,
+      });
+    }
+
+    const { subject, html, text } = previewEmail(name, lang);
+    if (format === 'html') {
+      return res.status(200).type('html').send(html);
+    }
+    if (format === 'text') {
+      return res.status(200).type('text').send(text);
+    }
+    res.status(200).json({
+      success: true,
+      preview: { template: name, language: lang, subject, html, text },
+    });
+  } catch (error) {
+    console.error('[Admin] Error rendering email preview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render email preview',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/emails/:id
+ * One logged email including its HTML body (withheld for emails with one-time links or codes)
+ */
+router.get('/emails/:id', canViewEmailLog, async (req, res) => {
+  try {
+    const message = mongoose.isValidObjectId(req.params.id)
+      ? await EmailMessage.findById(req.params.id).select('-data -attachments.content').lean()
+      : null;
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+
+    const bodyWithheld = isSensitiveTemplate(message.template);
+    res.status(200).json({
+      success: true,
+      email: {
+        ...formatEmailMessage(message),
+        from: message.from,
+        bodyWithheld,
+        html: bodyWithheld ? null : message.html,
+        text: bodyWithheld ? null : message.text,
+        messageId: message.messageId,
+      },
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/emails/:id/resend
+ * Send a logged email again: a failed one is re-queued, a sent one is copied into a new message
+ */
+router.post('/emails/:id/resend', canViewEmailLog, async (req, res) => {
+  try {
+    const message = await resendEmail(req.params.id, req.user.id);
+    console.log(`[Admin] Email ${req.params.id} resent by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Email queued for delivery',
+      email: formatEmailMessage(message),
+    });
+  } catch (error) {
+    if (isOutboxError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('[Admin] Error resending email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 module.exports = router;
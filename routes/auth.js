@@ -3,9 +3,46 @@ const router = express.Router();
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const User = require('../models/User');
-const { uploadFileToS3 } = require('../config/awsS3');
+const { uploadPrivateFile, withSignedDocumentUrls } = require('../services/storageService');
+const { storeImage, isImageError } = require('../services/imageService');
 const { handleFileUpload } = require('../middleware/upload');
-const { generateToken, verifyToken } = require('../utils/jwt');
+const { verifyToken, generateChallengeToken, verifyChallengeToken } = require('../utils/jwt');
+const {
+  getClientInfo,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+  listActiveSessions,
+  isSessionError,
+} = require('../services/sessionService');
+const {
+  isTwoFactorRequired,
+  beginSetup,
+  confirmSetup,
+  verifyLoginCode,
+  resetFailedAttempts,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  isTwoFactorError,
+} = require('../services/twoFactorService');
+const { hashOtp } = require('../utils/otp');
+const { resolveLanguage } = require('../utils/languages');
+const { normalizeSriLankaPhone } = require('../utils/phone');
+const {
+  getRequestIp,
+  checkThrottle,
+  recordAttempt,
+  clearAttempts,
+  isAccountLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  findUserByUnlockToken,
+} = require('../services/throttleService');
+const { throttleRequests, sendThrottled } = require('../middleware/throttle');
 const {
   sendWelcomeEmail,
   sendPendingApprovalEmail,
@@ -25,40 +62,108 @@ const {
 const { authenticateUser } = require('../middleware/auth');
 const { FRONTEND_URL } = require('../config/env');
 
-// Helper function to upload files to S3
+const TWO_FACTOR_SECRET_FIELDS = [
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+  'twoFactorFailedAttempts',
+];
+
+// Helper function to store signup files: the avatar is public (resized), identity documents are private (keys only)
 const uploadFiles = async (files) => {
   const uploadedFiles = {};
 
   if (files.profileImage && files.profileImage[0]) {
-    uploadedFiles.profileImageUrl = await uploadFileToS3(files.profileImage[0], 'profile-images');
+    const variants = await storeImage(files.profileImage[0], 'profile-images');
+    uploadedFiles.profileImageUrl = variants.original;
+    uploadedFiles.profileImageVariants = variants;
   }
 
   if (files.businessRegFile && files.businessRegFile[0]) {
-    uploadedFiles.businessRegFileUrl = await uploadFileToS3(files.businessRegFile[0], 'business-registration');
+    uploadedFiles.businessRegFileUrl = await uploadPrivateFile(files.businessRegFile[0], 'business-registration');
   }
 
   if (files.addressProofFile && files.addressProofFile[0]) {
-    uploadedFiles.addressProofFileUrl = await uploadFileToS3(files.addressProofFile[0], 'address-proof');
+    uploadedFiles.addressProofFileUrl = await uploadPrivateFile(files.addressProofFile[0], 'address-proof');
   }
 
   if (files.nicFile && files.nicFile[0]) {
-    uploadedFiles.nicFileUrl = await uploadFileToS3(files.nicFile[0], 'nic');
+    uploadedFiles.nicFileUrl = await uploadPrivateFile(files.nicFile[0], 'nic');
   }
 
   if (files.licenseFile && files.licenseFile[0]) {
-    uploadedFiles.licenseFileUrl = await uploadFileToS3(files.licenseFile[0], 'license');
+    uploadedFiles.licenseFileUrl = await uploadPrivateFile(files.licenseFile[0], 'license');
   }
 
   return uploadedFiles;
 };
 
+/**
+ * Start a device session for a user who passed every login step, and respond with the tokens.
+ * Admin logins also trigger the login notification email.
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Start a device session (access token + refresh token)
+  const { token, refreshToken } = await createSession(user, getClientInfo(req));
+
+  // If admin, fire-and-forget: send admin login notification email
+  if (user.role === 'Admin') {
+    const time = new Date().toLocaleString('en-GB', { timeZone: 'Asia/Colombo', dateStyle: 'medium', timeStyle: 'medium' });
+    const device = (req.headers['user-agent'] || 'Unknown').slice(0, 200);
+    const ip = req.ip || 'Unknown';
+    const isLocalIp = /^(::1|::ffff:127\.0\.0\.1|127\.0\.0\.1)$/.test((ip || '').trim());
+    (async () => {
+      let location;
+      if (isLocalIp) {
+        location = `Localhost / this device (no geographic location) – IP: ${ip}`;
+      } else {
+        location = `IP: ${ip}`;
+        try {
+          const controller = new AbortController();
+          const timeoutId = setTimeout(() => controller.abort(), 2000);
+          const geoRes = await fetch(`http://ip-api.com/json/${encodeURIComponent(ip)}?fields=city,country,regionName`, { signal: controller.signal });
+          clearTimeout(timeoutId);
+          const j = await geoRes.json();
+          if (j && (j.city || j.country)) {
+            const parts = [j.city, j.regionName, j.country].filter(Boolean);
+            location = `${parts.join(', ')} (IP: ${ip})`;
+          }
+        } catch (_) {}
+      }
+      try {
+        await sendAdminLoginNotificationEmail(user.email, { time, location, device });
+      } catch (e) {
+        console.error('[Auth] Admin login notification email error:', e);
+      }
+    })();
+  }
+
+  // Prepare user response (without password or 2FA secrets)
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  for (const field of TWO_FACTOR_SECRET_FIELDS) {
+    delete userResponse[field];
+  }
+  withSignedDocumentUrls(userResponse);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token: token,
+    refreshToken,
+    user: userResponse,
+    ...extra,
+  });
+};
+
 /**
  * POST /api/auth/check-email
  * Check if email already exists in DB (for real-time signup validation).
  * Body: { email: string }
  * Response: { exists: boolean }
  */
-router.post('/check-email', express.json(), async (req, res) => {
+router.post('/check-email', express.json(), throttleRequests('check_email'), async (req, res) => {
   try {
     const email = req.body.email?.toLowerCase?.()?.trim?.();
     if (!email) {
@@ -78,13 +183,13 @@ router.post('/check-email', express.json(), async (req, res) => {
  * Body: { contactNo: string }
  * Response: { exists: boolean }
  */
-router.post('/check-contact', express.json(), async (req, res) => {
+router.post('/check-contact', express.json(), throttleRequests('check_contact'), async (req, res) => {
   try {
     const raw = req.body.contactNo;
     if (raw === undefined || raw === null) {
       return res.status(400).json({ success: false, exists: false });
     }
-    const contactNo = String(raw).trim().replace(/\s/g, '');
+    const contactNo = normalizeSriLankaPhone(raw);
     if (!contactNo) {
       return res.json({ success: true, exists: false });
     }
@@ -107,6 +212,14 @@ router.post('/signup', handleFileUpload, async (req, res) => {
     
     const { role, donorType, password, retypePassword } = req.body;
 
+    // Admin accounts are created with scripts/createAdmin.js or by another admin, never by signup
+    if (!['Donor', 'Receiver', 'Driver'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'role', message: 'Role must be Donor, Receiver or Driver' }],
+      });
+    }
+
     // Validate password match
     if (password !== retypePassword) {
       return res.status(400).json({
@@ -134,7 +247,7 @@ router.post('/signup', handleFileUpload, async (req, res) => {
       });
     }
 
-    // Check if contact number already exists (normalize: trim and remove spaces)
+    // Check if contact number already exists
     const contactNoRaw = req.body.contactNo;
     if (!contactNoRaw || typeof contactNoRaw !== 'string') {
       return res.status(400).json({
@@ -142,13 +255,20 @@ router.post('/signup', handleFileUpload, async (req, res) => {
         errors: [{ field: 'contactNo', message: 'Contact number is required' }],
       });
     }
-    const contactNo = contactNoRaw.trim().replace(/\s/g, '');
-    if (!contactNo) {
+    if (!contactNoRaw.trim()) {
       return res.status(400).json({
         success: false,
         errors: [{ field: 'contactNo', message: 'Contact number is required' }],
       });
     }
+    // Stored in E.164 (+94...) so the number can receive SMS
+    const contactNo = normalizeSriLankaPhone(contactNoRaw);
+    if (!contactNo) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'contactNo', message: 'Enter a valid Sri Lankan phone number, e.g. 077 123 4567' }],
+      });
+    }
     const existingUserByContact = await User.findOne({ contactNo: contactNo });
     if (existingUserByContact) {
       console.log(`Contact number already registered: ${contactNo}`);
@@ -170,18 +290,18 @@ router.post('/signup', handleFileUpload, async (req, res) => {
       }
     }
 
-    // Upload files to S3
+    // Store uploaded files
     let uploadedFiles = {};
     if (req.files) {
       try {
         uploadedFiles = await uploadFiles(req.files);
       } catch (uploadError) {
         console.error('File upload error:', uploadError);
-        return res.status(500).json({
+        return res.status(isImageError(uploadError) ? uploadError.statusCode : 500).json({
           success: false,
           errors: [{ 
             field: 'files', 
-            message: uploadError.message || 'Failed to upload files. Please check your AWS S3 configuration.' 
+            message: uploadError.message || 'Failed to upload files. Please check the file storage configuration.' 
           }],
         });
       }
@@ -194,6 +314,7 @@ router.post('/signup', handleFileUpload, async (req, res) => {
       role: role,
       contactNo: contactNo,
       address: req.body.address,
+      preferredLanguage: resolveLanguage(req.body.preferredLanguage),
       ...uploadedFiles,
     };
 
@@ -233,7 +354,7 @@ router.post('/signup', handleFileUpload, async (req, res) => {
 
     // OTP verification: store pending signup and send OTP (do not create User yet)
     const otp = crypto.randomInt(100000, 1000000);
-    const otpHash = crypto.createHash('sha256').update(otp.toString()).digest('hex');
+    const otpHash = hashOtp(otp);
     const otpExpiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
     const signupData = JSON.parse(JSON.stringify(userData));
 
@@ -244,7 +365,7 @@ router.post('/signup', handleFileUpload, async (req, res) => {
     );
 
     try {
-      await sendSignupOtpEmail(email, otp);
+      await sendSignupOtpEmail(email, otp, { language: userData.preferredLanguage });
     } catch (emailError) {
       console.error('OTP email error:', emailError.message);
       return res.status(500).json({
@@ -326,6 +447,14 @@ router.post('/verify-signup-otp', express.json(), async (req, res) => {
     }
 
     const normalizedEmail = email.toLowerCase().trim();
+
+    // Wrong codes are counted per IP and per email so the 6-digit OTP cannot be brute-forced
+    const throttleTarget = { ip: getRequestIp(req), account: normalizedEmail };
+    const block = await checkThrottle('verify_signup_otp', throttleTarget);
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
     const pending = await PendingSignup.findOne({ email: normalizedEmail });
     if (!pending) {
       return res.status(400).json({
@@ -341,8 +470,9 @@ router.post('/verify-signup-otp', express.json(), async (req, res) => {
       });
     }
 
-    const otpHash = crypto.createHash('sha256').update(String(otp).trim()).digest('hex');
+    const otpHash = hashOtp(otp);
     if (otpHash !== pending.otpHash) {
+      await recordAttempt('verify_signup_otp', throttleTarget);
       return res.status(400).json({
         success: false,
         message: 'Invalid OTP. Please check the code and try again.',
@@ -391,7 +521,7 @@ router.post('/verify-signup-otp', express.json(), async (req, res) => {
       console.error('Email sending error (verify-signup-otp):', emailError.message);
     }
 
-    const userResponse = user.toObject();
+    const userResponse = withSignedDocumentUrls(user.toObject());
     delete userResponse.password;
 
     res.status(200).json({
@@ -434,7 +564,7 @@ router.post('/verify-signup-otp', express.json(), async (req, res) => {
 const resendOtpCooldown = new Map(); // email -> lastSentAt
 const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
 
-router.post('/resend-signup-otp', express.json(), async (req, res) => {
+router.post('/resend-signup-otp', express.json(), throttleRequests('resend_signup_otp', req => req.body?.email), async (req, res) => {
   try {
     const { email } = req.body;
     if (!email || typeof email !== 'string' || !email.trim()) {
@@ -470,14 +600,14 @@ router.post('/resend-signup-otp', express.json(), async (req, res) => {
     }
 
     const otp = crypto.randomInt(100000, 1000000);
-    const otpHash = crypto.createHash('sha256').update(otp.toString()).digest('hex');
+    const otpHash = hashOtp(otp);
     const otpExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
     pending.otpHash = otpHash;
     pending.otpExpiresAt = otpExpiresAt;
     await pending.save();
 
     try {
-      await sendSignupOtpEmail(normalizedEmail, otp);
+      await sendSignupOtpEmail(normalizedEmail, otp, { language: pending.signupData?.preferredLanguage });
     } catch (emailError) {
       console.error('Resend OTP email error:', emailError.message);
       return res.status(500).json({
@@ -517,62 +647,11 @@ router.post('/login', express.json(), async (req, res) => {
 
     const normalizedEmail = email.toLowerCase().trim();
 
-    // Check for static admin credentials first
-    const ADMIN_EMAIL = 'foodloop.official27@gmail.com';
-    const ADMIN_PASSWORD = 'admin123';
-
-    if (normalizedEmail === ADMIN_EMAIL && password === ADMIN_PASSWORD) {
-      // Create virtual admin user object
-      const adminUser = {
-        _id: 'admin_static_id',
-        email: ADMIN_EMAIL,
-        role: 'Admin',
-        status: 'completed',
-        contactNo: 'N/A',
-        address: 'N/A',
-      };
-
-      // Generate JWT token for admin
-      const token = generateToken(adminUser);
-
-      // Fire-and-forget: send admin login notification email (time, location, device)
-      const time = new Date().toLocaleString('en-GB', { timeZone: 'Asia/Colombo', dateStyle: 'medium', timeStyle: 'medium' });
-      const device = (req.headers['user-agent'] || 'Unknown').slice(0, 200);
-      const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'Unknown';
-      const isLocalIp = /^(::1|::ffff:127\.0\.0\.1|127\.0\.0\.1)$/.test((ip || '').trim());
-      (async () => {
-        let location;
-        if (isLocalIp) {
-          location = `Localhost / this device (no geographic location) – IP: ${ip}`;
-        } else {
-          location = `IP: ${ip}`;
-          try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 2000);
-            const geoRes = await fetch(`http://ip-api.com/json/${encodeURIComponent(ip)}?fields=city,country,regionName`, { signal: controller.signal });
-            clearTimeout(timeoutId);
-            const j = await geoRes.json();
-            if (j && (j.city || j.country)) {
-              const parts = [j.city, j.regionName, j.country].filter(Boolean);
-              location = `${parts.join(', ')} (IP: ${ip})`;
-            }
-          } catch (_) {}
-        }
-        try {
-          await sendAdminLoginNotificationEmail(ADMIN_EMAIL, { time, location, device });
-        } catch (e) {
-          console.error('[Auth] Admin login notification email error:', e);
-        }
-      })();
-
-      // Return admin user response
-      res.status(200).json({
-        success: true,
-        message: 'Login successful',
-        token: token,
-        user: adminUser,
-      });
-      return;
+    // Back off repeated failures from this IP or against this email/username
+    const throttleTarget = { ip: getRequestIp(req), account: normalizedEmail };
+    const block = await checkThrottle('login', throttleTarget);
+    if (block) {
+      return sendThrottled(res, block);
     }
 
     // Find user by email or username
@@ -584,23 +663,46 @@ router.post('/login', express.json(), async (req, res) => {
       user = await User.findOne({ username: email.trim() });
     }
 
-    // If user not found
+    // Unknown accounts, wrong passwords and locked accounts all get the same answer, so the
+    // response does not tell which emails are registered or locked
+    const invalidCredentials = () => res.status(401).json({
+      success: false,
+      errors: [{ field: 'password', message: 'Invalid email/username or password' }],
+    });
+
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        errors: [{ field: 'email', message: 'Invalid email/username or password' }],
-      });
+      await recordAttempt('login', throttleTarget);
+      return invalidCredentials();
     }
 
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
+      await recordAttempt('login', throttleTarget);
+      // Locking emails the owner an unlock link; a locked account does not count further failures
+      if (!isAccountLocked(user)) await recordFailedLogin(user);
+      return invalidCredentials();
+    }
+
+    // Locked after too many wrong passwords (only revealed to someone who knows the password):
+    // wait, or use the unlock link from the email
+    if (isAccountLocked(user)) {
+      return res.status(423).json({
         success: false,
-        errors: [{ field: 'password', message: 'Invalid email/username or password' }],
+        message: 'Your account is temporarily locked after too many failed attempts. Check your email for an unlock link.',
+        lockedUntil: user.lockedUntil,
+        errors: [{ field: 'email', message: 'Account temporarily locked' }],
       });
     }
 
+    // Correct password: forget earlier failures
+    await clearAttempts('login', { account: normalizedEmail });
+    if (user.lockedAt || user.lockedUntil) {
+      await unlockAccount(user);
+    } else {
+      await clearFailedLogins(user);
+    }
+
     // Check user status
     if (user.status === 'pending') {
       return res.status(403).json({
@@ -626,54 +728,276 @@ router.post('/login', express.json(), async (req, res) => {
       });
     }
 
-    // Status is 'completed' - allow login
-    // Generate JWT token
-    const token = generateToken(user);
+    // Status is 'completed' - password accepted. Accounts with 2FA continue at /login/2fa
+    if (user.twoFactorEnabled) {
+      await resetFailedAttempts(user._id);
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user, '2fa_login'),
+        message: 'Enter the code from your authenticator app',
+      });
+    }
 
-    // If admin, fire-and-forget: send admin login notification email
-    if (user.role === 'Admin') {
-      const time = new Date().toLocaleString('en-GB', { timeZone: 'Asia/Colombo', dateStyle: 'medium', timeStyle: 'medium' });
-      const device = (req.headers['user-agent'] || 'Unknown').slice(0, 200);
-      const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'Unknown';
-      const isLocalIp = /^(::1|::ffff:127\.0\.0\.1|127\.0\.0\.1)$/.test((ip || '').trim());
-      (async () => {
-        let location;
-        if (isLocalIp) {
-          location = `Localhost / this device (no geographic location) – IP: ${ip}`;
-        } else {
-          location = `IP: ${ip}`;
-          try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 2000);
-            const geoRes = await fetch(`http://ip-api.com/json/${encodeURIComponent(ip)}?fields=city,country,regionName`, { signal: controller.signal });
-            clearTimeout(timeoutId);
-            const j = await geoRes.json();
-            if (j && (j.city || j.country)) {
-              const parts = [j.city, j.regionName, j.country].filter(Boolean);
-              location = `${parts.join(', ')} (IP: ${ip})`;
-            }
-          } catch (_) {}
-        }
-        try {
-          await sendAdminLoginNotificationEmail(user.email, { time, location, device });
-        } catch (e) {
-          console.error('[Auth] Admin login notification email error:', e);
-        }
-      })();
+    // Admins must enrol before their first session (see /2fa/setup and /2fa/enable)
+    if (isTwoFactorRequired(user)) {
+      return res.status(200).json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user, '2fa_setup'),
+        message: 'Two-factor authentication is required for admin accounts. Set it up to continue.',
+      });
     }
 
-    // Prepare user response (without password)
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+const twoFactorErrorResponse = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with 2FA: exchange the challenge token from /login
+ * and a code from the authenticator app (or a recovery code) for a session.
+ * Body: { challengeToken, code?, recoveryCode?, deviceName? }
+ */
+router.post('/login/2fa', express.json(), async (req, res) => {
+  const throttleTarget = { ip: getRequestIp(req) };
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken, '2fa_login');
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login step expired. Please log in again.',
+      });
+    }
+
+    // Wrong codes count against the account as well as the IP
+    throttleTarget.account = String(decoded.id);
+    const block = await checkThrottle('login_2fa', throttleTarget);
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
+    const { user, method, remainingRecoveryCodes } = await verifyLoginCode(decoded.id, { code, recoveryCode });
+    if (user.status !== 'completed') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account deactivated',
+        status: user.status,
+      });
+    }
+
+    await clearAttempts('login_2fa', { account: throttleTarget.account });
+    await completeLogin(req, res, user, method === 'recovery_code' ? { remainingRecoveryCodes } : {});
+  } catch (error) {
+    if (isTwoFactorError(error)) {
+      if (error.statusCode === 401) {
+        await recordAttempt('login_2fa', throttleTarget).catch(() => {});
+      }
+      return twoFactorErrorResponse(res, error);
+    }
+    console.error('[Auth] 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * Authenticate 2FA enrolment: a normal access token, or the setup challenge token
+ * issued by /login to admins who have not enrolled yet (body.challengeToken).
+ */
+const authenticateTwoFactorSetup = (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticateUser(req, res, next);
+  }
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+    req.user = { id: decoded.id, viaChallenge: true };
+    next();
+  } catch (tokenError) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login step expired. Please log in again.',
+    });
+  }
+};
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start 2FA enrolment. Returns the secret and an otpauth:// URI to show as a QR code.
+ * Body: { challengeToken? } (only when enrolment is required to finish logging in)
+ */
+router.post('/2fa/setup', express.json(), authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await beginSetup(req.user.id);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      token: token,
-      user: userResponse,
+      secret,
+      otpauthUrl,
     });
   } catch (error) {
-    console.error('Login error:', error);
+    if (isTwoFactorError(error)) {
+      return twoFactorErrorResponse(res, error);
+    }
+    console.error('[Auth] 2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrolment with a code from the authenticator app. Returns recovery codes (shown once).
+ * When called with the setup challenge token this also completes the login.
+ * Body: { code, challengeToken?, deviceName? }
+ */
+router.post('/2fa/enable', express.json(), authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { user, recoveryCodes } = await confirmSetup(req.user.id, req.body.code);
+
+    if (req.user.viaChallenge) {
+      if (user.status !== 'completed') {
+        return res.status(403).json({
+          success: false,
+          message: 'Account deactivated',
+          status: user.status,
+        });
+      }
+      return completeLogin(req, res, user, { recoveryCodes });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    if (isTwoFactorError(error)) {
+      return twoFactorErrorResponse(res, error);
+    }
+    console.error('[Auth] 2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off 2FA (not allowed for admins). Requires the password and a current code.
+ * Body: { password, code }
+ */
+router.post('/2fa/disable', express.json(), authenticateUser, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required',
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    await disableTwoFactor(req.user.id, { code });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    if (isTwoFactorError(error)) {
+      return twoFactorErrorResponse(res, error);
+    }
+    console.error('[Auth] 2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes. Requires a current code; the new codes are shown once.
+ * Body: { code }
+ */
+router.post('/2fa/recovery-codes', express.json(), authenticateUser, async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    if (isTwoFactorError(error)) {
+      return twoFactorErrorResponse(res, error);
+    }
+    console.error('[Auth] 2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/unlock
+ * Unlock an account locked after failed logins, using the token from the unlock email
+ * Body: { token }
+ */
+router.post('/unlock', express.json(), async (req, res) => {
+  try {
+    const user = await findUserByUnlockToken(req.body?.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock link.',
+      });
+    }
+
+    await unlockAccount(user);
+    console.log(`[Auth] Account ${user.email} unlocked via email link`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been unlocked. You can now log in.',
+    });
+  } catch (error) {
+    console.error('[Auth] Unlock account error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -686,7 +1010,7 @@ router.post('/login', express.json(), async (req, res) => {
  * POST /api/auth/forgot-password
  * Request password reset; send reset link by email if user exists (always return same message)
  */
-router.post('/forgot-password', express.json(), async (req, res) => {
+router.post('/forgot-password', express.json(), throttleRequests('forgot_password', req => req.body?.email), async (req, res) => {
   try {
     const { email } = req.body;
     const genericMessage = 'If an account exists for this email, you will receive a password reset link.';
@@ -770,6 +1094,13 @@ router.post('/reset-password', express.json(), async (req, res) => {
     user.resetTokenExpires = undefined;
     await user.save();
 
+    // Whoever knew the old password is signed out everywhere
+    await revokeAllSessions(user._id, 'password_reset');
+    // Proving access to the mailbox also lifts a failed-login lock
+    if (user.lockedUntil) {
+      await unlockAccount(user);
+    }
+
     (async () => {
       try {
         await sendPasswordChangedEmail(user.email);
@@ -835,6 +1166,11 @@ router.post('/change-password', express.json(), authenticateUser, async (req, re
     user.resetTokenExpires = undefined;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    const revokedSessions = await revokeAllSessions(user._id, 'password_changed', {
+      exceptSessionId: req.user.sessionId,
+    });
+
     (async () => {
       try {
         await sendPasswordChangedEmail(user.email);
@@ -846,6 +1182,7 @@ router.post('/change-password', express.json(), authenticateUser, async (req, re
     res.status(200).json({
       success: true,
       message: 'Password changed successfully. A confirmation email has been sent.',
+      revokedSessions,
     });
   } catch (error) {
     console.error('[Auth] Change password error:', error);
@@ -873,21 +1210,12 @@ router.get('/verify', express.json(), async (req, res) => {
     
     try {
       const decoded = verifyToken(token);
-      
-      // Handle admin user (static credentials)
-      if (decoded.id === 'admin_static_id' && decoded.role === 'Admin') {
-        const adminUser = {
-          _id: 'admin_static_id',
-          email: 'foodloop.official27@gmail.com',
-          role: 'Admin',
-          status: 'completed',
-          contactNo: 'N/A',
-          address: 'N/A',
-        };
-
-        return res.status(200).json({
-          success: true,
-          user: adminUser,
+
+      if (!(await getActiveSession(decoded))) {
+        return res.status(401).json({
+          success: false,
+          code: 'SESSION_REVOKED',
+          message: 'Session expired or revoked. Please log in again.',
         });
       }
       
@@ -911,7 +1239,7 @@ router.get('/verify', express.json(), async (req, res) => {
       }
 
       // Return user data
-      const userResponse = user.toObject();
+      const userResponse = withSignedDocumentUrls(user.toObject());
       delete userResponse.password;
 
       res.status(200).json({
@@ -933,4 +1261,124 @@ router.get('/verify', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token. The refresh token is rotated:
+ * the response carries a new one and the old one stops working.
+ * Body: { refreshToken: string }
+ */
+router.post('/refresh', express.json(), async (req, res) => {
+  try {
+    const { token, refreshToken } = await refreshSession(req.body?.refreshToken, getClientInfo(req));
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    if (isSessionError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: error.message,
+      });
+    }
+    console.error('[Auth] Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Sign out this device. Works with either the refresh token (body) or a valid access token,
+ * so a client whose access token already expired can still log out.
+ * Body: { refreshToken?: string }
+ */
+router.post('/logout', express.json(), async (req, res) => {
+  try {
+    let revoked = await revokeRefreshToken(req.body?.refreshToken, 'logout');
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const decoded = verifyToken(authHeader.substring(7));
+        revoked += await revokeSession(decoded.sid, 'logout');
+      } catch (_) {
+        // Expired access token; the refresh token (if any) was enough
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: revoked > 0 ? 'Logged out' : 'Already logged out',
+    });
+  } catch (error) {
+    console.error('[Auth] Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Sign out all devices, including this one.
+ */
+router.post('/logout-all', authenticateUser, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all devices',
+      revokedSessions,
+    });
+  } catch (error) {
+    console.error('[Auth] Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Devices currently signed in to this account (current one flagged).
+ */
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id.toString(),
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('[Auth] List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 module.exports = router;
@@ -1,11 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { AI_SERVICE_URL, AI_SERVICE_TIMEOUT } = require('../config/env');
+const { SUPPORTED_LANGUAGES } = require('../utils/languages');
 
 router.use(express.json());
 
-const SUPPORTED_LANGUAGES = ['en', 'ta', 'si'];
-
 /**
  * POST /api/chat
  * Proxy chat message to AI service (Gemini).
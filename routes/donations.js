@@ -1,7 +1,14 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { handleFileUpload } = require('../middleware/upload');
-const { uploadDonationImageToS3 } = require('../config/awsS3');
+const {
+  storeImage,
+  hashImage,
+  getStoredImageVariants,
+  formatImageVariants,
+  isImageError,
+} = require('../services/imageService');
 const { analyzeFoodImage } = require('../services/aiService');
 const { AI_SERVICE_URL } = require('../config/env');
 const { authenticateUser } = require('../middleware/auth');
@@ -20,15 +27,140 @@ const ImpactReceipt = require('../models/ImpactReceipt');
 const { generateImpactReceiptPDF } = require('../services/pdfService');
 const { getBadgeProgress, DONOR_MILESTONES, DONOR_BADGE_NAMES, DRIVER_MILESTONES, DRIVER_BADGE_NAMES } = require('../utils/badgeConfig');
 const socketService = require('../services/socketService');
+const { emitToServiceArea } = require('../services/serviceAreaService');
+const { notifyDonationParticipants } = require('../services/notificationService');
+const { isWithinSriLanka, encodeCursor, parseLocationQuery, kmToRadians } = require('../utils/geoUtils');
+const {
+  canTransition,
+  invalidTransitionResponse,
+  recordInitialStatus,
+  transitionStatus,
+} = require('../services/donationStatusService');
+const { acceptDonationsForDriver, completeStop, isBatchError } = require('../services/batchService');
+const DeliveryBatch = require('../models/DeliveryBatch');
+const { isDispatchEnabled, startDispatch, respondToOffer, isOfferError } = require('../services/dispatchService');
+const DispatchOffer = require('../models/DispatchOffer');
+const {
+  isHandshakeError,
+  issueHandshakeCodes,
+  getHandshakeCode,
+  applyHandshakeProof,
+  formatHandoverProof,
+} = require('../services/handshakeService');
+const { checkThrottle, recordAttempt, clearAttempts, getRequestIp } = require('../services/throttleService');
+const { sendThrottled } = require('../middleware/throttle');
+const { isFoodSafetyError, recordSafetyCheck, recordTransitTime, formatFoodSafety } = require('../services/foodSafetyService');
+const {
+  isUploadError,
+  getUploadQuota,
+  consumeQuota,
+  releaseQuota,
+  recordImageUpload,
+  getOwnUpload,
+  attachImageUpload,
+} = require('../services/imageUploadService');
+const { isDuplicateImageError, checkDonationImage, notifyDuplicateImage } = require('../services/duplicateImageService');
+const { recordPrediction, getImagePrediction, diffPrediction } = require('../services/aiFeedbackService');
 
 // Apply file upload middleware for image uploads
 router.use(express.json());
 
+/**
+ * Servings of a donation that have not been claimed by any receiver yet
+ * @param {Object} donation - Donation document or lean object
+ * @returns {number} Remaining quantity (never negative)
+ */
+const getRemainingQuantity = (donation) => {
+  return Math.max(0, (Number(donation.quantity) || 0) - (Number(donation.claimedQuantity) || 0));
+};
+
+/**
+ * Undo a claim reservation whose donation could not be saved, so the servings can be claimed
+ * again. The claim number is only given back if no later claim took the next one, as it is part
+ * of their tracking IDs.
+ * @param {Object} reserved - Listing as returned by the reserving update
+ * @param {number} quantity - Servings that were reserved
+ */
+const releaseReservation = async (reserved, quantity) => {
+  try {
+    const released = await Donation.updateOne(
+      { _id: reserved._id, claimCount: reserved.claimCount },
+      { $inc: { claimedQuantity: -quantity, claimCount: -1 } }
+    );
+    if (released.matchedCount === 0) {
+      await Donation.updateOne({ _id: reserved._id }, { $inc: { claimedQuantity: -quantity } });
+    }
+  } catch (err) {
+    console.error('[Donations] Error releasing reserved servings:', err);
+  }
+};
+
+// Image uploads and AI analysis cost storage and AI quota: donors only, within daily limits
+const requireDonor = (req, res, next) => {
+  if (req.user.role !== 'Donor') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only donors can upload and analyse donation images',
+    });
+  }
+  next();
+};
+
+// 429 with Retry-After for a used-up daily quota, 4xx for other upload errors
+const sendUploadError = (res, error) => {
+  if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    errors: [{ field: 'image', message: error.message }],
+  });
+};
+
+/**
+ * Store a donation photo against the donor's daily upload quota
+ * @returns {Promise<{ thumbnail: string, medium: string, original: string }>}
+ */
+const storeDonationImage = async (userId, imageFile) => {
+  await consumeQuota(userId, 'upload');
+  let imageVariants;
+  let hashes;
+  try {
+    hashes = await hashImage(imageFile.buffer);
+    imageVariants = await storeImage(imageFile, 'donation-images');
+  } catch (error) {
+    await releaseQuota(userId, 'upload');
+    throw error;
+  }
+  await recordImageUpload(userId, imageVariants, imageFile.size, hashes);
+  return imageVariants;
+};
+
+/**
+ * GET /api/donations/upload-quota
+ * Image uploads and AI analyses the donor has left today
+ */
+router.get('/upload-quota', authenticateUser, requireDonor, async (req, res) => {
+  try {
+    const quota = await getUploadQuota(req.user.id);
+    res.status(200).json({ success: true, quota });
+  } catch (error) {
+    console.error('[Donations] Error fetching upload quota:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upload quota',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 /**
  * POST /api/donations/upload-image
- * Upload donation image to S3 with lossless quality preservation
+ * Upload a donation image: checked by content, EXIF-stripped and stored as thumbnail/medium/original.
+ * Pass the returned imageUrl (the original) when creating the donation; unused uploads are
+ * deleted after ORPHANED_UPLOAD_HOURS. Requires authentication (Donor role), counts towards
+ * the daily upload quota.
  */
-router.post('/upload-image', handleFileUpload, async (req, res) => {
+router.post('/upload-image', authenticateUser, requireDonor, handleFileUpload, async (req, res) => {
   try {
     // Check if image file is present
     if (!req.files || !req.files.image || !req.files.image[0]) {
@@ -40,14 +172,6 @@ router.post('/upload-image', handleFileUpload, async (req, res) => {
 
     const imageFile = req.files.image[0];
 
-    // Validate file type
-    if (!imageFile.mimetype.startsWith('image/')) {
-      return res.status(400).json({
-        success: false,
-        errors: [{ field: 'image', message: 'File must be an image' }],
-      });
-    }
-
     // Validate file size (10MB max)
     const maxSize = 10 * 1024 * 1024; // 10MB
     if (imageFile.size > maxSize) {
@@ -57,15 +181,18 @@ router.post('/upload-image', handleFileUpload, async (req, res) => {
       });
     }
 
-    // Upload to S3 with lossless quality
-    const imageUrl = await uploadDonationImageToS3(imageFile);
+    const imageVariants = await storeDonationImage(req.user.id, imageFile);
 
     res.status(200).json({
       success: true,
-      imageUrl: imageUrl,
+      imageUrl: imageVariants.original,
+      imageVariants,
       message: 'Image uploaded successfully',
     });
   } catch (error) {
+    if (isImageError(error) || isUploadError(error)) {
+      return sendUploadError(res, error);
+    }
     console.error('Error uploading donation image:', error);
     res.status(500).json({
       success: false,
@@ -78,14 +205,20 @@ router.post('/upload-image', handleFileUpload, async (req, res) => {
 /**
  * POST /api/donations/analyze-image
  * Analyze food image using AI service
- * Accepts either imageUrl or image file
+ * Accepts either an image file or the imageUrl of one of the donor's uploads.
+ * Requires authentication (Donor role), counts towards the daily AI analysis quota
+ * (and the upload quota for a file).
  */
-router.post('/analyze-image', handleFileUpload, async (req, res) => {
+router.post('/analyze-image', authenticateUser, requireDonor, handleFileUpload, async (req, res) => {
+  let imageUrl = req.body?.imageUrl;
+  let analysisReserved = false;
   try {
     console.log('[Donations] Analyze image request received');
-    let imageUrl = req.body.imageUrl;
     let imageFile = null;
 
+    await consumeQuota(req.user.id, 'analysis');
+    analysisReserved = true;
+
     // Check if image file is provided
     if (req.files && req.files.image && req.files.image[0]) {
       imageFile = req.files.image[0];
@@ -95,45 +228,50 @@ router.post('/analyze-image', handleFileUpload, async (req, res) => {
         mimetype: imageFile.mimetype
       });
       
-      // Validate file type
-      if (!imageFile.mimetype.startsWith('image/')) {
-        return res.status(400).json({
-          success: false,
-          errors: [{ field: 'image', message: 'File must be an image' }],
-        });
-      }
-
-      // Upload to S3 first if file is provided
-      console.log('[Donations] Uploading image to S3...');
-      imageUrl = await uploadDonationImageToS3(imageFile);
-      console.log('[Donations] Image uploaded to S3:', imageUrl);
+      // Store the image first if a file is provided (validated and resized by the image pipeline)
+      console.log('[Donations] Uploading image...');
+      imageUrl = (await storeDonationImage(req.user.id, imageFile)).original;
+      console.log('[Donations] Image uploaded:', imageUrl);
     }
 
     // Validate that we have an image URL
     if (!imageUrl) {
       console.error('[Donations] No image URL provided');
+      await releaseQuota(req.user.id, 'analysis');
       return res.status(400).json({
         success: false,
         errors: [{ field: 'imageUrl', message: 'Image URL or image file is required' }],
       });
     }
+    // Only the donor's own uploads, so the AI quota cannot be spent on arbitrary URLs
+    const upload = await getOwnUpload(req.user.id, imageUrl);
 
-    // Call AI service for analysis
+    // Call AI service for analysis (cached per photo content)
     console.log('[Donations] Calling AI service for analysis...');
-    const predictions = await analyzeFoodImage(imageUrl);
+    const predictions = await analyzeFoodImage(imageUrl, { contentHash: upload.contentHash });
     console.log('[Donations] AI analysis complete:', {
       foodCategory: predictions.foodCategory,
       itemName: predictions.itemName,
       quantity: predictions.quantity,
       confidence: predictions.confidence
     });
+    // Kept so the donation can record what the donor changed
+    recordPrediction(req.user.id, imageUrl, predictions).catch((error) => {
+      console.error('[Donations] Error recording AI prediction:', error);
+    });
 
     res.status(200).json({
       success: true,
       predictions: predictions,
       imageUrl: imageUrl,
+      imageVariants: formatImageVariants(imageUrl, getStoredImageVariants(imageUrl)),
     });
   } catch (error) {
+    // Quota, ownership and unreadable-image errors: nothing was analysed
+    if (isImageError(error) || isUploadError(error)) {
+      if (analysisReserved) await releaseQuota(req.user.id, 'analysis').catch(() => {});
+      return sendUploadError(res, error);
+    }
     console.error('[Donations] Error analyzing image:', error.message);
     console.error('[Donations] Error stack:', error.stack);
     
@@ -173,10 +311,12 @@ router.post('/analyze-image', handleFileUpload, async (req, res) => {
         error.message.includes('temporarily unavailable')) {
       // Return success with image URL but no predictions - user can fill form manually
       console.log('[Donations] AI service unavailable, allowing user to proceed with image upload');
+      await releaseQuota(req.user.id, 'analysis').catch(() => {});
       return res.status(200).json({
         success: true,
         predictions: null, // No AI predictions available
         imageUrl: imageUrl, // Image was uploaded successfully
+        imageVariants: formatImageVariants(imageUrl, getStoredImageVariants(imageUrl)),
         message: 'Image uploaded successfully. AI analysis is temporarily unavailable. Please fill the form manually.',
       });
     }
@@ -370,6 +510,11 @@ router.post('/', authenticateUser, async (req, res) => {
       });
     }
 
+    // Hash the photo and compare it with recent donations' (may reject it, per DUPLICATE_IMAGE_ACTION)
+    const imageFields = await checkDonationImage(imageUrl, req.user.id);
+    // The AI's suggestion for this photo, to store next to what the donor submitted
+    const aiPrediction = await getImagePrediction(imageUrl);
+
     // Determine product type (from AI or default to 'cooked')
     const finalProductType = productType === 'packed' ? 'packed' : 'cooked';
     
@@ -412,8 +557,7 @@ router.post('/', authenticateUser, async (req, res) => {
 
     if (donorLatitude && donorLongitude) {
       // Validate coordinates are within Sri Lanka bounds
-      if (donorLatitude >= 5 && donorLatitude <= 10 && 
-          donorLongitude >= 79 && donorLongitude <= 82) {
+      if (isWithinSriLanka(Number(donorLatitude), Number(donorLongitude))) {
         finalLatitude = donorLatitude;
         finalLongitude = donorLongitude;
         console.log(`[Donations] Using donor-confirmed coordinates: [${finalLatitude}, ${finalLongitude}]`);
@@ -442,6 +586,8 @@ router.post('/', authenticateUser, async (req, res) => {
       quantity,
       storageRecommendation,
       imageUrl,
+      imageVariants: getStoredImageVariants(imageUrl) || undefined,
+      ...imageFields,
       preferredPickupDate: pickupDate,
       preferredPickupTimeFrom,
       preferredPickupTimeTo,
@@ -456,8 +602,11 @@ router.post('/', authenticateUser, async (req, res) => {
       aiQualityScore: aiQualityScore || null,
       aiFreshness: aiFreshness || null,
       aiDetectedItems: Array.isArray(aiDetectedItems) ? aiDetectedItems : [],
+      aiPrediction,
+      aiCorrections: diffPrediction(aiPrediction, { foodCategory, itemName, quantity, storageRecommendation }),
       status: 'pending',
     });
+    recordInitialStatus(donation, { actor: req.user, reason: 'Donation created' });
 
     try {
       await donation.save();
@@ -472,6 +621,12 @@ router.post('/', authenticateUser, async (req, res) => {
       throw saveError;
     }
 
+    // The photo is in use now: keep it out of the orphaned-upload cleanup
+    attachImageUpload(imageUrl, donation._id).catch((error) => {
+      console.error('[Donations] Error attaching image upload:', error);
+    });
+    notifyDuplicateImage(donation);
+
     console.log('[Donations] Donation created successfully:', {
       donationId: donation._id,
       trackingId: donation.trackingId,
@@ -490,7 +645,7 @@ router.post('/', authenticateUser, async (req, res) => {
       // Don't fail donation creation if email fails
     }
 
-    // 2. Send notification emails to all registered receivers
+    // 2. Send notification emails to receivers whose service area covers the donor
     // This runs asynchronously and doesn't block the response
     sendNewDonationNotificationToReceivers(donation, donor)
       .catch(error => {
@@ -498,8 +653,14 @@ router.post('/', authenticateUser, async (req, res) => {
         // Don't fail donation creation if email fails
       });
 
-    // Notify all connected receivers so Find Food page can refetch
-    socketService.emitToRole('Receiver', 'donation_created', { donationId: donation._id.toString() });
+    // Notify connected receivers in the area so Find Food page can refetch
+    emitToServiceArea(
+      'Receiver',
+      { latitude: donation.donorLatitude, longitude: donation.donorLongitude },
+      'donation_created',
+      { donationId: donation._id.toString() },
+      { notificationEvent: 'new_donations' }
+    );
 
     res.status(201).json({
       success: true,
@@ -516,6 +677,14 @@ router.post('/', authenticateUser, async (req, res) => {
       },
     });
   } catch (error) {
+    // Photo that is not the donor's own upload, or a duplicate when DUPLICATE_IMAGE_ACTION is block
+    if (isDuplicateImageError(error) || isUploadError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: [{ field: 'imageUrl', message: error.message }],
+      });
+    }
     console.error('[Donations] Error creating donation:', error);
     console.error('[Donations] Error stack:', error.stack);
     console.error('[Donations] Request body:', JSON.stringify(req.body, null, 2));
@@ -528,118 +697,216 @@ router.post('/', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * Build the cursor condition for a location listing page
+ * @param {string} sort - 'distance', 'expiry' or 'newest'
+ * @param {Object|null} cursor - Decoded cursor from the previous page
+ * @returns {Object|null} $match condition, or null on the first page
+ */
+const buildCursorMatch = (sort, cursor) => {
+  if (!cursor) return null;
+  const lastId = new mongoose.Types.ObjectId(cursor.id);
+  if (sort === 'distance') {
+    return { $or: [{ distanceMeters: { $gt: cursor.d } }, { distanceMeters: cursor.d, _id: { $gt: lastId } }] };
+  }
+  if (sort === 'expiry') {
+    const lastExpiry = new Date(cursor.e);
+    return { $or: [{ expiryDate: { $gt: lastExpiry } }, { expiryDate: lastExpiry, _id: { $gt: lastId } }] };
+  }
+  const lastCreated = new Date(cursor.c);
+  return { $or: [{ createdAt: { $lt: lastCreated } }, { createdAt: lastCreated, _id: { $lt: lastId } }] };
+};
+
+/**
+ * Run a paginated location listing over donations
+ * Uses $geoNear on `geoKey` when sorting by distance, otherwise a plain sorted match
+ * (optionally restricted to radiusKm with $geoWithin)
+ * @param {Object} options
+ * @param {Object} options.filter - Base Donation query
+ * @param {Object} options.params - Parsed query from parseLocationQuery
+ * @param {string} options.sort - Effective sort
+ * @param {string} options.geoKey - GeoJSON field to measure distance from (e.g. 'donorLocation')
+ * @returns {Promise<{ donations: Object[], nextCursor: string|null }>}
+ */
+const findDonationsPage = async ({ filter, params, sort, geoKey }) => {
+  const { lat, lng, radiusKm, limit, cursor } = params;
+  const pipeline = [];
+
+  if (sort === 'distance') {
+    const geoNear = {
+      near: { type: 'Point', coordinates: [lng, lat] },
+      key: geoKey,
+      distanceField: 'distanceMeters',
+      spherical: true,
+      query: filter,
+    };
+    if (radiusKm) geoNear.maxDistance = radiusKm * 1000;
+    if (cursor) geoNear.minDistance = cursor.d;
+    pipeline.push({ $geoNear: geoNear });
+  } else {
+    const match = { ...filter };
+    if (radiusKm && lat != null) {
+      match[geoKey] = { $geoWithin: { $centerSphere: [[lng, lat], kmToRadians(radiusKm)] } };
+    }
+    pipeline.push({ $match: match });
+  }
+
+  const cursorMatch = buildCursorMatch(sort, cursor);
+  if (cursorMatch) pipeline.push({ $match: cursorMatch });
+
+  const sortStage = {
+    distance: { distanceMeters: 1, _id: 1 },
+    expiry: { expiryDate: 1, _id: 1 },
+    newest: { createdAt: -1, _id: -1 },
+  }[sort];
+  pipeline.push({ $sort: sortStage }, { $limit: limit + 1 });
+
+  const results = await Donation.aggregate(pipeline);
+  const hasMore = results.length > limit;
+  const donations = hasMore ? results.slice(0, limit) : results;
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = donations[donations.length - 1];
+    const values = { id: last._id.toString() };
+    if (sort === 'distance') values.d = last.distanceMeters;
+    else if (sort === 'expiry') values.e = last.expiryDate;
+    else values.c = last.createdAt;
+    nextCursor = encodeCursor(values);
+  }
+
+  return { donations, nextCursor };
+};
+
+/**
+ * Validate the shared listing query and work out the effective sort
+ * @param {Object} query - req.query
+ * @param {Object} options - Passed to parseLocationQuery
+ * @param {Object} [fallbackLocation] - { lat, lng } to use when the query has none
+ * @returns {{ errors: Array, params: Object, sort: string }}
+ */
+const parseListingQuery = (query, options, fallbackLocation = null) => {
+  const { errors, params } = parseLocationQuery(query, options);
+  if (params.lat == null && fallbackLocation && isWithinSriLanka(fallbackLocation.lat, fallbackLocation.lng)) {
+    params.lat = fallbackLocation.lat;
+    params.lng = fallbackLocation.lng;
+  }
+  const hasLocation = params.lat != null;
+  const sort = params.sort || (hasLocation ? 'distance' : options.sorts[0]);
+  if (!hasLocation && (sort === 'distance' || params.radiusKm)) {
+    errors.push({ field: 'lat', message: 'lat and lng are required for distance sorting or radius search' });
+  }
+  if (params.cursor && !mongoose.isValidObjectId(params.cursor.id)) {
+    errors.push({ field: 'cursor', message: 'Invalid cursor' });
+  } else if (params.cursor && ((sort === 'distance' && typeof params.cursor.d !== 'number') ||
+      (sort === 'expiry' && !params.cursor.e) || (sort === 'newest' && !params.cursor.c))) {
+    errors.push({ field: 'cursor', message: 'Cursor does not match the requested sort' });
+  }
+  return { errors, params, sort };
+};
+
 /**
  * GET /api/donations/available
- * Get all available donations for receivers
+ * Get available donations for receivers
  * Returns donations with status 'pending' or 'approved' that haven't expired
+ * Query params (all optional):
+ *   lat, lng - receiver position (enables distance sort and radius search)
+ *   radiusKm - only donations within this distance
+ *   category, storage - comma-separated foodCategory / storageRecommendation values
+ *   maxHoursToExpiry - only donations expiring within this many hours
+ *   sort - 'distance' (default with lat/lng), 'expiry' or 'newest' (default without)
+ *   limit (default 50, max 100), cursor - value of nextCursor from the previous page
  * No authentication required - receivers need to see available donations
  */
 router.get('/available', async (req, res) => {
   try {
+    const { errors, params, sort } = parseListingQuery(req.query, { sorts: ['newest', 'distance', 'expiry'] });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid query parameters', errors });
+    }
+
     const currentDate = new Date();
     
-    // Fetch donations with status 'pending' or 'approved' that haven't expired and are not claimed
-    const donations = await Donation.find({
+    // Donations with status 'pending' or 'approved' that haven't expired and still have servings left
+    const filter = {
       status: { $in: ['pending', 'approved'] },
       expiryDate: { $gt: currentDate }, // Only non-expired donations
       assignedReceiverId: null, // Only unclaimed donations
-    })
-      .populate('donorId', 'address email donorType username businessName')
-      .sort({ createdAt: -1 }) // Newest first
-      .lean();
+      $expr: { $lt: [{ $ifNull: ['$claimedQuantity', 0] }, '$quantity'] }, // Partially claimed stay visible
+    };
+    if (params.maxHoursToExpiry) {
+      filter.expiryDate.$lte = new Date(currentDate.getTime() + params.maxHoursToExpiry * 60 * 60 * 1000);
+    }
+    if (params.category) filter.foodCategory = { $in: params.category };
+    if (params.storage) filter.storageRecommendation = { $in: params.storage };
 
-    // Format donations and geocode addresses
-    const formattedDonations = await Promise.all(
-      donations.map(async (donation) => {
-        const donor = donation.donorId;
-        const donorName = donor?.donorType === 'Business' 
-          ? donor.businessName 
-          : donor?.username || donor?.email || 'Anonymous';
+    const { donations, nextCursor } = await findDonationsPage({ filter, params, sort, geoKey: 'donorLocation' });
+    await Donation.populate(donations, { path: 'donorId', select: 'address email donorType username businessName' });
 
-        const donorAddress = donation.donorAddress || donor?.address || '';
-        
-        // Get coordinates (re-geocode if coordinates seem incorrect, otherwise use stored)
-        let coordinates = null;
-        
-        // Check if stored coordinates are valid and within Sri Lanka bounds
-        const hasStoredCoords = donation.donorLatitude && donation.donorLongitude;
-        const coordsInBounds = hasStoredCoords && 
-          donation.donorLatitude >= 5 && donation.donorLatitude <= 10 &&
-          donation.donorLongitude >= 79 && donation.donorLongitude <= 82;
-        
-        if (hasStoredCoords && coordsInBounds) {
-          // Use stored coordinates if they're valid
-          coordinates = {
-            lat: donation.donorLatitude,
-            lng: donation.donorLongitude,
-          };
-          console.log(`[Donations] Using stored coordinates for donation ${donation._id}: [${coordinates.lat}, ${coordinates.lng}]`);
-        } else if (donorAddress) {
-          // Re-geocode if no stored coordinates or if stored coordinates are invalid
-          if (hasStoredCoords && !coordsInBounds) {
-            console.log(`[Donations] Stored coordinates for donation ${donation._id} seem invalid, re-geocoding...`);
-          }
-          
-          // Geocode the address
-          coordinates = await geocodeAddress(donorAddress);
-          
-          // Save coordinates back to database (async, don't block response)
-          if (coordinates) {
-            Donation.findByIdAndUpdate(
-              donation._id,
-              {
-                donorLatitude: coordinates.lat,
-                donorLongitude: coordinates.lng,
-              },
-              { new: true }
-            ).catch(err => {
-              console.error(`[Donations] Error saving coordinates for donation ${donation._id}:`, err);
-            });
-          } else {
-            console.warn(`[Donations] Failed to geocode address for donation ${donation._id}: ${donorAddress}`);
-          }
-        }
+    // Format donations (coordinates come from the stored GeoJSON point, no geocoding per request)
+    const formattedDonations = donations.map((donation) => {
+      const donor = donation.donorId;
+      const donorName = donor?.donorType === 'Business' 
+        ? donor.businessName 
+        : donor?.username || donor?.email || 'Anonymous';
 
-        return {
-          id: donation._id.toString(),
-          trackingId: donation.trackingId,
-          // Food details
-          itemName: donation.itemName,
-          foodCategory: donation.foodCategory,
-          quantity: donation.quantity,
-          imageUrl: donation.imageUrl,
-          expiryDate: donation.expiryDate,
-          storageRecommendation: donation.storageRecommendation,
-          // Donor details
-          donorId: donation.donorId?._id?.toString(),
-          donorAddress: donorAddress,
-          donorEmail: donation.donorEmail || donor?.email,
-          donorName: donorName,
-          donorType: donor?.donorType,
-          // Coordinates for map
-          position: coordinates ? [coordinates.lat, coordinates.lng] : null,
-          // Pickup information
-          preferredPickupDate: donation.preferredPickupDate,
-          preferredPickupTimeFrom: donation.preferredPickupTimeFrom,
-          preferredPickupTimeTo: donation.preferredPickupTimeTo,
-          // AI analysis data
-          aiQualityScore: donation.aiQualityScore,
-          aiFreshness: donation.aiFreshness,
-          aiConfidence: donation.aiConfidence,
-          aiDetectedItems: donation.aiDetectedItems || [],
-          // Timestamps
-          createdAt: donation.createdAt,
-          updatedAt: donation.updatedAt,
-        };
-      })
-    );
+      const donorAddress = donation.donorAddress || donor?.address || '';
+      const [donorLng, donorLat] = donation.donorLocation?.coordinates || [donation.donorLongitude, donation.donorLatitude];
+      const hasPosition = isWithinSriLanka(donorLat, donorLng);
 
-    console.log(`[Donations] Returning ${formattedDonations.length} available donations`);
+      let distanceKm = null;
+      if (donation.distanceMeters != null) {
+        distanceKm = donation.distanceMeters / 1000;
+      } else if (params.lat != null && hasPosition) {
+        distanceKm = calculateDistance(params.lat, params.lng, donorLat, donorLng);
+      }
+
+      return {
+        id: donation._id.toString(),
+        trackingId: donation.trackingId,
+        // Food details (quantity is what is still available to claim)
+        itemName: donation.itemName,
+        foodCategory: donation.foodCategory,
+        quantity: getRemainingQuantity(donation),
+        totalQuantity: donation.quantity,
+        claimedQuantity: donation.claimedQuantity || 0,
+        imageUrl: donation.imageUrl,
+        imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
+        expiryDate: donation.expiryDate,
+        storageRecommendation: donation.storageRecommendation,
+        // Donor details
+        donorId: donation.donorId?._id?.toString(),
+        donorAddress: donorAddress,
+        donorEmail: donation.donorEmail || donor?.email,
+        donorName: donorName,
+        donorType: donor?.donorType,
+        // Coordinates for map
+        position: hasPosition ? [donorLat, donorLng] : null,
+        distanceKm: distanceKm != null ? Math.round(distanceKm * 100) / 100 : null,
+        // Pickup information
+        preferredPickupDate: donation.preferredPickupDate,
+        preferredPickupTimeFrom: donation.preferredPickupTimeFrom,
+        preferredPickupTimeTo: donation.preferredPickupTimeTo,
+        // AI analysis data
+        aiQualityScore: donation.aiQualityScore,
+        aiFreshness: donation.aiFreshness,
+        aiConfidence: donation.aiConfidence,
+        aiDetectedItems: donation.aiDetectedItems || [],
+        // Timestamps
+        createdAt: donation.createdAt,
+        updatedAt: donation.updatedAt,
+      };
+    });
+
+    console.log(`[Donations] Returning ${formattedDonations.length} available donations (sort: ${sort})`);
 
     res.status(200).json({
       success: true,
       donations: formattedDonations,
       count: formattedDonations.length,
+      sort,
+      nextCursor,
+      hasMore: !!nextCursor,
     });
   } catch (error) {
     console.error('[Donations] Error fetching available donations:', error);
@@ -654,6 +921,10 @@ router.get('/available', async (req, res) => {
 /**
  * POST /api/donations/:id/claim
  * Claim a donation (receiver claims a food donation)
+ * Body (optional): { quantity, receiverLatitude, receiverLongitude, receiverAddress }
+ * Omitting quantity claims all remaining servings. Claiming only part of the remaining
+ * servings splits the claim off into its own child donation (own tracking sub-ID, driver
+ * pickup and impact receipt) while the rest stays listed in /available.
  * Requires authentication (Receiver role)
  */
 router.post('/:id/claim', authenticateUser, async (req, res) => {
@@ -670,8 +941,8 @@ router.post('/:id/claim', authenticateUser, async (req, res) => {
     const receiverId = req.user.id;
 
     // Find the donation
-    const donation = await Donation.findById(id);
-    if (!donation) {
+    const listing = await Donation.findById(id);
+    if (!listing) {
       return res.status(404).json({
         success: false,
         message: 'Donation not found',
@@ -679,7 +950,7 @@ router.post('/:id/claim', authenticateUser, async (req, res) => {
     }
 
     // Check if donation is already claimed
-    if (donation.assignedReceiverId) {
+    if (listing.assignedReceiverId) {
       return res.status(400).json({
         success: false,
         message: 'This donation has already been claimed by another receiver',
@@ -687,43 +958,149 @@ router.post('/:id/claim', authenticateUser, async (req, res) => {
     }
 
     // Check if donation is available for claiming (status: 'pending' or 'approved')
-    if (!['pending', 'approved'].includes(donation.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `This donation is not available for claiming. Current status: ${donation.status}`,
-      });
+    if (!canTransition(listing.status, 'assigned')) {
+      return res.status(409).json(invalidTransitionResponse(listing.status, 'assigned'));
     }
 
     // Check if donation has expired
     const currentDate = new Date();
-    if (donation.expiryDate <= currentDate) {
+    if (listing.expiryDate <= currentDate) {
       return res.status(400).json({
         success: false,
         message: 'This donation has expired and cannot be claimed',
       });
     }
 
+    const remainingQuantity = getRemainingQuantity(listing);
+    if (remainingQuantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'All servings of this donation have already been claimed',
+      });
+    }
+
+    // Requested servings (defaults to everything that is left)
+    const requestedQuantity = req.body?.quantity != null ? Number(req.body.quantity) : remainingQuantity;
+    if (!Number.isInteger(requestedQuantity) || requestedQuantity < 1) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'quantity', message: 'Quantity must be a positive whole number' }],
+      });
+    }
+    if (requestedQuantity > remainingQuantity) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'quantity', message: `Only ${remainingQuantity} ${remainingQuantity === 1 ? 'serving is' : 'servings are'} left to claim` }],
+      });
+    }
+
     // Optional receiver delivery location from request body
     const { receiverLatitude, receiverLongitude, receiverAddress } = req.body || {};
+    let receiverLocation = null;
     if (receiverLatitude != null && receiverLongitude != null) {
       const lat = Number(receiverLatitude);
       const lng = Number(receiverLongitude);
-      if (Number.isFinite(lat) && Number.isFinite(lng) && lat >= 5 && lat <= 10 && lng >= 79 && lng <= 82) {
-        donation.receiverLatitude = lat;
-        donation.receiverLongitude = lng;
-        donation.receiverAddress = typeof receiverAddress === 'string' ? receiverAddress.trim() || null : null;
+      if (isWithinSriLanka(lat, lng)) {
+        receiverLocation = {
+          receiverLatitude: lat,
+          receiverLongitude: lng,
+          receiverAddress: typeof receiverAddress === 'string' ? receiverAddress.trim() || null : null,
+        };
       }
     }
 
-    // Update donation: assign to receiver and change status to 'assigned'
-    donation.assignedReceiverId = receiverId;
-    donation.status = 'assigned';
-    await donation.save();
+    // No confirmed location: geocode the receiver's address once here so pickup listings don't have to
+    if (!receiverLocation) {
+      const receiverUser = await User.findById(receiverId).select('address').lean();
+      const coords = receiverUser?.address ? await geocodeAddress(receiverUser.address) : null;
+      if (coords && isWithinSriLanka(coords.lat, coords.lng)) {
+        receiverLocation = { receiverLatitude: coords.lat, receiverLongitude: coords.lng };
+      }
+    }
+
+    // Reserve the servings atomically so concurrent claims can never over-allocate
+    const reserved = await Donation.findOneAndUpdate(
+      {
+        _id: listing._id,
+        status: { $in: ['pending', 'approved'] },
+        assignedReceiverId: null,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$claimedQuantity', 0] }, requestedQuantity] }, '$quantity'] },
+      },
+      { $inc: { claimedQuantity: requestedQuantity, claimCount: 1 } },
+      { new: true }
+    );
+    if (!reserved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This donation was just claimed by another receiver. Please refresh and try again.',
+      });
+    }
+
+    let donation;
+    if (reserved.claimCount === 1 && reserved.claimedQuantity === reserved.quantity) {
+      // Whole donation claimed in one go: assign the donation itself to the receiver
+      donation = reserved;
+      if (receiverLocation) Object.assign(donation, receiverLocation);
+      donation.assignedReceiverId = receiverId;
+      transitionStatus(donation, 'assigned', { actor: req.user, reason: 'Claimed by receiver' });
+      try {
+        await donation.save();
+      } catch (saveError) {
+        await releaseReservation(reserved, requestedQuantity);
+        throw saveError;
+      }
+    } else {
+      // Partial claim: split the claimed servings off into a child donation
+      donation = new Donation({
+        donorId: reserved.donorId,
+        foodCategory: reserved.foodCategory,
+        itemName: reserved.itemName,
+        quantity: requestedQuantity,
+        storageRecommendation: reserved.storageRecommendation,
+        imageUrl: reserved.imageUrl,
+        imageVariants: reserved.imageVariants,
+        aiConfidence: reserved.aiConfidence,
+        aiQualityScore: reserved.aiQualityScore,
+        aiFreshness: reserved.aiFreshness,
+        aiDetectedItems: reserved.aiDetectedItems,
+        preferredPickupDate: reserved.preferredPickupDate,
+        preferredPickupTimeFrom: reserved.preferredPickupTimeFrom,
+        preferredPickupTimeTo: reserved.preferredPickupTimeTo,
+        productType: reserved.productType,
+        expiryDate: reserved.expiryDate,
+        expiryDateFromPackage: reserved.expiryDateFromPackage,
+        donorAddress: reserved.donorAddress,
+        donorEmail: reserved.donorEmail,
+        donorLatitude: reserved.donorLatitude,
+        donorLongitude: reserved.donorLongitude,
+        status: 'assigned',
+        assignedReceiverId: receiverId,
+        claimedQuantity: requestedQuantity,
+        parentDonationId: reserved._id,
+        trackingId: `${reserved.trackingId}-${reserved.claimCount}`,
+        ...(receiverLocation || {}),
+      });
+      recordInitialStatus(donation, {
+        actor: req.user,
+        reason: `Claimed ${requestedQuantity} of ${reserved.quantity} servings from ${reserved.trackingId}`,
+      });
+      try {
+        await donation.save();
+      } catch (saveError) {
+        await releaseReservation(reserved, requestedQuantity);
+        throw saveError;
+      }
+    }
+
+    const remainingAfterClaim = getRemainingQuantity(reserved);
 
     console.log('[Donations] Donation claimed successfully:', {
       donationId: donation._id,
       trackingId: donation.trackingId,
+      parentDonationId: donation.parentDonationId,
       receiverId: receiverId,
+      quantity: donation.quantity,
+      remainingQuantity: remainingAfterClaim,
       status: donation.status,
     });
 
@@ -745,16 +1122,36 @@ router.post('/:id/claim', authenticateUser, async (req, res) => {
         console.error('[Donations] Error sending claim notification email to donor:', error.message);
         // Don't fail claim if email fails
       });
+    notifyDonationParticipants(donation, 'claimed');
 
-    // Send email to all active drivers about the new pickup opportunity
-    sendDonationAvailableNotificationToDrivers(donation, donor, receiver)
-      .catch(error => {
-        console.error('[Donations] Error sending donation available notification to drivers:', error.message);
-        // Don't fail claim if email fails
+    if (isDispatchEnabled()) {
+      // Offer the job to the best-placed online driver (falls back to a broadcast)
+      startDispatch(donation).catch(error => {
+        console.error('[Donations] Error starting driver dispatch:', error);
       });
+    } else {
+      // Send email to drivers in the area about the new pickup opportunity
+      sendDonationAvailableNotificationToDrivers(donation, donor, receiver)
+        .catch(error => {
+          console.error('[Donations] Error sending donation available notification to drivers:', error.message);
+          // Don't fail claim if email fails
+        });
 
-    // Notify all connected drivers so Delivery page can refetch
-    socketService.emitToRole('Driver', 'donation_claimed', { donationId: donation._id.toString() });
+      // Notify connected drivers in the area so Delivery page can refetch
+      emitToServiceArea(
+        'Driver',
+        { latitude: donation.donorLatitude, longitude: donation.donorLongitude },
+        'donation_claimed',
+        { donationId: donation._id.toString() },
+        { notificationEvent: 'new_donations' }
+      );
+    }
+
+    // Let other receivers refresh the remaining servings on the listing
+    socketService.emitToRole('Receiver', 'donation_quantity_updated', {
+      donationId: reserved._id.toString(),
+      remainingQuantity: remainingAfterClaim,
+    });
 
     // Populate donor and receiver info for response
     await donation.populate('donorId', 'address email donorType username businessName');
@@ -771,9 +1168,11 @@ router.post('/:id/claim', authenticateUser, async (req, res) => {
         quantity: donation.quantity,
         status: donation.status,
         assignedReceiverId: donation.assignedReceiverId,
+        parentDonationId: donation.parentDonationId,
         createdAt: donation.createdAt,
         updatedAt: donation.updatedAt,
       },
+      remainingQuantity: remainingAfterClaim,
     });
   } catch (error) {
     console.error('[Donations] Error claiming donation:', error);
@@ -828,6 +1227,7 @@ router.get('/my-claims', authenticateUser, async (req, res) => {
         foodCategory: donation.foodCategory,
         quantity: donation.quantity,
         imageUrl: donation.imageUrl,
+        imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
         expiryDate: donation.expiryDate,
         storageRecommendation: donation.storageRecommendation,
         // Donor details
@@ -842,6 +1242,8 @@ router.get('/my-claims', authenticateUser, async (req, res) => {
         vehicleNumber: donation.assignedDriverId?.vehicleNumber,
         // Status and assignment
         status: donation.status,
+        expiredAt: donation.expiredAt || null,
+        expiryReason: donation.expiryReason || null,
         // Pickup information
         preferredPickupDate: donation.preferredPickupDate,
         preferredPickupTimeFrom: donation.preferredPickupTimeFrom,
@@ -980,11 +1382,13 @@ router.get('/active-deliveries', authenticateUser, async (req, res) => {
           id: donation._id.toString(),
           status: donation.status,
           trackingId: donation.trackingId,
+          batchId: donation.batchId?.toString() || null,
           // Food details
           itemName: donation.itemName,
           foodCategory: donation.foodCategory,
           quantity: donation.quantity,
           imageUrl: donation.imageUrl,
+          imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
           expiryDate: donation.expiryDate,
           expiryText: expiryText,
           storageRecommendation: donation.storageRecommendation,
@@ -1054,10 +1458,16 @@ router.get('/donor-statistics', authenticateUser, async (req, res) => {
     }
 
     const donorId = req.user.id;
-    const totalDonationsDelivered = await Donation.countDocuments({
-      donorId,
-      status: 'delivered',
-    });
+    const deliveredClaims = await Donation.find({ donorId, status: 'delivered' })
+      .select('_id parentDonationId quantity')
+      .lean();
+
+    // A donation split across several receivers still counts once towards badges
+    const totalDonationsDelivered = new Set(
+      deliveredClaims.map(d => (d.parentDonationId || d._id).toString())
+    ).size;
+    const claimsDelivered = deliveredClaims.length;
+    const servingsDelivered = deliveredClaims.reduce((sum, d) => sum + (Number(d.quantity) || 0), 0);
 
     const badgeProgress = getBadgeProgress(totalDonationsDelivered, DONOR_MILESTONES, DONOR_BADGE_NAMES);
 
@@ -1065,6 +1475,8 @@ router.get('/donor-statistics', authenticateUser, async (req, res) => {
       success: true,
       statistics: {
         totalDonationsDelivered,
+        claimsDelivered,
+        servingsDelivered,
         badgeProgress: {
           currentBadge: badgeProgress.currentBadge,
           currentBadgeKey: badgeProgress.currentBadgeKey,
@@ -1273,6 +1685,7 @@ router.get('/driver-completed', authenticateUser, async (req, res) => {
         itemName: donation.itemName,
         quantity: donation.quantity,
         imageUrl: donation.imageUrl,
+        imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
         donorName,
         donorAddress: donation.donorAddress || donor?.address || '',
         receiverName,
@@ -1325,10 +1738,35 @@ router.get('/my-donations', authenticateUser, async (req, res) => {
       .sort({ createdAt: -1 }) // Newest first
       .lean();
 
+    // Partial claims are child donations; list them under their original donation
+    // (a claim whose original listing has since been removed is shown on its own)
+    const donationIds = new Set(donations.map(d => d._id.toString()));
+    const isNestedClaim = (donation) =>
+      !!donation.parentDonationId && donationIds.has(donation.parentDonationId.toString());
+    const claimsByParent = new Map();
+    donations.forEach(donation => {
+      if (!isNestedClaim(donation)) return;
+      const parentId = donation.parentDonationId.toString();
+      if (!claimsByParent.has(parentId)) claimsByParent.set(parentId, []);
+      claimsByParent.get(parentId).push({
+        id: donation._id.toString(),
+        trackingId: donation.trackingId,
+        quantity: donation.quantity,
+        status: donation.status,
+        assignedReceiverId: donation.assignedReceiverId?._id?.toString(),
+        receiverName: donation.assignedReceiverId?.receiverName,
+        receiverAddress: donation.receiverAddress || donation.assignedReceiverId?.address || '',
+        assignedDriverId: donation.assignedDriverId?._id?.toString(),
+        driverName: donation.assignedDriverId?.driverName,
+        createdAt: donation.createdAt,
+      });
+    });
+
     // Format donations for frontend
-    const formattedDonations = donations.map(donation => {
+    const formattedDonations = donations.filter(donation => !isNestedClaim(donation)).map(donation => {
       const receiver = donation.assignedReceiverId;
       const driver = donation.assignedDriverId;
+      const claims = (claimsByParent.get(donation._id.toString()) || []).reverse(); // Oldest claim first
 
       return {
         id: donation._id.toString(),
@@ -1337,7 +1775,11 @@ router.get('/my-donations', authenticateUser, async (req, res) => {
         itemName: donation.itemName,
         foodCategory: donation.foodCategory,
         quantity: donation.quantity,
+        claimedQuantity: donation.claimedQuantity || 0,
+        remainingQuantity: getRemainingQuantity(donation),
+        claims,
         imageUrl: donation.imageUrl,
+        imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
         expiryDate: donation.expiryDate,
         storageRecommendation: donation.storageRecommendation,
         // Receiver details (if assigned)
@@ -1353,6 +1795,8 @@ router.get('/my-donations', authenticateUser, async (req, res) => {
         vehicleType: driver?.vehicleType,
         // Status and assignment
         status: donation.status,
+        expiredAt: donation.expiredAt || null,
+        expiryReason: donation.expiryReason || null,
         // Pickup information
         preferredPickupDate: donation.preferredPickupDate,
         preferredPickupTimeFrom: donation.preferredPickupTimeFrom,
@@ -1388,8 +1832,14 @@ router.get('/my-donations', authenticateUser, async (req, res) => {
 
 /**
  * GET /api/donations/available-pickups
- * Get all available pickups for drivers
+ * Get available pickups for drivers
  * Returns donations with status 'assigned' that have been claimed by receivers
+ * Query params (all optional):
+ *   lat, lng - driver position (defaults to the driver's saved location)
+ *   radiusKm - max total route (driver → donor → receiver), default 40
+ *   category, storage, maxHoursToExpiry - same filters as /available
+ *   sort - 'distance' (driver → donor, default) or 'expiry'
+ *   limit (default 50, max 100), cursor - value of nextCursor from the previous page
  * Requires authentication (Driver role)
  */
 router.get('/available-pickups', authenticateUser, async (req, res) => {
@@ -1406,26 +1856,63 @@ router.get('/available-pickups', authenticateUser, async (req, res) => {
     const currentDate = new Date();
     const MAX_TOTAL_ROUTE_KM = 40;
 
-    // Get driver's current location
+    // Get driver's current location (query lat/lng override the saved one)
     const driver = await User.findById(driverId).select('driverLatitude driverLongitude');
-    const driverLat = driver?.driverLatitude;
-    const driverLng = driver?.driverLongitude;
+    const { errors, params, sort } = parseListingQuery(
+      req.query,
+      { sorts: ['distance', 'expiry'] },
+      { lat: driver?.driverLatitude, lng: driver?.driverLongitude }
+    );
+    const driverLat = params.lat;
+    const driverLng = params.lng;
 
-    // Fetch donations that are assigned to receivers but have no driver yet (order available list)
-    const donations = await Donation.find({
+    // Show pickups only after driver has added their location
+    // (the missing-location error from parseListingQuery does not apply here)
+    if (driverLat == null || driverLng == null) {
+      return res.status(200).json({
+        success: true,
+        pickups: [],
+        count: 0,
+        nextCursor: null,
+        hasMore: false,
+        driverLocation: null,
+      });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid query parameters', errors });
+    }
+
+    // Total route cap; the straight-line driver → donor distance can never exceed it,
+    // so the same value bounds the 2dsphere query
+    const maxRouteKm = params.radiusKm || MAX_TOTAL_ROUTE_KM;
+    params.radiusKm = maxRouteKm;
+
+    // Donations that are assigned to receivers but have no driver yet (order available list)
+    const filter = {
       status: 'assigned',
       assignedReceiverId: { $ne: null },
       assignedDriverId: null, // Exclude once a driver has picked/claimed the order
       expiryDate: { $gt: currentDate }, // Only non-expired donations
-    })
-      .populate('donorId', 'address email donorType username businessName')
-      .populate('assignedReceiverId', 'address email receiverName receiverType')
-      .sort({ createdAt: -1 }) // Newest first
-      .lean();
+      // Hide jobs the dispatcher is currently offering to another driver
+      $or: [
+        { dispatchStatus: { $ne: 'offering' } },
+        { dispatchDriverId: new mongoose.Types.ObjectId(driverId) },
+      ],
+    };
+    if (params.maxHoursToExpiry) {
+      filter.expiryDate.$lte = new Date(currentDate.getTime() + params.maxHoursToExpiry * 60 * 60 * 1000);
+    }
+    if (params.category) filter.foodCategory = { $in: params.category };
+    if (params.storage) filter.storageRecommendation = { $in: params.storage };
+
+    const { donations, nextCursor } = await findDonationsPage({ filter, params, sort, geoKey: 'donorLocation' });
+    await Donation.populate(donations, [
+      { path: 'donorId', select: 'address email donorType username businessName' },
+      { path: 'assignedReceiverId', select: 'address email receiverName receiverType' },
+    ]);
 
     // Import distance service (route distance along roads, fallback to straight-line)
     const { calculateDistance, formatDistance, getRouteDistanceKm } = require('../utils/distanceService');
-    const { geocodeAddress } = require('../services/geocodingService');
 
     // Format pickups and calculate distances
     const formattedPickups = await Promise.all(
@@ -1441,38 +1928,11 @@ router.get('/available-pickups', authenticateUser, async (req, res) => {
         // Get receiver name
         const receiverName = receiver?.receiverName || receiver?.email || 'Receiver';
 
-        // Get donor coordinates
-        let donorLat = donation.donorLatitude;
-        let donorLng = donation.donorLongitude;
-
-        // If donor coordinates are missing, try to geocode
-        if ((!donorLat || !donorLng) && donation.donorAddress) {
-          const coords = await geocodeAddress(donation.donorAddress);
-          if (coords) {
-            donorLat = coords.lat;
-            donorLng = coords.lng;
-            // Save coordinates back to database (async, don't block response)
-            Donation.findByIdAndUpdate(
-              donation._id,
-              { donorLatitude: coords.lat, donorLongitude: coords.lng },
-              { new: true }
-            ).catch(err => {
-              console.error(`[Donations] Error saving donor coordinates: ${err}`);
-            });
-          }
-        }
-
-        // Get receiver coordinates: use confirmed claim location first, else geocode address
-        let receiverLat = donation.receiverLatitude ?? null;
-        let receiverLng = donation.receiverLongitude ?? null;
-        const receiverAddressForGeocode = donation.receiverAddress || receiver?.address;
-        if ((!receiverLat || !receiverLng) && receiverAddressForGeocode) {
-          const receiverCoords = await geocodeAddress(receiverAddressForGeocode);
-          if (receiverCoords) {
-            receiverLat = receiverLat ?? receiverCoords.lat;
-            receiverLng = receiverLng ?? receiverCoords.lng;
-          }
-        }
+        // Coordinates come from the stored points (set at creation / claim time)
+        const donorLat = donation.donorLatitude;
+        const donorLng = donation.donorLongitude;
+        const receiverLat = donation.receiverLatitude ?? null;
+        const receiverLng = donation.receiverLongitude ?? null;
 
         // Route distances along roads (OSRM); fallback to straight-line (Haversine)
         let driverToDonorDistance = null;
@@ -1523,6 +1983,7 @@ router.get('/available-pickups', authenticateUser, async (req, res) => {
           foodCategory: donation.foodCategory,
           quantity: donation.quantity,
           imageUrl: donation.imageUrl,
+          imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
           expiryDate: donation.expiryDate,
           expiryText: expiryText,
           storageRecommendation: donation.storageRecommendation,
@@ -1560,15 +2021,11 @@ router.get('/available-pickups', authenticateUser, async (req, res) => {
       })
     );
 
-    // Show only pickups within 40 km after driver has added their location
-    let filteredPickups = formattedPickups;
-    if (!driverLat || !driverLng) {
-      filteredPickups = [];
-    } else {
-      filteredPickups = formattedPickups.filter(
-        (p) => p.totalRouteDistance != null && p.totalRouteDistance <= MAX_TOTAL_ROUTE_KM
-      );
-    }
+    // Show only pickups whose whole route fits within the cap
+    // (pages can come back shorter than limit; keep following nextCursor)
+    const filteredPickups = formattedPickups.filter(
+      (p) => p.totalRouteDistance != null && p.totalRouteDistance <= maxRouteKm
+    );
 
     console.log(`[Donations] Returning ${filteredPickups.length} available pickups for driver ${driverId}`);
 
@@ -1576,6 +2033,9 @@ router.get('/available-pickups', authenticateUser, async (req, res) => {
       success: true,
       pickups: filteredPickups,
       count: filteredPickups.length,
+      sort,
+      nextCursor,
+      hasMore: !!nextCursor,
       driverLocation: driverLat && driverLng ? {
         latitude: driverLat,
         longitude: driverLng,
@@ -1620,6 +2080,7 @@ router.get('/:id', authenticateUser, async (req, res) => {
         quantity: d.quantity,
         storageRecommendation: d.storageRecommendation,
         imageUrl: d.imageUrl,
+        imageVariants: formatImageVariants(d.imageUrl, d.imageVariants),
         preferredPickupDate,
         preferredPickupTimeFrom: d.preferredPickupTimeFrom,
         preferredPickupTimeTo: d.preferredPickupTimeTo,
@@ -1636,10 +2097,68 @@ router.get('/:id', authenticateUser, async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('[Donations] Error fetching donation:', error);
+    console.error('[Donations] Error fetching donation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/donations/:id/timeline
+ * Status history of a donation (who changed it, when, from, to, reason)
+ * Requires authentication (donor, assigned receiver, assigned driver or admin)
+ */
+router.get('/:id/timeline', authenticateUser, async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.id)
+      .select('trackingId status donorId assignedReceiverId assignedDriverId parentDonationId statusHistory createdAt')
+      .populate('statusHistory.changedBy', 'role username businessName receiverName driverName')
+      .lean();
+    if (!donation) {
+      return res.status(404).json({ success: false, message: 'Donation not found' });
+    }
+
+    const userId = req.user.id?.toString();
+    const isParticipant = [donation.donorId, donation.assignedReceiverId, donation.assignedDriverId]
+      .some(id => id && id.toString() === userId);
+    if (req.user.role !== 'Admin' && !isParticipant) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this donation' });
+    }
+
+    const timeline = (donation.statusHistory || []).map(entry => {
+      const actor = entry.changedBy;
+      return {
+        from: entry.from,
+        to: entry.to,
+        changedAt: entry.changedAt,
+        changedByRole: entry.changedByRole,
+        changedById: actor?._id?.toString() || null,
+        changedByName: actor
+          ? actor.businessName || actor.username || actor.receiverName || actor.driverName || null
+          : null,
+        reason: entry.reason,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      donation: {
+        id: donation._id.toString(),
+        trackingId: donation.trackingId,
+        status: donation.status,
+        parentDonationId: donation.parentDonationId?.toString() || null,
+        createdAt: donation.createdAt,
+      },
+      timeline,
+    });
+  } catch (error) {
+    console.error('[Donations] Error fetching donation timeline:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch donation',
+      message: 'Failed to fetch donation timeline',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -1663,7 +2182,7 @@ router.get('/:id/donor-receipt-view', authenticateUser, async (req, res) => {
       status: 'delivered',
     })
       .populate('assignedReceiverId', 'receiverName receiverType email address')
-      .populate('assignedDriverId', 'driverName vehicleNumber vehicleType profileImageUrl')
+      .populate('assignedDriverId', 'driverName vehicleNumber vehicleType profileImageUrl profileImageVariants')
       .lean();
 
     if (!donation) {
@@ -1686,7 +2205,7 @@ router.get('/:id/donor-receipt-view', authenticateUser, async (req, res) => {
     const driver = donation.assignedDriverId;
     const driverName = driver?.driverName || 'Driver';
 
-    const deliveryDate = donation.updatedAt || donation.actualPickupDate || donation.createdAt;
+    const deliveryDate = donation.deliveredAt || donation.updatedAt || donation.actualPickupDate || donation.createdAt;
     const formattedDeliveryDate = deliveryDate
       ? new Date(deliveryDate).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
       : null;
@@ -1699,6 +2218,7 @@ router.get('/:id/donor-receipt-view', authenticateUser, async (req, res) => {
         itemName: donation.itemName,
         quantity: donation.quantity,
         imageUrl: donation.imageUrl,
+        imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
         foodCategory: donation.foodCategory,
         storageRecommendation: donation.storageRecommendation,
       },
@@ -1717,8 +2237,14 @@ router.get('/:id/donor-receipt-view', authenticateUser, async (req, res) => {
         vehicleNumber: driver.vehicleNumber || '',
         vehicleType: driver.vehicleType || '',
         profileImageUrl: driver.profileImageUrl || null,
+        profileImageVariants: formatImageVariants(driver.profileImageUrl, driver.profileImageVariants),
       } : null,
       deliveryDate: formattedDeliveryDate,
+      handover: {
+        pickup: formatHandoverProof(donation.pickupProof),
+        delivery: formatHandoverProof(donation.deliveryProof),
+      },
+      foodSafety: formatFoodSafety(donation),
       receipt: receipt ? {
         id: receipt._id.toString(),
         dropLocation: receipt.dropLocation,
@@ -1781,7 +2307,7 @@ router.get('/:id/donor-receipt-pdf', authenticateUser, async (req, res) => {
       : donationFull.donorId?.username || donationFull.donorId?.email || 'Anonymous';
     const receiverName = donationFull.assignedReceiverId?.receiverName || donationFull.assignedReceiverId?.email || 'Receiver';
     const driverName = donationFull.assignedDriverId?.driverName || 'Driver';
-    const deliveryDate = new Date(donationFull.updatedAt || donationFull.actualPickupDate || donationFull.createdAt)
+    const deliveryDate = new Date(donationFull.deliveredAt || donationFull.updatedAt || donationFull.actualPickupDate || donationFull.createdAt)
       .toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
     const donationData = {
       trackingId: donationFull.trackingId,
@@ -1790,6 +2316,8 @@ router.get('/:id/donor-receipt-pdf', authenticateUser, async (req, res) => {
       driver: donationFull.assignedDriverId ? { driverName: driverName, vehicleNumber: donationFull.assignedDriverId.vehicleNumber || '', vehicleType: donationFull.assignedDriverId.vehicleType || '' } : null,
       donation: { itemName: donationFull.itemName, quantity: donationFull.quantity, foodCategory: donationFull.foodCategory, storageRecommendation: donationFull.storageRecommendation },
       deliveryDate,
+      handover: { pickup: formatHandoverProof(donationFull.pickupProof), delivery: formatHandoverProof(donationFull.deliveryProof) },
+      foodSafety: formatFoodSafety(donationFull),
     };
     const pdfBuffer = await generateImpactReceiptPDF(receipt, donationData);
     res.setHeader('Content-Type', 'application/pdf');
@@ -1855,20 +2383,53 @@ router.patch('/:id', authenticateUser, async (req, res) => {
     if (quantity != null && (typeof quantity !== 'number' || quantity < 1)) {
       return res.status(400).json({ success: false, errors: [{ field: 'quantity', message: 'Quantity must be a positive number' }] });
     }
+    if (quantity != null && quantity !== donation.quantity) {
+      if (donation.parentDonationId) {
+        return res.status(400).json({ success: false, errors: [{ field: 'quantity', message: 'The quantity of a claimed portion cannot be changed' }] });
+      }
+      if (!donation.assignedReceiverId && quantity < (donation.claimedQuantity || 0)) {
+        return res.status(400).json({
+          success: false,
+          errors: [{ field: 'quantity', message: `Quantity cannot be less than the ${donation.claimedQuantity} servings already claimed` }],
+        });
+      }
+    }
 
     if (foodCategory != null) donation.foodCategory = foodCategory;
     if (itemName != null) donation.itemName = itemName;
-    if (quantity != null) donation.quantity = quantity;
+    if (quantity != null) {
+      donation.quantity = quantity;
+      // A donation claimed as a whole stays fully claimed
+      if (donation.assignedReceiverId) donation.claimedQuantity = quantity;
+    }
     if (storageRecommendation != null) donation.storageRecommendation = storageRecommendation;
-    if (imageUrl != null) donation.imageUrl = imageUrl;
+    const imageChanged = imageUrl != null && imageUrl !== donation.imageUrl;
+    if (imageChanged) {
+      // Same duplicate check as on create, so a photo cannot be swapped in afterwards
+      Object.assign(donation, await checkDonationImage(imageUrl, req.user.id, donation._id));
+      // Corrections are what the donor changed when posting; only a new photo (new prediction)
+      // recomputes them, later edits such as a lower quantity are not corrections of the AI
+      donation.aiPrediction = await getImagePrediction(imageUrl);
+      donation.aiCorrections = diffPrediction(donation.aiPrediction, donation);
+      donation.imageUrl = imageUrl;
+      donation.imageVariants = getStoredImageVariants(imageUrl) || { thumbnail: null, medium: null, original: null };
+      attachImageUpload(imageUrl, donation._id).catch((error) => {
+        console.error('[Donations] Error attaching image upload:', error);
+      });
+    }
     if (preferredPickupDate != null) donation.preferredPickupDate = new Date(preferredPickupDate);
     if (preferredPickupTimeFrom != null) donation.preferredPickupTimeFrom = preferredPickupTimeFrom;
     if (preferredPickupTimeTo != null) donation.preferredPickupTimeTo = preferredPickupTimeTo;
-    if (userProvidedExpiryDate != null) donation.expiryDate = new Date(userProvidedExpiryDate);
+    if (userProvidedExpiryDate != null) {
+      donation.expiryDate = new Date(userProvidedExpiryDate);
+      // New expiry date: the donor should be warned again before it
+      donation.expiryWarningSentAt = null;
+    }
     if (donorLatitude != null) donation.donorLatitude = donorLatitude;
     if (donorLongitude != null) donation.donorLongitude = donorLongitude;
 
     await donation.save();
+    if (imageChanged) notifyDuplicateImage(donation);
     res.status(200).json({
       success: true,
       message: 'Donation updated successfully',
@@ -1879,6 +2440,14 @@ router.patch('/:id', authenticateUser, async (req, res) => {
       },
     });
   } catch (error) {
+    // Photo that is not the donor's own upload, or a duplicate when DUPLICATE_IMAGE_ACTION is block
+    if (isDuplicateImageError(error) || isUploadError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: [{ field: 'imageUrl', message: error.message }],
+      });
+    }
     console.error('[Donations] Error updating donation:', error);
     res.status(500).json({
       success: false,
@@ -1904,19 +2473,28 @@ router.delete('/:id', authenticateUser, async (req, res) => {
     if (!donation) {
       return res.status(404).json({ success: false, message: 'Donation not found' });
     }
-    const canCancel = donation.status === 'pending' || donation.status === 'approved' ||
-      (donation.status === 'assigned' && !donation.assignedDriverId);
-    if (!canCancel) {
+    if (!canTransition(donation.status, 'cancelled')) {
+      return res.status(409).json(invalidTransitionResponse(donation.status, 'cancelled'));
+    }
+    if (donation.assignedDriverId) {
       return res.status(400).json({
         success: false,
         message: 'This donation can no longer be cancelled (driver already assigned or delivered)',
       });
     }
-    donation.status = 'cancelled';
+    // Cancelling a split donation only withdraws the unclaimed servings;
+    // portions already claimed are separate donations and carry on as normal
+    const hasPartialClaims = !donation.assignedReceiverId && (donation.claimedQuantity || 0) > 0;
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim()
+      ? req.body.reason.trim()
+      : (hasPartialClaims ? 'Remaining servings withdrawn by donor' : 'Cancelled by donor');
+    transitionStatus(donation, 'cancelled', { actor: req.user, reason });
     await donation.save();
     res.status(200).json({
       success: true,
-      message: 'Donation cancelled successfully',
+      message: hasPartialClaims
+        ? 'Remaining servings cancelled. Portions already claimed will still be delivered.'
+        : 'Donation cancelled successfully',
     });
   } catch (error) {
     console.error('[Donations] Error cancelling donation:', error);
@@ -1929,11 +2507,121 @@ router.delete('/:id', authenticateUser, async (req, res) => {
 });
 
 /**
- * POST /api/donations/:id/accept-order
- * Driver accepts/claims an order from Available Pickups (before physical pickup).
- * Sets assignedDriverId, keeps status 'assigned'. Order then appears in driver's My Pickups In Transit.
+ * Tell donor and receiver a driver has taken their order (socket refresh + emails)
+ * @param {Object} donation - Donation document
  */
-router.post('/:id/accept-order', authenticateUser, async (req, res) => {
+const notifyOrderAccepted = async (donation) => {
+  // Notify donor and receiver so My Donation and My Claims can refetch (show in In Transit)
+  const donorId = donation.donorId?.toString?.() || donation.donorId?.toString();
+  const assignedReceiverId = donation.assignedReceiverId?._id?.toString?.() || donation.assignedReceiverId?.toString();
+  const donationIdStr = donation._id.toString();
+  const inTransitOptions = { notificationEvent: 'pickups' };
+  if (donorId) socketService.emitToUser(donorId, 'donation_in_transit', { donationId: donationIdStr }, inTransitOptions);
+  if (assignedReceiverId) {
+    socketService.emitToUser(assignedReceiverId, 'donation_in_transit', { donationId: donationIdStr }, inTransitOptions);
+  }
+
+  await donation.populate('donorId', 'address email donorType username businessName');
+  await donation.populate('assignedReceiverId', 'receiverName receiverType email address');
+  await donation.populate('assignedDriverId', 'driverName vehicleNumber vehicleType');
+
+  const donor = donation.donorId;
+  const receiver = donation.assignedReceiverId;
+  const driver = donation.assignedDriverId;
+  const {
+    sendDriverAssignedEmailToDonor,
+    sendDriverAssignedEmailToReceiver,
+  } = require('../utils/emailService');
+  if (donor && donor.email) {
+    sendDriverAssignedEmailToDonor(donation, donor, receiver, driver).catch(err => {
+      console.error('[Donations] Error sending driver-assigned email to donor:', err.message);
+    });
+  }
+  if (receiver && receiver.email) {
+    sendDriverAssignedEmailToReceiver(donation, donor, receiver, driver).catch(err => {
+      console.error('[Donations] Error sending driver-assigned email to receiver:', err.message);
+    });
+  }
+  notifyDonationParticipants(donation, 'driver_assigned');
+  issueHandshakeCodes(donation).catch(err => {
+    console.error('[Donations] Error issuing handover codes:', err);
+  });
+};
+
+/**
+ * Format a delivery batch and its stop list for the driver app
+ * @param {Object} batch - DeliveryBatch document or lean object
+ * @param {Object[]} donations - Lean donations in the batch (donor/receiver populated)
+ * @returns {Object}
+ */
+const formatBatch = (batch, donations) => {
+  const byId = new Map(donations.map(d => [d._id.toString(), d]));
+  return {
+    id: batch._id.toString(),
+    status: batch.status,
+    vehicleType: batch.vehicleType,
+    maxDonations: batch.maxDonations,
+    maxServings: batch.maxServings,
+    totalQuantity: batch.totalQuantity,
+    plannedDistanceKm: batch.plannedDistanceKm,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt,
+    stops: batch.stops.map(stop => {
+      const donationId = stop.donationId.toString();
+      const donation = byId.get(donationId);
+      const donor = donation?.donorId;
+      const receiver = donation?.assignedReceiverId;
+      return {
+        id: stop._id?.toString(),
+        sequence: stop.sequence,
+        type: stop.type,
+        status: stop.status,
+        completedAt: stop.completedAt,
+        donationId,
+        trackingId: donation?.trackingId,
+        itemName: donation?.itemName,
+        quantity: stop.quantity,
+        donationStatus: donation?.status,
+        // Who the driver meets at this stop
+        contactName: stop.type === 'pickup'
+          ? (donor?.donorType === 'Business' ? donor.businessName : donor?.username || donor?.email)
+          : (receiver?.receiverName || receiver?.email),
+        address: stop.address,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        legDistanceKm: stop.legDistanceKm,
+        // Stops are confirmed with the per-donation endpoints
+        confirmPath: stop.type === 'pickup'
+          ? `/api/donations/${donationId}/confirm-pickup`
+          : `/api/donations/${donationId}/confirm-delivery`,
+      };
+    }),
+  };
+};
+
+/**
+ * Load the donations referenced by a batch for formatBatch
+ * @param {Object} batch - DeliveryBatch document or lean object
+ * @returns {Promise<Object[]>}
+ */
+const loadBatchDonations = (batch) => {
+  return Donation.find({ _id: { $in: batch.donationIds } })
+    .select('trackingId itemName quantity status donorId assignedReceiverId')
+    .populate('donorId', 'email donorType username businessName')
+    .populate('assignedReceiverId', 'email receiverName')
+    .lean();
+};
+
+/**
+ * POST /api/donations/batches
+ * Driver accepts several compatible donations as one multi-stop run.
+ * Body: { donationIds: string[] }
+ * Donations join the driver's active batch (or start one) if the vehicle's capacity allows,
+ * hot and cold food are not mixed, and all pickups are close together.
+ * Returns the ordered stop list (donor pickups and receiver drop-offs).
+ * Requires authentication (Driver role)
+ */
+router.post('/batches', authenticateUser, async (req, res) => {
   try {
     if (req.user.role !== 'Driver') {
       return res.status(403).json({
@@ -1942,96 +2630,221 @@ router.post('/:id/accept-order', authenticateUser, async (req, res) => {
       });
     }
 
-    const { id } = req.params;
-    const driverId = req.user.id;
-
-    const donation = await Donation.findById(id);
-    if (!donation) {
-      return res.status(404).json({
+    const { donationIds } = req.body || {};
+    if (!Array.isArray(donationIds) || donationIds.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Donation not found',
+        errors: [{ field: 'donationIds', message: 'Select at least one donation' }],
       });
     }
 
-    if (donation.assignedDriverId) {
-      return res.status(400).json({
-        success: false,
-        message: 'This donation has already been assigned to another driver',
-      });
+    const driver = await User.findById(req.user.id).select('driverLatitude driverLongitude vehicleType');
+    const { batch, donations } = await acceptDonationsForDriver(driver, donationIds);
+
+    console.log('[Donations] Batch accepted by driver:', {
+      batchId: batch._id,
+      driverId: req.user.id,
+      accepted: donations.map(d => d.trackingId),
+      totalDonations: batch.donationIds.length,
+    });
+
+    for (const donation of donations) {
+      await notifyOrderAccepted(donation);
     }
 
-    if (donation.status !== 'assigned') {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      message: `${donations.length} ${donations.length === 1 ? 'order' : 'orders'} accepted. Follow the stop list in order.`,
+      batch: formatBatch(batch, await loadBatchDonations(batch)),
+    });
+  } catch (error) {
+    if (isBatchError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('[Donations] Error accepting batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept orders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/donations/batches/active
+ * The driver's current multi-stop run with its ordered stop list (null when there is none)
+ * Requires authentication (Driver role)
+ */
+router.get('/batches/active', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.role !== 'Driver') {
+      return res.status(403).json({
         success: false,
-        message: `This donation cannot be accepted. Current status: ${donation.status}`,
+        message: 'Only drivers can view delivery batches',
       });
     }
 
-    if (!donation.assignedReceiverId) {
-      return res.status(400).json({
+    const batch = await DeliveryBatch.findOne({ driverId: req.user.id, status: 'active' }).lean();
+    if (!batch) {
+      return res.status(200).json({ success: true, batch: null });
+    }
+
+    res.status(200).json({
+      success: true,
+      batch: formatBatch(batch, await loadBatchDonations(batch)),
+    });
+  } catch (error) {
+    console.error('[Donations] Error fetching active batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/donations/dispatch/offers
+ * Open auto-dispatch offers for the driver (normally at most one)
+ * Requires authentication (Driver role)
+ */
+router.get('/dispatch/offers', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.role !== 'Driver') {
+      return res.status(403).json({
         success: false,
-        message: 'This donation has not been claimed by a receiver yet',
+        message: 'Only drivers can view dispatch offers',
       });
     }
 
-    // Driver can only have one active order at a time (assigned or picked_up)
-    const existingActiveCount = await Donation.countDocuments({
-      assignedDriverId: driverId,
-      status: { $in: ['assigned', 'picked_up'] },
+    const offers = await DispatchOffer.find({
+      driverId: req.user.id,
+      status: 'offered',
+      expiresAt: { $gt: new Date() },
+    })
+      .populate('donationId', 'trackingId itemName quantity storageRecommendation donorAddress receiverAddress expiryDate')
+      .sort({ offeredAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      offers: offers.map(offer => ({
+        id: offer._id.toString(),
+        donationId: offer.donationId?._id?.toString(),
+        trackingId: offer.donationId?.trackingId,
+        itemName: offer.donationId?.itemName,
+        quantity: offer.donationId?.quantity,
+        storageRecommendation: offer.donationId?.storageRecommendation,
+        donorAddress: offer.donationId?.donorAddress,
+        receiverAddress: offer.donationId?.receiverAddress,
+        expiryDate: offer.donationId?.expiryDate,
+        routeDistanceKm: offer.routeDistanceKm,
+        offeredAt: offer.offeredAt,
+        expiresAt: offer.expiresAt,
+      })),
     });
-    if (existingActiveCount > 0) {
-      return res.status(400).json({
+  } catch (error) {
+    console.error('[Donations] Error fetching dispatch offers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispatch offers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/donations/dispatch/offers/:offerId/:decision
+ * Driver accepts or declines an auto-dispatch offer (decision: 'accept' | 'decline').
+ * Accepting assigns the order exactly like accept-order; declining passes it to the next driver.
+ * Requires authentication (Driver role)
+ */
+router.post('/dispatch/offers/:offerId/:decision', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.role !== 'Driver') {
+      return res.status(403).json({
         success: false,
-        message: 'You can only accept one order at a time. Complete your current delivery first.',
+        message: 'Only drivers can respond to dispatch offers',
       });
     }
 
-    const currentDate = new Date();
-    if (donation.expiryDate <= currentDate) {
-      return res.status(400).json({
+    const { offerId, decision } = req.params;
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(404).json({ success: false, message: 'Unknown offer action' });
+    }
+    if (!mongoose.isValidObjectId(offerId)) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    const driver = await User.findById(req.user.id).select('driverLatitude driverLongitude vehicleType');
+    const result = await respondToOffer(offerId, driver, decision === 'accept');
+
+    if (decision === 'decline') {
+      return res.status(200).json({ success: true, message: 'Offer declined' });
+    }
+
+    console.log('[Donations] Dispatch offer accepted:', {
+      offerId,
+      donationId: result.donation._id,
+      driverId: req.user.id,
+      batchId: result.batch._id,
+    });
+
+    await notifyOrderAccepted(result.donation);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order accepted. It now appears in your My Pickups In Transit.',
+      donation: {
+        id: result.donation._id,
+        trackingId: result.donation.trackingId,
+        status: result.donation.status,
+        batchId: result.batch._id.toString(),
+      },
+    });
+  } catch (error) {
+    if (isOfferError(error) || isBatchError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('[Donations] Error responding to dispatch offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * POST /api/donations/:id/accept-order
+ * Driver accepts/claims an order from Available Pickups (before physical pickup).
+ * Sets assignedDriverId, keeps status 'assigned'. Order then appears in driver's My Pickups In Transit.
+ * The order joins the driver's active batch when the vehicle has room (see POST /batches).
+ */
+router.post('/:id/accept-order', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.role !== 'Driver') {
+      return res.status(403).json({
         success: false,
-        message: 'This donation has expired',
+        message: 'Only drivers can accept orders',
       });
     }
 
-    donation.assignedDriverId = driverId;
-    // Keep status 'assigned' - physical confirm-pickup will set 'picked_up'
-    await donation.save();
+    const { id } = req.params;
+    const driverId = req.user.id;
+
+    const driver = await User.findById(driverId).select('driverLatitude driverLongitude vehicleType');
+    const { batch, donations } = await acceptDonationsForDriver(driver, [id]);
+    const donation = donations[0];
 
     console.log('[Donations] Order accepted by driver:', {
       donationId: donation._id,
       driverId,
+      batchId: batch._id,
       status: donation.status,
     });
 
-    // Notify donor and receiver so My Donation and My Claims can refetch (show in In Transit)
-    const donorId = donation.donorId?.toString?.() || donation.donorId?.toString();
-    const assignedReceiverId = donation.assignedReceiverId?._id?.toString?.() || donation.assignedReceiverId?.toString();
-    const donationIdStr = donation._id.toString();
-    if (donorId) socketService.emitToUser(donorId, 'donation_in_transit', { donationId: donationIdStr });
-    if (assignedReceiverId) socketService.emitToUser(assignedReceiverId, 'donation_in_transit', { donationId: donationIdStr });
-
-    await donation.populate('donorId', 'address email donorType username businessName');
-    await donation.populate('assignedReceiverId', 'receiverName receiverType email address');
-    await donation.populate('assignedDriverId', 'driverName vehicleNumber vehicleType');
-
-    const donor = donation.donorId;
-    const receiver = donation.assignedReceiverId;
-    const driver = donation.assignedDriverId;
-    const {
-      sendDriverAssignedEmailToDonor,
-      sendDriverAssignedEmailToReceiver,
-    } = require('../utils/emailService');
-    if (donor && donor.email) {
-      sendDriverAssignedEmailToDonor(donation, donor, receiver, driver).catch(err => {
-        console.error('[Donations] Error sending driver-assigned email to donor:', err.message);
-      });
-    }
-    if (receiver && receiver.email) {
-      sendDriverAssignedEmailToReceiver(donation, donor, receiver, driver).catch(err => {
-        console.error('[Donations] Error sending driver-assigned email to receiver:', err.message);
-      });
-    }
+    await notifyOrderAccepted(donation);
 
     res.status(200).json({
       success: true,
@@ -2044,9 +2857,13 @@ router.post('/:id/accept-order', authenticateUser, async (req, res) => {
         driverName: donation.assignedDriverId?.driverName,
         assignedReceiverId: donation.assignedReceiverId?._id?.toString(),
         receiverName: donation.assignedReceiverId?.receiverName,
+        batchId: batch._id.toString(),
       },
     });
   } catch (error) {
+    if (isBatchError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('[Donations] Error accepting order:', error);
     res.status(500).json({
       success: false,
@@ -2056,13 +2873,71 @@ router.post('/:id/accept-order', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * Check the handover code on a confirm-pickup / confirm-delivery request and record the proof.
+ * Wrong codes count towards the verify_handshake_code throttle.
+ * @returns {Promise<boolean>} False if a response (error or 429) was already sent
+ */
+const verifyHandover = async (req, res, donation, stage) => {
+  const throttleTarget = { ip: getRequestIp(req), account: `${donation._id}:${stage}` };
+  const block = await checkThrottle('verify_handshake_code', throttleTarget);
+  if (block) {
+    sendThrottled(res, block);
+    return false;
+  }
+
+  try {
+    const driver = await User.findById(req.user.id).select('driverLatitude driverLongitude');
+    await applyHandshakeProof(donation, stage, {
+      body: req.body || {},
+      driver,
+      photo: req.files?.photo?.[0],
+    });
+  } catch (error) {
+    if (!isHandshakeError(error)) throw error;
+    if (error.statusCode === 422) await recordAttempt('verify_handshake_code', throttleTarget);
+    res.status(error.statusCode).json({ success: false, message: error.message });
+    return false;
+  }
+
+  await clearAttempts('verify_handshake_code', throttleTarget);
+  return true;
+};
+
+/**
+ * GET /api/donations/:id/handover-code
+ * The one-time code the donor (pickup) or receiver (delivery) shows the driver, with the
+ * text to render as a QR code. code is null once the handover was confirmed.
+ */
+router.get('/:id/handover-code', authenticateUser, async (req, res) => {
+  try {
+    const handover = await getHandshakeCode(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      handover,
+    });
+  } catch (error) {
+    if (isHandshakeError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('[Donations] Error fetching handover code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch handover code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 /**
  * POST /api/donations/:id/confirm-pickup
  * Driver confirms physical pickup at donor (order must already be accepted by this driver).
- * Sets status to 'picked_up' and actualPickupDate.
- * Backward compatibility: if no driver assigned yet, assigns driver and sets picked_up in one call.
+ * Body (JSON or multipart): { code | qrPayload, latitude?, longitude?, accuracy? }, optional
+ * file field "photo". The code is the donor's pickup code (GET /:id/handover-code).
+ * Sets status to 'picked_up' and actualPickupDate, and stores the proof in pickupProof.
+ * The driver must have accepted the donation first (the pickup code is issued then).
  */
-router.post('/:id/confirm-pickup', authenticateUser, async (req, res) => {
+router.post('/:id/confirm-pickup', authenticateUser, handleFileUpload, async (req, res) => {
   try {
     if (req.user.role !== 'Driver') {
       return res.status(403).json({
@@ -2074,7 +2949,7 @@ router.post('/:id/confirm-pickup', authenticateUser, async (req, res) => {
     const { id } = req.params;
     const driverId = req.user.id;
 
-    const donation = await Donation.findById(id);
+    const donation = await Donation.findById(id).select('+pickupProof.code');
     if (!donation) {
       return res.status(404).json({
         success: false,
@@ -2082,22 +2957,24 @@ router.post('/:id/confirm-pickup', authenticateUser, async (req, res) => {
       });
     }
 
-    const alreadyAssignedToThisDriver = donation.assignedDriverId && donation.assignedDriverId.toString() === driverId;
-
-    if (donation.assignedDriverId && !alreadyAssignedToThisDriver) {
+    if (!donation.assignedDriverId) {
       return res.status(400).json({
         success: false,
-        message: 'This donation has already been assigned to another driver',
+        message: 'Accept this donation before confirming pickup',
       });
     }
 
-    if (donation.status !== 'assigned') {
+    if (donation.assignedDriverId.toString() !== driverId) {
       return res.status(400).json({
         success: false,
-        message: `This donation cannot be picked up. Current status: ${donation.status}`,
+        message: 'This donation has already been assigned to another driver',
       });
     }
 
+    if (!canTransition(donation.status, 'picked_up')) {
+      return res.status(409).json(invalidTransitionResponse(donation.status, 'picked_up'));
+    }
+
     if (!donation.assignedReceiverId) {
       return res.status(400).json({
         success: false,
@@ -2113,14 +2990,17 @@ router.post('/:id/confirm-pickup', authenticateUser, async (req, res) => {
       });
     }
 
-    // Assign driver if not already (backward compatibility)
-    if (!donation.assignedDriverId) {
-      donation.assignedDriverId = driverId;
-    }
-    donation.status = 'picked_up';
+    if (!(await verifyHandover(req, res, donation, 'pickup'))) return;
+
+    transitionStatus(donation, 'picked_up', { actor: req.user, reason: 'Pickup confirmed by driver' });
     donation.actualPickupDate = new Date();
     await donation.save();
 
+    // Tick off this stop on the driver's batch
+    await completeStop(donation, 'pickup').catch(err => {
+      console.error('[Donations] Error updating batch stop after pickup:', err);
+    });
+
     console.log('[Donations] Pickup confirmed successfully:', {
       donationId: donation._id,
       trackingId: donation.trackingId,
@@ -2159,6 +3039,11 @@ router.post('/:id/confirm-pickup', authenticateUser, async (req, res) => {
           console.error('[Donations] Error sending pickup confirmation email to receiver:', error.message);
         });
     }
+    notifyDonationParticipants(donation, 'picked_up');
+    // The receiver's delivery code, if it was not issued when the driver accepted
+    issueHandshakeCodes(donation).catch(err => {
+      console.error('[Donations] Error issuing handover codes:', err);
+    });
 
     // Populate donation details for response
     await donation.populate('donorId', 'address email donorType username businessName');
@@ -2177,6 +3062,7 @@ router.post('/:id/confirm-pickup', authenticateUser, async (req, res) => {
         assignedReceiverId: donation.assignedReceiverId?._id?.toString(),
         receiverName: donation.assignedReceiverId?.receiverName,
         actualPickupDate: donation.actualPickupDate,
+        pickupProof: formatHandoverProof(donation.pickupProof),
       },
     });
   } catch (error) {
@@ -2189,6 +3075,57 @@ router.post('/:id/confirm-pickup', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/donations/:id/safety-checks
+ * Driver logs a food safety check. Body: { stage: 'pickup'|'dropoff', condition: 'good'|'acceptable'|'spoiled',
+ * temperatureC?, notes? }. Unsafe temperatures and spoiled food alert the receiver and admins.
+ */
+router.post('/:id/safety-checks', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.role !== 'Driver') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only drivers can log food safety checks',
+      });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid donation ID',
+      });
+    }
+
+    const donation = await Donation.findById(req.params.id);
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found',
+      });
+    }
+
+    const check = await recordSafetyCheck(donation, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: check.temperatureSafe && check.condition !== 'spoiled'
+        ? 'Safety check recorded'
+        : 'Safety check recorded. The receiver and FoodLoop admins have been alerted.',
+      check,
+      foodSafety: formatFoodSafety(donation),
+    });
+  } catch (error) {
+    if (isFoodSafetyError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('[Donations] Error recording safety check:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record safety check',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 /**
  * GET /api/donations/:id/tracking
  * Get real-time tracking data for a donation
@@ -2203,7 +3140,7 @@ router.get('/:id/tracking', async (req, res) => {
     const donation = await Donation.findById(id)
       .populate('donorId', 'address email donorType username businessName contactNo')
       .populate('assignedReceiverId', 'receiverName receiverType email address contactNo')
-      .populate('assignedDriverId', 'driverName vehicleNumber vehicleType driverLatitude driverLongitude profileImageUrl')
+      .populate('assignedDriverId', 'driverName vehicleNumber vehicleType driverLatitude driverLongitude profileImageUrl profileImageVariants')
       .lean();
 
     if (!donation) {
@@ -2264,6 +3201,7 @@ router.get('/:id/tracking', async (req, res) => {
         itemName: donation.itemName,
         quantity: donation.quantity,
         imageUrl: donation.imageUrl,
+        imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
       },
       donor: {
         id: donation.donorId?._id?.toString(),
@@ -2288,6 +3226,7 @@ router.get('/:id/tracking', async (req, res) => {
         vehicleNumber: donation.assignedDriverId.vehicleNumber,
         vehicleType: donation.assignedDriverId.vehicleType,
         profileImageUrl: donation.assignedDriverId.profileImageUrl || null,
+        profileImageVariants: formatImageVariants(donation.assignedDriverId.profileImageUrl, donation.assignedDriverId.profileImageVariants),
         location: driverLocation,
       } : null,
       timestamps: {
@@ -2317,9 +3256,11 @@ router.get('/:id/tracking', async (req, res) => {
  * POST /api/donations/:id/confirm-delivery
  * Confirm delivery of a donation to receiver
  * Requires authentication (Driver role)
- * Changes status from 'picked_up' to 'delivered'
+ * Body (JSON or multipart): { code | qrPayload, latitude?, longitude?, accuracy? }, optional
+ * file field "photo". The code is the receiver's delivery code (GET /:id/handover-code).
+ * Changes status from 'picked_up' to 'delivered' and stores the proof in deliveryProof.
  */
-router.post('/:id/confirm-delivery', authenticateUser, async (req, res) => {
+router.post('/:id/confirm-delivery', authenticateUser, handleFileUpload, async (req, res) => {
   try {
     // Check if user is a Driver
     if (req.user.role !== 'Driver') {
@@ -2333,7 +3274,7 @@ router.post('/:id/confirm-delivery', authenticateUser, async (req, res) => {
     const driverId = req.user.id;
 
     // Find the donation
-    const donation = await Donation.findById(id);
+    const donation = await Donation.findById(id).select('+deliveryProof.code');
     if (!donation) {
       return res.status(404).json({
         success: false,
@@ -2350,11 +3291,8 @@ router.post('/:id/confirm-delivery', authenticateUser, async (req, res) => {
     }
 
     // Check if donation is in 'picked_up' status
-    if (donation.status !== 'picked_up') {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot confirm delivery. Current status: ${donation.status}. Delivery can only be confirmed for donations that have been picked up.`,
-      });
+    if (!canTransition(donation.status, 'delivered')) {
+      return res.status(409).json(invalidTransitionResponse(donation.status, 'delivered'));
     }
 
     // Check if donation has a receiver assigned
@@ -2365,10 +3303,18 @@ router.post('/:id/confirm-delivery', authenticateUser, async (req, res) => {
       });
     }
 
+    if (!(await verifyHandover(req, res, donation, 'delivery'))) return;
+
     // Update donation: change status to 'delivered'
-    donation.status = 'delivered';
+    transitionStatus(donation, 'delivered', { actor: req.user, reason: 'Delivery confirmed by driver' });
+    recordTransitTime(donation);
     await donation.save();
 
+    // Tick off this stop on the driver's batch
+    await completeStop(donation, 'dropoff').catch(err => {
+      console.error('[Donations] Error updating batch stop after delivery:', err);
+    });
+
     console.log('[Donations] Delivery confirmed successfully:', {
       donationId: donation._id,
       trackingId: donation.trackingId,
@@ -2381,8 +3327,9 @@ router.post('/:id/confirm-delivery', authenticateUser, async (req, res) => {
     const donorIdStr = donation.donorId?.toString?.() || donation.donorId?.toString();
     const receiverIdStr = donation.assignedReceiverId?.toString?.();
     const donationIdStr = donation._id.toString();
-    if (donorIdStr) socketService.emitToUser(donorIdStr, 'delivery_confirmed', { donationId: donationIdStr });
-    if (receiverIdStr) socketService.emitToUser(receiverIdStr, 'delivery_confirmed', { donationId: donationIdStr });
+    const deliveredOptions = { notificationEvent: 'deliveries' };
+    if (donorIdStr) socketService.emitToUser(donorIdStr, 'delivery_confirmed', { donationId: donationIdStr }, deliveredOptions);
+    if (receiverIdStr) socketService.emitToUser(receiverIdStr, 'delivery_confirmed', { donationId: donationIdStr }, deliveredOptions);
 
     // Fetch donor, receiver, and driver details for emails
     const donor = await User.findById(donation.donorId).select('-password');
@@ -2414,6 +3361,7 @@ router.post('/:id/confirm-delivery', authenticateUser, async (req, res) => {
           console.error('[Donations] Error sending delivery confirmation email to receiver:', error.message);
         });
     }
+    notifyDonationParticipants(donation, 'delivered');
 
     // Populate donation details for response
     await donation.populate('donorId', 'address email donorType username businessName');
@@ -2431,6 +3379,8 @@ router.post('/:id/confirm-delivery', authenticateUser, async (req, res) => {
         driverName: donation.assignedDriverId?.driverName,
         assignedReceiverId: donation.assignedReceiverId?._id?.toString(),
         receiverName: donation.assignedReceiverId?.receiverName,
+        deliveryProof: formatHandoverProof(donation.deliveryProof),
+        foodSafety: formatFoodSafety(donation),
       },
     });
   } catch (error) {
@@ -2523,7 +3473,7 @@ router.get('/:id/receipt-details', authenticateUser, async (req, res) => {
     }
 
     // Format delivery date
-    const deliveryDate = donation.updatedAt || donation.actualPickupDate || donation.createdAt;
+    const deliveryDate = donation.deliveredAt || donation.updatedAt || donation.actualPickupDate || donation.createdAt;
     const formattedDeliveryDate = new Date(deliveryDate).toLocaleDateString('en-US', {
       year: 'numeric',
       month: 'short',
@@ -2541,6 +3491,7 @@ router.get('/:id/receipt-details', authenticateUser, async (req, res) => {
         itemName: donation.itemName,
         quantity: donation.quantity,
         imageUrl: donation.imageUrl,
+        imageVariants: formatImageVariants(donation.imageUrl, donation.imageVariants),
         foodCategory: donation.foodCategory,
         storageRecommendation: donation.storageRecommendation,
       },
@@ -2566,6 +3517,11 @@ router.get('/:id/receipt-details', authenticateUser, async (req, res) => {
       deliveryDate: formattedDeliveryDate,
       deliveryDateRaw: deliveryDate,
       distanceTraveled: distanceTraveled,
+      handover: {
+        pickup: formatHandoverProof(donation.pickupProof),
+        delivery: formatHandoverProof(donation.deliveryProof),
+      },
+      foodSafety: formatFoodSafety(donation),
     };
 
     // If receipt exists, include it in the response
@@ -2733,7 +3689,9 @@ router.post('/:id/create-receipt', authenticateUser, async (req, res) => {
     // Notify donor so their digital receipt / impact section can refresh in real time
     const donorIdStr = donation.donorId?.toString?.() || donation.donorId?.toString();
     if (donorIdStr) {
-      socketService.emitToUser(donorIdStr, 'impact_receipt_updated', { donationId: id.toString() });
+      socketService.emitToUser(donorIdStr, 'impact_receipt_updated', { donationId: id.toString() }, {
+        notificationEvent: 'receipts',
+      });
     }
 
     // Generate PDF and send emails asynchronously (don't block response)
@@ -2759,7 +3717,7 @@ router.post('/:id/create-receipt', authenticateUser, async (req, res) => {
         const receiverName = fullDonation.assignedReceiverId?.receiverName || fullDonation.assignedReceiverId?.email || 'Receiver';
         const driverName = fullDonation.assignedDriverId?.driverName || 'Driver';
 
-        const deliveryDate = new Date(fullDonation.updatedAt || fullDonation.actualPickupDate || fullDonation.createdAt)
+        const deliveryDate = new Date(fullDonation.deliveredAt || fullDonation.updatedAt || fullDonation.actualPickupDate || fullDonation.createdAt)
           .toLocaleDateString('en-US', {
             year: 'numeric',
             month: 'short',
@@ -2798,6 +3756,11 @@ router.post('/:id/create-receipt', authenticateUser, async (req, res) => {
           },
           deliveryDate: deliveryDate,
           donorAddress: fullDonation.donorAddress || fullDonation.donorId?.address || '',
+          handover: {
+            pickup: formatHandoverProof(fullDonation.pickupProof),
+            delivery: formatHandoverProof(fullDonation.deliveryProof),
+          },
+          foodSafety: formatFoodSafety(fullDonation),
         };
 
         // Refresh receipt from database to ensure we have all saved values
@@ -2965,7 +3928,7 @@ router.get('/:id/receipt-pdf', authenticateUser, async (req, res) => {
     const receiverName = donation.assignedReceiverId?.receiverName || donation.assignedReceiverId?.email || 'Receiver';
     const driverName = donation.assignedDriverId?.driverName || 'Driver';
 
-    const deliveryDate = new Date(donation.updatedAt || donation.actualPickupDate || donation.createdAt)
+    const deliveryDate = new Date(donation.deliveredAt || donation.updatedAt || donation.actualPickupDate || donation.createdAt)
       .toLocaleDateString('en-US', {
         year: 'numeric',
         month: 'short',
@@ -2997,6 +3960,11 @@ router.get('/:id/receipt-pdf', authenticateUser, async (req, res) => {
         storageRecommendation: donation.storageRecommendation,
       },
       deliveryDate: deliveryDate,
+      handover: {
+        pickup: formatHandoverProof(donation.pickupProof),
+        delivery: formatHandoverProof(donation.deliveryProof),
+      },
+      foodSafety: formatFoodSafety(donation),
     };
 
     // Generate PDF
@@ -0,0 +1,74 @@
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const router = express.Router();
+const {
+  verifySignedFileUrl,
+  openFile,
+} = require('../services/storageService');
+
+const PUBLIC_CACHE_SECONDS = 365 * 24 * 60 * 60; // keys are never reused
+
+// Stream a stored file; images and PDFs open in the browser, anything else downloads
+const sendFile = async (req, res, key, visibility, cacheControl) => {
+  const file = await openFile(key, visibility);
+  if (!file) {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+  res.set({
+    'Content-Type': file.contentType,
+    'Cache-Control': cacheControl,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Disposition': file.contentType === 'application/octet-stream' ? 'attachment' : 'inline',
+  });
+  if (file.contentLength != null) res.set('Content-Length', String(file.contentLength));
+  await pipeline(file.stream, res);
+};
+
+/**
+ * GET /api/files/public/:folder/:file
+ * Public file (donation photo, avatar) stored by the local storage driver (no auth).
+ */
+router.get('/public/*key', async (req, res) => {
+  const key = req.params.key.join('/');
+  try {
+    await sendFile(req, res, key, 'public', `public, max-age=${PUBLIC_CACHE_SECONDS}, immutable`);
+  } catch (error) {
+    console.error(`[Files] Error serving public file ${key}:`, error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/files/private/:folder/:file?expires=&signature=
+ * Private file (identity document, handover photo) through a signed link from getSignedFileUrl.
+ * The link is the credential: no auth header, so it works in <img> tags and new tabs until it expires.
+ */
+router.get('/private/*key', async (req, res) => {
+  const key = req.params.key.join('/');
+  try {
+    const { expires, signature } = req.query;
+    if (!verifySignedFileUrl(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link is invalid or has expired',
+      });
+    }
+    const maxAge = Math.max(0, Number(expires) - Math.floor(Date.now() / 1000));
+    await sendFile(req, res, key, 'private', `private, max-age=${maxAge}`);
+  } catch (error) {
+    console.error(`[Files] Error serving private file ${key}:`, error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,98 +1,59 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
-const Notification = require('../models/Notification');
-const NotificationRead = require('../models/NotificationRead');
-const UserNotification = require('../models/UserNotification');
-const User = require('../models/User');
 const { authenticateUser } = require('../middleware/auth');
+const { unsubscribe, isPreferenceError } = require('../services/notificationPreferences');
+const {
+  getUnreadCount,
+  listNotifications,
+  isValidCursor,
+  markRead,
+  dismissNotification,
+} = require('../services/notificationService');
+const { decodeCursor } = require('../utils/geoUtils');
 
 router.use(express.json());
 
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
 /**
  * GET /api/notifications
- * List notifications for the current user (broadcast by role + per-user).
+ * List notifications for the current user (broadcast by role + per-user), newest first.
+ * Query params: limit (1-100, default 20), cursor (nextCursor from the previous page)
+ * Pinned announcements come in `pinned` with the first page (not counted in limit).
  * Only broadcast notifications created on or after the user's account creation are shown
  * (so new users do not see old admin notifications).
  */
 router.get('/', authenticateUser, async (req, res) => {
   try {
-    const userRole = req.user && req.user.role;
-    const userId = req.user && req.user.id;
-    if (!userRole) {
-      return res.status(403).json({
+    let limit = DEFAULT_PAGE_SIZE;
+    if (req.query.limit != null && req.query.limit !== '') {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: `limit must be between 1 and ${MAX_PAGE_SIZE}`,
+        });
+      }
+    }
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !isValidCursor(cursor)) {
+      return res.status(400).json({
         success: false,
-        message: 'User role not found',
+        message: 'Invalid cursor',
       });
     }
 
-    const userObjectId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : null;
-    const userDoc = userObjectId ? await User.findById(userObjectId).select('createdAt').lean() : null;
-    const userCreatedAt = userDoc && userDoc.createdAt ? userDoc.createdAt : new Date(0);
-
-    // Broadcast notifications (by role) – only those created on or after user's account creation
-    const notifications = await Notification.find({
-      status: 'active',
-      createdAt: { $gte: userCreatedAt },
-      $or: [
-        { targetRoles: 'All' },
-        { targetRoles: userRole },
-      ],
-    })
-      .sort({ createdAt: -1 })
-      .select('title message createdAt _id')
-      .lean();
-
-    const notificationIds = notifications.map((n) => n._id);
-    let readSet = new Set();
-    if (userObjectId && notificationIds.length > 0) {
-      const reads = await NotificationRead.find({
-        user: userObjectId,
-        notification: { $in: notificationIds },
-      })
-        .select('notification')
-        .lean();
-      reads.forEach((r) => readSet.add(r.notification.toString()));
-    }
-
-    const broadcastList = notifications.map((n) => {
-      const read = readSet.has(n._id.toString());
-      return {
-        id: n._id.toString(),
-        title: n.title,
-        message: n.message,
-        createdAt: n.createdAt,
-        read,
-      };
-    });
-
-    // Per-user notifications
-    let userList = [];
-    if (userObjectId) {
-      const userNotifications = await UserNotification.find({ user: userObjectId })
-        .sort({ createdAt: -1 })
-        .select('title message createdAt _id readAt')
-        .lean();
-      userList = userNotifications.map((n) => ({
-        id: n._id.toString(),
-        title: n.title,
-        message: n.message,
-        createdAt: n.createdAt,
-        read: !!n.readAt,
-      }));
-    }
-
-    // Merge and sort by createdAt desc
-    const list = [...broadcastList, ...userList].sort(
-      (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-    );
-    const unreadCount = list.filter((n) => !n.read).length;
+    const { pinned, notifications, nextCursor, unreadCount } = await listNotifications(req.user.id, { limit, cursor });
 
     res.status(200).json({
       success: true,
-      count: list.length,
+      count: notifications.length,
       unreadCount,
-      notifications: list,
+      pinned,
+      notifications,
+      nextCursor,
+      hasMore: !!nextCursor,
     });
   } catch (error) {
     console.error('[Notifications] Error fetching user notifications:', error);
@@ -108,54 +69,14 @@ router.get('/', authenticateUser, async (req, res) => {
  * GET /api/notifications/unread-count
  * Returns unread notification count for current user (lightweight for navbar).
  * Only counts broadcast notifications created on or after the user's account creation.
+ * New notifications also push the count on the new_notification socket event.
  */
 router.get('/unread-count', authenticateUser, async (req, res) => {
   try {
-    const userRole = req.user && req.user.role;
-    const userId = req.user && req.user.id;
-    if (!userRole) {
-      return res.status(403).json({
-        success: false,
-        message: 'User role not found',
-      });
-    }
-
-    const userObjectId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : null;
-    const userDoc = userObjectId ? await User.findById(userObjectId).select('createdAt').lean() : null;
-    const userCreatedAt = userDoc && userDoc.createdAt ? userDoc.createdAt : new Date(0);
-
-    const notifications = await Notification.find({
-      status: 'active',
-      createdAt: { $gte: userCreatedAt },
-      $or: [
-        { targetRoles: 'All' },
-        { targetRoles: userRole },
-      ],
-    })
-      .select('_id')
-      .lean();
-
-    const notificationIds = notifications.map((n) => n._id);
-    let broadcastReadCount = 0;
-    if (userObjectId && notificationIds.length > 0) {
-      broadcastReadCount = await NotificationRead.countDocuments({
-        user: userObjectId,
-        notification: { $in: notificationIds },
-      });
-    }
-    const broadcastUnread = Math.max(0, notificationIds.length - broadcastReadCount);
-
-    let userUnreadCount = 0;
-    if (userObjectId) {
-      userUnreadCount = await UserNotification.countDocuments({
-        user: userObjectId,
-        readAt: null,
-      });
-    }
-
+    const unreadCount = await getUnreadCount(req.user.id);
     res.status(200).json({
       success: true,
-      unreadCount: broadcastUnread + userUnreadCount,
+      unreadCount,
     });
   } catch (error) {
     console.error('[Notifications] Error fetching unread count:', error);
@@ -174,95 +95,109 @@ router.get('/unread-count', authenticateUser, async (req, res) => {
  */
 router.post('/mark-read', authenticateUser, async (req, res) => {
   try {
-    const userId = req.user && req.user.id;
-    const userRole = req.user && req.user.role;
-    if (!userId || !userRole) {
-      return res.status(403).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
-    const userObjectId = mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : null;
-    if (!userObjectId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid user',
-      });
-    }
+    const { all, notificationIds } = req.body || {};
+    const marked = await markRead(req.user.id, {
+      all: all === true,
+      notificationIds: Array.isArray(notificationIds) ? notificationIds : [],
+    });
 
-    const userDoc = await User.findById(userObjectId).select('createdAt').lean();
-    const userCreatedAt = userDoc && userDoc.createdAt ? userDoc.createdAt : new Date(0);
+    res.status(200).json({
+      success: true,
+      message: marked > 0 || all === true ? 'Marked as read' : 'Nothing to mark as read',
+      marked,
+    });
+  } catch (error) {
+    console.error('[Notifications] Error marking as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
 
-    const { all, notificationIds } = req.body || {};
-    let broadcastIdsToMark = [];
-    let userNotifIdsToMark = [];
-    let userNotifsMarkedCount = 0;
+/**
+ * POST /api/notifications/mark-all-read
+ * Mark every notification in the current user's inbox as read.
+ */
+router.post('/mark-all-read', authenticateUser, async (req, res) => {
+  try {
+    const marked = await markRead(req.user.id, { all: true });
+    res.status(200).json({
+      success: true,
+      message: 'Marked as read',
+      marked,
+    });
+  } catch (error) {
+    console.error('[Notifications] Error marking all as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
 
-    if (all === true) {
-      const notifications = await Notification.find({
-        status: 'active',
-        createdAt: { $gte: userCreatedAt },
-        $or: [
-          { targetRoles: 'All' },
-          { targetRoles: userRole },
-        ],
-      })
-        .select('_id')
-        .lean();
-      broadcastIdsToMark = notifications.map((n) => n._id);
-      const userResult = await UserNotification.updateMany(
-        { user: userObjectId, readAt: null },
-        { $set: { readAt: new Date() } }
-      );
-      userNotifsMarkedCount = userResult.modifiedCount;
-    } else if (Array.isArray(notificationIds) && notificationIds.length > 0) {
-      for (const id of notificationIds) {
-        if (!id || !mongoose.Types.ObjectId.isValid(id)) continue;
-        const objId = new mongoose.Types.ObjectId(id);
-        const userNotif = await UserNotification.findOneAndUpdate(
-          { _id: objId, user: userObjectId, readAt: null },
-          { $set: { readAt: new Date() } }
-        );
-        if (userNotif) {
-          userNotifIdsToMark.push(objId);
-        } else {
-          broadcastIdsToMark.push(objId);
-        }
-      }
+/**
+ * DELETE /api/notifications/:id
+ * Dismiss a notification: per-user notifications are deleted, broadcasts are hidden for this user.
+ */
+router.delete('/:id', authenticateUser, async (req, res) => {
+  try {
+    const dismissed = await dismissNotification(req.user.id, req.params.id);
+    if (!dismissed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
     }
 
-    let marked = userNotifsMarkedCount + userNotifIdsToMark.length;
-    if (broadcastIdsToMark.length > 0) {
-      const ops = broadcastIdsToMark.map((notificationId) => ({
-        updateOne: {
-          filter: { user: userObjectId, notification: notificationId },
-          update: { $setOnInsert: { user: userObjectId, notification: notificationId, readAt: new Date() } },
-          upsert: true,
-        },
-      }));
-      const result = await NotificationRead.bulkWrite(ops);
-      marked += result.upsertedCount + result.modifiedCount;
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Notification dismissed',
+    });
+  } catch (error) {
+    console.error('[Notifications] Error dismissing notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dismiss notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
 
-    if (all !== true && marked === 0 && userNotifIdsToMark.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'Nothing to mark as read',
-        marked: 0,
+/**
+ * POST /api/notifications/unsubscribe
+ * Body: { token } from the unsubscribe link in a notification email (no login needed).
+ * Turns off emails for that notification event only.
+ */
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsubscribe token is required',
       });
     }
 
+    const { event, label } = await unsubscribe(token);
     res.status(200).json({
       success: true,
-      message: 'Marked as read',
-      marked,
+      message: `You will no longer receive emails for: ${label}`,
+      event,
     });
   } catch (error) {
-    console.error('[Notifications] Error marking as read:', error);
+    if (isPreferenceError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error('[Notifications] Error unsubscribing:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to mark as read',
+      message: 'Failed to unsubscribe',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, authenticateAdmin, requireAdminPermission } = require('../middleware/auth');
+const { ADMIN_PERMISSIONS } = require('../utils/adminPermissions');
 const Review = require('../models/Review');
 const User = require('../models/User');
-const UserNotification = require('../models/UserNotification');
+const { createUserNotification } = require('../services/notificationService');
 const { getUserDisplayName } = require('../utils/emailService');
 const {
   sendReviewSubmittedEmail,
@@ -14,6 +15,8 @@ const {
 // Apply JSON body parser middleware for all routes
 router.use(express.json());
 
+const canModerateReviews = requireAdminPermission(ADMIN_PERMISSIONS.REVIEW_MODERATION);
+
 /**
  * POST /api/reviews/submit
  * Submit a review
@@ -133,18 +136,10 @@ router.get('/approved', async (req, res) => {
 /**
  * GET /api/reviews/pending
  * Get pending reviews for admin approval
- * Requires authentication (Admin role)
+ * Requires admin permission: review_moderation
  */
-router.get('/pending', authenticateUser, async (req, res) => {
+router.get('/pending', authenticateAdmin, canModerateReviews, async (req, res) => {
   try {
-    // Check if user is Admin
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins can view pending reviews',
-      });
-    }
-
     const reviews = await Review.find({ status: 'pending' })
       .populate('userId', 'email donorType receiverType')
       .sort({ createdAt: -1 })
@@ -197,21 +192,13 @@ router.get('/pending', authenticateUser, async (req, res) => {
 /**
  * POST /api/reviews/:id/approve
  * Approve a review
- * Requires authentication (Admin role)
+ * Requires admin permission: review_moderation
  */
-router.post('/:id/approve', authenticateUser, async (req, res) => {
+router.post('/:id/approve', authenticateAdmin, canModerateReviews, async (req, res) => {
   try {
     const { id } = req.params;
     const adminId = req.user.id;
 
-    // Check if user is Admin
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins can approve reviews',
-      });
-    }
-
     // Find the review with populated user
     const review = await Review.findById(id).populate('userId').lean();
     if (!review) {
@@ -229,19 +216,13 @@ router.post('/:id/approve', authenticateUser, async (req, res) => {
     }
 
     // Update review status
-    // Handle static admin ID (not a valid ObjectId)
     const updateData = {
       status: 'approved',
       approvedAt: Date.now(),
+      approvedBy: adminId,
       updatedAt: Date.now(),
     };
-    
-    // Only set approvedBy if it's a valid ObjectId (not static admin)
-    if (adminId && adminId !== 'admin_static_id' && adminId.match(/^[0-9a-fA-F]{24}$/)) {
-      updateData.approvedBy = adminId;
-    }
-    // For static admin, leave approvedBy as null/undefined
-    
+
     await Review.findByIdAndUpdate(id, updateData);
 
     console.log(`[Reviews] Review ${id} approved by admin ${adminId}`);
@@ -267,12 +248,10 @@ router.post('/:id/approve', authenticateUser, async (req, res) => {
     try {
       const reviewerId = review.userId && (review.userId._id || review.userId);
       if (reviewerId) {
-        const userNotification = new UserNotification({
-          user: reviewerId,
+        await createUserNotification(reviewerId, {
           title: 'Review approved',
           message: 'Your review has been approved and is now visible on FoodLoop.',
         });
-        await userNotification.save();
       }
     } catch (notifError) {
       console.error('[Reviews] Error creating user notification for review approval:', notifError);
@@ -295,22 +274,14 @@ router.post('/:id/approve', authenticateUser, async (req, res) => {
 /**
  * POST /api/reviews/:id/reject
  * Reject a review
- * Requires authentication (Admin role)
+ * Requires admin permission: review_moderation
  */
-router.post('/:id/reject', authenticateUser, async (req, res) => {
+router.post('/:id/reject', authenticateAdmin, canModerateReviews, async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
     const adminId = req.user.id;
 
-    // Check if user is Admin
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins can reject reviews',
-      });
-    }
-
     // Find the review with populated user
     const review = await Review.findById(id).populate('userId').lean();
     if (!review) {
@@ -329,21 +300,15 @@ router.post('/:id/reject', authenticateUser, async (req, res) => {
 
     const rejectionReason = reason || 'Review did not meet our guidelines';
 
-    // Update review status
-    // Handle static admin ID (not a valid ObjectId)
+    // Update review status (approvedBy records the moderating admin either way)
     const updateData = {
       status: 'rejected',
       rejectedAt: Date.now(),
       rejectionReason: rejectionReason,
+      approvedBy: adminId,
       updatedAt: Date.now(),
     };
-    
-    // Only set approvedBy if it's a valid ObjectId (not static admin)
-    if (adminId && adminId !== 'admin_static_id' && adminId.match(/^[0-9a-fA-F]{24}$/)) {
-      updateData.approvedBy = adminId;
-    }
-    // For static admin, leave approvedBy as null/undefined
-    
+
     await Review.findByIdAndUpdate(id, updateData);
 
     console.log(`[Reviews] Review ${id} rejected by admin ${adminId}`);
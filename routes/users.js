@@ -8,11 +8,32 @@ const Review = require('../models/Review');
 const ImpactReceipt = require('../models/ImpactReceipt');
 const ContactMessage = require('../models/ContactMessage');
 const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
 const { authenticateUser } = require('../middleware/auth');
 const socketService = require('../services/socketService');
+const { revokeAllSessions } = require('../services/sessionService');
+const {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  getPreferences,
+  updatePreferences,
+  isPreferenceError,
+} = require('../services/notificationPreferences');
+const {
+  SERVICE_AREA_ROLES,
+  MAX_SERVICE_RADIUS_KM,
+  parseServiceArea,
+  formatServiceArea,
+  setServiceArea,
+} = require('../services/serviceAreaService');
+const { DISTRICT_NAMES } = require('../utils/sriLankaDistricts');
+const { isWithinSriLanka, SRI_LANKA_BOUNDS } = require('../utils/geoUtils');
 const { sendProfileUpdatedEmail } = require('../utils/emailService');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../utils/languages');
+const { normalizeSriLankaPhone } = require('../utils/phone');
 const { handleAvatarUpload } = require('../middleware/upload');
-const { uploadFileToS3 } = require('../config/awsS3');
+const { withSignedDocumentUrls } = require('../services/storageService');
+const { storeImage, isImageError } = require('../services/imageService');
 
 // Authentication first (no body needed - uses Bearer token)
 router.use(authenticateUser);
@@ -31,12 +52,6 @@ router.patch('/me/avatar', handleAvatarUpload, async (req, res) => {
         message: 'No image file provided. Use field name "avatar" for the profile image.',
       });
     }
-    if (!file.mimetype.startsWith('image/')) {
-      return res.status(400).json({
-        success: false,
-        message: 'File must be an image (e.g. JPEG, PNG)',
-      });
-    }
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
@@ -44,10 +59,12 @@ router.patch('/me/avatar', handleAvatarUpload, async (req, res) => {
         message: 'User not found',
       });
     }
-    const imageUrl = await uploadFileToS3(file, 'profile-images');
-    user.profileImageUrl = imageUrl;
+    // Checked by content, EXIF-stripped and resized (services/imageService.js)
+    const variants = await storeImage(file, 'profile-images');
+    user.profileImageUrl = variants.original;
+    user.profileImageVariants = variants;
     await user.save();
-    const userResponse = user.toObject();
+    const userResponse = withSignedDocumentUrls(user.toObject());
     delete userResponse.password;
     res.status(200).json({
       success: true,
@@ -55,6 +72,9 @@ router.patch('/me/avatar', handleAvatarUpload, async (req, res) => {
       user: userResponse,
     });
   } catch (error) {
+    if (isImageError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('[Users] Error updating avatar:', error);
     res.status(500).json({
       success: false,
@@ -82,7 +102,7 @@ router.get('/me', async (req, res) => {
     }
     res.status(200).json({
       success: true,
-      user,
+      user: withSignedDocumentUrls(user),
     });
   } catch (error) {
     console.error('[Users] Error fetching current user:', error);
@@ -112,6 +132,7 @@ router.delete('/me', async (req, res) => {
 
     await UserNotification.deleteMany({ user: userId });
     await NotificationRead.deleteMany({ user: userId });
+    await NotificationPreference.deleteMany({ user: userId });
     await Review.deleteMany({ userId });
     await ImpactReceipt.deleteMany({ receiverId: userId });
 
@@ -139,6 +160,7 @@ router.delete('/me', async (req, res) => {
     await Notification.updateMany({ createdBy: userId }, { $set: { createdBy: null } });
 
     await User.findByIdAndDelete(userId);
+    await revokeAllSessions(userId, 'account_deleted');
 
     res.status(200).json({
       success: true,
@@ -199,14 +221,13 @@ router.patch('/me/location', async (req, res) => {
     }
 
     // Validate coordinates are within Sri Lanka bounds
-    // Sri Lanka is approximately: lat 5.9-9.8, lng 79.7-81.9
-    if (lat < 5 || lat > 10 || lng < 79 || lng > 82) {
+    if (!isWithinSriLanka(lat, lng)) {
       return res.status(400).json({
         success: false,
         message: 'Coordinates are outside Sri Lanka bounds',
         errors: [
-          { field: 'latitude', message: 'Latitude must be between 5 and 10' },
-          { field: 'longitude', message: 'Longitude must be between 79 and 82' },
+          { field: 'latitude', message: `Latitude must be between ${SRI_LANKA_BOUNDS.minLat} and ${SRI_LANKA_BOUNDS.maxLat}` },
+          { field: 'longitude', message: `Longitude must be between ${SRI_LANKA_BOUNDS.minLng} and ${SRI_LANKA_BOUNDS.maxLng}` },
         ],
       });
     }
@@ -232,7 +253,7 @@ router.patch('/me/location', async (req, res) => {
     console.log(`[Users] Driver location updated: ${req.user.id} -> [${lat}, ${lng}]`);
 
     // Prepare response (exclude password)
-    const userResponse = user.toObject();
+    const userResponse = withSignedDocumentUrls(user.toObject());
     delete userResponse.password;
 
     res.status(200).json({
@@ -254,6 +275,213 @@ router.patch('/me/location', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/users/me/language
+ * Set the language used for the current user's emails.
+ * Body: { language: "en" | "ta" | "si" }
+ */
+router.patch('/me/language', async (req, res) => {
+  try {
+    const { language } = req.body || {};
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { preferredLanguage: language } },
+      { new: true }
+    ).select('preferredLanguage');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Language updated',
+      preferredLanguage: user.preferredLanguage,
+    });
+  } catch (error) {
+    console.error('[Users] Error updating language:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update language',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/service-area
+ * Area the current receiver/driver gets new-donation alerts for (null = whole country),
+ * plus the districts that can be chosen.
+ */
+router.get('/me/service-area', async (req, res) => {
+  try {
+    if (!SERVICE_AREA_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only receivers and drivers have a service area',
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('serviceArea').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      serviceArea: formatServiceArea(user),
+      districts: DISTRICT_NAMES,
+      maxRadiusKm: MAX_SERVICE_RADIUS_KM,
+    });
+  } catch (error) {
+    console.error('[Users] Error fetching service area:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PUT /api/users/me/service-area
+ * Set the current receiver/driver's service area.
+ * Body: { mode: "radius", latitude, longitude, radiusKm } | { mode: "districts", districts: string[] }
+ */
+router.put('/me/service-area', async (req, res) => {
+  try {
+    if (!SERVICE_AREA_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only receivers and drivers have a service area',
+      });
+    }
+
+    const { errors, area } = parseServiceArea(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0].message,
+        errors,
+      });
+    }
+
+    const user = await setServiceArea(req.user.id, area);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Service area updated',
+      serviceArea: formatServiceArea(user),
+    });
+  } catch (error) {
+    console.error('[Users] Error updating service area:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/service-area
+ * Clear the service area so the user is alerted about donations anywhere in Sri Lanka.
+ */
+router.delete('/me/service-area', async (req, res) => {
+  try {
+    if (!SERVICE_AREA_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only receivers and drivers have a service area',
+      });
+    }
+
+    await setServiceArea(req.user.id, null);
+    res.status(200).json({
+      success: true,
+      message: 'Service area cleared',
+      serviceArea: null,
+    });
+  } catch (error) {
+    console.error('[Users] Error clearing service area:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear service area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/notification-preferences
+ * Email, in-app and live (socket) toggles per notification event, plus quiet hours.
+ */
+router.get('/me/notification-preferences', async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+    res.status(200).json({
+      success: true,
+      events: NOTIFICATION_EVENTS,
+      channels: NOTIFICATION_CHANNELS,
+      preferences,
+    });
+  } catch (error) {
+    console.error('[Users] Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * PATCH /api/users/me/notification-preferences
+ * Partial update. Body: { events?: { [event]: { email?, inApp?, socket? } },
+ *   quietHours?: { enabled?, start?: "HH:mm", end?: "HH:mm" } } (Sri Lanka time)
+ */
+router.patch('/me/notification-preferences', async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user.id, req.body || {});
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences,
+    });
+  } catch (error) {
+    if (isPreferenceError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error('[Users] Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 /**
  * PATCH /api/users/me
  * Update current user profile.
@@ -280,6 +508,19 @@ router.patch('/me', async (req, res) => {
       });
     }
 
+    // Contact numbers are stored in E.164 (+94...) so they can receive SMS
+    let contactNoE164 = null;
+    if (typeof req.body.contactNo === 'string' && req.body.contactNo.trim()) {
+      contactNoE164 = normalizeSriLankaPhone(req.body.contactNo);
+      if (!contactNoE164) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enter a valid Sri Lankan phone number, e.g. 077 123 4567',
+          errors: [{ field: 'contactNo', message: 'Enter a valid Sri Lankan phone number, e.g. 077 123 4567' }],
+        });
+      }
+    }
+
     let changedFields = [];
 
     if (role === 'Driver') {
@@ -290,15 +531,12 @@ router.patch('/me', async (req, res) => {
       const prevVehicleNumber = user.vehicleNumber;
       const prevVehicleType = user.vehicleType;
 
-      const { driverName, contactNo, address, email, vehicleNumber, vehicleType } = req.body;
+      const { driverName, address, email, vehicleNumber, vehicleType } = req.body;
 
       if (driverName !== undefined) {
         user.driverName = typeof driverName === 'string' ? driverName.trim() || null : user.driverName;
       }
-      if (contactNo !== undefined) {
-        const val = typeof contactNo === 'string' ? contactNo.trim() : '';
-        if (val) user.contactNo = val;
-      }
+      if (contactNoE164) user.contactNo = contactNoE164;
       if (address !== undefined) {
         const val = typeof address === 'string' ? address.trim() : '';
         if (val) user.address = val;
@@ -342,7 +580,7 @@ router.patch('/me', async (req, res) => {
       const prevEmail = user.email;
       const prevUsername = user.username;
 
-      const { businessName, businessType, email, contactNo, address, username } = req.body;
+      const { businessName, businessType, email, address, username } = req.body;
 
       if (businessName !== undefined) {
         user.businessName = typeof businessName === 'string' ? businessName.trim() || null : user.businessName;
@@ -351,10 +589,7 @@ router.patch('/me', async (req, res) => {
         const allowed = ['Restaurant', 'Supermarket', 'Wedding Hall'];
         user.businessType = allowed.includes(businessType) ? businessType : user.businessType;
       }
-      if (contactNo !== undefined) {
-        const val = typeof contactNo === 'string' ? contactNo.trim() : '';
-        if (val) user.contactNo = val;
-      }
+      if (contactNoE164) user.contactNo = contactNoE164;
       if (address !== undefined) {
         const val = typeof address === 'string' ? address.trim() : '';
         if (val) user.address = val;
@@ -406,7 +641,7 @@ router.patch('/me', async (req, res) => {
       const prevEmail = user.email;
       const prevAboutUs = user.aboutUs;
 
-      const { receiverName, receiverType, email, contactNo, address, aboutUs } = req.body;
+      const { receiverName, receiverType, email, address, aboutUs } = req.body;
 
       if (receiverName !== undefined) {
         user.receiverName = typeof receiverName === 'string' ? receiverName.trim() || null : user.receiverName;
@@ -415,10 +650,7 @@ router.patch('/me', async (req, res) => {
         const allowed = ['NGO', 'Food Banks', 'Service Organization'];
         user.receiverType = allowed.includes(receiverType) ? receiverType : user.receiverType;
       }
-      if (contactNo !== undefined) {
-        const val = typeof contactNo === 'string' ? contactNo.trim() : '';
-        if (val) user.contactNo = val;
-      }
+      if (contactNoE164) user.contactNo = contactNoE164;
       if (address !== undefined) {
         const val = typeof address === 'string' ? address.trim() : '';
         if (val) user.address = val;
@@ -458,7 +690,7 @@ router.patch('/me', async (req, res) => {
       });
     }
 
-    const userResponse = user.toObject();
+    const userResponse = withSignedDocumentUrls(user.toObject());
     delete userResponse.password;
 
     res.status(200).json({
@@ -0,0 +1,46 @@
+/**
+ * Backfill broadcast scheduling fields
+ * Broadcasts created before scheduling existed went live when they were created:
+ * sets publishAt / publishedAt to createdAt and fills in the severity and pin defaults,
+ * then syncs the indexes.
+ * Run: node backend/scripts/backfillBroadcastSchedule.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+async function backfillBroadcastSchedule() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    await Notification.syncIndexes();
+    console.log('✅ Indexes synced');
+
+    const published = await Notification.collection.updateMany(
+      { publishedAt: { $exists: false } },
+      [{ $set: { publishAt: '$createdAt', publishedAt: '$createdAt' } }]
+    );
+    console.log(`✅ Set publish dates on ${published.modifiedCount} broadcast(s)`);
+
+    const defaults = await Notification.collection.updateMany(
+      { severity: { $exists: false } },
+      { $set: { severity: 'info', pinned: false, expiresAt: null } }
+    );
+    console.log(`✅ Set severity defaults on ${defaults.modifiedCount} broadcast(s)`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Backfill completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling broadcast schedule:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run backfill
+backfillBroadcastSchedule();
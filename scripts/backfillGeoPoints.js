@@ -0,0 +1,94 @@
+/**
+ * Backfill GeoJSON points for the 2dsphere indexes
+ * Sets Donation.donorLocation / receiverLocation and User.driverLocation from the
+ * existing lat/lng fields, geocoding donor addresses that never got coordinates,
+ * then syncs the indexes.
+ * Run: node backend/scripts/backfillGeoPoints.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const { geocodeAddress } = require('../services/geocodingService');
+const { toGeoPoint, isWithinSriLanka } = require('../utils/geoUtils');
+
+async function backfillGeoPoints() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    await Donation.syncIndexes();
+    await User.syncIndexes();
+    console.log('✅ Indexes synced');
+
+    // Donations: geocode missing donor coordinates, then write both points
+    let donationCount = 0;
+    let geocodedCount = 0;
+    const donations = Donation.find({
+      $or: [
+        { donorLocation: { $exists: false } },
+        { receiverLatitude: { $ne: null }, receiverLocation: { $exists: false } },
+      ],
+    }).cursor();
+
+    for await (const donation of donations) {
+      let lat = donation.donorLatitude;
+      let lng = donation.donorLongitude;
+      if (!isWithinSriLanka(lat, lng) && donation.donorAddress) {
+        const coords = await geocodeAddress(donation.donorAddress);
+        if (coords && isWithinSriLanka(coords.lat, coords.lng)) {
+          lat = coords.lat;
+          lng = coords.lng;
+          geocodedCount++;
+        }
+      }
+
+      const update = {
+        donorLatitude: lat ?? null,
+        donorLongitude: lng ?? null,
+      };
+      const unset = {};
+      const donorPoint = toGeoPoint(lat, lng);
+      const receiverPoint = toGeoPoint(donation.receiverLatitude, donation.receiverLongitude);
+      if (donorPoint) update.donorLocation = donorPoint; else unset.donorLocation = '';
+      if (receiverPoint) update.receiverLocation = receiverPoint; else unset.receiverLocation = '';
+
+      await Donation.collection.updateOne(
+        { _id: donation._id },
+        Object.keys(unset).length > 0 ? { $set: update, $unset: unset } : { $set: update }
+      );
+      donationCount++;
+    }
+    console.log(`✅ Updated ${donationCount} donation(s) (${geocodedCount} geocoded)`);
+
+    // Drivers: copy the last known location
+    let driverCount = 0;
+    const drivers = User.find({
+      role: 'Driver',
+      driverLatitude: { $ne: null },
+      driverLocation: { $exists: false },
+    }).cursor();
+
+    for await (const driver of drivers) {
+      const point = toGeoPoint(driver.driverLatitude, driver.driverLongitude);
+      if (!point) continue;
+      await User.collection.updateOne({ _id: driver._id }, { $set: { driverLocation: point } });
+      driverCount++;
+    }
+    console.log(`✅ Updated ${driverCount} driver location(s)`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Backfill completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling geo points:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run backfill
+backfillGeoPoints();
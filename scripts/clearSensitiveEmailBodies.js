@@ -0,0 +1,39 @@
+/**
+ * Remove stored bodies of emails that carried one-time secrets
+ * Password reset, unlock-link and signup OTP emails logged before the outbox started dropping
+ * their bodies still hold live links and codes. This empties them (and their template variables)
+ * for every message that is no longer waiting to be sent.
+ * Run: node backend/scripts/clearSensitiveEmailBodies.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/EmailMessage');
+const { listEmailTemplates, isSensitiveTemplate } = require('../utils/emailTemplates');
+
+async function clearSensitiveEmailBodies() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const templates = listEmailTemplates().filter(isSensitiveTemplate);
+    const result = await EmailMessage.collection.updateMany(
+      { template: { $in: templates }, status: { $in: ['sent', 'failed'] } },
+      { $set: { html: '', text: null, data: null } }
+    );
+    console.log(`✅ Cleared ${result.modifiedCount} email body(ies) (${templates.join(', ')})`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Cleanup completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error clearing sensitive email bodies:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run cleanup
+clearSensitiveEmailBodies();
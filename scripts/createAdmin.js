@@ -0,0 +1,96 @@
+/**
+ * Bootstrap an admin account
+ * Creates (or updates) a User with role 'Admin'. New admins get every permission
+ * unless --permissions is given. The password comes from ADMIN_PASSWORD; if unset,
+ * a random one is generated and printed once.
+ * Run: node backend/scripts/createAdmin.js <email> [--permissions=user_approval,analytics]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ALL_ADMIN_PERMISSIONS, parseAdminPermissions } = require('../utils/adminPermissions');
+
+async function createAdmin() {
+  const args = process.argv.slice(2);
+  const email = args.find(a => !a.startsWith('--'))?.toLowerCase().trim();
+  const permissionsArg = args.find(a => a.startsWith('--permissions='));
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    console.error('Usage: node backend/scripts/createAdmin.js <email> [--permissions=a,b,c]');
+    console.error(`Permissions: ${ALL_ADMIN_PERMISSIONS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let permissions = null;
+  if (permissionsArg) {
+    const parsed = parseAdminPermissions(permissionsArg.slice('--permissions='.length));
+    if (parsed.invalid.length > 0) {
+      console.error(`❌ Unknown permission(s): ${parsed.invalid.join(', ')}`);
+      console.error(`   Valid: ${ALL_ADMIN_PERMISSIONS.join(', ')}`);
+      process.exit(1);
+    }
+    permissions = parsed.permissions;
+  }
+
+  const passwordFromEnv = process.env.ADMIN_PASSWORD;
+  if (passwordFromEnv && passwordFromEnv.length < 6) {
+    console.error('❌ ADMIN_PASSWORD must be at least 6 characters');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    let admin = await User.findOne({ email });
+    let generatedPassword = null;
+
+    if (admin && admin.role !== 'Admin') {
+      console.error(`❌ ${email} is already registered as a ${admin.role}. Use a different email.`);
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
+    if (admin) {
+      // Existing admin: update what was asked for and make sure it can log in
+      if (permissions) admin.adminPermissions = permissions;
+      if (passwordFromEnv) admin.password = passwordFromEnv;
+      admin.status = 'completed';
+      await admin.save();
+      console.log(`✅ Updated admin ${email}`);
+    } else {
+      generatedPassword = passwordFromEnv ? null : crypto.randomBytes(12).toString('base64url');
+      admin = new User({
+        email,
+        password: passwordFromEnv || generatedPassword,
+        role: 'Admin',
+        status: 'completed',
+        contactNo: 'N/A',
+        address: 'N/A',
+        adminPermissions: permissions || ALL_ADMIN_PERMISSIONS,
+      });
+      await admin.save();
+      console.log(`✅ Created admin ${email}`);
+    }
+
+    console.log(`   Permissions: ${(admin.adminPermissions || []).join(', ') || '(none)'}`);
+    if (generatedPassword) {
+      console.log(`   Password: ${generatedPassword}`);
+      console.log('   ⚠️  Store it now and change it after the first login; it is not shown again.');
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating admin:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run bootstrap
+createAdmin();
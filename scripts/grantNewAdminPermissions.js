@@ -0,0 +1,51 @@
+/**
+ * Give existing full admins the permissions added after they were created
+ * Admins get their permission list when they are created, so accounts made before system_jobs
+ * and email_log existed cannot open the background jobs or the email log. Admins holding every
+ * earlier permission get the new ones; admins with a limited set are left as they are (an admin
+ * with manage_admins can grant them via PATCH /api/admin/admins/:id/permissions).
+ * Run: node backend/scripts/grantNewAdminPermissions.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ADMIN_PERMISSIONS, ALL_ADMIN_PERMISSIONS } = require('../utils/adminPermissions');
+
+const NEW_PERMISSIONS = [ADMIN_PERMISSIONS.SYSTEM_JOBS, ADMIN_PERMISSIONS.EMAIL_LOG];
+const EARLIER_PERMISSIONS = ALL_ADMIN_PERMISSIONS.filter(p => !NEW_PERMISSIONS.includes(p));
+
+async function grantNewAdminPermissions() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { role: 'Admin', adminPermissions: { $all: EARLIER_PERMISSIONS } },
+      { $addToSet: { adminPermissions: { $each: NEW_PERMISSIONS } } }
+    );
+    console.log(`✅ Granted ${NEW_PERMISSIONS.join(', ')} to ${result.modifiedCount} admin(s)`);
+
+    const limited = await User.find({
+      role: 'Admin',
+      adminPermissions: { $not: { $all: ALL_ADMIN_PERMISSIONS } },
+    }).select('email adminPermissions').lean();
+    if (limited.length > 0) {
+      console.log(`⚠️  ${limited.length} admin(s) with limited permissions were not changed:`);
+      limited.forEach(admin => console.log(`   - ${admin.email}: ${(admin.adminPermissions || []).join(', ') || '(none)'}`));
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Permission migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error granting admin permissions:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run migration
+grantNewAdminPermissions();
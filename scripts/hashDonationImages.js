@@ -0,0 +1,68 @@
+/**
+ * Hash the photos of recent donations created before photos were hashed
+ * The duplicate photo check (services/duplicateImageService.js) compares a new donation with
+ * donations from the last DUPLICATE_IMAGE_DAYS that have a perceptual hash; this fills in the
+ * hashes for those donations (and their uploads) so the check covers them from day one.
+ * Images that cannot be downloaded or read are left as they are and listed.
+ * Run: node backend/scripts/hashDonationImages.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const ImageUpload = require('../models/ImageUpload');
+const { hashImage } = require('../services/imageService');
+const { DUPLICATE_IMAGE_DAYS } = require('../config/env');
+
+async function hashDonationImages() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const urls = await Donation.distinct('imageUrl', {
+      imageUrl: /^https?:\/\//,
+      imagePerceptualHash: null, // null or missing
+      createdAt: { $gte: new Date(Date.now() - DUPLICATE_IMAGE_DAYS * 24 * 60 * 60 * 1000) },
+    });
+
+    let hashed = 0;
+    const failed = [];
+    for (const url of urls) {
+      try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(30 * 1000) });
+        if (!response.ok) throw new Error(`download failed with ${response.status}`);
+        const { contentHash, perceptualHash } = await hashImage(Buffer.from(await response.arrayBuffer()));
+        await Donation.collection.updateMany(
+          { imageUrl: url },
+          { $set: { imageContentHash: contentHash, imagePerceptualHash: perceptualHash } }
+        );
+        await ImageUpload.collection.updateMany(
+          { imageUrl: url, perceptualHash: null },
+          { $set: { contentHash, perceptualHash } }
+        );
+        hashed++;
+      } catch (error) {
+        failed.push(`${url}: ${error.message}`);
+      }
+    }
+    console.log(`✅ Hashed ${hashed} donation photo(s) from the last ${DUPLICATE_IMAGE_DAYS} days`);
+
+    if (failed.length > 0) {
+      console.log(`⚠️  ${failed.length} image(s) could not be hashed:`);
+      failed.forEach(line => console.log(`   - ${line}`));
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Image hashing completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error hashing donation images:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run backfill
+hashDonationImages();
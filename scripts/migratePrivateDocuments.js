@@ -0,0 +1,105 @@
+/**
+ * Move identity documents and handover photos to private storage
+ * They used to be uploaded as public S3 URLs. This copies each one into private storage,
+ * stores the new key in its place and, when the old copy is in our S3 bucket, deletes it so
+ * the public URL stops working. Files that cannot be downloaded are left as they are and listed.
+ * Run: node backend/scripts/migratePrivateDocuments.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Donation = require('../models/Donation');
+const { STORAGE_DRIVER } = require('../config/storage');
+const { getStorageDriver } = require('../services/storageDrivers');
+const { DOCUMENT_FIELDS, uploadPrivateFile } = require('../services/storageService');
+
+const URL_PATTERN = /^https?:\/\//;
+const HANDOVER_FIELDS = ['pickupProof.photoUrl', 'deliveryProof.photoUrl'];
+const FOLDERS = {
+  businessRegFileUrl: 'business-registration',
+  addressProofFileUrl: 'address-proof',
+  nicFileUrl: 'nic',
+  licenseFileUrl: 'license',
+  'pickupProof.photoUrl': 'handover-photos',
+  'deliveryProof.photoUrl': 'handover-photos',
+};
+
+// Public URLs of the S3 bucket start with this (empty key)
+const s3Prefix = STORAGE_DRIVER === 's3' ? getStorageDriver('s3').publicUrl('') : null;
+
+/**
+ * Copy one public file into private storage
+ * @returns {Promise<string>} The new storage key
+ */
+const moveToPrivate = async (url, folder) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(30 * 1000) });
+  if (!response.ok) throw new Error(`download failed with ${response.status}`);
+  const key = await uploadPrivateFile({
+    buffer: Buffer.from(await response.arrayBuffer()),
+    mimetype: response.headers.get('content-type') || 'application/octet-stream',
+    originalname: new URL(url).pathname.split('/').pop(),
+  }, folder);
+
+  if (s3Prefix && url.startsWith(s3Prefix)) {
+    await getStorageDriver('s3').remove(decodeURIComponent(url.slice(s3Prefix.length)), 'public');
+  }
+  return key;
+};
+
+/**
+ * Migrate every URL-valued field on the matching documents of one model
+ * @returns {Promise<{ moved: number, failed: string[] }>}
+ */
+const migrateModel = async (Model, fields, label) => {
+  let moved = 0;
+  const failed = [];
+  const filter = { $or: fields.map((field) => ({ [field]: URL_PATTERN })) };
+  const docs = Model.find(filter).select(fields.join(' ')).lean().cursor();
+
+  for await (const doc of docs) {
+    for (const field of fields) {
+      const url = field.split('.').reduce((value, part) => value?.[part], doc);
+      if (typeof url !== 'string' || !URL_PATTERN.test(url)) continue;
+      try {
+        const key = await moveToPrivate(url, FOLDERS[field]);
+        await Model.collection.updateOne({ _id: doc._id }, { $set: { [field]: key } });
+        moved++;
+      } catch (error) {
+        failed.push(`${label} ${doc._id} ${field}: ${error.message}`);
+      }
+    }
+  }
+  return { moved, failed };
+};
+
+async function migratePrivateDocuments() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const users = await migrateModel(User, DOCUMENT_FIELDS, 'User');
+    console.log(`✅ Moved ${users.moved} identity document(s) to private storage`);
+    const donations = await migrateModel(Donation, HANDOVER_FIELDS, 'Donation');
+    console.log(`✅ Moved ${donations.moved} handover photo(s) to private storage`);
+
+    const failed = [...users.failed, ...donations.failed];
+    if (failed.length > 0) {
+      console.log(`⚠️  ${failed.length} file(s) could not be moved:`);
+      failed.forEach(line => console.log(`   - ${line}`));
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating private documents:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migratePrivateDocuments();
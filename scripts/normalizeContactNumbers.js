@@ -0,0 +1,51 @@
+/**
+ * Normalise stored contact numbers to E.164
+ * Signup and profile updates now store +94XXXXXXXXX; this rewrites numbers saved before
+ * that so they can receive SMS. Numbers that are not Sri Lankan (or 'N/A' on admin accounts)
+ * are left as they are and listed.
+ * Run: node backend/scripts/normalizeContactNumbers.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { normalizeSriLankaPhone } = require('../utils/phone');
+
+async function normalizeContactNumbers() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    let updatedCount = 0;
+    const skipped = [];
+    const users = User.find({ contactNo: { $not: /^\+94\d{9}$/ } }).select('email role contactNo').cursor();
+
+    for await (const user of users) {
+      const contactNo = normalizeSriLankaPhone(user.contactNo);
+      if (!contactNo) {
+        if (user.role !== 'Admin') skipped.push(`${user.email}: ${user.contactNo}`);
+        continue;
+      }
+      await User.collection.updateOne({ _id: user._id }, { $set: { contactNo } });
+      updatedCount++;
+    }
+    console.log(`✅ Normalised ${updatedCount} contact number(s)`);
+    if (skipped.length > 0) {
+      console.log(`⚠️  ${skipped.length} number(s) could not be read as Sri Lankan numbers:`);
+      skipped.forEach(line => console.log(`   - ${line}`));
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Backfill completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error normalising contact numbers:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run backfill
+normalizeContactNumbers();
@@ -0,0 +1,96 @@
+/**
+ * Run donation photos and avatars uploaded before the image pipeline through it
+ * Each image is downloaded, EXIF-stripped and stored as thumbnail/medium/original
+ * (services/imageService.js); records then point at the new original and carry the variant URLs.
+ * Once the records point at the new image, the old upload is deleted when it is in our storage,
+ * so its location metadata is gone too.
+ * Images that cannot be downloaded or read are left as they are and listed.
+ * Run: node backend/scripts/processStoredImages.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const { STORAGE_DRIVER } = require('../config/storage');
+const { getStorageDriver } = require('../services/storageDrivers');
+const { storeImage } = require('../services/imageService');
+
+const driver = getStorageDriver(STORAGE_DRIVER);
+const ourPrefix = driver.publicUrl('');
+
+/**
+ * Process one stored image
+ * @returns {Promise<{ thumbnail: string, medium: string, original: string }>}
+ */
+const reprocess = async (url, folder) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(30 * 1000) });
+  if (!response.ok) throw new Error(`download failed with ${response.status}`);
+  return storeImage({ buffer: Buffer.from(await response.arrayBuffer()) }, folder);
+};
+
+/**
+ * Reprocess every distinct image URL on one model (split donations share their parent's photo)
+ * @returns {Promise<{ processed: number, failed: string[] }>}
+ */
+const processModel = async (Model, urlField, variantsField, folder) => {
+  let processed = 0;
+  const failed = [];
+  const urls = await Model.distinct(urlField, {
+    [urlField]: /^https?:\/\//,
+    [`${variantsField}.original`]: null, // null or missing
+  });
+
+  for (const url of urls) {
+    try {
+      const variants = await reprocess(url, folder);
+      await Model.collection.updateMany(
+        { [urlField]: url },
+        { $set: { [urlField]: variants.original, [variantsField]: variants } }
+      );
+      processed++;
+    } catch (error) {
+      failed.push(`${url}: ${error.message}`);
+      continue;
+    }
+
+    // Delete the old upload only once no record points at it
+    if (url.startsWith(ourPrefix)) {
+      await driver.remove(decodeURIComponent(url.slice(ourPrefix.length)), 'public').catch(error => {
+        failed.push(`${url}: processed, but the old upload could not be deleted (${error.message})`);
+      });
+    }
+  }
+  return { processed, failed };
+};
+
+async function processStoredImages() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/foodloop';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const donations = await processModel(Donation, 'imageUrl', 'imageVariants', 'donation-images');
+    console.log(`✅ Processed ${donations.processed} donation photo(s)`);
+    const avatars = await processModel(User, 'profileImageUrl', 'profileImageVariants', 'profile-images');
+    console.log(`✅ Processed ${avatars.processed} avatar(s)`);
+
+    const failed = [...donations.failed, ...avatars.failed];
+    if (failed.length > 0) {
+      console.log(`⚠️  ${failed.length} image(s) could not be processed:`);
+      failed.forEach(line => console.log(`   - ${line}`));
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Image processing completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error processing stored images:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run backfill
+processStoredImages();
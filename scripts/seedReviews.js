@@ -6,6 +6,7 @@
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 const mongoose = require('mongoose');
 const Review = require('../models/Review');
+const User = require('../models/User');
 
 // Dummy reviews data (30 reviews: mix of Donor, Receiver, Driver)
 const dummyReviews = [
@@ -56,6 +57,14 @@ async function seedReviews() {
       return;
     }
 
+    // Seeded reviews are recorded as approved by a real admin account
+    const admin = await User.findOne({ role: 'Admin' }).sort({ createdAt: 1 }).select('_id').lean();
+    if (!admin) {
+      console.log('⚠️  No admin account found. Create one first: node backend/scripts/createAdmin.js <email>');
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
     // Create reviews
     const total = dummyReviews.length;
     const reviewsToCreate = dummyReviews.map((review, index) => ({
@@ -64,7 +73,7 @@ async function seedReviews() {
       userName: review.name,
       reviewText: review.text,
       status: 'approved',
-      approvedBy: new mongoose.Types.ObjectId(), // Dummy admin ID
+      approvedBy: admin._id,
       approvedAt: new Date(Date.now() - (total - index) * 24 * 60 * 60 * 1000), // Stagger dates
       createdAt: new Date(Date.now() - (total - index) * 24 * 60 * 60 * 1000),
       updatedAt: new Date(Date.now() - (total - index) * 24 * 60 * 60 * 1000),
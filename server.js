@@ -6,11 +6,12 @@ const express = require('express');
 const { Server: SocketIOServer } = require('socket.io');
 const cors = require('cors');
 const multer = require('multer');
-const cron = require('node-cron');
 const { PORT, NODE_ENV } = require('./config/env');
 const connectDB = require('./config/database');
 const { verifyToken } = require('./utils/jwt');
+const { getActiveSession } = require('./services/sessionService');
 const Donation = require('./models/Donation');
+const DeliveryBatch = require('./models/DeliveryBatch');
 const socketService = require('./services/socketService');
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
@@ -23,10 +24,17 @@ const notificationRoutes = require('./routes/notifications');
 const chatRoutes = require('./routes/chat');
 const mapRoutes = require('./routes/map');
 const publicRoutes = require('./routes/public');
+const fileRoutes = require('./routes/files');
 const {
-  checkAndDeleteExpiredDonations,
+  archiveExpiredDonations,
   sendExpiryWarningEmails,
 } = require('./services/expiredDonationService');
+const { isDispatchEnabled, expireStaleOffers } = require('./services/dispatchService');
+const jobScheduler = require('./services/jobScheduler');
+const { processOutbox } = require('./services/emailOutbox');
+const { processScheduledBroadcasts } = require('./services/notificationService');
+const { sweepHoldingWindows } = require('./services/foodSafetyService');
+const { cleanupOrphanedUploads } = require('./services/imageUploadService');
 
 const app = express();
 
@@ -77,6 +85,9 @@ app.use('/api/map', mapRoutes);
 // Public stats (landing page; no auth)
 app.use('/api/public', publicRoutes);
 
+// Stored files: public uploads on the local driver and signed links to private files
+app.use('/api/files', fileRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
@@ -97,32 +108,70 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Set up scheduled jobs for expired donation handling
-// Run deletion check every 30 minutes
-cron.schedule('*/30 * * * *', async () => {
-  console.log('[Scheduler] Running expired donation deletion check...');
-  try {
-    const result = await checkAndDeleteExpiredDonations();
-    console.log(`[Scheduler] Deletion check completed: ${result.deleted} deleted, ${result.errors} errors`);
-  } catch (error) {
-    console.error('[Scheduler] Error in expired donation deletion check:', error);
-  }
+// Scheduled jobs: every instance registers them, the scheduler makes sure each tick runs once
+jobScheduler.registerJob({
+  name: 'archive-expired-donations',
+  description: 'Archive expired donations every 30 minutes',
+  schedule: '*/30 * * * *',
+  handler: archiveExpiredDonations,
 });
 
-// Run expiry warning check every hour (at minute 0)
-cron.schedule('0 * * * *', async () => {
-  console.log('[Scheduler] Running expiry warning email check...');
-  try {
-    const result = await sendExpiryWarningEmails();
-    console.log(`[Scheduler] Warning email check completed: ${result.sent} sent, ${result.errors} errors`);
-  } catch (error) {
-    console.error('[Scheduler] Error in expiry warning email check:', error);
-  }
+jobScheduler.registerJob({
+  name: 'expiry-warning-emails',
+  description: 'Warn donors about donations expiring in 1-2 hours, every hour',
+  schedule: '0 * * * *',
+  handler: sendExpiryWarningEmails,
+});
+
+jobScheduler.registerJob({
+  name: 'email-outbox',
+  description: 'Deliver queued emails and retry failed ones every minute',
+  schedule: '* * * * *',
+  handler: processOutbox,
+  maxAttempts: 1, // messages carry their own retry schedule
+  leaseMs: 5 * 60 * 1000,
+});
+
+jobScheduler.registerJob({
+  name: 'orphaned-upload-cleanup',
+  description: 'Delete donation photos never attached to a donation, every hour',
+  schedule: '15 * * * *',
+  handler: cleanupOrphanedUploads,
 });
 
-console.log('✅ Scheduled jobs initialized:');
-console.log('   - Expired donation deletion: Every 30 minutes');
-console.log('   - Expiry warning emails: Every hour');
+jobScheduler.registerJob({
+  name: 'food-safety-sweep',
+  description: 'Alert on hot/cold food in transit past its safe holding window every 5 minutes',
+  schedule: '*/5 * * * *',
+  handler: sweepHoldingWindows,
+  maxAttempts: 1, // the next tick is the retry
+  leaseMs: 4 * 60 * 1000,
+});
+
+jobScheduler.registerJob({
+  name: 'broadcast-schedule',
+  description: 'Publish scheduled admin broadcasts and retire expired ones every minute',
+  schedule: '* * * * *',
+  handler: processScheduledBroadcasts,
+  maxAttempts: 1, // the next tick is the retry
+  leaseMs: 50 * 1000,
+});
+
+// Expire auto-dispatch offers whose accept window passed (timers are lost on restart)
+if (isDispatchEnabled()) {
+  jobScheduler.registerJob({
+    name: 'dispatch-offer-sweep',
+    description: 'Expire stale auto-dispatch offers every minute',
+    schedule: '* * * * *',
+    handler: expireStaleOffers,
+    maxAttempts: 1, // the next tick is the retry
+    leaseMs: 50 * 1000,
+  });
+}
+
+jobScheduler.start().catch(error => {
+  console.error('[JobScheduler] Failed to start:', error);
+});
 
 // HTTP server for Express + Socket.IO
 const server = http.createServer(app);
@@ -135,19 +184,33 @@ const io = new SocketIOServer(server, {
   },
 });
 
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const token = socket.handshake.auth?.token;
   if (!token) {
     return next(new Error('No token'));
   }
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (err) {
+    return next(new Error('Invalid or expired token'));
+  }
   try {
-    const decoded = verifyToken(token);
-    socket.userId = decoded.id?.toString();
-    socket.role = decoded.role;
-    next();
+    // Logged-out / revoked sessions may not open new sockets
+    if (!(await getActiveSession(decoded))) {
+      return next(new Error('Session revoked'));
+    }
   } catch (err) {
-    next(new Error('Invalid or expired token'));
+    console.error('[Socket] Session check error:', err);
+    return next(new Error('Authentication failed'));
   }
+  socket.userId = decoded.id?.toString();
+  socket.role = decoded.role;
+  // Also on socket.data so fetchSockets() can see who is online (and which session to disconnect)
+  socket.data.userId = socket.userId;
+  socket.data.role = socket.role;
+  socket.data.sessionId = decoded.sid;
+  next();
 });
 
 io.on('connection', (socket) => {
@@ -166,7 +229,7 @@ io.on('connection', (socket) => {
       return;
     }
     try {
-      const donation = await Donation.findById(donationId).select('donorId assignedReceiverId').lean();
+      const donation = await Donation.findById(donationId).select('donorId assignedReceiverId assignedDriverId').lean();
       if (!donation) {
         callback?.({ success: false, message: 'Donation not found' });
         return;
@@ -174,7 +237,8 @@ io.on('connection', (socket) => {
       const userId = socket.userId;
       const isDonor = donation.donorId?.toString() === userId;
       const isReceiver = donation.assignedReceiverId?.toString() === userId;
-      if (!isDonor && !isReceiver) {
+      const isDriver = donation.assignedDriverId?.toString() === userId;
+      if (!isDonor && !isReceiver && !isDriver) {
         callback?.({ success: false, message: 'Not authorized to track this donation' });
         return;
       }
@@ -191,6 +255,37 @@ io.on('connection', (socket) => {
       socket.leave(`donation:${donationId}`);
     }
   });
+
+  // Follow a whole multi-stop batch (its driver only: the stops hold every donor's and
+  // receiver's address; donors and receivers follow their own donation with join_donation)
+  socket.on('join_batch', async (batchId, callback) => {
+    if (!batchId || typeof batchId !== 'string') {
+      callback?.({ success: false, message: 'Invalid batch ID' });
+      return;
+    }
+    try {
+      const batch = await DeliveryBatch.findById(batchId).select('driverId').lean();
+      if (!batch) {
+        callback?.({ success: false, message: 'Batch not found' });
+        return;
+      }
+      if (batch.driverId?.toString() !== socket.userId) {
+        callback?.({ success: false, message: 'Not authorized to track this batch' });
+        return;
+      }
+      socket.join(`batch:${batchId}`);
+      callback?.({ success: true });
+    } catch (err) {
+      console.error('[Socket] join_batch error:', err);
+      callback?.({ success: false, message: 'Server error' });
+    }
+  });
+
+  socket.on('leave_batch', (batchId) => {
+    if (batchId && typeof batchId === 'string') {
+      socket.leave(`batch:${batchId}`);
+    }
+  });
 });
 
 socketService.setIO(io);
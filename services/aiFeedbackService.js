@@ -0,0 +1,240 @@
+/**
+ * Donor corrections to AI predictions
+ * When a donor analyses a photo, the prediction is kept on its upload (real predictions only,
+ * not the mock data returned while the AI service is down). The donation created with that photo
+ * stores the prediction next to the submitted values plus the fields the donor changed. Admins
+ * get accuracy per food category over time and an export of (image, predicted, corrected)
+ * pairs for retraining the model.
+ */
+
+const Donation = require('../models/Donation');
+const ImageUpload = require('../models/ImageUpload');
+const { isMockPrediction } = require('./aiService');
+
+// Prediction fields a donor can correct on the donation form
+const FEEDBACK_FIELDS = ['foodCategory', 'itemName', 'quantity', 'storageRecommendation'];
+const MAX_ITEM_NAME_LENGTH = 200;
+const TIMEZONE = 'Asia/Colombo';
+
+const NO_PREDICTION = {
+  foodCategory: null,
+  itemName: null,
+  quantity: null,
+  storageRecommendation: null,
+  confidence: null,
+  predictedAt: null,
+};
+
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+const toNumber = (value) => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+// Item names differ in case and spacing without being corrections
+const sameValue = (field, predicted, submitted) => {
+  if (field === 'itemName') {
+    const normalise = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return normalise(predicted) === normalise(submitted);
+  }
+  if (field === 'quantity') return toNumber(predicted) === toNumber(submitted);
+  return predicted === submitted;
+};
+
+/**
+ * Keep the AI's prediction for a donor's upload, to compare with the donation later
+ * @param {string} userId
+ * @param {string} imageUrl
+ * @param {Object} predictions - From analyzeFoodImage
+ */
+const recordPrediction = async (userId, imageUrl, predictions) => {
+  if (!predictions || isMockPrediction(predictions)) return;
+  const aiPrediction = {
+    foodCategory: toText(predictions.foodCategory),
+    itemName: toText(predictions.itemName)?.slice(0, MAX_ITEM_NAME_LENGTH) ?? null,
+    quantity: toNumber(predictions.quantity),
+    storageRecommendation: toText(predictions.storageRecommendation),
+    confidence: toNumber(predictions.confidence),
+    predictedAt: new Date(),
+  };
+  await ImageUpload.updateOne({ imageUrl, user: userId, deletedAt: null }, { $set: { aiPrediction } });
+};
+
+/**
+ * The prediction recorded for a donation photo
+ * @param {string} imageUrl
+ * @returns {Promise<Object>} aiPrediction for the donation (all null when the photo was not analysed)
+ */
+const getImagePrediction = async (imageUrl) => {
+  const upload = typeof imageUrl === 'string'
+    ? await ImageUpload.findOne({ imageUrl, 'aiPrediction.predictedAt': { $ne: null } })
+      .sort({ 'aiPrediction.predictedAt': -1 })
+      .select('aiPrediction')
+      .lean()
+    : null;
+  return upload ? { ...NO_PREDICTION, ...upload.aiPrediction } : { ...NO_PREDICTION };
+};
+
+/**
+ * Fields the donor changed from the prediction
+ * @param {Object} aiPrediction
+ * @param {Object} values - Submitted donation values (foodCategory, itemName, quantity, storageRecommendation)
+ * @returns {Array<{ field: string, predicted: *, submitted: * }>} Empty when nothing was predicted
+ */
+const diffPrediction = (aiPrediction, values) => {
+  if (!aiPrediction?.predictedAt) return [];
+  return FEEDBACK_FIELDS
+    .filter((field) => aiPrediction[field] !== null && !sameValue(field, aiPrediction[field], values[field]))
+    .map((field) => ({ field, predicted: aiPrediction[field], submitted: values[field] ?? null }));
+};
+
+// Donations with a prediction, within an optional date range (claimed portions repeat their parent)
+const predictionMatch = ({ from, to } = {}) => {
+  const match = { 'aiPrediction.predictedAt': { $ne: null }, parentDonationId: null };
+  if (from) match.createdAt = { ...match.createdAt, $gte: from };
+  if (to) match.createdAt = { ...match.createdAt, $lte: to };
+  return match;
+};
+
+/**
+ * Prediction accuracy per field, overall, per food category and per category over time
+ * A field counts as correct when the donor posted the predicted value; each field is scored
+ * only over donations where the AI predicted something for it.
+ * @param {Object} options
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {'day'|'week'|'month'} [options.interval='week']
+ * @returns {Promise<Object>}
+ */
+const getAccuracyStats = async ({ from, to, interval = 'week' } = {}) => {
+  const correctedFields = { $ifNull: ['$aiCorrections.field', []] };
+  const summarise = {
+    donations: { $sum: 1 },
+    avgConfidence: { $avg: '$aiPrediction.confidence' },
+    fullyCorrect: { $sum: { $cond: [{ $eq: [{ $size: correctedFields }, 0] }, 1, 0] } },
+  };
+  for (const field of FEEDBACK_FIELDS) {
+    // $gt null: false for null and missing values
+    const predicted = { $gt: [`$aiPrediction.${field}`, null] };
+    summarise[`${field}Scored`] = { $sum: { $cond: [predicted, 1, 0] } };
+    summarise[`${field}Correct`] = {
+      $sum: { $cond: [{ $and: [predicted, { $not: [{ $in: [field, correctedFields] }] }] }, 1, 0] },
+    };
+  }
+  const period = {
+    $dateToString: {
+      format: '%Y-%m-%d',
+      date: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: TIMEZONE } },
+      timezone: TIMEZONE,
+    },
+  };
+
+  const [result] = await Donation.aggregate([
+    { $match: predictionMatch({ from, to }) },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...summarise } }],
+        byCategory: [{ $group: { _id: '$foodCategory', ...summarise } }, { $sort: { donations: -1 } }],
+        series: [
+          { $group: { _id: { period, foodCategory: '$foodCategory' }, ...summarise } },
+          { $sort: { '_id.period': 1, '_id.foodCategory': 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const rate = (correct, total) => (total > 0 ? Math.round((correct / total) * 1000) / 1000 : null);
+  const formatGroup = (group = { donations: 0 }) => ({
+    donations: group.donations,
+    avgConfidence: group.avgConfidence != null ? Math.round(group.avgConfidence * 1000) / 1000 : null,
+    fullyCorrect: rate(group.fullyCorrect, group.donations),
+    accuracy: Object.fromEntries(FEEDBACK_FIELDS.map((field) => [field, rate(group[`${field}Correct`], group[`${field}Scored`])])),
+    scored: Object.fromEntries(FEEDBACK_FIELDS.map((field) => [field, group[`${field}Scored`] || 0])),
+  });
+
+  return {
+    from: from || null,
+    to: to || null,
+    interval,
+    totals: formatGroup(result.totals[0]),
+    byCategory: result.byCategory.map((g) => ({ foodCategory: g._id, ...formatGroup(g) })),
+    series: result.series.map((g) => ({ period: g._id.period, foodCategory: g._id.foodCategory, ...formatGroup(g) })),
+  };
+};
+
+/**
+ * (image, predicted, corrected) pairs for retraining, oldest first
+ * @param {Object} options
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {boolean} [options.correctedOnly=false] - Only donations where the donor changed something
+ * @returns {AsyncGenerator<Object>} One row per donation
+ */
+async function* getTrainingPairs({ from, to, correctedOnly = false } = {}) {
+  const match = predictionMatch({ from, to });
+  if (correctedOnly) match['aiCorrections.0'] = { $exists: true };
+  const donations = Donation.find(match)
+    .sort({ createdAt: 1 })
+    .select(`trackingId imageUrl ${FEEDBACK_FIELDS.join(' ')} aiPrediction aiCorrections createdAt`)
+    .lean()
+    .cursor();
+
+  for await (const d of donations) {
+    yield {
+      donationId: d._id.toString(),
+      trackingId: d.trackingId,
+      imageUrl: d.imageUrl,
+      predicted: Object.fromEntries(FEEDBACK_FIELDS.map((field) => [field, d.aiPrediction[field]])),
+      corrected: Object.fromEntries(FEEDBACK_FIELDS.map((field) => [field, d[field] ?? null])),
+      correctedFields: (d.aiCorrections || []).map((c) => c.field),
+      confidence: d.aiPrediction.confidence,
+      predictedAt: d.aiPrediction.predictedAt,
+      createdAt: d.createdAt,
+    };
+  }
+}
+
+const TRAINING_CSV_COLUMNS = [
+  'donationId', 'trackingId', 'imageUrl',
+  ...FEEDBACK_FIELDS.map((field) => `predicted_${field}`),
+  ...FEEDBACK_FIELDS.map((field) => `corrected_${field}`),
+  'correctedFields', 'confidence', 'predictedAt', 'createdAt',
+];
+
+// Quotes where needed; donor-typed text starting with =, +, - or @ is prefixed so spreadsheets
+// do not run it as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @returns {string} Header line of the CSV export
+ */
+const trainingCsvHeader = () => `${TRAINING_CSV_COLUMNS.join(',')}\n`;
+
+/**
+ * @param {Object} row - From getTrainingPairs
+ * @returns {string} One CSV line
+ */
+const toTrainingCsvRow = (row) => `${[
+  row.donationId,
+  row.trackingId,
+  row.imageUrl,
+  ...FEEDBACK_FIELDS.map((field) => row.predicted[field]),
+  ...FEEDBACK_FIELDS.map((field) => row.corrected[field]),
+  row.correctedFields.join(' '),
+  row.confidence,
+  row.predictedAt,
+  row.createdAt,
+].map(csvCell).join(',')}\n`;
+
+module.exports = {
+  FEEDBACK_FIELDS,
+  recordPrediction,
+  getImagePrediction,
+  diffPrediction,
+  getAccuracyStats,
+  getTrainingPairs,
+  trainingCsvHeader,
+  toTrainingCsvRow,
+};
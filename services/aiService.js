@@ -1,11 +1,65 @@
-const { AI_SERVICE_URL, AI_SERVICE_TIMEOUT } = require('../config/env');
+const AiPrediction = require('../models/AiPrediction');
+const { AI_SERVICE_URL, AI_SERVICE_TIMEOUT, AI_PREDICTION_CACHE_DAYS } = require('../config/env');
+
+// Marks mock predictions (not serialised), so they are never cached or kept as feedback
+const MOCK_PREDICTION = Symbol('mockPrediction');
+
+/**
+ * Cached predictions for a photo, if it was analysed before
+ * @param {String} contentHash - SHA-256 of the uploaded bytes (imageService.hashImage)
+ * @returns {Promise<Object|null>}
+ */
+const getCachedPredictions = async (contentHash) => {
+  const cached = await AiPrediction.findOneAndUpdate(
+    { contentHash, expiresAt: { $gt: new Date() } },
+    { $inc: { hits: 1 } },
+    { new: true }
+  ).lean();
+  return cached?.predictions || null;
+};
+
+/**
+ * Remember predictions for a photo for AI_PREDICTION_CACHE_DAYS
+ * @param {String} contentHash
+ * @param {Object} predictions
+ */
+const cachePredictions = async (contentHash, predictions) => {
+  await AiPrediction.updateOne(
+    { contentHash },
+    {
+      $set: {
+        predictions,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + AI_PREDICTION_CACHE_DAYS * 24 * 60 * 60 * 1000),
+      },
+      $setOnInsert: { hits: 0 },
+    },
+    { upsert: true }
+  );
+};
 
 /**
  * Analyze food image using AI service
+ * Predictions are cached by the photo's content hash, so the same photo is only sent to the
+ * AI service once every AI_PREDICTION_CACHE_DAYS.
  * @param {String} imageUrl - URL of the image to analyze
+ * @param {Object} [options]
+ * @param {String} [options.contentHash] - SHA-256 of the uploaded bytes; without it nothing is cached
  * @returns {Promise<Object>} AI predictions object
  */
-const analyzeFoodImage = async (imageUrl) => {
+const analyzeFoodImage = async (imageUrl, { contentHash } = {}) => {
+  if (contentHash) {
+    try {
+      const cached = await getCachedPredictions(contentHash);
+      if (cached) {
+        console.log(`[AI Service] Using cached predictions for ${imageUrl}`);
+        return cached;
+      }
+    } catch (cacheError) {
+      console.error('[AI Service] Error reading prediction cache:', cacheError.message);
+    }
+  }
+
   try {
     // Check if AI service URL is configured (only return mock if actually not set)
     if (!AI_SERVICE_URL) {
@@ -108,6 +162,11 @@ const analyzeFoodImage = async (imageUrl) => {
       }
 
       console.log('[AI Service] Successfully analyzed image');
+      if (contentHash) {
+        await cachePredictions(contentHash, data).catch((cacheError) => {
+          console.error('[AI Service] Error caching predictions:', cacheError.message);
+        });
+      }
       return data;
     } catch (fetchError) {
       clearTimeout(timeoutId);
@@ -145,6 +204,7 @@ const analyzeFoodImage = async (imageUrl) => {
  */
 const getMockPredictions = () => {
   return {
+    [MOCK_PREDICTION]: true,
     foodCategory: 'Cooked Meals',
     itemName: 'Vegetable Curry with Rice',
     quantity: 15,
@@ -156,4 +216,10 @@ const getMockPredictions = () => {
   };
 };
 
-module.exports = { analyzeFoodImage };
+/**
+ * @param {Object} predictions - From analyzeFoodImage
+ * @returns {boolean} True for placeholder data returned while the AI service is unavailable
+ */
+const isMockPrediction = (predictions) => Boolean(predictions?.[MOCK_PREDICTION]);
+
+module.exports = { analyzeFoodImage, isMockPrediction };
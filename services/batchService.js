@@ -0,0 +1,408 @@
+/**
+ * Delivery Batch Service
+ * Lets a driver carry several compatible donations on one multi-stop run.
+ * Checks vehicle capacity and compatibility, assigns the donations atomically,
+ * and keeps an ordered stop list (donor pickups and receiver drop-offs).
+ */
+
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const DeliveryBatch = require('../models/DeliveryBatch');
+const socketService = require('./socketService');
+const { calculateDistance } = require('../utils/distanceService');
+
+// How much one driver may carry at once, per User.vehicleType
+const VEHICLE_CAPACITY = {
+  Scooter: { maxDonations: 2, maxServings: 15 },
+  Bike: { maxDonations: 3, maxServings: 30 },
+  Car: { maxDonations: 5, maxServings: 100 },
+  Truck: { maxDonations: 10, maxServings: 500 },
+};
+// Drivers who have not set a vehicle type keep the one-order-at-a-time rule
+const DEFAULT_CAPACITY = { maxDonations: 1, maxServings: null };
+
+// Every pickup in a batch must be within this distance of the others
+const BATCH_PICKUP_RADIUS_KM = 5;
+
+const BATCH_ERROR_CODE = 'BATCH_NOT_ALLOWED';
+
+/**
+ * Create an error the routes turn into a 4xx response
+ * @param {string} message - Shown to the driver
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const batchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = BATCH_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error came from batch validation
+ */
+const isBatchError = (error) => error?.code === BATCH_ERROR_CODE;
+
+/**
+ * Capacity limits for a vehicle type
+ * @param {string|null} vehicleType - User.vehicleType
+ * @returns {{ maxDonations: number, maxServings: number|null }}
+ */
+const getVehicleCapacity = (vehicleType) => {
+  return VEHICLE_CAPACITY[vehicleType] || DEFAULT_CAPACITY;
+};
+
+const hasCoords = (lat, lng) => lat != null && lng != null && Number.isFinite(lat) && Number.isFinite(lng);
+
+/**
+ * Check that a set of donations can travel together
+ * @param {Object[]} donations - Every donation that would be in the batch
+ * @param {{ maxDonations: number, maxServings: number|null }} capacity
+ * @param {string|null} vehicleType - For messages
+ * @returns {string|null} Reason the batch is not allowed, or null if it is fine
+ */
+const checkBatchCompatibility = (donations, capacity, vehicleType) => {
+  if (donations.length > capacity.maxDonations) {
+    if (capacity.maxDonations === 1) {
+      return 'You can only accept one order at a time. Complete your current delivery first.';
+    }
+    return `A ${vehicleType} can carry at most ${capacity.maxDonations} orders at a time`;
+  }
+
+  const totalServings = donations.reduce((sum, d) => sum + (Number(d.quantity) || 0), 0);
+  if (capacity.maxServings != null && totalServings > capacity.maxServings) {
+    return `This would be ${totalServings} servings, but a ${vehicleType} can carry at most ${capacity.maxServings}`;
+  }
+
+  // Hot food cannot share a vehicle with chilled food
+  const storage = new Set(donations.map(d => d.storageRecommendation));
+  if (storage.has('Hot') && storage.has('Cold')) {
+    return 'Hot and cold donations cannot be carried in the same batch';
+  }
+
+  // Pickups still to be made must be close together
+  if (donations.length > 1) {
+    const pickups = donations.filter(d => d.status === 'assigned');
+    for (const d of pickups) {
+      if (!hasCoords(d.donorLatitude, d.donorLongitude)) {
+        return `Donation ${d.trackingId} has no pickup location, so it cannot be batched`;
+      }
+    }
+    for (let i = 0; i < pickups.length; i++) {
+      for (let j = i + 1; j < pickups.length; j++) {
+        const km = calculateDistance(
+          pickups[i].donorLatitude, pickups[i].donorLongitude,
+          pickups[j].donorLatitude, pickups[j].donorLongitude
+        );
+        if (km > BATCH_PICKUP_RADIUS_KM) {
+          return `Pickups ${pickups[i].trackingId} and ${pickups[j].trackingId} are more than ${BATCH_PICKUP_RADIUS_KM} km apart`;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Order the remaining stops (nearest next stop first, a drop-off only after its pickup)
+ * @param {Object[]} donations - Active donations (status 'assigned' still need a pickup)
+ * @param {{ lat: number, lng: number }|null} start - Where the driver is now
+ * @param {number} [firstSequence=1] - Sequence number of the first planned stop
+ * @returns {Object[]} Pending stops in visiting order
+ */
+const planStops = (donations, start, firstSequence = 1) => {
+  const remaining = [];
+  donations.forEach(d => {
+    const dropoff = {
+      donationId: d._id,
+      type: 'dropoff',
+      latitude: d.receiverLatitude ?? null,
+      longitude: d.receiverLongitude ?? null,
+      address: d.receiverAddress || '',
+      quantity: d.quantity,
+    };
+    if (d.status === 'assigned') {
+      const pickup = {
+        donationId: d._id,
+        type: 'pickup',
+        latitude: d.donorLatitude ?? null,
+        longitude: d.donorLongitude ?? null,
+        address: d.donorAddress || '',
+        quantity: d.quantity,
+      };
+      dropoff.after = pickup;
+      remaining.push(pickup);
+    }
+    remaining.push(dropoff);
+  });
+
+  const stops = [];
+  const visited = new Set();
+  let current = start && hasCoords(start.lat, start.lng) ? start : null;
+
+  while (remaining.length > 0) {
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+    remaining.forEach((stop, index) => {
+      if (stop.after && !visited.has(stop.after)) return;
+      const distance = current && hasCoords(stop.latitude, stop.longitude)
+        ? calculateDistance(current.lat, current.lng, stop.latitude, stop.longitude)
+        : Infinity;
+      if (bestIndex === -1 || distance < bestDistance) {
+        bestIndex = index;
+        bestDistance = distance;
+      }
+    });
+
+    const [stop] = remaining.splice(bestIndex, 1);
+    visited.add(stop);
+    stops.push({
+      donationId: stop.donationId,
+      type: stop.type,
+      sequence: firstSequence + stops.length,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      address: stop.address,
+      quantity: stop.quantity,
+      legDistanceKm: Number.isFinite(bestDistance) ? Math.round(bestDistance * 100) / 100 : null,
+      status: 'pending',
+    });
+    if (hasCoords(stop.latitude, stop.longitude)) {
+      current = { lat: stop.latitude, lng: stop.longitude };
+    }
+  }
+
+  return stops;
+};
+
+/**
+ * Re-plan the pending stops of a batch from the driver's position (finished stops are kept)
+ * @param {Object} batch - DeliveryBatch document
+ * @param {Object[]} activeDonations - Donations in the batch still assigned / picked up
+ * @param {{ lat: number, lng: number }|null} start
+ */
+const replanBatch = (batch, activeDonations, start) => {
+  const finished = batch.stops.filter(s => s.status !== 'pending');
+  const lastDone = [...finished].reverse().find(s => hasCoords(s.latitude, s.longitude));
+  const origin = start && hasCoords(start.lat, start.lng)
+    ? start
+    : (lastDone ? { lat: lastDone.latitude, lng: lastDone.longitude } : null);
+
+  const planned = planStops(activeDonations, origin, finished.length + 1);
+  batch.stops = [...finished.map(s => s.toObject ? s.toObject() : s), ...planned];
+  batch.plannedDistanceKm = Math.round(
+    planned.reduce((sum, s) => sum + (s.legDistanceKm || 0), 0) * 100
+  ) / 100;
+};
+
+/**
+ * Emit the latest stop list to the batch room (only the driver may join it), and to everyone
+ * tracking one of the batch's donations only the progress of that donation (other stops hold
+ * other people's addresses)
+ * @param {Object} batch - DeliveryBatch document
+ */
+const emitBatchUpdate = (batch) => {
+  const batchId = batch._id.toString();
+  const pending = batch.stops.filter(s => s.status === 'pending').sort((a, b) => a.sequence - b.sequence);
+  const payload = { batchId, status: batch.status, nextStop: pending[0] || null };
+  socketService.emitToBatchRoom(batchId, 'batch_updated', payload);
+
+  batch.donationIds.forEach((id) => {
+    const donationId = id.toString();
+    socketService.emitToDonationRoom(donationId, 'batch_updated', {
+      batchId,
+      status: batch.status,
+      donationId,
+      stops: batch.stops
+        .filter(s => s.donationId.toString() === donationId)
+        .map(s => ({ type: s.type, status: s.status, completedAt: s.completedAt })),
+      // Pending stops the driver makes before this donation's next one (null when it is done)
+      stopsAhead: (() => {
+        const index = pending.findIndex(s => s.donationId.toString() === donationId);
+        return index === -1 ? null : index;
+      })(),
+    });
+  });
+};
+
+/**
+ * Accept one or more donations for a driver, adding them to the driver's active batch
+ * (a new batch is started when there is none)
+ * @param {Object} driver - User document (driverLatitude, driverLongitude, vehicleType)
+ * @param {string[]} donationIds - Donations to accept
+ * @returns {Promise<{ batch: Object, donations: Object[] }>} Batch and the newly accepted donations
+ * @throws {Error} batchError when the donations cannot be accepted
+ */
+const acceptDonationsForDriver = async (driver, donationIds) => {
+  const ids = [...new Set((donationIds || []).map(id => String(id)))];
+  if (ids.length === 0) {
+    throw batchError('Select at least one donation');
+  }
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw batchError('Invalid donation ID');
+  }
+
+  const currentDate = new Date();
+  const requested = await Donation.find({ _id: { $in: ids } }).lean();
+  if (requested.length !== ids.length) {
+    throw batchError('Donation not found', 404);
+  }
+  for (const d of requested) {
+    if (d.assignedDriverId) {
+      throw batchError(`Donation ${d.trackingId} has already been assigned to another driver`);
+    }
+    if (d.status !== 'assigned') {
+      throw batchError(`Donation ${d.trackingId} cannot be accepted. Current status: ${d.status}`);
+    }
+    if (!d.assignedReceiverId) {
+      throw batchError(`Donation ${d.trackingId} has not been claimed by a receiver yet`);
+    }
+    if (d.expiryDate <= currentDate) {
+      throw batchError(`Donation ${d.trackingId} has expired`);
+    }
+    if (d.dispatchStatus === 'offering' && d.dispatchDriverId?.toString() !== driver._id.toString()) {
+      throw batchError(`Donation ${d.trackingId} is currently offered to another driver`, 409);
+    }
+  }
+
+  // Everything the driver is already carrying or on the way to collect
+  const current = await Donation.find({
+    assignedDriverId: driver._id,
+    status: { $in: ['assigned', 'picked_up'] },
+  }).lean();
+
+  const capacity = getVehicleCapacity(driver.vehicleType);
+  const problem = checkBatchCompatibility([...current, ...requested], capacity, driver.vehicleType);
+  if (problem) {
+    throw batchError(problem);
+  }
+
+  let batch = await DeliveryBatch.findOne({ driverId: driver._id, status: 'active' });
+  if (!batch) {
+    batch = new DeliveryBatch({
+      driverId: driver._id,
+      vehicleType: driver.vehicleType || null,
+      maxDonations: capacity.maxDonations,
+      maxServings: capacity.maxServings,
+    });
+  }
+
+  // Claim each donation atomically; undo the ones already taken if another driver wins a race
+  const accepted = [];
+  for (const d of requested) {
+    const updated = await Donation.findOneAndUpdate(
+      {
+        _id: d._id,
+        status: 'assigned',
+        assignedDriverId: null,
+        expiryDate: { $gt: currentDate },
+        // Respect an exclusive auto-dispatch offer held by another driver
+        $or: [{ dispatchStatus: { $ne: 'offering' } }, { dispatchDriverId: driver._id }],
+      },
+      { $set: { assignedDriverId: driver._id, batchId: batch._id } },
+      { new: true }
+    );
+    if (!updated) {
+      if (accepted.length > 0) {
+        await Donation.updateMany(
+          { _id: { $in: accepted.map(a => a._id) }, assignedDriverId: driver._id },
+          { $set: { assignedDriverId: null, batchId: null } }
+        );
+      }
+      throw batchError(`Donation ${d.trackingId} was just accepted by another driver`, 409);
+    }
+    accepted.push(updated);
+  }
+
+  // Orders accepted before batching existed join the batch too
+  const unbatched = current.filter(d => !d.batchId || d.batchId.toString() !== batch._id.toString());
+  if (unbatched.length > 0) {
+    await Donation.updateMany({ _id: { $in: unbatched.map(d => d._id) } }, { $set: { batchId: batch._id } });
+  }
+
+  const active = [...current, ...accepted.map(a => a.toObject())];
+  const knownIds = new Set(batch.donationIds.map(id => id.toString()));
+  active.forEach(d => {
+    if (!knownIds.has(d._id.toString())) batch.donationIds.push(d._id);
+  });
+  batch.totalQuantity = active.reduce((sum, d) => sum + (Number(d.quantity) || 0), 0);
+  replanBatch(batch, active, { lat: driver.driverLatitude, lng: driver.driverLongitude });
+  await batch.save();
+
+  emitBatchUpdate(batch);
+  return { batch, donations: accepted };
+};
+
+/**
+ * Mark a donation's pickup or drop-off stop as done (call after confirm-pickup / confirm-delivery)
+ * @param {Object} donation - Donation document (uses batchId)
+ * @param {'pickup'|'dropoff'} type
+ * @returns {Promise<Object|null>} Updated batch, or null if the donation is not batched
+ */
+const completeStop = async (donation, type) => {
+  if (!donation.batchId) return null;
+  const batch = await DeliveryBatch.findById(donation.batchId);
+  if (!batch) return null;
+
+  const stop = batch.stops.find(
+    s => s.donationId.toString() === donation._id.toString() && s.type === type && s.status === 'pending'
+  );
+  if (stop) {
+    stop.status = 'completed';
+    stop.completedAt = new Date();
+  }
+  finishIfDone(batch);
+  await batch.save();
+
+  emitBatchUpdate(batch);
+  return batch;
+};
+
+/**
+ * Skip every pending stop of a donation that left the batch (e.g. it expired)
+ * @param {Object} donation - Donation document (uses batchId)
+ * @returns {Promise<Object|null>} Updated batch, or null if the donation is not batched
+ */
+const skipDonationStops = async (donation) => {
+  if (!donation.batchId) return null;
+  const batch = await DeliveryBatch.findById(donation.batchId);
+  if (!batch) return null;
+
+  batch.stops.forEach(s => {
+    if (s.donationId.toString() === donation._id.toString() && s.status === 'pending') {
+      s.status = 'skipped';
+      s.completedAt = new Date();
+    }
+  });
+  finishIfDone(batch);
+  await batch.save();
+
+  emitBatchUpdate(batch);
+  return batch;
+};
+
+/**
+ * Close the batch once no stops are left
+ * @param {Object} batch - DeliveryBatch document
+ */
+const finishIfDone = (batch) => {
+  if (batch.status === 'active' && batch.stops.every(s => s.status !== 'pending')) {
+    batch.status = 'completed';
+    batch.completedAt = new Date();
+  }
+};
+
+module.exports = {
+  VEHICLE_CAPACITY,
+  BATCH_PICKUP_RADIUS_KM,
+  getVehicleCapacity,
+  checkBatchCompatibility,
+  planStops,
+  acceptDonationsForDriver,
+  completeStop,
+  skipDonationStops,
+  isBatchError,
+};
@@ -0,0 +1,358 @@
+/**
+ * Dispatch Service
+ * Optional automatic driver dispatch (AUTO_DISPATCH_ENABLED=true).
+ * After a claim, online drivers are ranked by route distance to the donor, vehicle fit
+ * and expiry urgency; the job is offered to one driver at a time with an accept window
+ * and rotates to the next driver on decline or timeout. When nobody is left (or after
+ * DISPATCH_MAX_OFFERS attempts) the job is broadcast to all drivers as before.
+ */
+
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const DispatchOffer = require('../models/DispatchOffer');
+const socketService = require('./socketService');
+const { emitToServiceArea } = require('./serviceAreaService');
+const { getRouteDistanceKm, calculateDistance } = require('../utils/distanceService');
+const { getVehicleCapacity, checkBatchCompatibility, acceptDonationsForDriver } = require('./batchService');
+const { AUTO_DISPATCH_ENABLED, DISPATCH_OFFER_SECONDS, DISPATCH_MAX_OFFERS } = require('../config/env');
+
+// Average city driving speed used to check a driver can arrive before the food expires
+const AVERAGE_SPEED_KMH = 25;
+// Jobs expiring within this many hours are urgent: shorter accept window, distance weighs more
+const URGENT_HOURS = 2;
+// Don't offer jobs to drivers further than this from the donor
+const MAX_DISPATCH_DISTANCE_KM = 40;
+// Score penalty (in km) per vehicle size step above the smallest vehicle that fits
+const OVERSIZED_VEHICLE_PENALTY_KM = 2;
+const VEHICLE_ORDER = ['Scooter', 'Bike', 'Car', 'Truck'];
+
+// Accept-window timers for offers made by this process (the cron sweep covers restarts)
+const offerTimers = new Map();
+
+/**
+ * @returns {boolean} True when automatic dispatch is switched on
+ */
+const isDispatchEnabled = () => AUTO_DISPATCH_ENABLED;
+
+/**
+ * Rank online drivers who could take this donation
+ * @param {Object} donation - Lean donation (status 'assigned', no driver)
+ * @returns {Promise<Object[]>} Candidates sorted best first: { driver, routeDistanceKm, score }
+ */
+const rankDrivers = async (donation) => {
+  const onlineIds = await socketService.getOnlineUserIds('Driver');
+  if (onlineIds.length === 0) return [];
+
+  // Drivers already asked about this donation are not asked again
+  const alreadyOffered = await DispatchOffer.distinct('driverId', { donationId: donation._id });
+  const excluded = new Set(alreadyOffered.map(id => id.toString()));
+
+  const drivers = await User.find({
+    _id: { $in: onlineIds.filter(id => !excluded.has(id)) },
+    role: 'Driver',
+    status: 'completed',
+    driverLatitude: { $ne: null },
+    driverLongitude: { $ne: null },
+  })
+    .select('driverLatitude driverLongitude vehicleType')
+    .lean();
+
+  const hoursToExpiry = (new Date(donation.expiryDate) - new Date()) / (1000 * 60 * 60);
+  const urgent = hoursToExpiry <= URGENT_HOURS;
+  const smallestFit = VEHICLE_ORDER.find(type => {
+    const { maxServings } = getVehicleCapacity(type);
+    return maxServings == null || maxServings >= donation.quantity;
+  });
+
+  const candidates = [];
+  for (const driver of drivers) {
+    // Must have room for this job on top of what they are already carrying
+    const load = await Donation.find({
+      assignedDriverId: driver._id,
+      status: { $in: ['assigned', 'picked_up'] },
+    }).lean();
+    if (checkBatchCompatibility([...load, donation], getVehicleCapacity(driver.vehicleType), driver.vehicleType)) {
+      continue;
+    }
+
+    let routeDistanceKm = null;
+    if (donation.donorLatitude != null && donation.donorLongitude != null) {
+      routeDistanceKm = await getRouteDistanceKm(
+        driver.driverLatitude, driver.driverLongitude, donation.donorLatitude, donation.donorLongitude
+      );
+      if (routeDistanceKm == null) {
+        routeDistanceKm = calculateDistance(
+          driver.driverLatitude, driver.driverLongitude, donation.donorLatitude, donation.donorLongitude
+        );
+      }
+    }
+    if (routeDistanceKm == null || routeDistanceKm > MAX_DISPATCH_DISTANCE_KM) continue;
+
+    // Skip drivers who cannot reach the donor before the food expires
+    if (routeDistanceKm / AVERAGE_SPEED_KMH >= hoursToExpiry) continue;
+
+    const sizeSteps = driver.vehicleType && smallestFit
+      ? Math.max(0, VEHICLE_ORDER.indexOf(driver.vehicleType) - VEHICLE_ORDER.indexOf(smallestFit))
+      : 0;
+    const vehiclePenalty = urgent ? 0 : sizeSteps * OVERSIZED_VEHICLE_PENALTY_KM;
+    const score = Math.round((routeDistanceKm * (urgent ? 2 : 1) + vehiclePenalty) * 100) / 100;
+
+    candidates.push({ driver, routeDistanceKm: Math.round(routeDistanceKm * 100) / 100, score });
+  }
+
+  return candidates.sort((a, b) => a.score - b.score);
+};
+
+/**
+ * Accept window for an offer (shorter when the food is about to expire)
+ * @param {Object} donation
+ * @returns {number} Milliseconds
+ */
+const getOfferWindowMs = (donation) => {
+  const hoursToExpiry = (new Date(donation.expiryDate) - new Date()) / (1000 * 60 * 60);
+  const seconds = hoursToExpiry <= URGENT_HOURS ? Math.ceil(DISPATCH_OFFER_SECONDS / 2) : DISPATCH_OFFER_SECONDS;
+  return seconds * 1000;
+};
+
+/**
+ * Open the job to every driver in the area (the pre-dispatch behaviour): socket broadcast + email
+ * @param {Object} donation - Lean donation
+ */
+const broadcastToDrivers = async (donation) => {
+  await Donation.updateOne(
+    { _id: donation._id },
+    { $set: { dispatchStatus: 'broadcast', dispatchDriverId: null } }
+  );
+
+  emitToServiceArea(
+    'Driver',
+    { latitude: donation.donorLatitude, longitude: donation.donorLongitude },
+    'donation_claimed',
+    { donationId: donation._id.toString() },
+    { notificationEvent: 'new_donations' }
+  );
+
+  const [donor, receiver] = await Promise.all([
+    User.findById(donation.donorId).select('-password'),
+    User.findById(donation.assignedReceiverId).select('-password'),
+  ]);
+  const { sendDonationAvailableNotificationToDrivers } = require('../utils/emailService');
+  sendDonationAvailableNotificationToDrivers(donation, donor, receiver)
+    .catch(error => {
+      console.error('[DispatchService] Error sending donation available notification to drivers:', error.message);
+    });
+  console.log(`[DispatchService] Broadcast ${donation.trackingId} to drivers in the area`);
+};
+
+/**
+ * Offer the job to the next best driver, or broadcast when none are left
+ * @param {string} donationId
+ */
+const offerToNextDriver = async (donationId) => {
+  const donation = await Donation.findById(donationId).lean();
+  if (!donation || donation.status !== 'assigned' || donation.assignedDriverId) {
+    return;
+  }
+
+  const attempts = await DispatchOffer.countDocuments({ donationId: donation._id });
+  if (attempts >= DISPATCH_MAX_OFFERS) {
+    await broadcastToDrivers(donation);
+    return;
+  }
+
+  const [best] = await rankDrivers(donation);
+  if (!best) {
+    await broadcastToDrivers(donation);
+    return;
+  }
+
+  const expiresAt = new Date(Date.now() + getOfferWindowMs(donation));
+  const offer = await DispatchOffer.create({
+    donationId: donation._id,
+    driverId: best.driver._id,
+    attempt: attempts + 1,
+    score: best.score,
+    routeDistanceKm: best.routeDistanceKm,
+    vehicleType: best.driver.vehicleType || null,
+    expiresAt,
+  });
+
+  await Donation.updateOne(
+    { _id: donation._id },
+    { $set: { dispatchStatus: 'offering', dispatchDriverId: best.driver._id } }
+  );
+
+  socketService.emitToUser(best.driver._id.toString(), 'dispatch_offer', {
+    offerId: offer._id.toString(),
+    donationId: donation._id.toString(),
+    trackingId: donation.trackingId,
+    itemName: donation.itemName,
+    quantity: donation.quantity,
+    storageRecommendation: donation.storageRecommendation,
+    donorAddress: donation.donorAddress,
+    receiverAddress: donation.receiverAddress,
+    routeDistanceKm: best.routeDistanceKm,
+    expiryDate: donation.expiryDate,
+    expiresAt,
+  });
+
+  const timer = setTimeout(() => {
+    offerTimers.delete(offer._id.toString());
+    expireOffer(offer._id).catch(err => {
+      console.error('[DispatchService] Error expiring offer:', err);
+    });
+  }, expiresAt.getTime() - Date.now());
+  timer.unref?.();
+  offerTimers.set(offer._id.toString(), timer);
+
+  console.log(`[DispatchService] Offered ${donation.trackingId} to driver ${best.driver._id} (attempt ${offer.attempt}, ${best.routeDistanceKm} km)`);
+};
+
+/**
+ * Start dispatching a freshly claimed donation
+ * @param {Object} donation - Donation document or lean object
+ */
+const startDispatch = async (donation) => {
+  try {
+    await offerToNextDriver(donation._id);
+  } catch (error) {
+    console.error('[DispatchService] Error starting dispatch, falling back to broadcast:', error);
+    await broadcastToDrivers(donation);
+  }
+};
+
+/**
+ * Close an open offer and move on to the next driver
+ * @param {Object} offer - DispatchOffer document (status 'offered')
+ * @param {string} status - 'declined' | 'expired'
+ * @param {string|null} reason
+ */
+const closeOfferAndRotate = async (offer, status, reason) => {
+  const closed = await DispatchOffer.findOneAndUpdate(
+    { _id: offer._id, status: 'offered' },
+    { $set: { status, reason, respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!closed) return; // Already handled elsewhere
+
+  const timer = offerTimers.get(offer._id.toString());
+  if (timer) {
+    clearTimeout(timer);
+    offerTimers.delete(offer._id.toString());
+  }
+
+  await Donation.updateOne(
+    { _id: offer.donationId, dispatchDriverId: offer.driverId },
+    { $set: { dispatchStatus: null, dispatchDriverId: null } }
+  );
+  socketService.emitToUser(offer.driverId.toString(), 'dispatch_offer_closed', {
+    offerId: offer._id.toString(),
+    donationId: offer.donationId.toString(),
+    status,
+  });
+
+  await offerToNextDriver(offer.donationId);
+};
+
+/**
+ * Time out an offer whose accept window has passed
+ * @param {string} offerId
+ */
+const expireOffer = async (offerId) => {
+  const offer = await DispatchOffer.findById(offerId);
+  if (!offer || offer.status !== 'offered') return;
+  if (offer.expiresAt > new Date()) return;
+  await closeOfferAndRotate(offer, 'expired', 'No response within the accept window');
+};
+
+/**
+ * Expire every overdue offer (cron safety net, e.g. after a restart lost the timers)
+ * @returns {Promise<{ expired: number, errors: number }>}
+ */
+const expireStaleOffers = async () => {
+  const stale = await DispatchOffer.find({ status: 'offered', expiresAt: { $lte: new Date() } }).select('_id');
+  let expired = 0;
+  let errors = 0;
+  for (const offer of stale) {
+    try {
+      await expireOffer(offer._id);
+      expired++;
+    } catch (error) {
+      errors++;
+      console.error(`[DispatchService] Error expiring offer ${offer._id}:`, error.message);
+    }
+  }
+  return { expired, errors };
+};
+
+/**
+ * Driver answers an offer
+ * @param {string} offerId
+ * @param {Object} driver - User document of the responding driver
+ * @param {boolean} accept
+ * @returns {Promise<{ offer: Object, batch?: Object, donation?: Object }>}
+ * @throws {Error} batchError-style error (code/statusCode) when the offer cannot be answered
+ */
+const respondToOffer = async (offerId, driver, accept) => {
+  const offer = await DispatchOffer.findById(offerId);
+  if (!offer || offer.driverId.toString() !== driver._id.toString()) {
+    throw offerError('Offer not found', 404);
+  }
+  if (offer.status !== 'offered' || offer.expiresAt <= new Date()) {
+    throw offerError('This offer is no longer open', 409);
+  }
+
+  if (!accept) {
+    await closeOfferAndRotate(offer, 'declined', 'Declined by driver');
+    return { offer: await DispatchOffer.findById(offerId).lean() };
+  }
+
+  let result;
+  try {
+    result = await acceptDonationsForDriver(driver, [offer.donationId]);
+  } catch (error) {
+    // Driver can't take it after all (e.g. capacity changed): pass it on
+    await closeOfferAndRotate(offer, 'declined', error.message);
+    throw error;
+  }
+
+  const timer = offerTimers.get(offer._id.toString());
+  if (timer) {
+    clearTimeout(timer);
+    offerTimers.delete(offer._id.toString());
+  }
+  offer.status = 'accepted';
+  offer.respondedAt = new Date();
+  await offer.save();
+  await Donation.updateOne({ _id: offer.donationId }, { $set: { dispatchStatus: null, dispatchDriverId: null } });
+
+  return { offer: offer.toObject(), batch: result.batch, donation: result.donations[0] };
+};
+
+/**
+ * Create an error the routes turn into a 4xx response
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const offerError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'DISPATCH_OFFER_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error came from respondToOffer validation
+ */
+const isOfferError = (error) => error?.code === 'DISPATCH_OFFER_ERROR';
+
+module.exports = {
+  isDispatchEnabled,
+  rankDrivers,
+  startDispatch,
+  respondToOffer,
+  expireStaleOffers,
+  isOfferError,
+};
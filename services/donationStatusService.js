@@ -0,0 +1,120 @@
+/**
+ * Donation Status Service
+ * Single source of truth for donation status transitions.
+ * Every status change goes through transitionStatus(), which rejects illegal moves
+ * and appends an entry (who, when, from, to, reason) to donation.statusHistory.
+ */
+
+const mongoose = require('mongoose');
+
+const DONATION_STATUSES = ['pending', 'approved', 'assigned', 'picked_up', 'delivered', 'cancelled', 'expired'];
+
+// Allowed edges: pending → approved → assigned → picked_up → delivered, cancellation before pickup.
+// Receivers may claim straight from 'pending' (approval is optional).
+// Anything not yet delivered can be archived as 'expired' by the expiry job.
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'assigned', 'cancelled', 'expired'],
+  approved: ['assigned', 'cancelled', 'expired'],
+  assigned: ['picked_up', 'cancelled', 'expired'],
+  picked_up: ['delivered', 'expired'],
+  delivered: [],
+  cancelled: [],
+  expired: [],
+};
+
+const INVALID_TRANSITION_CODE = 'INVALID_STATUS_TRANSITION';
+
+/**
+ * Check whether a donation may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Build the uniform error body for a rejected transition
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object} JSON response body
+ */
+const invalidTransitionResponse = (from, to) => {
+  return {
+    success: false,
+    code: INVALID_TRANSITION_CODE,
+    message: `Cannot change donation status from '${from}' to '${to}'`,
+    currentStatus: from,
+    requestedStatus: to,
+  };
+};
+
+/**
+ * Build a statusHistory entry
+ * @param {string|null} from - Previous status (null for the initial status)
+ * @param {string} to - New status
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - req.user ({ id, role }); omit for system changes
+ * @param {string} [options.reason] - Why the status changed
+ * @returns {Object} History entry
+ */
+const buildHistoryEntry = (from, to, { actor, reason } = {}) => {
+  const actorId = actor?.id || actor?._id;
+  return {
+    from,
+    to,
+    changedBy: actorId && mongoose.isValidObjectId(actorId) ? actorId : null,
+    changedByRole: actor?.role || 'System',
+    reason: reason || null,
+    changedAt: new Date(),
+  };
+};
+
+/**
+ * Record the status a donation starts with (call before the first save)
+ * @param {Object} donation - New Donation document
+ * @param {Object} [options] - { actor, reason }
+ */
+const recordInitialStatus = (donation, options = {}) => {
+  donation.statusHistory = donation.statusHistory || [];
+  donation.statusHistory.push(buildHistoryEntry(null, donation.status, options));
+};
+
+/**
+ * Move a donation to a new status and log it in statusHistory.
+ * Does not save the document.
+ * @param {Object} donation - Donation document
+ * @param {string} to - Target status
+ * @param {Object} [options] - { actor, reason }
+ * @throws {Error} With code INVALID_STATUS_TRANSITION if the move is not allowed
+ */
+const transitionStatus = (donation, to, options = {}) => {
+  const from = donation.status;
+  if (!canTransition(from, to)) {
+    const error = new Error(invalidTransitionResponse(from, to).message);
+    error.code = INVALID_TRANSITION_CODE;
+    error.from = from;
+    error.to = to;
+    throw error;
+  }
+  donation.status = to;
+  donation.statusHistory = donation.statusHistory || [];
+  donation.statusHistory.push(buildHistoryEntry(from, to, options));
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error came from a rejected transition
+ */
+const isInvalidTransitionError = (error) => error?.code === INVALID_TRANSITION_CODE;
+
+module.exports = {
+  DONATION_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  invalidTransitionResponse,
+  recordInitialStatus,
+  transitionStatus,
+  isInvalidTransitionError,
+};
@@ -0,0 +1,195 @@
+/**
+ * Duplicate donation photos
+ * A new donation's photo is compared by perceptual hash (services/imageService.js) with the
+ * photos of donations created in the last DUPLICATE_IMAGE_DAYS, by the same or any other donor.
+ * A match within DUPLICATE_IMAGE_MAX_DISTANCE bits either flags the donation for admins
+ * (DUPLICATE_IMAGE_ACTION=flag: a live duplicate_image_flagged event and
+ * GET /api/admin/reports/duplicate-images) or rejects it (block).
+ */
+
+const Donation = require('../models/Donation');
+const socketService = require('./socketService');
+const { perceptualHashDistance, formatImageVariants } = require('./imageService');
+const { getOwnUpload } = require('./imageUploadService');
+const {
+  DUPLICATE_IMAGE_ACTION,
+  DUPLICATE_IMAGE_DAYS,
+  DUPLICATE_IMAGE_MAX_DISTANCE,
+} = require('../config/env');
+
+const DUPLICATE_IMAGE_ERROR_CODE = 'DUPLICATE_IMAGE';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BLANK_HASH = '0000000000000000';
+// Blank or evenly lit photos hash to (almost) all 0s or all 1s and would match each other
+const MIN_DETAIL_BITS = 4;
+
+const NO_DUPLICATE = {
+  donationId: null,
+  trackingId: null,
+  donorId: null,
+  sameDonor: null,
+  distance: null,
+  detectedAt: null,
+};
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=409]
+ * @returns {Error}
+ */
+const duplicateImageError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.code = DUPLICATE_IMAGE_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the donation was rejected for reusing a photo
+ */
+const isDuplicateImageError = (error) => error?.code === DUPLICATE_IMAGE_ERROR_CODE;
+
+/**
+ * Recent donation with the most similar photo, if any is within DUPLICATE_IMAGE_MAX_DISTANCE
+ * @param {string} perceptualHash
+ * @param {string} [excludeId] - Donation whose photo is being replaced
+ * @returns {Promise<{ donation: Object, distance: number }|null>}
+ */
+const findClosestDonation = async (perceptualHash, excludeId) => {
+  const filter = {
+    createdAt: { $gte: new Date(Date.now() - DUPLICATE_IMAGE_DAYS * DAY_MS) },
+    imagePerceptualHash: { $ne: null },
+    parentDonationId: null, // claimed portions share their parent's photo
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  let closest = null;
+  const candidates = Donation.find(filter).select('trackingId donorId imagePerceptualHash').lean().cursor();
+  for await (const candidate of candidates) {
+    const distance = perceptualHashDistance(perceptualHash, candidate.imagePerceptualHash);
+    if (distance <= DUPLICATE_IMAGE_MAX_DISTANCE && (!closest || distance < closest.distance)) {
+      closest = { donation: candidate, distance };
+    }
+  }
+  return closest;
+};
+
+/**
+ * Hashes and duplicate check for the photo of a donation about to be saved. The photo must be
+ * one of the donor's own uploads, so the check cannot be skipped with an outside URL.
+ * @param {string} imageUrl
+ * @param {string} donorId
+ * @param {string} [donationId] - When an existing donation gets a new photo
+ * @returns {Promise<Object>} imageContentHash, imagePerceptualHash and duplicateImage to set on the donation
+ * @throws {Error} uploadError (403) if the photo is not one of the donor's live uploads;
+ *   duplicateImageError (409) if it matches and DUPLICATE_IMAGE_ACTION is block
+ */
+const checkDonationImage = async (imageUrl, donorId, donationId) => {
+  const { contentHash = null, perceptualHash = null } = await getOwnUpload(donorId, imageUrl);
+  const fields = { imageContentHash: contentHash, imagePerceptualHash: perceptualHash, duplicateImage: NO_DUPLICATE };
+  if (!perceptualHash || DUPLICATE_IMAGE_ACTION === 'off') return fields;
+  const detailBits = perceptualHashDistance(perceptualHash, BLANK_HASH);
+  if (detailBits < MIN_DETAIL_BITS || detailBits > 64 - MIN_DETAIL_BITS) return fields;
+
+  const match = await findClosestDonation(perceptualHash, donationId);
+  if (!match) return fields;
+
+  const { donation, distance } = match;
+  const sameDonor = donation.donorId.toString() === donorId.toString();
+  if (DUPLICATE_IMAGE_ACTION === 'block') {
+    console.warn(`[Donations] Rejected photo from donor ${donorId}: matches ${donation.trackingId} (distance ${distance})`);
+    throw duplicateImageError(sameDonor
+      ? `This photo was already used for your donation ${donation.trackingId}. Please upload a new photo of the food you are donating.`
+      : 'This photo matches a recent donation. Please upload your own photo of the food you are donating.');
+  }
+  fields.duplicateImage = {
+    donationId: donation._id,
+    trackingId: donation.trackingId,
+    donorId: donation.donorId,
+    sameDonor,
+    distance,
+    detectedAt: new Date(),
+  };
+  return fields;
+};
+
+/**
+ * Tell connected admins about a saved donation flagged by checkDonationImage
+ * @param {Object} donation - Donation document
+ */
+const notifyDuplicateImage = (donation) => {
+  const duplicate = donation.duplicateImage;
+  if (!duplicate?.donationId) return;
+  console.warn(`[Donations] ${donation.trackingId} reuses the photo of ${duplicate.trackingId} (distance ${duplicate.distance})`);
+  socketService.emitToRole('Admin', 'duplicate_image_flagged', {
+    donationId: donation._id.toString(),
+    trackingId: donation.trackingId,
+    matchedDonationId: duplicate.donationId.toString(),
+    matchedTrackingId: duplicate.trackingId,
+    sameDonor: duplicate.sameDonor,
+    distance: duplicate.distance,
+  });
+};
+
+/**
+ * Flagged donations for the admin report, newest first
+ * @param {number} days - How many days back
+ * @param {number} limit
+ * @returns {Promise<Object>} settings and the flagged donations with the photo they match
+ */
+const getFlaggedDuplicates = async (days, limit) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const filter = { 'duplicateImage.detectedAt': { $gte: since } };
+  const [total, flagged] = await Promise.all([
+    Donation.countDocuments(filter),
+    Donation.find(filter)
+      .sort({ 'duplicateImage.detectedAt': -1 })
+      .limit(limit)
+      .select('trackingId itemName status donorId imageUrl imageVariants duplicateImage createdAt')
+      .populate('donorId', 'email businessName username')
+      .populate('duplicateImage.donationId', 'trackingId itemName status imageUrl imageVariants createdAt')
+      .populate('duplicateImage.donorId', 'email businessName username')
+      .lean(),
+  ]);
+
+  const formatDonor = (donor) => (donor ? {
+    id: donor._id.toString(),
+    email: donor.email || null,
+    name: donor.businessName || donor.username || null,
+  } : null);
+  const formatDonation = (d) => (d ? {
+    id: d._id.toString(),
+    trackingId: d.trackingId,
+    itemName: d.itemName,
+    status: d.status,
+    imageVariants: formatImageVariants(d.imageUrl, d.imageVariants),
+    createdAt: d.createdAt,
+  } : null);
+
+  return {
+    action: DUPLICATE_IMAGE_ACTION,
+    windowDays: DUPLICATE_IMAGE_DAYS,
+    maxDistance: DUPLICATE_IMAGE_MAX_DISTANCE,
+    from: since,
+    total,
+    flagged: flagged.map((d) => ({
+      donation: { ...formatDonation(d), donor: formatDonor(d.donorId) },
+      matches: {
+        // The matched donation may have been deleted since
+        ...(formatDonation(d.duplicateImage.donationId) || { trackingId: d.duplicateImage.trackingId }),
+        donor: formatDonor(d.duplicateImage.donorId),
+      },
+      sameDonor: d.duplicateImage.sameDonor,
+      distance: d.duplicateImage.distance,
+      detectedAt: d.duplicateImage.detectedAt,
+    })),
+  };
+};
+
+module.exports = {
+  isDuplicateImageError,
+  checkDonationImage,
+  notifyDuplicateImage,
+  getFlaggedDuplicates,
+};
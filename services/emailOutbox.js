@@ -0,0 +1,274 @@
+/**
+ * Email Outbox
+ * Every email built in utils/emailService.js is stored here before it is sent, so an SMTP
+ * outage delays mail instead of losing it. Delivery is tried straight away; failures are
+ * retried with exponential backoff by the 'email-outbox' job until MAX_ATTEMPTS.
+ * The stored messages double as the delivery log in the admin panel. Bodies of emails with
+ * one-time secrets (password reset, unlock link, signup OTP) are dropped once delivery is over.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/EmailMessage');
+const { transporter, isFileTransport, EMAIL_FILE_DIR } = require('../config/email');
+const { renderEmail, isSensitiveTemplate } = require('../utils/emailTemplates');
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_MS = 60 * 1000; // 1, 2, 4, 8, 16 minutes between attempts
+const MAX_RETRY_MS = 60 * 60 * 1000;
+const SEND_LEASE_MS = 2 * 60 * 1000; // a claim older than this is assumed dead and re-sent
+const OUTBOX_ERROR_CODE = 'OUTBOX_ERROR';
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const outboxError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = OUTBOX_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error came from the outbox (unknown message, already queued)
+ */
+const isOutboxError = (error) => error?.code === OUTBOX_ERROR_CODE;
+
+// Hand one stored message to the transport; the file transport writes an .eml file instead
+const deliver = async (message) => {
+  if (!transporter) {
+    throw new Error('Email transport is not configured');
+  }
+
+  const info = await transporter.sendMail({
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    ...(message.text ? { text: message.text } : {}),
+    attachments: message.attachments.map(a => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      content: a.content,
+    })),
+  });
+
+  if (isFileTransport()) {
+    await fs.mkdir(EMAIL_FILE_DIR, { recursive: true });
+    const file = path.join(EMAIL_FILE_DIR, `${Date.now()}-${message.template}-${message._id}.eml`);
+    await fs.writeFile(file, info.message);
+    return { messageId: file, transport: 'file' };
+  }
+  return { messageId: info.messageId || null, transport: 'smtp' };
+};
+
+// Fields that drop the body of a sensitive email once it is sent or abandoned
+const clearedBody = (message) => (isSensitiveTemplate(message.template) ? { html: '', text: null } : {});
+
+// Claim a due message (optionally a specific one) so that only one instance sends it
+const claimMessage = (filter = {}) => {
+  const now = new Date();
+  return EmailMessage.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + SEND_LEASE_MS),
+        lastAttemptAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Send a claimed message and record the outcome.
+ * @returns {Promise<'sent'|'queued'|'failed'>} Status after the attempt
+ */
+const attemptDelivery = async (message) => {
+  try {
+    const { messageId, transport } = await deliver(message);
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: new Date(),
+          messageId,
+          transport,
+          lockedUntil: null,
+          lastError: null,
+          ...clearedBody(message),
+        },
+      }
+    );
+    console.log(`[EmailOutbox] ${message.template} email sent to ${message.to}`);
+    return 'sent';
+  } catch (error) {
+    const giveUp = message.attempts >= MAX_ATTEMPTS;
+    const delay = Math.min(BASE_RETRY_MS * 2 ** (message.attempts - 1), MAX_RETRY_MS);
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: giveUp ? 'failed' : 'queued',
+          nextAttemptAt: giveUp ? message.nextAttemptAt : new Date(Date.now() + delay),
+          lockedUntil: null,
+          lastError: error?.message || String(error),
+          ...(giveUp ? clearedBody(message) : {}),
+        },
+      }
+    );
+    console.error(
+      `[EmailOutbox] ${message.template} email to ${message.to} failed (attempt ${message.attempts}/${MAX_ATTEMPTS})` +
+      (giveUp ? ', giving up:' : `, retrying in ${Math.round(delay / 1000)}s:`),
+      error?.message
+    );
+    return giveUp ? 'failed' : 'queued';
+  }
+};
+
+// Try one message now, outside the request that queued it
+const sendNow = (messageId) => {
+  setImmediate(async () => {
+    try {
+      const message = await claimMessage({ _id: messageId });
+      if (message) await attemptDelivery(message);
+    } catch (error) {
+      console.error('[EmailOutbox] Immediate delivery error:', error);
+    }
+  });
+};
+
+/**
+ * Store an email in the outbox and start delivering it.
+ * @param {string} template - Name of the email, e.g. 'welcome'
+ * @param {Object} mailOptions - nodemailer options (from, to, subject, html, text, attachments)
+ * @param {Object} [options]
+ * @param {Date} [options.sendAt] - Hold the email until then (the outbox job picks it up)
+ * @param {Object} [options.data] - Template variables, kept so an admin resend can render it again
+ * @param {string} [options.language] - Language it was rendered in
+ * @returns {Promise<Object>} The queued EmailMessage
+ */
+const queueEmail = async (template, mailOptions, { sendAt, data, language } = {}) => {
+  const deferred = sendAt instanceof Date && sendAt.getTime() > Date.now();
+  const keepData = data && !isSensitiveTemplate(template);
+  const message = await EmailMessage.create({
+    template,
+    to: Array.isArray(mailOptions.to) ? mailOptions.to.join(', ') : mailOptions.to,
+    from: mailOptions.from,
+    subject: mailOptions.subject || '',
+    html: mailOptions.html || '',
+    text: mailOptions.text || null,
+    attachments: (mailOptions.attachments || []).map(a => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      content: Buffer.isBuffer(a.content) ? a.content : Buffer.from(a.content || ''),
+    })),
+    data: keepData ? data : null,
+    language: keepData ? language || null : null,
+    ...(deferred ? { nextAttemptAt: sendAt } : {}),
+  });
+  if (!deferred) sendNow(message._id);
+  return message;
+};
+
+/**
+ * Deliver every message that is due (new, retrying or abandoned mid-send). Run by the job scheduler.
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Messages per run
+ * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+ */
+const processOutbox = async ({ limit = 100 } = {}) => {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const message = await claimMessage();
+    if (!message) break;
+    const status = await attemptDelivery(message);
+    if (status === 'sent') counts.sent++;
+    else if (status === 'failed') counts.failed++;
+    else counts.retrying++;
+  }
+  return counts;
+};
+
+/**
+ * Send a logged email again (admin), rendered afresh from its template and stored variables.
+ * A failed message is re-queued with fresh attempts; a sent one is copied into a new message
+ * so the original log entry stays intact.
+ * @param {string} messageId
+ * @param {string} adminId
+ * @returns {Promise<Object>} The message that will be delivered
+ * @throws {Error} outboxError when the message is unknown, still queued or cannot be rendered again
+ */
+const resendEmail = async (messageId, adminId) => {
+  const original = mongoose.isValidObjectId(messageId) ? await EmailMessage.findById(messageId) : null;
+  if (!original) throw outboxError('Email not found', 404);
+  if (original.status === 'queued' || original.status === 'sending') {
+    throw outboxError('Email is already queued for delivery', 409);
+  }
+  if (isSensitiveTemplate(original.template)) {
+    throw outboxError('This email contained a one-time link or code and cannot be resent. Ask the user to request a new one.', 409);
+  }
+  if (!original.data) {
+    throw outboxError('This email was logged before resending was supported and cannot be resent', 409);
+  }
+  const { subject, html, text } = renderEmail(original.template, original.data, original.language);
+
+  let message;
+  if (original.status === 'failed') {
+    message = await EmailMessage.findOneAndUpdate(
+      { _id: original._id, status: 'failed' },
+      {
+        $set: {
+          status: 'queued',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          lastError: null,
+          resentBy: adminId,
+          subject,
+          html,
+          text,
+        },
+      },
+      { new: true }
+    );
+    if (!message) throw outboxError('Email is already queued for delivery', 409);
+  } else {
+    message = await EmailMessage.create({
+      template: original.template,
+      to: original.to,
+      from: original.from,
+      subject,
+      html,
+      text,
+      data: original.data,
+      language: original.language,
+      attachments: original.attachments,
+      resendOf: original._id,
+      resentBy: adminId,
+    });
+  }
+
+  sendNow(message._id);
+  return message;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  queueEmail,
+  processOutbox,
+  resendEmail,
+  isOutboxError,
+};
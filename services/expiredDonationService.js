@@ -1,78 +1,129 @@
 /**
  * Expired Donation Service
- * Handles automatic deletion of expired donations and sending email notifications
+ * Handles archiving of expired donations and sending email notifications
  */
 
 const Donation = require('../models/Donation');
 const User = require('../models/User');
+const { transitionStatus } = require('./donationStatusService');
+const { skipDonationStops } = require('./batchService');
+
+// Statuses the expiry job may archive (delivered, cancelled and expired are final)
+const EXPIRABLE_STATUSES = ['pending', 'approved', 'assigned', 'picked_up'];
 
 /**
- * Check and delete expired donations
- * Finds all expired donations (excluding delivered ones) and deletes them
- * Sends deletion notification emails to donors
+ * Work out why a donation expired and how many servings were lost
+ * @param {Object} donation - Donation document
+ * @returns {{ expiryReason: string, expiredQuantity: number, reasonText: string }}
  */
-const checkAndDeleteExpiredDonations = async () => {
+const describeExpiry = (donation) => {
+  if (donation.status === 'picked_up') {
+    return {
+      expiryReason: 'in_transit',
+      expiredQuantity: donation.quantity,
+      reasonText: 'Expired while in transit to the receiver',
+    };
+  }
+  if (donation.status === 'assigned') {
+    return {
+      expiryReason: 'awaiting_pickup',
+      expiredQuantity: donation.quantity,
+      reasonText: 'Expired after being claimed but before pickup',
+    };
+  }
+  // Listing still open: only the servings nobody claimed are lost (claimed portions are separate donations)
+  const unclaimed = Math.max(0, (donation.quantity || 0) - (donation.claimedQuantity || 0));
+  if (unclaimed === 0) {
+    // Nothing was lost: the listing is closed, but kept out of the expiry report and emails
+    return {
+      expiryReason: 'fully_claimed',
+      expiredQuantity: 0,
+      reasonText: 'Listing closed at expiry: all servings were claimed',
+    };
+  }
+  return {
+    expiryReason: 'unclaimed',
+    expiredQuantity: unclaimed,
+    reasonText: `Expired with ${unclaimed} unclaimed ${unclaimed === 1 ? 'serving' : 'servings'}`,
+  };
+};
+
+/**
+ * Archive expired donations
+ * Moves every expired, not yet delivered donation to the 'expired' status (keeping its
+ * image, chat and history) and sends an expiry notification email to the donor
+ */
+const archiveExpiredDonations = async () => {
   try {
     const currentDate = new Date();
     
-    // Find expired donations (excluding delivered ones to preserve history)
+    // Find expired donations that are still in progress
     const expiredDonations = await Donation.find({
       expiryDate: { $lte: currentDate },
-      status: { $ne: 'delivered' }, // Keep delivered donations for history
+      status: { $in: EXPIRABLE_STATUSES },
     })
-      .populate('donorId', 'email donorType username businessName')
-      .lean();
+      .populate('donorId', 'email donorType username businessName');
 
     if (!expiredDonations || expiredDonations.length === 0) {
-      console.log('[ExpiredDonationService] No expired donations to delete');
-      return { deleted: 0, errors: 0 };
+      console.log('[ExpiredDonationService] No expired donations to archive');
+      return { archived: 0, errors: 0 };
     }
 
-    console.log(`[ExpiredDonationService] Found ${expiredDonations.length} expired donation(s) to delete`);
+    console.log(`[ExpiredDonationService] Found ${expiredDonations.length} expired donation(s) to archive`);
 
-    const { sendDonationDeletedEmail } = require('../utils/emailService');
-    let deletedCount = 0;
+    const { sendDonationExpiredEmail } = require('../utils/emailService');
+    let archivedCount = 0;
     let errorCount = 0;
 
     // Process each expired donation
     for (const donation of expiredDonations) {
       try {
         const donor = donation.donorId;
-        
+        const { expiryReason, expiredQuantity, reasonText } = describeExpiry(donation);
+
+        transitionStatus(donation, 'expired', { reason: reasonText });
+        donation.expiredAt = currentDate;
+        donation.expiryReason = expiryReason;
+        donation.expiredQuantity = expiredQuantity;
+        await donation.save();
+        archivedCount++;
+
+        // Drop its remaining stops from the driver's batch
+        await skipDonationStops(donation).catch(err => {
+          console.error(`[ExpiredDonationService] Error updating batch for donation ${donation._id}:`, err.message);
+        });
+
+        console.log(`[ExpiredDonationService] Archived expired donation: ${donation.trackingId || donation._id} (${expiryReason})`);
+
         if (!donor) {
-          console.warn(`[ExpiredDonationService] Donor not found for donation ${donation._id}, deleting anyway`);
-        } else {
-          // Send deletion notification email (async, don't block deletion)
-          sendDonationDeletedEmail(donation, donor)
+          console.warn(`[ExpiredDonationService] Donor not found for donation ${donation._id}, skipping email`);
+        } else if (expiredQuantity > 0) {
+          // Send expiry notification email (async, don't block the job)
+          sendDonationExpiredEmail(donation.toObject(), donor)
             .catch(error => {
-              console.error(`[ExpiredDonationService] Error sending deletion email for donation ${donation._id}:`, error.message);
-              // Continue with deletion even if email fails
+              console.error(`[ExpiredDonationService] Error sending expiry email for donation ${donation._id}:`, error.message);
             });
         }
-
-        // Delete the donation
-        await Donation.findByIdAndDelete(donation._id);
-        deletedCount++;
-        
-        console.log(`[ExpiredDonationService] Deleted expired donation: ${donation.trackingId || donation._id}`);
       } catch (error) {
         errorCount++;
-        console.error(`[ExpiredDonationService] Error deleting donation ${donation._id}:`, error.message);
+        console.error(`[ExpiredDonationService] Error archiving donation ${donation._id}:`, error.message);
         // Continue with next donation even if one fails
       }
     }
 
-    console.log(`[ExpiredDonationService] Deletion complete: ${deletedCount} deleted, ${errorCount} errors`);
-    return { deleted: deletedCount, errors: errorCount };
+    console.log(`[ExpiredDonationService] Archiving complete: ${archivedCount} archived, ${errorCount} errors`);
+    return { archived: archivedCount, errors: errorCount };
   } catch (error) {
-    console.error('[ExpiredDonationService] Error in checkAndDeleteExpiredDonations:', error);
-    return { deleted: 0, errors: 1 };
+    // Let the job scheduler record the failure and retry
+    console.error('[ExpiredDonationService] Error in archiveExpiredDonations:', error);
+    throw error;
   }
 };
 
 /**
  * Send expiry warning emails to donors
- * Checks for donations expiring in the next 1-2 hours and sends warning emails
+ * Checks for donations expiring in the next 1-2 hours and sends warning emails.
+ * Each donation is marked (expiryWarningSentAt) before its email goes out, so reruns don't resend
  */
 const sendExpiryWarningEmails = async () => {
   try {
@@ -86,7 +137,8 @@ const sendExpiryWarningEmails = async () => {
         $gte: oneHourFromNow,
         $lte: twoHoursFromNow,
       },
-      status: { $ne: 'delivered' }, // Don't warn about delivered donations
+      status: { $in: EXPIRABLE_STATUSES }, // Don't warn about finished donations
+      expiryWarningSentAt: null, // Already warned (earlier run or before a restart)
     })
       .populate('donorId', 'email donorType username businessName')
       .lean();
@@ -123,8 +175,22 @@ const sendExpiryWarningEmails = async () => {
           continue;
         }
 
-        // Send warning email
-        await sendDonationExpiryWarningEmail(donation, donor);
+        // Claim the donation first so a concurrent or repeated run cannot send it twice
+        const claimed = await Donation.updateOne(
+          { _id: donation._id, expiryWarningSentAt: null },
+          { $set: { expiryWarningSentAt: new Date() } }
+        );
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+
+        // Send warning email (release the claim if it fails so the next run can retry)
+        try {
+          await sendDonationExpiryWarningEmail(donation, donor);
+        } catch (sendError) {
+          await Donation.updateOne({ _id: donation._id }, { $set: { expiryWarningSentAt: null } });
+          throw sendError;
+        }
         notifiedDonors.add(donorKey);
         sentCount++;
         
@@ -139,12 +205,13 @@ const sendExpiryWarningEmails = async () => {
     console.log(`[ExpiredDonationService] Warning emails sent: ${sentCount} sent, ${errorCount} errors`);
     return { sent: sentCount, errors: errorCount };
   } catch (error) {
+    // Let the job scheduler record the failure and retry
     console.error('[ExpiredDonationService] Error in sendExpiryWarningEmails:', error);
-    return { sent: 0, errors: 1 };
+    throw error;
   }
 };
 
 module.exports = {
-  checkAndDeleteExpiredDonations,
+  archiveExpiredDonations,
   sendExpiryWarningEmails,
 };
@@ -0,0 +1,221 @@
+/**
+ * Food safety in transit
+ * Drivers log a temperature/condition check at pickup and drop-off. A reading outside the
+ * safe range, spoiled food, or hot/cold food still on the road past its holding window
+ * (utils/foodSafety.js) raises an alert: an in-app notification for the driver and receiver
+ * and a live food_safety_alert for admins. Delivery records the time spent in transit.
+ */
+
+const Donation = require('../models/Donation');
+const socketService = require('./socketService');
+const { createUserNotification } = require('./notificationService');
+const {
+  SAFETY_CHECK_STAGES,
+  FOOD_CONDITIONS,
+  getHoldingWindowMinutes,
+  isTemperatureSafe,
+  describeSafeTemperature,
+  minutesBetween,
+} = require('../utils/foodSafety');
+
+const FOOD_SAFETY_ERROR_CODE = 'FOOD_SAFETY_ERROR';
+const MAX_NOTES_LENGTH = 500;
+
+// Statuses in which each check can be logged
+const CHECK_STATUSES = {
+  pickup: ['assigned', 'picked_up'],
+  dropoff: ['picked_up', 'delivered'],
+};
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const foodSafetyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = FOOD_SAFETY_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error is a validation error from this service
+ */
+const isFoodSafetyError = (error) => error?.code === FOOD_SAFETY_ERROR_CODE;
+
+/**
+ * Record an alert on the donation and tell the driver, the receiver and admins
+ * @param {Object} donation - Donation document
+ * @param {'holding_window'|'temperature'|'condition'} type
+ * @param {string} message
+ */
+const raiseAlert = async (donation, type, message) => {
+  const alert = { type, message, raisedAt: new Date() };
+  await Donation.updateOne({ _id: donation._id }, { $push: { safetyAlerts: alert } });
+  donation.safetyAlerts?.push?.(alert);
+  console.warn(`[FoodSafety] ${donation.trackingId}: ${message}`);
+
+  const recipients = [
+    [donation.assignedDriverId, 'pickups'],
+    [donation.assignedReceiverId, 'deliveries'],
+  ];
+  for (const [participant, event] of recipients) {
+    const userId = participant?._id || participant;
+    if (!userId) continue;
+    await createUserNotification(userId, {
+      title: 'Food safety alert',
+      message: `"${donation.itemName}" (${donation.trackingId}): ${message}`,
+      event,
+      donationId: donation._id,
+    }).catch((error) => {
+      console.error(`[FoodSafety] Error notifying ${userId} about ${donation.trackingId}:`, error);
+    });
+  }
+
+  socketService.emitToRole('Admin', 'food_safety_alert', {
+    donationId: donation._id.toString(),
+    trackingId: donation.trackingId,
+    type,
+    message,
+  });
+};
+
+/**
+ * Log a driver's check at pickup or drop-off
+ * @param {Object} donation - Donation document
+ * @param {Object} driver - { id } of the assigned driver
+ * @param {Object} body - { stage, temperatureC?, condition, notes? }
+ * @returns {Promise<Object>} The saved check
+ * @throws {Error} foodSafetyError for invalid input or a donation in the wrong state
+ */
+const recordSafetyCheck = async (donation, driver, body = {}) => {
+  const { stage, condition } = body;
+  if (!SAFETY_CHECK_STAGES.includes(stage)) {
+    throw foodSafetyError(`stage must be one of: ${SAFETY_CHECK_STAGES.join(', ')}`);
+  }
+  if (!FOOD_CONDITIONS.includes(condition)) {
+    throw foodSafetyError(`condition must be one of: ${FOOD_CONDITIONS.join(', ')}`);
+  }
+  let temperatureC = null;
+  if (body.temperatureC !== undefined && body.temperatureC !== null && body.temperatureC !== '') {
+    temperatureC = Number(body.temperatureC);
+    if (!Number.isFinite(temperatureC) || temperatureC < -30 || temperatureC > 120) {
+      throw foodSafetyError('temperatureC must be a number between -30 and 120');
+    }
+  }
+  if (body.notes !== undefined && body.notes !== null && typeof body.notes !== 'string') {
+    throw foodSafetyError('notes must be text');
+  }
+  const notes = body.notes?.trim().slice(0, MAX_NOTES_LENGTH) || null;
+
+  if (donation.assignedDriverId?.toString() !== driver.id) {
+    throw foodSafetyError('You are not assigned to this donation', 403);
+  }
+  if (!CHECK_STATUSES[stage].includes(donation.status)) {
+    throw foodSafetyError(`A ${stage} check cannot be logged for a donation that is ${donation.status}`, 409);
+  }
+
+  const storage = donation.storageRecommendation;
+  const check = {
+    stage,
+    temperatureC,
+    condition,
+    notes,
+    temperatureSafe: isTemperatureSafe(storage, temperatureC),
+    recordedBy: driver.id,
+    recordedAt: new Date(),
+  };
+  await Donation.updateOne({ _id: donation._id }, { $push: { safetyChecks: check } });
+  donation.safetyChecks.push(check);
+
+  const label = stage === 'pickup' ? 'pickup' : 'drop-off';
+  if (!check.temperatureSafe) {
+    await raiseAlert(donation, 'temperature',
+      `${temperatureC}°C at ${label}; ${storage.toLowerCase()} food should be ${describeSafeTemperature(storage)}.`);
+  }
+  if (condition === 'spoiled') {
+    await raiseAlert(donation, 'condition', `Driver reported the food as spoiled at ${label}.`);
+  }
+  return check;
+};
+
+/**
+ * Set deliveredAt and the transit time on a donation being delivered (caller saves it)
+ * @param {Object} donation - Donation document
+ */
+const recordTransitTime = (donation) => {
+  donation.deliveredAt = new Date();
+  donation.transitMinutes = minutesBetween(donation.actualPickupDate, donation.deliveredAt);
+  donation.holdingWindowMinutes = getHoldingWindowMinutes(donation);
+  donation.holdingWindowExceeded = donation.holdingWindowMinutes != null &&
+    donation.transitMinutes != null &&
+    donation.transitMinutes > donation.holdingWindowMinutes;
+};
+
+/**
+ * Alert on hot/cold donations still in transit past their holding window (once per donation).
+ * Run every 5 minutes by the 'food-safety-sweep' job.
+ * @returns {Promise<{ checked: number, alerted: number }>}
+ */
+const sweepHoldingWindows = async () => {
+  const now = new Date();
+  const inTransit = await Donation.find({
+    status: 'picked_up',
+    storageRecommendation: { $in: ['Hot', 'Cold'] },
+    actualPickupDate: { $ne: null },
+    'safetyAlerts.type': { $ne: 'holding_window' },
+  }).select('trackingId itemName foodCategory storageRecommendation actualPickupDate assignedDriverId assignedReceiverId');
+
+  let alerted = 0;
+  for (const donation of inTransit) {
+    const windowMinutes = getHoldingWindowMinutes(donation);
+    const elapsed = minutesBetween(donation.actualPickupDate, now);
+    if (windowMinutes == null || elapsed <= windowMinutes) continue;
+
+    await raiseAlert(donation, 'holding_window',
+      `${donation.storageRecommendation.toLowerCase()} ${donation.foodCategory.toLowerCase()} has been in transit for ${elapsed} minutes; the safe limit is ${windowMinutes}.`);
+    alerted++;
+  }
+  return { checked: inTransit.length, alerted };
+};
+
+/**
+ * Food safety record in API shape
+ * @param {Object} donation
+ * @returns {Object}
+ */
+const formatFoodSafety = (donation) => {
+  const windowMinutes = donation.holdingWindowMinutes ?? getHoldingWindowMinutes(donation);
+  const transitMinutes = donation.transitMinutes ??
+    (donation.status === 'picked_up' ? minutesBetween(donation.actualPickupDate, new Date()) : null);
+  const checkFor = (stage) => {
+    const check = [...(donation.safetyChecks || [])].reverse().find((c) => c.stage === stage);
+    return check ? {
+      temperatureC: check.temperatureC,
+      condition: check.condition,
+      notes: check.notes,
+      temperatureSafe: check.temperatureSafe,
+      recordedAt: check.recordedAt,
+    } : null;
+  };
+  return {
+    storage: donation.storageRecommendation,
+    safeTemperature: describeSafeTemperature(donation.storageRecommendation),
+    holdingWindowMinutes: windowMinutes,
+    transitMinutes,
+    holdingWindowExceeded: windowMinutes != null && transitMinutes != null && transitMinutes > windowMinutes,
+    pickupCheck: checkFor('pickup'),
+    dropoffCheck: checkFor('dropoff'),
+    alerts: (donation.safetyAlerts || []).map((a) => ({ type: a.type, message: a.message, raisedAt: a.raisedAt })),
+  };
+};
+
+module.exports = {
+  isFoodSafetyError,
+  recordSafetyCheck,
+  recordTransitTime,
+  sweepHoldingWindows,
+  formatFoodSafety,
+};
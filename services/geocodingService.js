@@ -3,6 +3,8 @@
  * Converts addresses to coordinates using OpenStreetMap Nominatim API
  */
 
+const { isWithinSriLanka } = require('../utils/geoUtils');
+
 // Simple in-memory cache to avoid repeated API calls
 const geocodeCache = new Map();
 
@@ -85,9 +87,7 @@ const geocodeAddress = async (address) => {
     console.log(`[Geocoding] Coordinates: [${coordinates.lat}, ${coordinates.lng}]`);
     
     // Validate coordinates are reasonable for Sri Lanka
-    // Sri Lanka is approximately: lat 5.9-9.8, lng 79.7-81.9
-    if (coordinates.lat < 5 || coordinates.lat > 10 || 
-        coordinates.lng < 79 || coordinates.lng > 82) {
+    if (!isWithinSriLanka(coordinates.lat, coordinates.lng)) {
       console.warn(`[Geocoding] Coordinates [${coordinates.lat}, ${coordinates.lng}] seem outside Sri Lanka bounds. Original address: ${address}`);
       // Still return the coordinates but log a warning
     }
@@ -0,0 +1,250 @@
+/**
+ * Pickup and delivery handshake
+ * Once a donation is claimed the donor has a one-time pickup code and the receiver a delivery
+ * code (in the app, as a QR code, and by SMS when a driver accepts the order). The driver
+ * confirms each handover by entering or scanning the other party's code; the confirmation
+ * stores the driver's GPS position and an optional photo on the donation as proof
+ * (pickupProof / deliveryProof).
+ */
+
+const crypto = require('crypto');
+const Donation = require('../models/Donation');
+const { uploadPrivateFile, getSignedFileUrl } = require('./storageService');
+const { sendHandshakeCodeSms } = require('./smsService');
+const { isWithinSriLanka } = require('../utils/geoUtils');
+const { calculateDistance } = require('../utils/distanceService');
+
+const HANDSHAKE_ERROR_CODE = 'HANDSHAKE_ERROR';
+const CODE_DIGITS = 6;
+const QR_PREFIX = 'FOODLOOP';
+
+// Who holds each code, where it is stored and which status it is valid in
+const HANDSHAKE_STAGES = {
+  pickup: {
+    field: 'pickupProof',
+    holder: 'donorId',
+    validStatuses: ['assigned'],
+    expected: (donation) => [donation.donorLatitude, donation.donorLongitude],
+  },
+  delivery: {
+    field: 'deliveryProof',
+    holder: 'assignedReceiverId',
+    validStatuses: ['assigned', 'picked_up'],
+    expected: (donation) => [donation.receiverLatitude, donation.receiverLongitude],
+  },
+};
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const handshakeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = HANDSHAKE_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error is a validation error from this service
+ */
+const isHandshakeError = (error) => error?.code === HANDSHAKE_ERROR_CODE;
+
+const generateCode = () => String(crypto.randomInt(0, 10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+
+const idOf = (ref) => (ref?._id || ref)?.toString() || null;
+
+/**
+ * Text the driver scans instead of typing the code
+ * @param {Object} donation - { trackingId }
+ * @param {'pickup'|'delivery'} stage
+ * @param {string} code
+ * @returns {string} e.g. FOODLOOP:FL-20250101-01:pickup:123456
+ */
+const buildQrPayload = (donation, stage, code) => `${QR_PREFIX}:${donation.trackingId}:${stage}:${code}`;
+
+const parseQrPayload = (payload) => {
+  const [prefix, trackingId, stage, code] = String(payload).trim().split(':');
+  return prefix === QR_PREFIX && trackingId && stage && code ? { trackingId, stage, code } : null;
+};
+
+/**
+ * Give the donation its pickup and delivery codes (those not issued or used yet) and text
+ * each code to its holder. Safe to call more than once.
+ * @param {Object} donation - Donation with donorId / assignedReceiverId (may be populated)
+ */
+const issueHandshakeCodes = async (donation) => {
+  for (const [stage, config] of Object.entries(HANDSHAKE_STAGES)) {
+    const holderId = idOf(donation[config.holder]);
+    if (!holderId || !config.validStatuses.includes(donation.status)) continue;
+
+    const code = generateCode();
+    const result = await Donation.updateOne(
+      { _id: donation._id, [`${config.field}.code`]: null, [`${config.field}.confirmedAt`]: null },
+      { $set: { [`${config.field}.code`]: code, [`${config.field}.codeIssuedAt`]: new Date() } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    sendHandshakeCodeSms(holderId, { stage, code, donation }).catch((error) => {
+      console.error(`[Handshake] Error texting ${stage} code for ${donation.trackingId}:`, error);
+    });
+  }
+};
+
+/**
+ * The code a donor (pickup) or receiver (delivery) shows the driver
+ * @param {string} donationId
+ * @param {{ id: string, role: string }} user
+ * @returns {Promise<{ stage: string, code: string|null, qrPayload: string|null, confirmedAt: Date|null }>}
+ * @throws {Error} handshakeError when the user holds no code for this donation
+ */
+const getHandshakeCode = async (donationId, user) => {
+  const stage = user.role === 'Donor' ? 'pickup' : user.role === 'Receiver' ? 'delivery' : null;
+  if (!stage) throw handshakeError('Only donors and receivers have handover codes', 403);
+  const { field, holder, validStatuses } = HANDSHAKE_STAGES[stage];
+
+  const findDonation = () => Donation.findById(donationId)
+    .select(`trackingId itemName status donorId assignedReceiverId +${field}.code ${field}.confirmedAt`)
+    .lean();
+  let donation = await findDonation();
+  if (!donation || idOf(donation[holder]) !== user.id) throw handshakeError('Donation not found', 404);
+
+  const confirmedAt = donation[field]?.confirmedAt || null;
+  if (confirmedAt) return { stage, code: null, qrPayload: null, confirmedAt };
+  if (!validStatuses.includes(donation.status)) {
+    throw handshakeError(`There is no ${stage} code for a donation that is ${donation.status}`, 409);
+  }
+
+  if (!donation[field]?.code) {
+    await issueHandshakeCodes(donation);
+    donation = await findDonation();
+  }
+  const { code } = donation[field];
+  return { stage, code, qrPayload: buildQrPayload(donation, stage, code), confirmedAt: null };
+};
+
+/**
+ * Read the driver's position from the request, falling back to their last shared location
+ * @param {Object} body - { latitude?, longitude?, accuracy? }
+ * @param {Object} driver - User with driverLatitude / driverLongitude
+ * @returns {{ latitude: number, longitude: number, accuracyMeters: number|null, locationSource: string }|null}
+ * @throws {Error} handshakeError for coordinates outside Sri Lanka
+ */
+const resolveDriverPosition = (body, driver) => {
+  if (body.latitude != null && body.latitude !== '' && body.longitude != null && body.longitude !== '') {
+    const latitude = Number(body.latitude);
+    const longitude = Number(body.longitude);
+    if (!isWithinSriLanka(latitude, longitude)) {
+      throw handshakeError('Your location must be valid coordinates within Sri Lanka');
+    }
+    const accuracy = Number(body.accuracy);
+    return {
+      latitude,
+      longitude,
+      accuracyMeters: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null,
+      locationSource: 'device',
+    };
+  }
+  if (isWithinSriLanka(driver?.driverLatitude, driver?.driverLongitude)) {
+    return {
+      latitude: driver.driverLatitude,
+      longitude: driver.driverLongitude,
+      accuracyMeters: null,
+      locationSource: 'last_known',
+    };
+  }
+  return null;
+};
+
+/**
+ * Check the code the driver entered or scanned and record the proof on the donation.
+ * The caller transitions the status and saves the donation.
+ * @param {Object} donation - Donation document loaded with +pickupProof.code / +deliveryProof.code
+ * @param {'pickup'|'delivery'} stage
+ * @param {Object} input
+ * @param {Object} input.body - { code?, qrPayload?, latitude?, longitude?, accuracy? }
+ * @param {Object} input.driver - Driver user (for the fallback location)
+ * @param {Object} [input.photo] - Multer file
+ * @throws {Error} handshakeError when the code is missing or wrong, or the photo/location is invalid
+ */
+const applyHandshakeProof = async (donation, stage, { body = {}, driver, photo }) => {
+  const { field } = HANDSHAKE_STAGES[stage];
+  const proof = donation[field] || {};
+
+  let method = 'code';
+  let code = typeof body.code === 'string' || typeof body.code === 'number' ? String(body.code).trim() : '';
+  if (body.qrPayload) {
+    const parsed = parseQrPayload(body.qrPayload);
+    if (!parsed || parsed.trackingId !== donation.trackingId || parsed.stage !== stage) {
+      throw handshakeError(`This QR code is not the ${stage} code for this donation`);
+    }
+    method = 'qr';
+    code = parsed.code;
+  }
+  if (!code) throw handshakeError(`Enter the ${stage} code shown to the ${stage === 'pickup' ? 'donor' : 'receiver'}`);
+  if (!proof.code) {
+    throw handshakeError(`No ${stage} code has been issued yet. Ask the ${stage === 'pickup' ? 'donor' : 'receiver'} to open the donation.`, 409);
+  }
+  if (code.length !== proof.code.length ||
+      !crypto.timingSafeEqual(Buffer.from(code), Buffer.from(proof.code))) {
+    throw handshakeError(`Incorrect ${stage} code`, 422);
+  }
+
+  if (photo && !photo.mimetype?.startsWith('image/')) {
+    throw handshakeError('Photo must be an image (e.g. JPEG, PNG)');
+  }
+  const position = resolveDriverPosition(body, driver);
+  const photoUrl = photo ? await uploadPrivateFile(photo, 'handover-photos') : null;
+
+  const [expectedLat, expectedLng] = HANDSHAKE_STAGES[stage].expected(donation);
+  const distanceKm = position && isWithinSriLanka(expectedLat, expectedLng)
+    ? Math.round(calculateDistance(position.latitude, position.longitude, expectedLat, expectedLng) * 1000) / 1000
+    : null;
+
+  donation.set(field, {
+    code: null,
+    codeIssuedAt: proof.codeIssuedAt,
+    confirmedAt: new Date(),
+    confirmedBy: driver?._id || null,
+    method,
+    photoUrl,
+    latitude: position?.latitude ?? null,
+    longitude: position?.longitude ?? null,
+    accuracyMeters: position?.accuracyMeters ?? null,
+    locationSource: position?.locationSource ?? null,
+    distanceKm,
+  });
+};
+
+/**
+ * Handover proof in API shape (never includes the code; the photo is a short-lived signed link)
+ * @param {Object} proof - donation.pickupProof / donation.deliveryProof
+ * @returns {Object|null} null until the handover was confirmed
+ */
+const formatHandoverProof = (proof) => {
+  if (!proof?.confirmedAt) return null;
+  return {
+    confirmedAt: proof.confirmedAt,
+    method: proof.method,
+    photoUrl: getSignedFileUrl(proof.photoUrl),
+    location: proof.latitude != null && proof.longitude != null
+      ? {
+          latitude: proof.latitude,
+          longitude: proof.longitude,
+          accuracyMeters: proof.accuracyMeters ?? null,
+          source: proof.locationSource,
+        }
+      : null,
+    distanceKm: proof.distanceKm ?? null,
+  };
+};
+
+module.exports = {
+  isHandshakeError,
+  issueHandshakeCodes,
+  getHandshakeCode,
+  applyHandshakeProof,
+  formatHandoverProof,
+};
@@ -0,0 +1,237 @@
+/**
+ * Image pipeline for donation photos and avatars
+ * An upload is accepted only if its bytes are a JPEG, PNG, WebP, GIF or AVIF image (the
+ * browser-supplied mimetype is not trusted). HEIC photos are refused with a hint to convert them:
+ * the prebuilt sharp binaries have no HEVC decoder. It is turned upright and re-encoded without any
+ * metadata - EXIF GPS from a phone photo would otherwise reveal where a donor lives - and stored
+ * as three public variants: thumbnail (lists), medium (detail views) and original (full size).
+ * Donation photos are also hashed: a SHA-256 of the uploaded bytes keys the AI prediction cache,
+ * and a perceptual hash (dHash) lets near-identical photos be found (services/duplicateImageService.js).
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { uploadPublicVariants, getPublicFileUrl, getPublicFileKey } = require('./storageService');
+
+const IMAGE_ERROR_CODE = 'IMAGE_ERROR';
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000; // ~50 MP; larger "images" are decompression bombs
+
+// Longest side and JPEG quality of each resized variant
+const IMAGE_VARIANTS = {
+  thumbnail: { size: 320, quality: 70 },
+  medium: { size: 1024, quality: 80 },
+};
+
+// Originals keep their format where browsers can show it; everything else becomes JPEG
+const ORIGINAL_FORMATS = {
+  jpeg: { format: 'jpeg', options: { quality: 90, mozjpeg: true }, mimetype: 'image/jpeg' },
+  png: { format: 'png', options: { compressionLevel: 9 }, mimetype: 'image/png' },
+  webp: { format: 'webp', options: { quality: 90 }, mimetype: 'image/webp' },
+};
+
+const UNSUPPORTED_IMAGE = 'File must be a JPEG, PNG, WebP, GIF or AVIF image';
+const HEIC_NOT_SUPPORTED = 'HEIC photos are not supported. Please upload a JPEG or PNG '
+  + '(on iPhone: Settings > Camera > Formats > Most Compatible)';
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+// Generic HEIF brands: the compatible brands say whether the image is AVIF or HEIC
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+/**
+ * Brands of an ISO-BMFF ftyp box: the major brand, then the compatible brands
+ * @param {Buffer} buffer
+ * @returns {string[]}
+ */
+const ftypBrands = (buffer) => {
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  return brands;
+};
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const imageError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = IMAGE_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error is a validation error from this service
+ */
+const isImageError = (error) => error?.code === IMAGE_ERROR_CODE;
+
+/**
+ * Identify an image by its magic bytes
+ * @param {Buffer} buffer
+ * @returns {'jpeg'|'png'|'gif'|'webp'|'avif'|'heic'|null} heic is recognised only to be refused
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  const ascii = buffer.toString('latin1', 0, 12);
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) return 'gif';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'webp';
+  if (ascii.slice(4, 8) === 'ftyp') {
+    const brands = ftypBrands(buffer);
+    if (brands.some((brand) => AVIF_BRANDS.includes(brand))) return 'avif';
+    if ([...HEIC_BRANDS, ...HEIF_BRANDS].includes(brands[0])) return 'heic';
+  }
+  return null;
+};
+
+/**
+ * Validate an upload and render its variants (no storage)
+ * @param {Buffer} buffer
+ * @returns {Promise<Object<string, { buffer: Buffer, mimetype: string }>>} original, medium, thumbnail
+ * @throws {Error} imageError if the bytes are not a supported image
+ */
+const renderImageVariants = async (buffer) => {
+  const type = detectImageType(buffer);
+  if (type === 'heic') throw imageError(HEIC_NOT_SUPPORTED);
+  if (!type) throw imageError(UNSUPPORTED_IMAGE);
+
+  // rotate() applies the EXIF orientation; sharp writes no metadata unless asked to
+  const load = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  const original = ORIGINAL_FORMATS[type] || ORIGINAL_FORMATS.jpeg;
+  try {
+    const originalImage = original.format === 'jpeg' ? load().flatten({ background: '#ffffff' }) : load();
+    const variants = {
+      original: {
+        buffer: await originalImage[original.format](original.options).toBuffer(),
+        mimetype: original.mimetype,
+      },
+    };
+    for (const [name, { size, quality }] of Object.entries(IMAGE_VARIANTS)) {
+      variants[name] = {
+        buffer: await load()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality, mozjpeg: true })
+          .toBuffer(),
+        mimetype: 'image/jpeg',
+      };
+    }
+    return variants;
+  } catch (error) {
+    console.error('[Images] Could not process image:', error.message);
+    throw imageError('The image could not be read. Please upload a different photo.');
+  }
+};
+
+/**
+ * Process an uploaded image and store its variants
+ * @param {Object} file - Multer file object (or { buffer })
+ * @param {string} folder - 'donation-images' | 'profile-images'
+ * @returns {Promise<{ thumbnail: string, medium: string, original: string }>} Public URLs
+ * @throws {Error} imageError if the file is not a supported image
+ */
+const storeImage = async (file, folder) => {
+  const variants = await renderImageVariants(file.buffer);
+  const { original, medium, thumbnail } = await uploadPublicVariants(variants, folder);
+  return { thumbnail, medium, original };
+};
+
+/**
+ * Content and perceptual hash of an uploaded image
+ * The perceptual hash is a 64-bit difference hash: the upright image is shrunk to 9x8 greyscale
+ * and each bit says whether a pixel is brighter than its right neighbour. Re-encoding, resizing
+ * or small edits barely change it; compare two with perceptualHashDistance.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ contentHash: string, perceptualHash: string }>} Hex strings
+ * @throws {Error} imageError if the bytes are not a readable image
+ */
+const hashImage = async (buffer) => {
+  const type = detectImageType(buffer);
+  if (type === 'heic') throw imageError(HEIC_NOT_SUPPORTED);
+  if (!type) throw imageError(UNSUPPORTED_IMAGE);
+  let pixels;
+  try {
+    pixels = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  } catch (error) {
+    console.error('[Images] Could not hash image:', error.message);
+    throw imageError('The image could not be read. Please upload a different photo.');
+  }
+
+  let bits = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits = (bits << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return {
+    contentHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    perceptualHash: bits.toString(16).padStart(16, '0'),
+  };
+};
+
+/**
+ * Number of differing bits between two perceptual hashes (0 = same picture, 64 = unrelated)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const perceptualHashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+/**
+ * Variants of an image stored by storeImage, from its original URL (e.g. a donation created
+ * with the imageUrl returned by POST /api/donations/upload-image)
+ * @param {string} url
+ * @returns {{ thumbnail: string, medium: string, original: string }|null} null for other URLs
+ */
+const getStoredImageVariants = (url) => {
+  const match = getPublicFileKey(url)?.match(/^(.+)-original\.[a-z0-9]+$/);
+  if (!match) return null;
+  return {
+    thumbnail: getPublicFileUrl(`${match[1]}-thumbnail.jpg`),
+    medium: getPublicFileUrl(`${match[1]}-medium.jpg`),
+    original: url,
+  };
+};
+
+/**
+ * Variants in API shape; images stored before the pipeline fall back to the single URL
+ * @param {string|null} url - imageUrl / profileImageUrl
+ * @param {Object} [variants] - imageVariants / profileImageVariants
+ * @returns {{ thumbnail: string, medium: string, original: string }|null}
+ */
+const formatImageVariants = (url, variants) => {
+  if (variants?.original) {
+    return { thumbnail: variants.thumbnail, medium: variants.medium, original: variants.original };
+  }
+  return url ? { thumbnail: url, medium: url, original: url } : null;
+};
+
+module.exports = {
+  isImageError,
+  detectImageType,
+  renderImageVariants,
+  storeImage,
+  hashImage,
+  perceptualHashDistance,
+  getStoredImageVariants,
+  formatImageVariants,
+};
@@ -0,0 +1,259 @@
+/**
+ * Donation image uploads and AI analysis quotas
+ * Only donors may upload donation photos or run the AI analysis, each up to a daily limit
+ * (IMAGE_UPLOAD_DAILY_LIMIT / AI_ANALYSIS_DAILY_LIMIT, reset at midnight Sri Lanka time).
+ * Every upload is recorded; one never attached to a donation within ORPHANED_UPLOAD_HOURS is
+ * deleted by the 'orphaned-upload-cleanup' job.
+ */
+
+const Donation = require('../models/Donation');
+const ImageUpload = require('../models/ImageUpload');
+const UploadQuota = require('../models/UploadQuota');
+const { getPublicFileKey, removeFile } = require('./storageService');
+const {
+  IMAGE_UPLOAD_DAILY_LIMIT,
+  AI_ANALYSIS_DAILY_LIMIT,
+  ORPHANED_UPLOAD_HOURS,
+} = require('../config/env');
+
+const UPLOAD_ERROR_CODE = 'IMAGE_UPLOAD_ERROR';
+const SRI_LANKA_UTC_OFFSET_MS = 330 * 60 * 1000; // Asia/Colombo, no daylight saving
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_RETENTION_DAYS = 90;
+
+// Counter field and daily limit per quota
+const QUOTAS = {
+  upload: { field: 'uploads', limit: IMAGE_UPLOAD_DAILY_LIMIT, label: 'image uploads' },
+  analysis: { field: 'analyses', limit: AI_ANALYSIS_DAILY_LIMIT, label: 'AI image analyses' },
+};
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const uploadError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = UPLOAD_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error is a quota or validation error from this service
+ */
+const isUploadError = (error) => error?.code === UPLOAD_ERROR_CODE;
+
+/**
+ * @param {Date} [now]
+ * @returns {string} Today's date in Sri Lanka, YYYY-MM-DD
+ */
+const quotaDay = (now = new Date()) => new Date(now.getTime() + SRI_LANKA_UTC_OFFSET_MS).toISOString().slice(0, 10);
+
+// Next midnight in Sri Lanka
+const quotaResetsAt = (now = new Date()) =>
+  new Date(Date.parse(`${quotaDay(now)}T00:00:00Z`) + DAY_MS - SRI_LANKA_UTC_OFFSET_MS);
+
+/**
+ * Today's usage for a donor
+ * @param {string} userId
+ * @returns {Promise<{ uploads: Object, analyses: Object, resetsAt: Date }>} { used, limit, remaining } per quota
+ */
+const getUploadQuota = async (userId) => {
+  const usage = await UploadQuota.findOne({ user: userId, day: quotaDay() }).lean();
+  const summary = { resetsAt: quotaResetsAt() };
+  for (const { field, limit } of Object.values(QUOTAS)) {
+    const used = usage?.[field] || 0;
+    summary[field] = { used, limit, remaining: Math.max(0, limit - used) };
+  }
+  return summary;
+};
+
+/**
+ * Use one of today's uploads or analyses
+ * @param {string} userId
+ * @param {'upload'|'analysis'} kind
+ * @throws {Error} uploadError (429) when the daily limit is used up
+ */
+const consumeQuota = async (userId, kind) => {
+  const { field, limit, label } = QUOTAS[kind];
+  const day = quotaDay();
+  const increment = () => UploadQuota.findOneAndUpdate(
+    { user: userId, day, [field]: { $lt: limit } },
+    { $inc: { [field]: 1 }, $setOnInsert: { expiresAt: new Date(Date.now() + USAGE_RETENTION_DAYS * DAY_MS) } },
+    { upsert: true, new: true }
+  );
+  try {
+    // A duplicate key means today's document exists but is at the limit (or was created concurrently)
+    await increment().catch((error) => (error.code === 11000 ? increment() : Promise.reject(error)));
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const quotaError = uploadError(`You have used all ${limit} ${label} for today. The limit resets at midnight.`, 429);
+    quotaError.retryAfterSeconds = Math.ceil((quotaResetsAt().getTime() - Date.now()) / 1000);
+    throw quotaError;
+  }
+};
+
+/**
+ * Give back a quota unit for a request that failed before using anything (e.g. an unreadable image)
+ * @param {string} userId
+ * @param {'upload'|'analysis'} kind
+ */
+const releaseQuota = async (userId, kind) => {
+  const { field } = QUOTAS[kind];
+  await UploadQuota.updateOne({ user: userId, day: quotaDay(), [field]: { $gt: 0 } }, { $inc: { [field]: -1 } });
+};
+
+/**
+ * Record a stored donation photo so it can be attached to a donation or cleaned up
+ * @param {string} userId
+ * @param {{ thumbnail: string, medium: string, original: string }} imageVariants - From storeImage
+ * @param {number} bytes - Size of the uploaded file
+ * @param {{ contentHash: string, perceptualHash: string }} hashes - From hashImage
+ */
+const recordImageUpload = async (userId, imageVariants, bytes, hashes) => {
+  await ImageUpload.create({
+    user: userId,
+    imageUrl: imageVariants.original,
+    imageVariants,
+    bytes,
+    contentHash: hashes.contentHash,
+    perceptualHash: hashes.perceptualHash,
+  });
+  await UploadQuota.updateOne({ user: userId, day: quotaDay() }, { $inc: { bytes } });
+};
+
+/**
+ * The donor's own live upload behind an image URL sent for analysis or used in a donation
+ * @param {string} userId
+ * @param {string} imageUrl - The original URL returned by upload-image / analyze-image
+ * @returns {Promise<{ contentHash: string|null, perceptualHash: string|null }>}
+ * @throws {Error} uploadError (403) if the URL is not one of the donor's uploads
+ */
+const getOwnUpload = async (userId, imageUrl) => {
+  const upload = typeof imageUrl === 'string'
+    ? await ImageUpload.findOne({ imageUrl, user: userId, deletedAt: null }).select('contentHash perceptualHash').lean()
+    : null;
+  if (!upload) {
+    throw uploadError('Upload the image with POST /api/donations/upload-image first', 403);
+  }
+  return upload;
+};
+
+/**
+ * Mark the upload behind a donation's image as used, so the cleanup keeps it
+ * @param {string} imageUrl
+ * @param {string} donationId
+ */
+const attachImageUpload = async (imageUrl, donationId) => {
+  await ImageUpload.updateMany(
+    { imageUrl, donation: null },
+    { $set: { donation: donationId, attachedAt: new Date() } }
+  );
+};
+
+/**
+ * Delete uploads that were never attached to a donation within ORPHANED_UPLOAD_HOURS.
+ * Run hourly by the 'orphaned-upload-cleanup' job.
+ * @returns {Promise<{ checked: number, deleted: number }>}
+ */
+const cleanupOrphanedUploads = async () => {
+  const cutoff = new Date(Date.now() - ORPHANED_UPLOAD_HOURS * 60 * 60 * 1000);
+  const orphans = await ImageUpload.find({ donation: null, deletedAt: null, createdAt: { $lt: cutoff } })
+    .select('imageUrl imageVariants')
+    .lean();
+
+  let deleted = 0;
+  for (const upload of orphans) {
+    // Donations created before uploads were tracked, or edited to use this image
+    const donation = await Donation.findOne({ imageUrl: upload.imageUrl }).select('_id').lean();
+    if (donation) {
+      await attachImageUpload(upload.imageUrl, donation._id);
+      continue;
+    }
+    const urls = new Set([upload.imageUrl, ...Object.values(upload.imageVariants || {})]);
+    for (const url of urls) {
+      const key = getPublicFileKey(url);
+      if (key) await removeFile(key, 'public');
+    }
+    await ImageUpload.updateOne({ _id: upload._id }, { $set: { deletedAt: new Date() } });
+    deleted++;
+  }
+  if (deleted > 0) console.log(`[Uploads] Deleted ${deleted} orphaned image upload(s)`);
+  return { checked: orphans.length, deleted };
+};
+
+/**
+ * Upload volume for the admin report
+ * @param {number} days - How many days back, including today
+ * @returns {Promise<Object>} totals, daily series, top uploaders and the orphan backlog
+ */
+const getUploadStats = async (days) => {
+  const fromDay = quotaDay(new Date(Date.now() - (days - 1) * DAY_MS));
+  const sum = { uploads: { $sum: '$uploads' }, analyses: { $sum: '$analyses' }, bytes: { $sum: '$bytes' } };
+
+  const [[usage], uploadStatus] = await Promise.all([
+    UploadQuota.aggregate([
+      { $match: { day: { $gte: fromDay } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sum, donors: { $addToSet: '$user' } } }],
+          daily: [{ $group: { _id: '$day', ...sum, donors: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+          topUploaders: [
+            { $group: { _id: '$user', ...sum } },
+            { $sort: { uploads: -1, analyses: -1 } },
+            { $limit: 10 },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+          ],
+        },
+      },
+    ]),
+    ImageUpload.aggregate([
+      { $match: { createdAt: { $gte: new Date(Date.parse(`${fromDay}T00:00:00Z`) - SRI_LANKA_UTC_OFFSET_MS) } } },
+      {
+        $group: {
+          _id: null,
+          attached: { $sum: { $cond: [{ $ne: ['$donation', null] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $and: [{ $eq: ['$donation', null] }, { $eq: ['$deletedAt', null] }] }, 1, 0] } },
+          deleted: { $sum: { $cond: [{ $ne: ['$deletedAt', null] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const totals = usage.totals[0];
+  const pick = (row) => ({ uploads: row?.uploads || 0, analyses: row?.analyses || 0, bytes: row?.bytes || 0 });
+  return {
+    from: fromDay,
+    to: quotaDay(),
+    limits: { uploadsPerDay: IMAGE_UPLOAD_DAILY_LIMIT, analysesPerDay: AI_ANALYSIS_DAILY_LIMIT },
+    totals: { ...pick(totals), donors: totals?.donors.length || 0 },
+    daily: usage.daily.map((row) => ({ day: row._id, ...pick(row), donors: row.donors })),
+    topUploaders: usage.topUploaders.map((row) => ({
+      userId: row._id,
+      email: row.user?.email || null,
+      name: row.user?.businessName || row.user?.username || null,
+      ...pick(row),
+    })),
+    uploads: {
+      attached: uploadStatus[0]?.attached || 0,
+      pending: uploadStatus[0]?.pending || 0,
+      deleted: uploadStatus[0]?.deleted || 0,
+      orphanedAfterHours: ORPHANED_UPLOAD_HOURS,
+    },
+  };
+};
+
+module.exports = {
+  isUploadError,
+  getUploadQuota,
+  consumeQuota,
+  releaseQuota,
+  recordImageUpload,
+  getOwnUpload,
+  attachImageUpload,
+  cleanupOrphanedUploads,
+  getUploadStats,
+};
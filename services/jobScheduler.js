@@ -0,0 +1,297 @@
+/**
+ * Job Scheduler
+ * Runs the periodic background jobs safely when several server instances are up.
+ * Every instance registers the same jobs and cron ticks, but a run only starts after
+ * claiming the job's lease in Mongo (one claim per tick), so each tick runs exactly once.
+ * Every run is recorded in JobRun; failed runs are retried with backoff by whichever
+ * instance sees the retry come due.
+ */
+
+const os = require('os');
+const cron = require('node-cron');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const JOB_ERROR_CODE = 'JOB_ERROR';
+
+// In-process registry: name -> definition (handlers cannot be stored in Mongo)
+const jobs = new Map();
+let started = false;
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const jobError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = JOB_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error came from the scheduler (unknown job, already running)
+ */
+const isJobError = (error) => error?.code === JOB_ERROR_CODE;
+
+/**
+ * Register a job. Call before start().
+ * @param {Object} definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} definition.schedule - node-cron expression
+ * @param {Function} definition.handler - async () => result counts; throw to mark the run failed
+ * @param {string} [definition.description]
+ * @param {number} [definition.maxAttempts=3] - Tries per run including retries
+ * @param {number} [definition.retryDelayMs=60000] - First retry delay (doubles each time)
+ * @param {number} [definition.leaseMs=600000] - How long a run may hold the lease
+ */
+const registerJob = ({
+  name,
+  schedule,
+  handler,
+  description = '',
+  maxAttempts = 3,
+  retryDelayMs = 60 * 1000,
+  leaseMs = 10 * 60 * 1000,
+}) => {
+  if (jobs.has(name)) throw new Error(`Job already registered: ${name}`);
+  if (!cron.validate(schedule)) throw new Error(`Invalid schedule for job ${name}: ${schedule}`);
+  jobs.set(name, { name, schedule, handler, description, maxAttempts, retryDelayMs, leaseMs });
+};
+
+/**
+ * Claim the job's lease. Returns the Job document, or null if another instance holds it
+ * (or, for scheduled runs, already claimed this tick).
+ */
+const acquireLease = async (definition, { slot = null, retry = false } = {}) => {
+  const now = new Date();
+  const filter = {
+    name: definition.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+  const set = {
+    lockedBy: INSTANCE_ID,
+    lockedUntil: new Date(now.getTime() + definition.leaseMs),
+  };
+  if (slot !== null) {
+    filter.lastSlot = { $ne: slot };
+    set.lastSlot = slot;
+  }
+  if (retry) {
+    filter.retryAt = { $lte: now };
+    set.retryAt = null;
+  }
+  return Job.findOneAndUpdate(filter, { $set: set }, { new: true }).lean();
+};
+
+const releaseLease = (name) => Job.updateOne(
+  { name, lockedBy: INSTANCE_ID },
+  { $set: { lockedBy: null, lockedUntil: null } }
+);
+
+/**
+ * Run a job whose lease this instance holds, record the run and schedule a retry on failure.
+ * @returns {Promise<Object>} Finished JobRun (lean)
+ */
+const executeRun = async (definition, run) => {
+  const startedAt = run.startedAt;
+  let status = 'succeeded';
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = (await definition.handler()) ?? null;
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error?.message || String(error);
+    console.error(`[JobScheduler] ${definition.name} failed (attempt ${run.attempt}):`, error);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - startedAt;
+
+  const jobUpdate = {
+    lastRunAt: startedAt,
+    lastFinishedAt: finishedAt,
+    lastStatus: status,
+    lastResult: result,
+    lastError: errorMessage,
+    lastDurationMs: durationMs,
+  };
+  const update = { $set: jobUpdate };
+  if (status === 'succeeded') {
+    jobUpdate.consecutiveFailures = 0;
+    jobUpdate.retryAt = null;
+    jobUpdate.retryAttempt = null;
+  } else {
+    update.$inc = { consecutiveFailures: 1 };
+    if (run.attempt < definition.maxAttempts) {
+      const delay = definition.retryDelayMs * 2 ** (run.attempt - 1);
+      jobUpdate.retryAt = new Date(finishedAt.getTime() + delay);
+      jobUpdate.retryAttempt = run.attempt + 1;
+      console.log(`[JobScheduler] ${definition.name} will retry in ${Math.round(delay / 1000)}s (attempt ${run.attempt + 1}/${definition.maxAttempts})`);
+    } else {
+      jobUpdate.retryAt = null;
+      jobUpdate.retryAttempt = null;
+    }
+  }
+
+  const [finishedRun] = await Promise.all([
+    JobRun.findByIdAndUpdate(
+      run._id,
+      { $set: { status, finishedAt, durationMs, result, error: errorMessage } },
+      { new: true }
+    ).lean(),
+    Job.updateOne({ name: definition.name }, update),
+  ]);
+  await releaseLease(definition.name);
+  return finishedRun;
+};
+
+const startRun = (definition, { trigger, attempt = 1, triggeredBy = null }) => JobRun.create({
+  jobName: definition.name,
+  trigger,
+  attempt,
+  triggeredBy,
+  instanceId: INSTANCE_ID,
+  startedAt: new Date(),
+});
+
+// Cron tick handler: run only if this instance claims the tick
+const runScheduled = async (definition) => {
+  try {
+    const slot = Math.floor(Date.now() / 60000);
+    const job = await acquireLease(definition, { slot });
+    if (!job) return;
+
+    const run = await startRun(definition, { trigger: 'schedule' });
+    const finished = await executeRun(definition, run);
+    console.log(`[JobScheduler] ${definition.name} ${finished?.status} in ${finished?.durationMs}ms`, finished?.result ?? '');
+  } catch (error) {
+    console.error(`[JobScheduler] Error running ${definition.name}:`, error);
+    await releaseLease(definition.name).catch(() => {});
+  }
+};
+
+// Every minute: pick up retries that came due (possibly scheduled by another instance)
+const runDueRetries = async () => {
+  const due = await Job.find({ retryAt: { $lte: new Date() } }).select('name retryAttempt').lean();
+  for (const { name, retryAttempt } of due) {
+    const definition = jobs.get(name);
+    if (!definition) continue;
+    try {
+      const job = await acquireLease(definition, { retry: true });
+      if (!job) continue;
+      const run = await startRun(definition, { trigger: 'retry', attempt: retryAttempt || 2 });
+      const finished = await executeRun(definition, run);
+      console.log(`[JobScheduler] ${name} retry ${finished?.status} in ${finished?.durationMs}ms`);
+    } catch (error) {
+      console.error(`[JobScheduler] Error retrying ${name}:`, error);
+      await releaseLease(name).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Create the Job documents and start the cron ticks in this instance.
+ */
+const start = async () => {
+  if (started) return;
+  started = true;
+
+  for (const definition of jobs.values()) {
+    await Job.updateOne(
+      { name: definition.name },
+      {
+        $set: { description: definition.description, schedule: definition.schedule },
+        $setOnInsert: { name: definition.name },
+      },
+      { upsert: true }
+    );
+    cron.schedule(definition.schedule, () => runScheduled(definition));
+  }
+
+  cron.schedule('* * * * *', () => {
+    runDueRetries().catch(error => console.error('[JobScheduler] Retry sweep error:', error));
+  });
+
+  console.log(`✅ Job scheduler started on ${INSTANCE_ID}:`);
+  for (const definition of jobs.values()) {
+    console.log(`   - ${definition.name}: ${definition.description || definition.schedule}`);
+  }
+};
+
+/**
+ * Trigger a job now (admin). Returns once the run has started; it finishes in the background.
+ * @param {string} name
+ * @param {string|null} [triggeredBy] - Admin user id
+ * @returns {Promise<Object>} The started JobRun (lean)
+ * @throws {Error} jobError when the job is unknown or currently running
+ */
+const triggerJob = async (name, triggeredBy = null) => {
+  const definition = jobs.get(name);
+  if (!definition) throw jobError('Job not found', 404);
+
+  const job = await acquireLease(definition);
+  if (!job) throw jobError('Job is already running', 409);
+
+  let run;
+  try {
+    run = await startRun(definition, { trigger: 'manual', triggeredBy });
+  } catch (error) {
+    await releaseLease(name);
+    throw error;
+  }
+  executeRun(definition, run).catch(error => {
+    console.error(`[JobScheduler] Error in manual run of ${name}:`, error);
+    releaseLease(name).catch(() => {});
+  });
+  return run.toObject();
+};
+
+/**
+ * Registered jobs with their shared state (last result, lease, pending retry).
+ * @returns {Promise<Object[]>}
+ */
+const listJobs = async () => {
+  const docs = await Job.find({ name: { $in: [...jobs.keys()] } }).lean();
+  const byName = new Map(docs.map(doc => [doc.name, doc]));
+  return [...jobs.values()].map(definition => {
+    const doc = byName.get(definition.name) || {};
+    const running = !!doc.lockedUntil && new Date(doc.lockedUntil) > new Date();
+    return {
+      name: definition.name,
+      description: definition.description,
+      schedule: definition.schedule,
+      maxAttempts: definition.maxAttempts,
+      running,
+      runningOn: running ? doc.lockedBy : null,
+      lastRunAt: doc.lastRunAt || null,
+      lastFinishedAt: doc.lastFinishedAt || null,
+      lastStatus: doc.lastStatus || null,
+      lastResult: doc.lastResult ?? null,
+      lastError: doc.lastError || null,
+      lastDurationMs: doc.lastDurationMs ?? null,
+      consecutiveFailures: doc.consecutiveFailures || 0,
+      retryAt: doc.retryAt || null,
+    };
+  });
+};
+
+/**
+ * @param {string} name
+ * @returns {boolean} True if a job with this name is registered
+ */
+const hasJob = (name) => jobs.has(name);
+
+module.exports = {
+  registerJob,
+  start,
+  triggerJob,
+  listJobs,
+  hasJob,
+  isJobError,
+};
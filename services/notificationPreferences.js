@@ -0,0 +1,252 @@
+/**
+ * Notification preferences
+ * Each user can switch email, in-app, live (socket) and SMS notifications on or off per event type,
+ * and set quiet hours. During quiet hours emails are held until the window ends and live
+ * alerts and texts are skipped. Users without a stored document get every notification.
+ */
+
+const mongoose = require('mongoose');
+const NotificationPreference = require('../models/NotificationPreference');
+const { FRONTEND_URL } = require('../config/env');
+const { generateUnsubscribeToken, verifyUnsubscribeToken } = require('../utils/jwt');
+
+const NOTIFICATION_EVENTS = {
+  new_donations: 'New donations near you',
+  claims: 'Your donation was claimed',
+  pickups: 'Driver assignments and pickups',
+  deliveries: 'Delivery confirmations',
+  receipts: 'Impact receipts',
+  broadcasts: 'Announcements from FoodLoop',
+};
+
+const NOTIFICATION_CHANNELS = ['email', 'inApp', 'socket', 'sms'];
+
+const PREFERENCE_ERROR_CODE = 'NOTIFICATION_PREFERENCE_ERROR';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SRI_LANKA_UTC_OFFSET_MINUTES = 330; // Asia/Colombo, no daylight saving
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const preferenceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = PREFERENCE_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error is a validation error from this service
+ */
+const isPreferenceError = (error) => error?.code === PREFERENCE_ERROR_CODE;
+
+const isNotificationEvent = (event) => Object.prototype.hasOwnProperty.call(NOTIFICATION_EVENTS, event);
+
+// Stored document (or nothing) merged over the defaults, as a plain object
+const withDefaults = (doc) => ({
+  events: Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map(event => [
+    event,
+    Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [
+      channel,
+      doc?.events?.[event]?.[channel] !== false,
+    ])),
+  ])),
+  quietHours: {
+    enabled: !!doc?.quietHours?.enabled,
+    start: doc?.quietHours?.start || '22:00',
+    end: doc?.quietHours?.end || '07:00',
+  },
+});
+
+/**
+ * @param {string} userId
+ * @returns {Promise<{ events: Object, quietHours: { enabled: boolean, start: string, end: string } }>}
+ */
+const getPreferences = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) return withDefaults(null);
+  const doc = await NotificationPreference.findOne({ user: userId }).lean();
+  return withDefaults(doc);
+};
+
+/**
+ * Apply a partial update, e.g. { events: { claims: { email: false } }, quietHours: { enabled: true } }
+ * @param {string} userId
+ * @param {Object} changes
+ * @returns {Promise<Object>} Preferences after the update
+ * @throws {Error} preferenceError for unknown events/channels or invalid values
+ */
+const updatePreferences = async (userId, changes = {}) => {
+  const $set = {};
+  const { events, quietHours } = changes || {};
+
+  if (events !== undefined) {
+    if (!events || typeof events !== 'object' || Array.isArray(events)) {
+      throw preferenceError('events must be an object');
+    }
+    for (const [event, channels] of Object.entries(events)) {
+      if (!isNotificationEvent(event)) throw preferenceError(`Unknown notification event: ${event}`);
+      if (!channels || typeof channels !== 'object') throw preferenceError(`Channels for ${event} must be an object`);
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) throw preferenceError(`Unknown notification channel: ${channel}`);
+        if (typeof enabled !== 'boolean') throw preferenceError(`${event}.${channel} must be true or false`);
+        $set[`events.${event}.${channel}`] = enabled;
+      }
+    }
+  }
+
+  if (quietHours !== undefined) {
+    if (!quietHours || typeof quietHours !== 'object') throw preferenceError('quietHours must be an object');
+    if (quietHours.enabled !== undefined) {
+      if (typeof quietHours.enabled !== 'boolean') throw preferenceError('quietHours.enabled must be true or false');
+      $set['quietHours.enabled'] = quietHours.enabled;
+    }
+    for (const key of ['start', 'end']) {
+      if (quietHours[key] === undefined) continue;
+      if (typeof quietHours[key] !== 'string' || !TIME_PATTERN.test(quietHours[key])) {
+        throw preferenceError(`quietHours.${key} must be a time in HH:mm format`);
+      }
+      $set[`quietHours.${key}`] = quietHours[key];
+    }
+  }
+
+  if (Object.keys($set).length === 0) return getPreferences(userId);
+
+  const doc = await NotificationPreference.findOneAndUpdate(
+    { user: userId },
+    { $set },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+  return withDefaults(doc);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight in Sri Lanka
+const localMinutes = (now) => Math.floor((now.getTime() / 60000 + SRI_LANKA_UTC_OFFSET_MINUTES) % MINUTES_PER_DAY);
+
+/**
+ * @param {Object} quietHours - { enabled, start, end }
+ * @param {Date} [now]
+ * @returns {boolean} True if now falls inside the window (windows may wrap past midnight)
+ */
+const isInQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return false;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  const current = localMinutes(now);
+  return start < end ? current >= start && current < end : current >= start || current < end;
+};
+
+/**
+ * @param {Object} quietHours
+ * @param {Date} [now]
+ * @returns {Date} When the current quiet window ends
+ */
+const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  const minutesLeft = (toMinutes(quietHours.end) - localMinutes(now) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const end = new Date(now.getTime() + minutesLeft * 60000);
+  end.setUTCSeconds(0, 0);
+  return end;
+};
+
+/**
+ * How a notification should reach a user on one channel right now
+ * @param {string} userId
+ * @param {string} event - Key of NOTIFICATION_EVENTS
+ * @param {string} channel - 'email' | 'inApp' | 'socket' | 'sms'
+ * @returns {Promise<{ allowed: boolean, deferUntil: Date|null }>} deferUntil is set for emails during quiet hours
+ */
+const getDelivery = async (userId, event, channel) => {
+  const prefs = await getPreferences(userId);
+  if (!prefs.events[event]?.[channel]) return { allowed: false, deferUntil: null };
+
+  const now = new Date();
+  if (channel === 'inApp' || !isInQuietHours(prefs.quietHours, now)) return { allowed: true, deferUntil: null };
+  if (channel === 'socket' || channel === 'sms') return { allowed: false, deferUntil: null };
+  return { allowed: true, deferUntil: getQuietHoursEnd(prefs.quietHours, now) };
+};
+
+/**
+ * @returns {Promise<boolean>} True if the notification may be delivered on the channel now
+ */
+const isChannelEnabled = async (userId, event, channel) => {
+  const { allowed, deferUntil } = await getDelivery(userId, event, channel);
+  return allowed && !deferUntil;
+};
+
+/**
+ * Users (optionally limited to userIds) who should not get this event on the channel right now.
+ * Used for broadcasts, which go out to whole roles.
+ * @param {string} event
+ * @param {string} channel - 'inApp' | 'socket'
+ * @param {string[]} [userIds]
+ * @returns {Promise<string[]>}
+ */
+const getMutedUserIds = async (event, channel, userIds) => {
+  const query = {
+    $or: [
+      { [`events.${event}.${channel}`]: false },
+      ...(channel === 'socket' ? [{ 'quietHours.enabled': true }] : []),
+    ],
+  };
+  if (userIds) query.user = { $in: userIds };
+
+  const docs = await NotificationPreference.find(query).select('user events quietHours').lean();
+  const now = new Date();
+  return docs
+    .filter(doc => doc.events?.[event]?.[channel] === false ||
+      (channel === 'socket' && isInQuietHours(withDefaults(doc).quietHours, now)))
+    .map(doc => doc.user.toString());
+};
+
+/**
+ * One-click unsubscribe link for an email about this event
+ * @param {string} userId
+ * @param {string} event
+ * @returns {string}
+ */
+const getUnsubscribeUrl = (userId, event) =>
+  `${FRONTEND_URL}/unsubscribe?token=${encodeURIComponent(generateUnsubscribeToken(userId, event))}`;
+
+/**
+ * Turn off emails for the event named in an unsubscribe token
+ * @param {string} token
+ * @returns {Promise<{ event: string, label: string }>}
+ * @throws {Error} preferenceError when the token is invalid
+ */
+const unsubscribe = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyUnsubscribeToken(token);
+  } catch (error) {
+    throw preferenceError('Invalid unsubscribe link');
+  }
+  if (!isNotificationEvent(decoded.event) || !mongoose.isValidObjectId(decoded.id)) {
+    throw preferenceError('Invalid unsubscribe link');
+  }
+
+  await updatePreferences(decoded.id, { events: { [decoded.event]: { email: false } } });
+  return { event: decoded.event, label: NOTIFICATION_EVENTS[decoded.event] };
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  isPreferenceError,
+  getPreferences,
+  updatePreferences,
+  isInQuietHours,
+  getDelivery,
+  isChannelEnabled,
+  getMutedUserIds,
+  getUnsubscribeUrl,
+  unsubscribe,
+};
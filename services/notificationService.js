@@ -0,0 +1,571 @@
+/**
+ * In-app notifications
+ * A user's inbox is the role broadcasts they can see (models/Notification) plus their own
+ * notifications (models/UserNotification). New notifications and unread count changes are
+ * pushed to the user's socket room, so clients no longer need to poll.
+ *
+ * Socket events (to user:<id>):
+ *   new_notification            { notification, unreadCount }
+ *   notifications_unread_count  { unreadCount }
+ *   notification_removed        { notificationId, unreadCount }  (broadcast expired or withdrawn)
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const NotificationRead = require('../models/NotificationRead');
+const UserNotification = require('../models/UserNotification');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const { isChannelEnabled, getMutedUserIds } = require('./notificationPreferences');
+const { getDistrictsFilter } = require('./serviceAreaService');
+const { encodeCursor } = require('../utils/geoUtils');
+const { sendNotificationEmail } = require('../utils/emailService');
+const { sendUserSms } = require('./smsService');
+
+const BROADCAST_ROLES = ['Donor', 'Receiver', 'Driver'];
+
+// In-app history for the donation lifecycle; {item} and {trackingId} are filled in per donation.
+// Steps with sms: true are also texted (services/smsService.js).
+const DONATION_NOTIFICATIONS = {
+  claimed: {
+    event: 'claims',
+    donor: { title: 'Donation claimed', message: 'Your donation "{item}" ({trackingId}) has been claimed by a receiver.' },
+  },
+  driver_assigned: {
+    event: 'pickups',
+    sms: true,
+    donor: { title: 'Driver assigned', message: 'A driver is on the way to collect "{item}" ({trackingId}).' },
+    receiver: { title: 'Driver assigned', message: 'A driver has been assigned to bring you "{item}" ({trackingId}).' },
+  },
+  picked_up: {
+    event: 'pickups',
+    sms: true,
+    donor: { title: 'Donation picked up', message: 'The driver has collected "{item}" ({trackingId}).' },
+    receiver: { title: 'Donation on its way', message: '"{item}" ({trackingId}) has been picked up and is on its way to you.' },
+  },
+  delivered: {
+    event: 'deliveries',
+    sms: true,
+    donor: { title: 'Donation delivered', message: '"{item}" ({trackingId}) has been delivered. Thank you for donating!' },
+    receiver: { title: 'Donation delivered', message: '"{item}" ({trackingId}) has been delivered to you.' },
+  },
+};
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+const getInboxUser = (userId) => (
+  mongoose.isValidObjectId(userId)
+    ? User.findById(userId).select('role createdAt serviceArea').lean()
+    : null
+);
+
+/**
+ * Filter for the broadcasts in a user's inbox: live (published, not expired), aimed at their role
+ * (or everyone), published after they signed up, in a district their service area reaches,
+ * and not dismissed.
+ * @param {Object} user - Lean user with role, createdAt, serviceArea
+ * @returns {Promise<Object|null>} null when the user turned in-app announcements off
+ */
+const getBroadcastFilter = async (user) => {
+  if (!(await isChannelEnabled(user._id.toString(), 'broadcasts', 'inApp'))) return null;
+
+  const dismissed = await NotificationRead.distinct('notification', { user: user._id, dismissedAt: { $ne: null } });
+  const since = user.createdAt || new Date(0);
+  const filter = {
+    status: 'active',
+    $and: [
+      // Broadcasts from before scheduling have no publishedAt; they went live when created
+      { $or: [{ publishedAt: { $gte: since } }, { publishedAt: null, createdAt: { $gte: since } }] },
+      { $or: [{ targetRoles: 'All' }, { targetRoles: user.role }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    ],
+  };
+  if (dismissed.length > 0) filter._id = { $nin: dismissed };
+  if (user.serviceArea?.mode) {
+    filter.$and.push({
+      $or: [
+        { targetDistricts: { $exists: false } },
+        { targetDistricts: { $size: 0 } },
+        { targetDistricts: { $in: user.serviceArea.coveredDistricts || [] } },
+      ],
+    });
+  }
+  return filter;
+};
+
+/**
+ * @param {Object|null} cursor - Decoded inbox cursor
+ * @returns {boolean} True if it has a valid date and notification id (so beforeCursor cannot throw)
+ */
+const isValidCursor = (cursor) => (
+  !!cursor
+  && typeof cursor.createdAt === 'string'
+  && !Number.isNaN(new Date(cursor.createdAt).getTime())
+  && mongoose.isValidObjectId(cursor.id)
+);
+
+// Items older than the cursor in (<field> desc, _id desc) order
+const beforeCursor = (cursor, field = 'createdAt') => ({
+  $or: [
+    { [field]: { $lt: new Date(cursor.createdAt) } },
+    { [field]: new Date(cursor.createdAt), _id: { $lt: toObjectId(cursor.id) } },
+  ],
+});
+
+const BROADCAST_FIELDS = ['title', 'message', 'severity', 'pinned', 'expiresAt', 'publishedAt', 'createdAt'];
+
+/**
+ * Inbox broadcasts matching a filter, newest first by when they went live
+ * @param {Object} filter - From getBroadcastFilter, plus any extra conditions
+ * @param {Object} [options]
+ * @param {Object|null} [options.cursor] - Only broadcasts older than this
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} Lean broadcasts
+ */
+const findInboxBroadcasts = (filter, { cursor = null, limit } = {}) => Notification.aggregate([
+  { $match: filter },
+  // When it went live (createdAt for broadcasts from before scheduling)
+  { $addFields: { liveAt: { $ifNull: ['$publishedAt', '$createdAt'] } } },
+  ...(cursor ? [{ $match: beforeCursor(cursor, 'liveAt') }] : []),
+  { $sort: { liveAt: -1, _id: -1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+  { $project: Object.fromEntries(BROADCAST_FIELDS.map((field) => [field, 1])) },
+]);
+
+const compareNewestFirst = (a, b) => (
+  new Date(b.createdAt) - new Date(a.createdAt) || (b.id > a.id ? 1 : b.id < a.id ? -1 : 0)
+);
+
+const formatUserNotification = (n) => ({
+  id: n._id.toString(),
+  type: 'user',
+  title: n.title,
+  message: n.message,
+  event: n.event || null,
+  severity: 'info',
+  pinned: false,
+  expiresAt: null,
+  donationId: n.donation ? n.donation.toString() : null,
+  createdAt: n.createdAt,
+  read: !!n.readAt,
+});
+
+const formatBroadcast = (n, read) => ({
+  id: n._id.toString(),
+  type: 'broadcast',
+  title: n.title,
+  message: n.message,
+  event: 'broadcasts',
+  severity: n.severity || 'info',
+  pinned: !!n.pinned,
+  expiresAt: n.expiresAt || null,
+  donationId: null,
+  createdAt: n.publishedAt || n.createdAt,
+  read,
+});
+
+/**
+ * @param {string} userId
+ * @returns {Promise<number>} Unread broadcasts + unread per-user notifications
+ */
+const getUnreadCount = async (userId) => {
+  const user = await getInboxUser(userId);
+  if (!user) return 0;
+
+  let broadcastUnread = 0;
+  const filter = await getBroadcastFilter(user);
+  if (filter) {
+    const ids = await Notification.distinct('_id', filter);
+    const readCount = ids.length > 0
+      ? await NotificationRead.countDocuments({ user: user._id, notification: { $in: ids } })
+      : 0;
+    broadcastUnread = Math.max(0, ids.length - readCount);
+  }
+  const userUnread = await UserNotification.countDocuments({ user: user._id, readAt: null });
+  return broadcastUnread + userUnread;
+};
+
+/**
+ * One page of a user's inbox, newest first. Pinned broadcasts are returned separately with the
+ * first page and do not count against limit.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {Object|null} [options.cursor] - Decoded cursor ({ createdAt, id }) from a previous page
+ * @returns {Promise<{ pinned: Object[], notifications: Object[], nextCursor: string|null, unreadCount: number }>}
+ */
+const listNotifications = async (userId, { limit = 20, cursor = null } = {}) => {
+  const user = await getInboxUser(userId);
+  if (!user) return { pinned: [], notifications: [], nextCursor: null, unreadCount: 0 };
+
+  const filter = await getBroadcastFilter(user);
+
+  const [pinned, broadcasts, userNotifications, unreadCount] = await Promise.all([
+    filter && !cursor ? findInboxBroadcasts({ ...filter, pinned: true }) : [],
+    filter ? findInboxBroadcasts({ ...filter, pinned: { $ne: true } }, { cursor, limit: limit + 1 }) : [],
+    UserNotification.find({ user: user._id, ...(cursor ? beforeCursor(cursor) : {}) })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select('title message event donation createdAt readAt')
+      .lean(),
+    getUnreadCount(userId),
+  ]);
+
+  const readSet = new Set();
+  const shownBroadcasts = [...pinned, ...broadcasts];
+  if (shownBroadcasts.length > 0) {
+    const reads = await NotificationRead.find({
+      user: user._id,
+      notification: { $in: shownBroadcasts.map((n) => n._id) },
+    }).select('notification').lean();
+    reads.forEach((r) => readSet.add(r.notification.toString()));
+  }
+  const toItem = (n) => formatBroadcast(n, readSet.has(n._id.toString()));
+
+  const merged = [
+    ...broadcasts.map(toItem),
+    ...userNotifications.map(formatUserNotification),
+  ].sort(compareNewestFirst);
+  const page = merged.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    pinned: pinned.map(toItem),
+    notifications: page,
+    nextCursor: merged.length > limit && last
+      ? encodeCursor({ createdAt: new Date(last.createdAt).toISOString(), id: last.id })
+      : null,
+    unreadCount,
+  };
+};
+
+/**
+ * Send the current unread count to all of a user's sockets (after reads and dismissals)
+ * @param {string} userId
+ */
+const pushUnreadCount = async (userId) => {
+  try {
+    const unreadCount = await getUnreadCount(userId);
+    socketService.emitToUser(userId.toString(), 'notifications_unread_count', { unreadCount });
+  } catch (error) {
+    console.error('[Notifications] Error pushing unread count:', error);
+  }
+};
+
+/**
+ * Mark notifications as read
+ * @param {string} userId
+ * @param {Object} options
+ * @param {boolean} [options.all] - Everything in the inbox
+ * @param {string[]} [options.notificationIds] - Broadcast and/or per-user notification ids
+ * @returns {Promise<number>} How many were newly marked
+ */
+const markRead = async (userId, { all = false, notificationIds = [] } = {}) => {
+  const user = await getInboxUser(userId);
+  if (!user) return 0;
+
+  const now = new Date();
+  let marked = 0;
+  let broadcastIds = [];
+
+  if (all) {
+    const filter = await getBroadcastFilter(user);
+    broadcastIds = filter ? await Notification.distinct('_id', filter) : [];
+    const result = await UserNotification.updateMany({ user: user._id, readAt: null }, { $set: { readAt: now } });
+    marked += result.modifiedCount;
+  } else {
+    const ids = [...new Set(notificationIds.filter((id) => mongoose.isValidObjectId(id)).map(String))].map(toObjectId);
+    if (ids.length === 0) return 0;
+    const result = await UserNotification.updateMany(
+      { _id: { $in: ids }, user: user._id, readAt: null },
+      { $set: { readAt: now } }
+    );
+    marked += result.modifiedCount;
+    const own = new Set((await UserNotification.distinct('_id', { _id: { $in: ids }, user: user._id })).map(String));
+    const otherIds = ids.filter((id) => !own.has(id.toString()));
+    // Only broadcasts in this user's inbox, so read counts are not inflated by other audiences
+    const filter = otherIds.length > 0 ? await getBroadcastFilter(user) : null;
+    broadcastIds = filter
+      ? await Notification.distinct('_id', { ...filter, $and: [...filter.$and, { _id: { $in: otherIds } }] })
+      : [];
+  }
+
+  if (broadcastIds.length > 0) {
+    const result = await NotificationRead.bulkWrite(broadcastIds.map((notificationId) => ({
+      updateOne: {
+        filter: { user: user._id, notification: notificationId },
+        update: { $setOnInsert: { user: user._id, notification: notificationId, readAt: now } },
+        upsert: true,
+      },
+    })));
+    marked += result.upsertedCount;
+  }
+
+  if (marked > 0) pushUnreadCount(userId);
+  return marked;
+};
+
+/**
+ * Remove a notification from a user's inbox. Per-user notifications are deleted;
+ * broadcasts are hidden for this user only (and count as read).
+ * @param {string} userId
+ * @param {string} notificationId
+ * @returns {Promise<boolean>} False when the notification is not in the user's inbox
+ */
+const dismissNotification = async (userId, notificationId) => {
+  if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(notificationId)) return false;
+
+  const deleted = await UserNotification.findOneAndDelete({ _id: notificationId, user: userId });
+  if (!deleted) {
+    const user = await getInboxUser(userId);
+    const filter = user ? await getBroadcastFilter(user) : null;
+    const broadcast = filter
+      ? await Notification.findOne({ ...filter, _id: toObjectId(notificationId) }).select('_id').lean()
+      : null;
+    if (!broadcast) return false;
+
+    const now = new Date();
+    await NotificationRead.updateOne(
+      { user: userId, notification: broadcast._id },
+      { $set: { dismissedAt: now }, $setOnInsert: { readAt: now } },
+      { upsert: true }
+    );
+  }
+
+  pushUnreadCount(userId);
+  return true;
+};
+
+/**
+ * Create a per-user in-app notification and push it to the user's sockets.
+ * Skipped when the user turned in-app off for the event; notifications without an event
+ * (account and moderation notices) are always created.
+ * @param {string} userId
+ * @param {Object} notification
+ * @param {string} notification.title
+ * @param {string} notification.message
+ * @param {string} [notification.event] - Key of NOTIFICATION_EVENTS (services/notificationPreferences.js)
+ * @param {string} [notification.donationId] - Donation the notification is about
+ * @returns {Promise<Object|null>} The UserNotification, or null when skipped
+ */
+const createUserNotification = async (userId, { title, message, event, donationId }) => {
+  if (event && !(await isChannelEnabled(userId.toString(), event, 'inApp'))) return null;
+
+  const notification = await UserNotification.create({
+    user: userId,
+    title,
+    message,
+    event: event || null,
+    donation: donationId || null,
+  });
+
+  try {
+    const unreadCount = await getUnreadCount(userId);
+    socketService.emitToUser(
+      userId.toString(),
+      'new_notification',
+      { notification: formatUserNotification(notification), unreadCount },
+      event ? { notificationEvent: event } : {}
+    );
+  } catch (error) {
+    console.error('[Notifications] Error pushing new notification:', error);
+  }
+  return notification;
+};
+
+// Connected users a broadcast is aimed at (role, status and districts)
+const getOnlineRecipientIds = async (notification) => {
+  const roles = notification.targetRoles.includes('All') ? BROADCAST_ROLES : notification.targetRoles;
+  const onlineIds = (await Promise.all(roles.map((role) => socketService.getOnlineUserIds(role)))).flat();
+  if (onlineIds.length === 0) return [];
+
+  const districts = notification.targetDistricts || [];
+  const ids = await User.distinct('_id', {
+    _id: { $in: onlineIds.filter((id) => mongoose.isValidObjectId(id)) },
+    role: { $in: roles },
+    status: 'completed',
+    ...(districts.length > 0 ? getDistrictsFilter(districts) : {}),
+  });
+  return ids.map(String);
+};
+
+/**
+ * Push a live broadcast to the connected users it reaches (skipping users who turned
+ * broadcasts off in-app or on socket), each with their own unread count
+ * @param {Object} notification - Saved Notification
+ */
+const pushBroadcast = async (notification) => {
+  const recipientIds = await getOnlineRecipientIds(notification);
+  if (recipientIds.length === 0) return;
+
+  const [mutedSocket, mutedInApp] = await Promise.all([
+    getMutedUserIds('broadcasts', 'socket', recipientIds),
+    getMutedUserIds('broadcasts', 'inApp', recipientIds),
+  ]);
+  const muted = new Set([...mutedSocket, ...mutedInApp]);
+
+  const payload = formatBroadcast(notification, false);
+  for (const id of recipientIds.filter((userId) => !muted.has(userId))) {
+    const unreadCount = await getUnreadCount(id);
+    socketService.emitToUser(id, 'new_notification', { notification: payload, unreadCount });
+  }
+};
+
+/**
+ * Email a live broadcast to the approved users it is aimed at
+ * @param {Object} notification - Saved Notification
+ */
+const emailBroadcast = async (notification) => {
+  const roles = notification.targetRoles.includes('All') ? BROADCAST_ROLES : notification.targetRoles;
+  const districts = notification.targetDistricts || [];
+  const users = await User.find({
+    role: { $in: roles },
+    status: 'completed',
+    ...(districts.length > 0 ? getDistrictsFilter(districts) : {}),
+  }).select('email preferredLanguage').lean();
+
+  const title = notification.title || 'Update';
+  for (const u of users) {
+    if (!u.email) continue;
+    try {
+      await sendNotificationEmail(u, title, notification.message);
+    } catch (emailErr) {
+      console.error(`[Notifications] Failed to send notification email to ${u.email}:`, emailErr.message);
+    }
+  }
+};
+
+/**
+ * Deliver a broadcast that just went live: socket push, then emails (both in the background)
+ * @param {Object} notification - Saved Notification with status 'active'
+ */
+const publishBroadcast = (notification) => {
+  pushBroadcast(notification).catch((error) => {
+    console.error('[Notifications] Error pushing broadcast to users:', error);
+  });
+  emailBroadcast(notification).catch((error) => {
+    console.error('[Notifications] Error sending broadcast emails:', error);
+  });
+};
+
+/**
+ * Tell connected users a broadcast left their inbox (expired or withdrawn), with fresh unread counts
+ * @param {Object} notification
+ */
+const pushBroadcastRemoved = async (notification) => {
+  for (const id of await getOnlineRecipientIds(notification)) {
+    const unreadCount = await getUnreadCount(id);
+    socketService.emitToUser(id, 'notification_removed', { notificationId: notification._id.toString(), unreadCount });
+  }
+};
+
+/**
+ * Publish scheduled broadcasts whose time has come and retire expired ones.
+ * Run every minute by the 'broadcast-schedule' job.
+ * @returns {Promise<{ published: number, expired: number }>}
+ */
+const processScheduledBroadcasts = async () => {
+  const counts = { published: 0, expired: 0 };
+
+  for (;;) {
+    const now = new Date();
+    const notification = await Notification.findOneAndUpdate(
+      { status: 'scheduled', publishAt: { $lte: now } },
+      { $set: { status: 'active', publishedAt: now } },
+      { new: true, sort: { publishAt: 1 } }
+    );
+    if (!notification) break;
+    counts.published++;
+    console.log(`[Notifications] Published scheduled broadcast ${notification._id}`);
+    if (notification.expiresAt && notification.expiresAt <= now) continue;
+    publishBroadcast(notification);
+  }
+
+  for (;;) {
+    const notification = await Notification.findOneAndUpdate(
+      { status: 'active', expiresAt: { $ne: null, $lte: new Date() } },
+      { $set: { status: 'expired' } },
+      { new: true, sort: { expiresAt: 1 } }
+    );
+    if (!notification) break;
+    counts.expired++;
+    pushBroadcastRemoved(notification).catch((error) => {
+      console.error('[Notifications] Error pushing broadcast removal:', error);
+    });
+  }
+
+  return counts;
+};
+
+/**
+ * Read and dismissal counts per broadcast (admin list)
+ * @param {Array} notificationIds
+ * @returns {Promise<Map<string, { readCount: number, dismissedCount: number }>>}
+ */
+const getBroadcastReadCounts = async (notificationIds) => {
+  const rows = notificationIds.length === 0 ? [] : await NotificationRead.aggregate([
+    { $match: { notification: { $in: notificationIds } } },
+    {
+      $group: {
+        _id: '$notification',
+        readCount: { $sum: 1 },
+        dismissedCount: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$dismissedAt', null] }, null] }, 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), { readCount: r.readCount, dismissedCount: r.dismissedCount }]));
+};
+
+/**
+ * Record a donation lifecycle step in the donor's and receiver's in-app history (and text them
+ * the steps marked sms)
+ * @param {Object} donation - Donation (donorId / assignedReceiverId may be populated)
+ * @param {'claimed'|'driver_assigned'|'picked_up'|'delivered'} stage
+ */
+const notifyDonationParticipants = async (donation, stage) => {
+  const definition = DONATION_NOTIFICATIONS[stage];
+  if (!definition) return;
+
+  const fill = (text) => text
+    .replace('{item}', donation.itemName || 'Food Item')
+    .replace('{trackingId}', donation.trackingId || donation._id.toString());
+  const recipients = [
+    [donation.donorId, definition.donor],
+    [donation.assignedReceiverId, definition.receiver],
+  ];
+
+  for (const [participant, content] of recipients) {
+    const userId = participant?._id || participant;
+    if (!userId || !content) continue;
+    const message = fill(content.message);
+    try {
+      await createUserNotification(userId, {
+        title: content.title,
+        message,
+        event: definition.event,
+        donationId: donation._id,
+      });
+    } catch (error) {
+      console.error(`[Notifications] Error creating ${stage} notification for ${donation.trackingId}:`, error);
+    }
+    if (definition.sms) {
+      sendUserSms(userId, message, { event: definition.event }).catch((error) => {
+        console.error(`[Notifications] Error texting ${stage} notification for ${donation.trackingId}:`, error);
+      });
+    }
+  }
+};
+
+module.exports = {
+  getUnreadCount,
+  listNotifications,
+  isValidCursor,
+  markRead,
+  dismissNotification,
+  createUserNotification,
+  publishBroadcast,
+  pushBroadcastRemoved,
+  processScheduledBroadcasts,
+  getBroadcastReadCounts,
+  notifyDonationParticipants,
+};
@@ -5,6 +5,38 @@
 
 const PDFDocument = require('pdfkit');
 
+/**
+ * One line describing a confirmed pickup/delivery handover (see services/handshakeService.js)
+ * @param {Object|null} proof - formatHandoverProof output
+ * @param {string} party - 'donor' | 'receiver'
+ * @returns {string}
+ */
+const formatHandover = (proof, party) => {
+  if (!proof) return 'Not recorded';
+  const when = new Date(proof.confirmedAt).toLocaleString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Colombo',
+  });
+  const parts = [`${when}, ${party} ${proof.method === 'qr' ? 'QR code' : 'code'}`];
+  if (proof.location) {
+    parts.push(`GPS ${proof.location.latitude.toFixed(5)}, ${proof.location.longitude.toFixed(5)}`);
+  }
+  if (proof.distanceKm != null) parts.push(`${proof.distanceKm.toFixed(2)} km from ${party}`);
+  if (proof.photoUrl) parts.push('photo on file');
+  return parts.join('; ');
+};
+
+/**
+ * @param {Object|null} check - Latest safety check for a stage (formatFoodSafety output)
+ * @returns {string}
+ */
+const formatSafetyCheck = (check) => {
+  if (!check) return 'Not logged';
+  const parts = [];
+  if (check.temperatureC != null) parts.push(`${check.temperatureC}°C${check.temperatureSafe ? '' : ' (unsafe)'}`);
+  parts.push(`condition ${check.condition}`);
+  return parts.join(', ');
+};
+
 /**
  * Generate Impact Receipt PDF
  * @param {Object} receiptData - Receipt data from ImpactReceipt model
@@ -209,8 +241,40 @@ const generateImpactReceiptPDF = async (receiptData, donationData) => {
         .font('Helvetica')
         .text(`Date: ${donationData.deliveryDate || 'N/A'}`, { indent: 10 })
         .text(`Drop Location: ${receiptData.dropLocation || 'N/A'}`, { indent: 10 })
+        .text(`Pickup Verified: ${formatHandover(donationData.handover?.pickup, 'donor')}`, { indent: 10 })
+        .text(`Delivery Verified: ${formatHandover(donationData.handover?.delivery, 'receiver')}`, { indent: 10 })
         .moveDown(0.5);
 
+      // Food Safety Section (Full Width)
+      const safety = donationData.foodSafety;
+      if (safety) {
+        doc
+          .fontSize(sectionFontSize)
+          .fillColor('#1b4332')
+          .font('Helvetica-Bold')
+          .text('Food Safety', leftMargin, doc.y, { underline: true })
+          .moveDown(0.2);
+
+        let transitText = safety.transitMinutes != null ? `${safety.transitMinutes} min` : 'N/A';
+        if (safety.transitMinutes != null && safety.holdingWindowMinutes != null) {
+          transitText += safety.holdingWindowExceeded
+            ? ` (exceeded the ${safety.holdingWindowMinutes} min safe limit by ${safety.transitMinutes - safety.holdingWindowMinutes} min)`
+            : ` (within the ${safety.holdingWindowMinutes} min safe limit)`;
+        }
+        doc
+          .fontSize(textFontSize)
+          .fillColor('#000000')
+          .font('Helvetica')
+          .text(`Storage: ${safety.storage || 'N/A'} (keep at ${safety.safeTemperature})`, { indent: 10 })
+          .text(`Time in Transit: ${transitText}`, { indent: 10 })
+          .text(`Pickup Check: ${formatSafetyCheck(safety.pickupCheck)}`, { indent: 10 })
+          .text(`Drop-off Check: ${formatSafetyCheck(safety.dropoffCheck)}`, { indent: 10 });
+        if (safety.alerts?.length > 0) {
+          doc.fillColor('#b91c1c').text(`Alerts: ${safety.alerts.map(a => a.message).join(' ')}`, { indent: 10 });
+        }
+        doc.fillColor('#000000').moveDown(0.5);
+      }
+
       // Impact Metrics Section - Compact layout
       doc
         .fontSize(14)
@@ -0,0 +1,207 @@
+/**
+ * Service areas
+ * Receivers and drivers can limit donation alerts to a circle (centre + radius) or a set of
+ * districts. New-donation and claimed-donation notifications go only to users whose area
+ * covers the donor's coordinates; users who never set an area keep getting everything.
+ */
+
+const User = require('../models/User');
+const socketService = require('./socketService');
+const { getMutedUserIds } = require('./notificationPreferences');
+const { isWithinSriLanka, toGeoPoint, SRI_LANKA_BOUNDS } = require('../utils/geoUtils');
+const { calculateDistance } = require('../utils/distanceService');
+const {
+  SRI_LANKA_DISTRICTS,
+  DISTRICT_NAMES,
+  isDistrict,
+  getDistrictForLocation,
+} = require('../utils/sriLankaDistricts');
+
+const SERVICE_AREA_ROLES = ['Receiver', 'Driver'];
+const MAX_SERVICE_RADIUS_KM = 100;
+
+/**
+ * Validate a service area from a request body
+ * Body: { mode: 'radius', latitude, longitude, radiusKm } | { mode: 'districts', districts: string[] }
+ * @param {Object} body
+ * @returns {{ errors: Array<{field: string, message: string}>, area: Object|null }}
+ */
+const parseServiceArea = (body = {}) => {
+  const errors = [];
+  const { mode } = body;
+
+  if (mode === 'radius') {
+    const latitude = Number(body.latitude);
+    const longitude = Number(body.longitude);
+    const radiusKm = Number(body.radiusKm);
+    if (body.latitude == null || body.longitude == null || !isWithinSriLanka(latitude, longitude)) {
+      errors.push({ field: 'latitude', message: `Centre must be within Sri Lanka (lat ${SRI_LANKA_BOUNDS.minLat}-${SRI_LANKA_BOUNDS.maxLat}, lng ${SRI_LANKA_BOUNDS.minLng}-${SRI_LANKA_BOUNDS.maxLng})` });
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_SERVICE_RADIUS_KM) {
+      errors.push({ field: 'radiusKm', message: `radiusKm must be a number between 0 and ${MAX_SERVICE_RADIUS_KM}` });
+    }
+    return errors.length > 0
+      ? { errors, area: null }
+      : { errors, area: { mode, center: toGeoPoint(latitude, longitude), radiusKm } };
+  }
+
+  if (mode === 'districts') {
+    const districts = Array.isArray(body.districts) ? [...new Set(body.districts)] : [];
+    const invalid = districts.filter(d => !isDistrict(d));
+    if (districts.length === 0) {
+      errors.push({ field: 'districts', message: 'Select at least one district' });
+    } else if (invalid.length > 0) {
+      errors.push({ field: 'districts', message: `Unknown district: ${invalid.join(', ')}` });
+    }
+    return errors.length > 0 ? { errors, area: null } : { errors, area: { mode, districts } };
+  }
+
+  errors.push({ field: 'mode', message: "mode must be 'radius' or 'districts'" });
+  return { errors, area: null };
+};
+
+/**
+ * Districts a service area reaches: the listed districts, or for a circle the district of its
+ * centre plus every district whose capital lies inside it
+ * @param {Object} area - Parsed service area
+ * @returns {string[]}
+ */
+const getCoveredDistricts = (area) => {
+  if (area.mode === 'districts') return area.districts;
+  const [longitude, latitude] = area.center.coordinates;
+  const covered = new Set([getDistrictForLocation(latitude, longitude)]);
+  for (const [name, capital] of Object.entries(SRI_LANKA_DISTRICTS)) {
+    if (calculateDistance(latitude, longitude, capital.latitude, capital.longitude) <= area.radiusKm) {
+      covered.add(name);
+    }
+  }
+  return DISTRICT_NAMES.filter(name => covered.has(name));
+};
+
+/**
+ * Service area in API shape
+ * @param {Object} user - User with serviceArea
+ * @returns {Object|null} null when the user covers the whole country
+ */
+const formatServiceArea = (user) => {
+  const area = user?.serviceArea;
+  if (!area?.mode) return null;
+  if (area.mode === 'districts') {
+    return { mode: area.mode, districts: area.districts || [] };
+  }
+  return {
+    mode: area.mode,
+    latitude: area.center?.coordinates?.[1] ?? null,
+    longitude: area.center?.coordinates?.[0] ?? null,
+    radiusKm: area.radiusKm,
+    coveredDistricts: area.coveredDistricts || [],
+  };
+};
+
+/**
+ * Save a user's service area; null clears it (whole country)
+ * @param {string} userId
+ * @param {Object|null} area - Result of parseServiceArea
+ * @returns {Promise<Object|null>} Updated user (lean), or null when not found
+ */
+const setServiceArea = (userId, area) => {
+  const update = area
+    ? { $set: { serviceArea: { ...area, coveredDistricts: getCoveredDistricts(area) } } }
+    : { $unset: { serviceArea: 1 } };
+  return User.findByIdAndUpdate(userId, update, { new: true }).select('role serviceArea').lean();
+};
+
+// Mongoose select string ('email receiverName') as an aggregation projection
+const toProjection = (select) => Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field => [field, 1]));
+
+/**
+ * Approved users of a role whose service area covers a point (plus users without an area).
+ * Without coordinates every approved user of the role is returned.
+ * @param {string} role - 'Receiver' | 'Driver'
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} [select] - Fields to return (mongoose select string)
+ * @returns {Promise<Object[]>} Lean users
+ */
+const findUsersCoveringLocation = async (role, latitude, longitude, select = '_id') => {
+  const base = { role, status: 'completed' };
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude == null || longitude == null || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return User.find(base).select(select).lean();
+  }
+
+  const district = getDistrictForLocation(lat, lng);
+  const [byDistrictOrCountry, byRadius] = await Promise.all([
+    User.find({
+      ...base,
+      $or: [
+        { 'serviceArea.mode': null },
+        { 'serviceArea.mode': 'districts', 'serviceArea.districts': district },
+      ],
+    }).select(select).lean(),
+    User.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint(lat, lng),
+          key: 'serviceArea.center',
+          distanceField: 'serviceAreaDistance',
+          maxDistance: MAX_SERVICE_RADIUS_KM * 1000,
+          spherical: true,
+          query: { ...base, 'serviceArea.mode': 'radius' },
+        },
+      },
+      { $match: { $expr: { $lte: ['$serviceAreaDistance', { $multiply: ['$serviceArea.radiusKm', 1000] }] } } },
+      { $project: toProjection(select) },
+    ]),
+  ]);
+  return [...byDistrictOrCountry, ...byRadius];
+};
+
+/**
+ * Emit a socket event to the connected users of a role whose service area covers a point
+ * With a notificationEvent, users who turned its socket channel off (or are in quiet hours) are skipped.
+ * @param {string} role
+ * @param {{ latitude: number, longitude: number }} location - Usually the donor's coordinates
+ * @param {string} event
+ * @param {object} data
+ * @param {object} [options]
+ * @param {string} [options.notificationEvent] - Key of NOTIFICATION_EVENTS (services/notificationPreferences.js)
+ */
+const emitToServiceArea = async (role, { latitude, longitude }, event, data = {}, { notificationEvent } = {}) => {
+  try {
+    const users = await findUsersCoveringLocation(role, latitude, longitude);
+    let userIds = users.map(u => u._id.toString());
+    if (notificationEvent && userIds.length > 0) {
+      const muted = new Set(await getMutedUserIds(notificationEvent, 'socket', userIds));
+      userIds = userIds.filter(id => !muted.has(id));
+    }
+    socketService.emitToUsers(userIds, event, data);
+  } catch (error) {
+    console.error(`[ServiceArea] Error emitting ${event} to ${role}s:`, error);
+  }
+};
+
+/**
+ * Query condition for users reached by a broadcast limited to some districts
+ * (users who overlap one of them, and users without an area)
+ * @param {string[]} districts
+ * @returns {Object}
+ */
+const getDistrictsFilter = (districts) => ({
+  $or: [
+    { 'serviceArea.mode': null },
+    { 'serviceArea.coveredDistricts': { $in: districts } },
+  ],
+});
+
+module.exports = {
+  SERVICE_AREA_ROLES,
+  MAX_SERVICE_RADIUS_KM,
+  parseServiceArea,
+  formatServiceArea,
+  setServiceArea,
+  findUsersCoveringLocation,
+  emitToServiceArea,
+  getDistrictsFilter,
+};
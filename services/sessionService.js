@@ -0,0 +1,245 @@
+/**
+ * Session Service
+ * One Session document per signed-in device. Login returns a short-lived access token
+ * (carrying the session id as `sid`) plus a refresh token that is rotated on every use.
+ * Revoking a session rejects its access tokens on the next request and disconnects its sockets.
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const { generateToken, generateRefreshToken, hashToken } = require('../utils/jwt');
+const { REFRESH_TOKEN_DAYS } = require('../config/env');
+
+const SESSION_ERROR_CODE = 'SESSION_ERROR';
+
+/**
+ * Build an error the auth routes turn into a response with its statusCode
+ * @param {string} message
+ * @param {number} [statusCode=401]
+ * @returns {Error}
+ */
+const sessionError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.code = SESSION_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error came from session handling
+ */
+const isSessionError = (error) => error?.code === SESSION_ERROR_CODE;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Device details recorded on the session (shown in the device list).
+ * @param {import('express').Request} req
+ * @returns {{ userAgent: string|null, ip: string|null, deviceName: string|null }}
+ */
+const getClientInfo = (req) => {
+  const deviceName = req.body?.deviceName;
+  return {
+    userAgent: (req.headers['user-agent'] || '').slice(0, 200) || null,
+    // req.ip honours the trust proxy setting; the raw X-Forwarded-For is whatever the client sent
+    ip: req.ip || null,
+    deviceName: typeof deviceName === 'string' && deviceName.trim() ? deviceName.trim().slice(0, 100) : null,
+  };
+};
+
+/**
+ * Start a session for a user who has just proven their credentials.
+ * @param {Object} user - User document
+ * @param {Object} clientInfo - From getClientInfo(req)
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+const createSession = async (user, clientInfo = {}) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: clientInfo.deviceName || null,
+    userAgent: clientInfo.userAgent || null,
+    ip: clientInfo.ip || null,
+    expiresAt: refreshExpiry(),
+  });
+
+  const sessionId = session._id.toString();
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken,
+    sessionId,
+  };
+};
+
+/**
+ * Revoke sessions matching a filter and disconnect their sockets.
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeWhere = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id userId').lean();
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  const byUser = new Map();
+  for (const s of sessions) {
+    const userId = s.userId.toString();
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(s._id.toString());
+  }
+  for (const [userId, sessionIds] of byUser) {
+    socketService.disconnectUserSessions(userId, sessionIds, reason);
+  }
+  return sessions.length;
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already rotated revokes the session (likely stolen).
+ * @param {string} refreshToken
+ * @param {Object} clientInfo - From getClientInfo(req)
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ * @throws {Error} sessionError when the token is unknown, expired, reused or the account is no longer active
+ */
+const refreshSession = async (refreshToken, clientInfo = {}) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw sessionError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const current = await Session.findOne({
+    refreshTokenHash: tokenHash,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+
+  if (!current) {
+    const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null }).select('_id userId').lean();
+    if (reused) {
+      console.warn(`[SessionService] Refresh token reuse detected for session ${reused._id}; revoking`);
+      await revokeWhere({ _id: reused._id }, 'refresh_token_reuse');
+    }
+    throw sessionError('Session expired or revoked. Please log in again.');
+  }
+
+  // Re-read the account so role/email changes and deactivation take effect on refresh
+  const user = await User.findById(current.userId).select('email role status').lean();
+  if (!user || user.status !== 'completed') {
+    await revokeWhere({ _id: current._id }, 'account_inactive');
+    throw sessionError('Account is not active', 403);
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: current._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...(clientInfo.ip && { ip: clientInfo.ip }),
+        ...(clientInfo.userAgent && { userAgent: clientInfo.userAgent }),
+      },
+    },
+    { new: true }
+  );
+  // Lost a race with another refresh using the same token
+  if (!rotated) {
+    throw sessionError('Session expired or revoked. Please log in again.');
+  }
+
+  const sessionId = rotated._id.toString();
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken: nextRefreshToken,
+    sessionId,
+  };
+};
+
+/**
+ * Find the live session an access token belongs to.
+ * Tokens issued before sessions existed (no `sid`) are treated as revoked.
+ * @param {Object} decoded - Verified access token payload
+ * @returns {Promise<Object|null>} Session (lean) or null if revoked/expired/unknown
+ */
+const getActiveSession = async (decoded) => {
+  if (!mongoose.isValidObjectId(decoded?.sid) || !mongoose.isValidObjectId(decoded?.id)) return null;
+  return Session.findOne({
+    _id: decoded.sid,
+    userId: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select('_id userId').lean();
+};
+
+/**
+ * Revoke one session (logout on this device).
+ * @param {string} sessionId
+ * @param {string} [reason='logout']
+ * @returns {Promise<number>}
+ */
+const revokeSession = (sessionId, reason = 'logout') => {
+  if (!mongoose.isValidObjectId(sessionId)) return Promise.resolve(0);
+  return revokeWhere({ _id: sessionId }, reason);
+};
+
+/**
+ * Revoke the session holding a refresh token (logout without a valid access token).
+ * @param {string} refreshToken
+ * @param {string} [reason='logout']
+ * @returns {Promise<number>}
+ */
+const revokeRefreshToken = (refreshToken, reason = 'logout') => {
+  if (!refreshToken || typeof refreshToken !== 'string') return Promise.resolve(0);
+  return revokeWhere({ refreshTokenHash: hashToken(refreshToken) }, reason);
+};
+
+/**
+ * Revoke every session of a user (sign out all devices, password change, deactivation).
+ * @param {string} userId
+ * @param {string} reason
+ * @param {{ exceptSessionId?: string }} [options] - Keep the caller's own session
+ * @returns {Promise<number>}
+ */
+const revokeAllSessions = (userId, reason, { exceptSessionId } = {}) => {
+  if (!mongoose.isValidObjectId(userId)) return Promise.resolve(0);
+  const filter = { userId };
+  if (exceptSessionId && mongoose.isValidObjectId(exceptSessionId)) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return revokeWhere(filter, reason);
+};
+
+/**
+ * Active sessions of a user, newest first (device list).
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const listActiveSessions = (userId) => Session.find({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+})
+  .select('deviceName userAgent ip createdAt lastUsedAt expiresAt')
+  .sort({ lastUsedAt: -1 })
+  .lean();
+
+module.exports = {
+  getClientInfo,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+  listActiveSessions,
+  isSessionError,
+};
@@ -0,0 +1,79 @@
+/**
+ * SMS providers
+ * Every provider has the same shape: { name, isConfigured(), send({ to, message }) }
+ * where `to` is an E.164 number and send resolves to { providerMessageId } or throws.
+ * Add a gateway by adding an entry to PROVIDERS.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  SMS_FILE_DIR,
+  SMS_SENDER_ID,
+  NOTIFYLK_USER_ID,
+  NOTIFYLK_API_KEY,
+} = require('../config/sms');
+
+const NOTIFYLK_SEND_URL = 'https://app.notify.lk/api/v1/send';
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+let fileSequence = 0;
+
+const PROVIDERS = {
+  // Development: print the message instead of sending it
+  console: {
+    name: 'console',
+    isConfigured: () => true,
+    send: async ({ to, message }) => {
+      console.log(`[SMS] To ${to} (${SMS_SENDER_ID}): ${message}`);
+      return { providerMessageId: null };
+    },
+  },
+
+  // Development: one text file per message, like EMAIL_TRANSPORT=file
+  file: {
+    name: 'file',
+    isConfigured: () => true,
+    send: async ({ to, message }) => {
+      await fs.mkdir(SMS_FILE_DIR, { recursive: true });
+      const file = path.join(SMS_FILE_DIR, `${Date.now()}-${++fileSequence}-${to.replace('+', '')}.txt`);
+      await fs.writeFile(file, `From: ${SMS_SENDER_ID}\nTo: ${to}\n\n${message}\n`);
+      return { providerMessageId: path.basename(file) };
+    },
+  },
+
+  notifylk: {
+    name: 'notifylk',
+    isConfigured: () => !!(NOTIFYLK_USER_ID && NOTIFYLK_API_KEY),
+    send: async ({ to, message }) => {
+      const params = new URLSearchParams({
+        user_id: NOTIFYLK_USER_ID,
+        api_key: NOTIFYLK_API_KEY,
+        sender_id: SMS_SENDER_ID,
+        to: to.replace('+', ''),
+        message,
+      });
+      const response = await fetch(`${NOTIFYLK_SEND_URL}?${params}`, {
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.status !== 'success') {
+        throw new Error(`Notify.lk rejected the message: ${body.message || response.status}`);
+      }
+      return { providerMessageId: null };
+    },
+  },
+};
+
+/**
+ * @param {string} name
+ * @returns {Object|null} The provider, or null for 'none', unknown or unconfigured providers
+ */
+const getSmsProvider = (name) => {
+  const provider = PROVIDERS[name];
+  return provider && provider.isConfigured() ? provider : null;
+};
+
+module.exports = {
+  getSmsProvider,
+};
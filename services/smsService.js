@@ -0,0 +1,93 @@
+/**
+ * SMS notifications
+ * Short text messages for users who rarely check email: driver assigned, picked up,
+ * delivered, and the one-time handshake codes. Messages go to the user's contactNo
+ * (Sri Lankan mobiles only) through the provider in config/sms.js, and respect the
+ * user's 'sms' notification preferences. Sending is best-effort and never throws.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { SMS_PROVIDER } = require('../config/sms');
+const { getSmsProvider } = require('./smsProviders');
+const { getPreferences, getDelivery } = require('./notificationPreferences');
+const { normalizeSriLankaPhone, isSriLankaMobile } = require('../utils/phone');
+
+const provider = getSmsProvider(SMS_PROVIDER);
+
+/**
+ * @returns {boolean} True if a provider is configured
+ */
+const isSmsConfigured = () => !!provider;
+
+/**
+ * Send a text to a number
+ * @param {string} contactNo - Any format normalizeSriLankaPhone accepts
+ * @param {string} message
+ * @returns {Promise<boolean>} True if the provider accepted the message
+ */
+const sendSms = async (contactNo, message) => {
+  if (!provider) return false;
+  const to = normalizeSriLankaPhone(contactNo);
+  if (!to || !isSriLankaMobile(to)) return false;
+
+  try {
+    await provider.send({ to, message });
+    return true;
+  } catch (error) {
+    console.error(`[SMS] Failed to send to ${to} via ${provider.name}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Send a text to a user if their preferences allow it
+ * @param {string|Object} userId
+ * @param {string} message
+ * @param {Object} options
+ * @param {string} options.event - Key of NOTIFICATION_EVENTS
+ * @param {boolean} [options.urgent=false] - Send during quiet hours (codes the user is waiting for)
+ * @returns {Promise<boolean>}
+ */
+const sendUserSms = async (userId, message, { event, urgent = false }) => {
+  if (!provider || !mongoose.isValidObjectId(userId)) return false;
+
+  if (urgent) {
+    const prefs = await getPreferences(userId.toString());
+    if (!prefs.events[event]?.sms) return false;
+  } else {
+    const { allowed } = await getDelivery(userId.toString(), event, 'sms');
+    if (!allowed) return false;
+  }
+
+  const user = await User.findById(userId).select('contactNo').lean();
+  if (!user?.contactNo) return false;
+  return sendSms(user.contactNo, `FoodLoop: ${message}`);
+};
+
+/**
+ * Text a donor or receiver the code the driver must enter to confirm pickup or delivery
+ * @param {string} userId
+ * @param {Object} options
+ * @param {'pickup'|'delivery'} options.stage
+ * @param {string} options.code
+ * @param {Object} options.donation - { itemName, trackingId }
+ * @returns {Promise<boolean>}
+ */
+const sendHandshakeCodeSms = (userId, { stage, code, donation }) => {
+  const item = donation.itemName || 'Food Item';
+  const message = stage === 'pickup'
+    ? `Your pickup code for "${item}" (${donation.trackingId}) is ${code}. Give it to the driver only when they collect the food.`
+    : `Your delivery code for "${item}" (${donation.trackingId}) is ${code}. Give it to the driver only when you receive the food.`;
+  return sendUserSms(userId, message, {
+    event: stage === 'pickup' ? 'pickups' : 'deliveries',
+    urgent: true,
+  });
+};
+
+module.exports = {
+  isSmsConfigured,
+  sendSms,
+  sendUserSms,
+  sendHandshakeCodeSms,
+};
@@ -5,6 +5,7 @@
 
 let io = null;
 let Donation = null;
+let notificationPreferences = null;
 
 function getDonationModel() {
   if (!Donation) {
@@ -13,6 +14,13 @@ function getDonationModel() {
   return Donation;
 }
 
+function getNotificationPreferences() {
+  if (!notificationPreferences) {
+    notificationPreferences = require('./notificationPreferences');
+  }
+  return notificationPreferences;
+}
+
 /**
  * Attach Socket.IO instance (call once from server.js).
  * @param {import('socket.io').Server} socketIO
@@ -23,13 +31,37 @@ function setIO(socketIO) {
 
 /**
  * Emit an event to all sockets for a given user (e.g. account_deactivated).
+ * Pass a notificationEvent for notifications the user can mute; it is then only sent
+ * when the user's socket preference is on and they are outside quiet hours.
  * @param {string} userId - MongoDB ObjectId or user id string
  * @param {string} event - Event name
  * @param {object} data - Payload to send
+ * @param {object} [options]
+ * @param {string} [options.notificationEvent] - Key of NOTIFICATION_EVENTS (services/notificationPreferences.js)
  */
-function emitToUser(userId, event, data = {}) {
+function emitToUser(userId, event, data = {}, { notificationEvent } = {}) {
   if (!io || !userId) return;
-  io.to(`user:${userId}`).emit(event, data);
+  if (!notificationEvent) {
+    io.to(`user:${userId}`).emit(event, data);
+    return;
+  }
+
+  getNotificationPreferences().isChannelEnabled(userId.toString(), notificationEvent, 'socket')
+    .then((enabled) => {
+      if (enabled) io.to(`user:${userId}`).emit(event, data);
+    })
+    .catch((err) => console.error('[SocketService] emitToUser preference check error:', err));
+}
+
+/**
+ * Emit an event to the sockets of several users at once (e.g. receivers near a new donation).
+ * @param {string[]} userIds - User id strings
+ * @param {string} event - Event name
+ * @param {object} data - Payload to send
+ */
+function emitToUsers(userIds, event, data = {}) {
+  if (!io || !userIds || userIds.length === 0) return;
+  io.to(userIds.map(id => `user:${id}`)).emit(event, data);
 }
 
 /**
@@ -54,8 +86,20 @@ function emitToDonationRoom(donationId, event, data = {}) {
   io.to(`donation:${donationId}`).emit(event, data);
 }
 
+/**
+ * Emit an event to all sockets following a driver's multi-stop batch.
+ * @param {string} batchId - DeliveryBatch ID
+ * @param {string} event - Event name (e.g. batch_updated)
+ * @param {object} data - Payload to send
+ */
+function emitToBatchRoom(batchId, event, data = {}) {
+  if (!io || !batchId) return;
+  io.to(`batch:${batchId}`).emit(event, data);
+}
+
 /**
  * Emit driver location to all donor/receiver clients tracking donations for this driver.
+ * Covers every donation in the driver's batch, plus the batch room itself.
  * Call after updating User.driverLatitude/driverLongitude (PATCH /me/location or demo tick).
  * @param {string} driverId - MongoDB ObjectId of the driver user
  * @param {number} latitude
@@ -70,26 +114,68 @@ async function emitDriverLocation(driverId, latitude, longitude) {
       assignedDriverId: driverId,
       status: { $in: ['assigned', 'picked_up'] },
     })
-      .select('_id')
+      .select('_id batchId')
       .lean();
 
     const payload = {
       driverLocation: { latitude, longitude },
     };
 
+    const batchIds = new Set();
     for (const d of donations) {
       const room = `donation:${d._id.toString()}`;
       io.to(room).emit('driver_location', payload);
+      if (d.batchId) batchIds.add(d.batchId.toString());
+    }
+    for (const batchId of batchIds) {
+      io.to(`batch:${batchId}`).emit('driver_location', payload);
     }
   } catch (err) {
     console.error('[SocketService] emitDriverLocation error:', err);
   }
 }
 
+/**
+ * IDs of users with at least one connected socket in a role room.
+ * @param {string} role - Role name (e.g. 'Driver')
+ * @returns {Promise<string[]>}
+ */
+async function getOnlineUserIds(role) {
+  if (!io || !role) return [];
+  const sockets = await io.in(`role:${role}`).fetchSockets();
+  return [...new Set(sockets.map(s => s.data?.userId).filter(Boolean))];
+}
+
+/**
+ * Disconnect a user's sockets after their session(s) were revoked.
+ * Sockets are told why first (session_revoked) so the client can sign out.
+ * @param {string} userId - User id
+ * @param {string[]|null} sessionIds - Only these sessions; null for every session of the user
+ * @param {string} reason - Revocation reason sent to the client
+ */
+async function disconnectUserSessions(userId, sessionIds = null, reason = 'revoked') {
+  if (!io || !userId) return;
+  try {
+    const sockets = await io.in(`user:${userId}`).fetchSockets();
+    const wanted = sessionIds ? new Set(sessionIds.map(String)) : null;
+    for (const s of sockets) {
+      if (wanted && !wanted.has(s.data?.sessionId)) continue;
+      s.emit('session_revoked', { reason });
+      s.disconnect(true);
+    }
+  } catch (err) {
+    console.error('[SocketService] disconnectUserSessions error:', err);
+  }
+}
+
 module.exports = {
   setIO,
   emitToUser,
+  emitToUsers,
   emitToRole,
   emitToDonationRoom,
+  emitToBatchRoom,
   emitDriverLocation,
+  getOnlineUserIds,
+  disconnectUserSessions,
 };
@@ -0,0 +1,157 @@
+/**
+ * Storage drivers
+ * Every driver has the same shape:
+ *   { name, put({ key, body, contentType, visibility }), open(key, visibility), remove(key, visibility), publicUrl(key) }
+ * where key is "<folder>/<uuid>.<ext>" and visibility is 'public' or 'private'. open resolves to
+ * { stream, contentType, contentLength } or null when the file does not exist.
+ * Add a backend by adding an entry to DRIVERS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const {
+  AWS_REGION,
+  AWS_ACCESS_KEY_ID,
+  AWS_SECRET_ACCESS_KEY,
+  AWS_S3_BUCKET_NAME,
+} = require('../config/env');
+const { LOCAL_STORAGE_DIR, API_PUBLIC_URL } = require('../config/storage');
+
+// Content types served for stored files by extension; anything else is sent as a download
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  pdf: 'application/pdf',
+};
+
+/**
+ * @param {string} key
+ * @returns {string} Content type for the key's extension (application/octet-stream if unknown)
+ */
+const contentTypeFor = (key) => CONTENT_TYPES[key.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+let s3Client = null;
+const getS3Client = () => {
+  if (!s3Client) {
+    s3Client = new S3Client({
+      region: AWS_REGION,
+      credentials: {
+        accessKeyId: AWS_ACCESS_KEY_ID,
+        secretAccessKey: AWS_SECRET_ACCESS_KEY,
+      },
+    });
+  }
+  return s3Client;
+};
+
+// Private objects live under private/ so the bucket policy can keep them out of public reads
+const s3Key = (key, visibility) => (visibility === 'private' ? `private/${key}` : key);
+
+// Turn AWS errors into messages that say what to fix
+const describeS3Error = (error) => {
+  if (error.name === 'InvalidAccessKeyId') return new Error('Invalid AWS Access Key ID. Please check your credentials.');
+  if (error.name === 'SignatureDoesNotMatch') return new Error('Invalid AWS Secret Access Key. Please check your credentials.');
+  if (error.name === 'NoSuchBucket') return new Error(`S3 bucket "${AWS_S3_BUCKET_NAME}" does not exist. Please check your bucket name.`);
+  if (error.name === 'AccessDenied') return new Error('Access denied to S3 bucket. Please check your IAM user permissions.');
+  return new Error(`S3 request failed: ${error.message || error.name || 'Unknown error'}`);
+};
+
+// Absolute path of a local file, refusing anything that would escape the storage directory
+const localPath = (key, visibility) => {
+  const root = path.resolve(LOCAL_STORAGE_DIR, visibility);
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return file;
+};
+
+const DRIVERS = {
+  s3: {
+    name: 's3',
+    put: async ({ key, body, contentType, visibility }) => {
+      try {
+        await getS3Client().send(new PutObjectCommand({
+          Bucket: AWS_S3_BUCKET_NAME,
+          Key: s3Key(key, visibility),
+          Body: body,
+          ContentType: contentType,
+        }));
+      } catch (error) {
+        console.error('[Storage] S3 upload failed:', error.name, error.message);
+        throw describeS3Error(error);
+      }
+    },
+    open: async (key, visibility) => {
+      try {
+        const object = await getS3Client().send(new GetObjectCommand({
+          Bucket: AWS_S3_BUCKET_NAME,
+          Key: s3Key(key, visibility),
+        }));
+        return {
+          stream: object.Body,
+          contentType: contentTypeFor(key),
+          contentLength: object.ContentLength ?? null,
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw describeS3Error(error);
+      }
+    },
+    remove: async (key, visibility) => {
+      await getS3Client().send(new DeleteObjectCommand({
+        Bucket: AWS_S3_BUCKET_NAME,
+        Key: s3Key(key, visibility),
+      }));
+    },
+    publicUrl: (key) => `https://${AWS_S3_BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/${key}`,
+  },
+
+  // Development and single-server deployments: files under LOCAL_STORAGE_DIR/<visibility>/,
+  // served by routes/files.js
+  local: {
+    name: 'local',
+    put: async ({ key, body, visibility }) => {
+      const file = localPath(key, visibility);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+    open: async (key, visibility) => {
+      const file = localPath(key, visibility);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (!stat?.isFile()) return null;
+      return {
+        stream: fs.createReadStream(file),
+        contentType: contentTypeFor(key),
+        contentLength: stat.size,
+      };
+    },
+    remove: async (key, visibility) => {
+      await fs.promises.rm(localPath(key, visibility), { force: true });
+    },
+    publicUrl: (key) => `${API_PUBLIC_URL}/api/files/public/${key}`,
+  },
+};
+
+/**
+ * @param {string} name
+ * @returns {Object} The driver
+ * @throws {Error} For an unknown driver name
+ */
+const getStorageDriver = (name) => {
+  const driver = DRIVERS[name];
+  if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+  return driver;
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  getStorageDriver,
+};
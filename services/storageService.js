@@ -0,0 +1,168 @@
+/**
+ * File storage
+ * Uploads go to the driver picked by STORAGE_DRIVER (services/storageDrivers.js). Donation photos
+ * and avatars are public and stored as plain URLs (services/imageService.js). Identity documents and handover photos are
+ * private: the database keeps only the storage key, and they are handed out as signed links to
+ * /api/files/private/... that expire after SIGNED_URL_TTL_SECONDS.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const {
+  STORAGE_DRIVER,
+  API_PUBLIC_URL,
+  SIGNED_URL_TTL_SECONDS,
+  STORAGE_SIGNING_SECRET,
+} = require('../config/storage');
+const { CONTENT_TYPES, getStorageDriver } = require('./storageDrivers');
+
+const KEY_PATTERN = /^[a-z0-9-]+\/[0-9a-f-]{36}(-[a-z]+)?\.[a-z0-9]{1,5}$/;
+
+// User fields that hold private identity documents (signup uploads)
+const DOCUMENT_FIELDS = ['businessRegFileUrl', 'addressProofFileUrl', 'nicFileUrl', 'licenseFileUrl'];
+
+const driver = getStorageDriver(STORAGE_DRIVER);
+
+/**
+ * @param {string} key
+ * @returns {boolean} True if the key has the shape this service generates
+ */
+const isValidKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key);
+
+// Extension from the MIME type, then the original name; unknown types get .bin
+const extensionFor = (file) => {
+  const fromMime = Object.keys(CONTENT_TYPES).find((ext) => CONTENT_TYPES[ext] === file.mimetype);
+  if (fromMime) return fromMime;
+  const fromName = file.originalname?.split('.').pop()?.toLowerCase();
+  return fromName && CONTENT_TYPES[fromName] ? fromName : 'bin';
+};
+
+const saveFile = async (file, folder, visibility) => {
+  const key = `${folder}/${uuidv4()}.${extensionFor(file)}`;
+  await driver.put({ key, body: file.buffer, contentType: file.mimetype, visibility });
+  return key;
+};
+
+/**
+ * Store a file anyone may view (donation photos, avatars)
+ * @param {Object} file - Multer file object
+ * @param {string} folder - e.g. 'profile-images'
+ * @returns {Promise<string>} Public URL of the file
+ */
+const uploadPublicFile = async (file, folder) => driver.publicUrl(await saveFile(file, folder, 'public'));
+
+/**
+ * Store several renditions of one upload side by side (e.g. image variants), as
+ * "<folder>/<id>-<name>.<ext>"
+ * @param {Object<string, { buffer: Buffer, mimetype: string }>} files - Keyed by variant name
+ * @param {string} folder
+ * @returns {Promise<Object<string, string>>} Public URL per variant name
+ */
+const uploadPublicVariants = async (files, folder) => {
+  const id = uuidv4();
+  const urls = {};
+  for (const [name, file] of Object.entries(files)) {
+    const key = `${folder}/${id}-${name}.${extensionFor(file)}`;
+    await driver.put({ key, body: file.buffer, contentType: file.mimetype, visibility: 'public' });
+    urls[name] = driver.publicUrl(key);
+  }
+  return urls;
+};
+
+/**
+ * @param {string} key
+ * @returns {string} Public URL of a public file
+ */
+const getPublicFileUrl = (key) => driver.publicUrl(key);
+
+/**
+ * @param {string} url
+ * @returns {string|null} Storage key of a public file behind one of our URLs (null for other URLs)
+ */
+const getPublicFileKey = (url) => {
+  const prefix = driver.publicUrl('');
+  if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+  const key = decodeURIComponent(url.slice(prefix.length));
+  return isValidKey(key) ? key : null;
+};
+
+/**
+ * Store a file only its owner and admins may view (identity documents, handover photos)
+ * @param {Object} file - Multer file object
+ * @param {string} folder - e.g. 'nic'
+ * @returns {Promise<string>} Storage key to keep on the record; pass it to getSignedFileUrl to show the file
+ */
+const uploadPrivateFile = async (file, folder) => saveFile(file, folder, 'private');
+
+const sign = (key, expires) =>
+  crypto.createHmac('sha256', STORAGE_SIGNING_SECRET).update(`${key}\n${expires}`).digest('base64url');
+
+/**
+ * Short-lived link to a private file
+ * @param {string|null} ref - Storage key, or a full URL stored before private storage existed
+ * @param {number} [ttlSeconds]
+ * @returns {string|null} Signed URL (older URLs are returned unchanged; null when there is no file)
+ */
+const getSignedFileUrl = (ref, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+  if (!ref) return null;
+  if (!isValidKey(ref)) return /^https?:\/\//.test(ref) ? ref : null;
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${API_PUBLIC_URL}/api/files/private/${ref}?expires=${expires}&signature=${sign(ref, expires)}`;
+};
+
+/**
+ * @param {string} key
+ * @param {string|number} expires - Unix seconds from the link
+ * @param {string} signature - From the link
+ * @returns {boolean} True if the link was issued by getSignedFileUrl and has not expired
+ */
+const verifySignedFileUrl = (key, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!isValidKey(key) || !Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return false;
+  if (typeof signature !== 'string') return false;
+  const expected = Buffer.from(sign(key, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * @param {string} key
+ * @param {'public'|'private'} visibility
+ * @returns {Promise<{ stream: Object, contentType: string, contentLength: number|null }|null>} null when missing
+ */
+const openFile = async (key, visibility) => (isValidKey(key) ? driver.open(key, visibility) : null);
+
+/**
+ * @param {string} key
+ * @param {'public'|'private'} visibility
+ */
+const removeFile = async (key, visibility) => {
+  if (isValidKey(key)) await driver.remove(key, visibility);
+};
+
+/**
+ * Replace a user's document keys with signed links, for responses to the owner or an admin
+ * @param {Object} user - Plain user object (toObject() / lean())
+ * @returns {Object} The same object
+ */
+const withSignedDocumentUrls = (user) => {
+  for (const field of DOCUMENT_FIELDS) {
+    if (user[field] !== undefined) user[field] = getSignedFileUrl(user[field]);
+  }
+  return user;
+};
+
+module.exports = {
+  DOCUMENT_FIELDS,
+  isValidKey,
+  uploadPublicFile,
+  uploadPublicVariants,
+  getPublicFileUrl,
+  getPublicFileKey,
+  uploadPrivateFile,
+  getSignedFileUrl,
+  verifySignedFileUrl,
+  openFile,
+  removeFile,
+  withSignedDocumentUrls,
+};
@@ -0,0 +1,268 @@
+/**
+ * Auth Throttle Service
+ * Mongo-backed attempt counters per IP and per account for login, signup OTP, password reset
+ * and email checks. Past a free allowance every further attempt blocks the key for an
+ * exponentially growing delay. Repeated wrong passwords also lock the account itself
+ * until it expires or the owner follows the unlock link sent by email.
+ */
+
+const crypto = require('crypto');
+const AuthThrottle = require('../models/AuthThrottle');
+const User = require('../models/User');
+const { hashToken } = require('../utils/jwt');
+const { sendAccountLockedEmail } = require('../utils/emailService');
+const { FRONTEND_URL } = require('../config/env');
+
+const MINUTE = 60 * 1000;
+
+// limit: attempts allowed per window before backoff; each attempt over it doubles the delay
+const THROTTLE_POLICIES = {
+  login: {
+    ip: { limit: 20, windowMs: 15 * MINUTE, baseDelayMs: 30 * 1000, maxDelayMs: 60 * MINUTE },
+    account: { limit: 5, windowMs: 60 * MINUTE, baseDelayMs: 30 * 1000, maxDelayMs: 15 * MINUTE },
+  },
+  // account = user id; not reset by a new password login, so each challenge does not bring new guesses
+  login_2fa: {
+    ip: { limit: 10, windowMs: 15 * MINUTE, baseDelayMs: 30 * 1000, maxDelayMs: 30 * MINUTE },
+    account: { limit: 5, windowMs: 15 * MINUTE, baseDelayMs: 60 * 1000, maxDelayMs: 60 * MINUTE },
+  },
+  forgot_password: {
+    ip: { limit: 5, windowMs: 15 * MINUTE, baseDelayMs: 60 * 1000, maxDelayMs: 60 * MINUTE },
+    account: { limit: 3, windowMs: 60 * MINUTE, baseDelayMs: 5 * MINUTE, maxDelayMs: 60 * MINUTE },
+  },
+  resend_signup_otp: {
+    ip: { limit: 5, windowMs: 15 * MINUTE, baseDelayMs: 60 * 1000, maxDelayMs: 60 * MINUTE },
+    account: { limit: 3, windowMs: 15 * MINUTE, baseDelayMs: 2 * MINUTE, maxDelayMs: 30 * MINUTE },
+  },
+  verify_signup_otp: {
+    ip: { limit: 10, windowMs: 15 * MINUTE, baseDelayMs: 60 * 1000, maxDelayMs: 60 * MINUTE },
+    account: { limit: 5, windowMs: 15 * MINUTE, baseDelayMs: 2 * MINUTE, maxDelayMs: 30 * MINUTE },
+  },
+  // account = donation + stage, so a driver cannot guess a 6-digit handover code
+  verify_handshake_code: {
+    ip: { limit: 20, windowMs: 15 * MINUTE, baseDelayMs: 60 * 1000, maxDelayMs: 30 * MINUTE },
+    account: { limit: 5, windowMs: 15 * MINUTE, baseDelayMs: 2 * MINUTE, maxDelayMs: 30 * MINUTE },
+  },
+  check_email: {
+    ip: { limit: 30, windowMs: 10 * MINUTE, baseDelayMs: 60 * 1000, maxDelayMs: 30 * MINUTE },
+  },
+  check_contact: {
+    ip: { limit: 30, windowMs: 10 * MINUTE, baseDelayMs: 60 * 1000, maxDelayMs: 30 * MINUTE },
+  },
+};
+
+// Wrong passwords for one account before it is locked, and for how long
+const ACCOUNT_LOCKOUT_THRESHOLD = 10;
+const ACCOUNT_LOCKOUT_MS = 30 * MINUTE;
+
+/**
+ * Client IP as seen by our proxy. req.ip honours 'trust proxy' (server.js), so only the address
+ * our proxy added counts; the leftmost X-Forwarded-For entry is client-supplied and would let
+ * every request pick a fresh IP.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const getRequestIp = (req) => req.ip || 'unknown';
+
+const throttleKey = (action, scope, value) => `${action}:${scope}:${String(value).trim().toLowerCase()}`;
+
+// Scopes of a policy that apply to this target ({ ip, account })
+const targetKeys = (action, target) => {
+  const policy = THROTTLE_POLICIES[action];
+  if (!policy) throw new Error(`Unknown throttle action: ${action}`);
+  return Object.keys(policy)
+    .filter(scope => target[scope])
+    .map(scope => ({ scope, key: throttleKey(action, scope, target[scope]), policy: policy[scope] }));
+};
+
+/**
+ * Is the target currently blocked for this action?
+ * @param {string} action - Key of THROTTLE_POLICIES
+ * @param {{ ip?: string, account?: string }} target
+ * @returns {Promise<{ retryAfterSeconds: number, scope: string }|null>}
+ */
+const checkThrottle = async (action, target) => {
+  const keys = targetKeys(action, target);
+  if (keys.length === 0) return null;
+
+  const now = new Date();
+  const blocked = await AuthThrottle.find({
+    key: { $in: keys.map(k => k.key) },
+    blockedUntil: { $gt: now },
+  }).select('scope blockedUntil').lean();
+  if (blocked.length === 0) return null;
+
+  const longest = blocked.reduce((a, b) => (a.blockedUntil > b.blockedUntil ? a : b));
+  return {
+    retryAfterSeconds: Math.ceil((longest.blockedUntil - now) / 1000),
+    scope: longest.scope,
+  };
+};
+
+const hitKey = async (action, { scope, key, policy }) => {
+  const now = new Date();
+  const windowExpiry = new Date(now.getTime() + policy.windowMs);
+
+  // Count in the current window, or start a new one
+  let doc = await AuthThrottle.findOneAndUpdate(
+    { key, windowStartedAt: { $gt: new Date(now.getTime() - policy.windowMs) } },
+    { $inc: { count: 1 }, $set: { lastAttemptAt: now } },
+    { new: true }
+  ).lean();
+  if (!doc) {
+    doc = await AuthThrottle.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          action,
+          scope,
+          count: 1,
+          windowStartedAt: now,
+          blockedUntil: null,
+          lastAttemptAt: now,
+          expiresAt: windowExpiry,
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  if (doc.count <= policy.limit) {
+    return { scope, count: doc.count, blockedUntil: null };
+  }
+
+  const over = doc.count - policy.limit - 1;
+  const delayMs = Math.min(policy.baseDelayMs * 2 ** Math.min(over, 20), policy.maxDelayMs);
+  const blockedUntil = new Date(now.getTime() + delayMs);
+  const windowEnd = new Date(new Date(doc.windowStartedAt).getTime() + policy.windowMs);
+  await AuthThrottle.updateOne(
+    { _id: doc._id },
+    { $set: { blockedUntil, expiresAt: blockedUntil > windowEnd ? blockedUntil : windowEnd } }
+  );
+  return { scope, count: doc.count, blockedUntil };
+};
+
+/**
+ * Count one attempt (or one failure, for login/OTP checks) against every applicable key.
+ * @param {string} action - Key of THROTTLE_POLICIES
+ * @param {{ ip?: string, account?: string }} target
+ * @returns {Promise<Object>} Per-scope { count, blockedUntil }
+ */
+const recordAttempt = async (action, target) => {
+  const results = await Promise.all(targetKeys(action, target).map(k => hitKey(action, k)));
+  return Object.fromEntries(results.map(r => [r.scope, r]));
+};
+
+/**
+ * Forget the counters for a target after a successful attempt.
+ * @param {string} action - Key of THROTTLE_POLICIES
+ * @param {{ ip?: string, account?: string }} target
+ */
+const clearAttempts = async (action, target) => {
+  const keys = targetKeys(action, target).map(k => k.key);
+  if (keys.length > 0) {
+    await AuthThrottle.deleteMany({ key: { $in: keys } });
+  }
+};
+
+/**
+ * @param {Object} user
+ * @returns {boolean} True while the account is locked
+ */
+const isAccountLocked = (user) => !!user?.lockedUntil && new Date(user.lockedUntil) > new Date();
+
+/**
+ * Count a wrong password for an existing account; locks it at the threshold.
+ * @param {Object} user - User document
+ * @returns {Promise<{ locked: boolean, lockedUntil: Date|null }>}
+ */
+const recordFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('+failedLoginAttempts email lockedUntil');
+  if (!updated || updated.failedLoginAttempts < ACCOUNT_LOCKOUT_THRESHOLD) {
+    return { locked: false, lockedUntil: null };
+  }
+
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const lockedUntil = new Date(Date.now() + ACCOUNT_LOCKOUT_MS);
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockedAt: new Date(),
+        lockedUntil,
+        unlockTokenHash: hashToken(unlockToken),
+        unlockTokenExpires: lockedUntil,
+      },
+    }
+  );
+  console.warn(`[Throttle] Account ${updated.email} locked until ${lockedUntil.toISOString()}`);
+
+  (async () => {
+    try {
+      await sendAccountLockedEmail(updated.email, {
+        unlockLink: `${FRONTEND_URL}/unlock-account?token=${unlockToken}`,
+        lockedUntil,
+      });
+    } catch (e) {
+      console.error('[Throttle] Account locked email error:', e);
+    }
+  })();
+
+  return { locked: true, lockedUntil };
+};
+
+/**
+ * Reset the wrong-password counter after a successful login.
+ * @param {Object} user - User document
+ */
+const clearFailedLogins = (user) => User.updateOne(
+  { _id: user._id },
+  { $set: { failedLoginAttempts: 0 } }
+);
+
+/**
+ * Lift a lock and the login counters for the account (unlock link or admin).
+ * @param {Object} user - User document (email, username)
+ */
+const unlockAccount = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { failedLoginAttempts: 0, lockedAt: null, lockedUntil: null },
+      $unset: { unlockTokenHash: '', unlockTokenExpires: '' },
+    }
+  );
+  const identifiers = [user.email, user.username].filter(Boolean);
+  await AuthThrottle.deleteMany({ key: { $in: identifiers.map(id => throttleKey('login', 'account', id)) } });
+};
+
+/**
+ * Find the account an unlock link belongs to.
+ * @param {string} token - Token from the unlock email
+ * @returns {Promise<Object|null>} User or null if unknown/expired
+ */
+const findUserByUnlockToken = (token) => {
+  if (!token || typeof token !== 'string') return Promise.resolve(null);
+  return User.findOne({
+    unlockTokenHash: hashToken(token.trim()),
+    unlockTokenExpires: { $gt: new Date() },
+  }).select('email username');
+};
+
+module.exports = {
+  THROTTLE_POLICIES,
+  getRequestIp,
+  checkThrottle,
+  recordAttempt,
+  clearAttempts,
+  isAccountLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  findUserByUnlockToken,
+};
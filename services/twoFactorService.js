@@ -0,0 +1,251 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrolment (authenticator app + recovery codes) and verification of the second login step.
+ * Optional for business donors, mandatory for admins.
+ */
+
+const User = require('../models/User');
+const {
+  hashOtp,
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('../utils/otp');
+
+const TWO_FACTOR_ERROR_CODE = 'TWO_FACTOR_ERROR';
+// Wrong codes allowed per login challenge before the password step must be repeated
+const MAX_FAILED_ATTEMPTS = 5;
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep +twoFactorFailedAttempts';
+
+/**
+ * @param {string} message
+ * @param {number} [statusCode=400]
+ * @returns {Error}
+ */
+const twoFactorError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = TWO_FACTOR_ERROR_CODE;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True if the error came from 2FA handling
+ */
+const isTwoFactorError = (error) => error?.code === TWO_FACTOR_ERROR_CODE;
+
+/**
+ * @param {Object} user
+ * @returns {boolean} True if the account may enrol in 2FA
+ */
+const canUseTwoFactor = (user) => user?.role === 'Admin' || (user?.role === 'Donor' && user?.donorType === 'Business');
+
+/**
+ * @param {Object} user
+ * @returns {boolean} True if the account cannot log in without 2FA
+ */
+const isTwoFactorRequired = (user) => user?.role === 'Admin';
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw twoFactorError('User not found', 404);
+  return user;
+};
+
+/**
+ * Start (or restart) enrolment: store a pending secret and return its provisioning URI.
+ * @param {string} userId
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const beginSetup = async (userId) => {
+  const user = await loadUser(userId);
+  if (!canUseTwoFactor(user)) {
+    throw twoFactorError('Two-factor authentication is available for admins and business donors', 403);
+  }
+  if (user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  return { secret, otpauthUrl: buildOtpauthUrl(secret, user.email) };
+};
+
+/**
+ * Finish enrolment with a code from the authenticator app.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{ user: Object, recoveryCodes: string[] }>} Recovery codes are shown once
+ */
+const confirmSetup = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 409);
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw twoFactorError('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    throw twoFactorError('Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorLastStep = step;
+  user.twoFactorFailedAttempts = 0;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  await user.save();
+
+  console.log(`[TwoFactor] Enabled for user ${user._id}`);
+  return { user, recoveryCodes: codes };
+};
+
+/**
+ * Check a TOTP code or a recovery code for an enrolled user (recovery codes are single-use).
+ * @param {Object} user - User loaded with SECRET_FIELDS
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<'totp'|'recovery_code'|null>} Method used, or null if the code is wrong
+ */
+const consumeCode = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code, { afterStep: user.twoFactorLastStep });
+    if (step === null) return null;
+    // Conditional update so the same code cannot be used twice in parallel
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step, twoFactorFailedAttempts: 0 } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashOtp(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: codeHash },
+      { $pull: { twoFactorRecoveryCodes: codeHash }, $set: { twoFactorFailedAttempts: 0 } }
+    );
+    return result.modifiedCount === 1 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Second login step: verify the code for a user who passed the password check.
+ * @param {string} userId
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<{ user: Object, method: string, remainingRecoveryCodes: number }>}
+ * @throws {Error} twoFactorError on a wrong code or too many attempts
+ */
+const verifyLoginCode = async (userId, input) => {
+  const user = await loadUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is not enabled for this account');
+  }
+  if (!input.code && !input.recoveryCode) {
+    throw twoFactorError('Authentication code or recovery code is required');
+  }
+  if ((user.twoFactorFailedAttempts || 0) >= MAX_FAILED_ATTEMPTS) {
+    throw twoFactorError('Too many invalid codes. Please log in again.', 429);
+  }
+
+  const method = await consumeCode(user, input);
+  if (!method) {
+    await User.updateOne({ _id: user._id }, { $inc: { twoFactorFailedAttempts: 1 } });
+    throw twoFactorError('Invalid authentication code', 401);
+  }
+
+  const remainingRecoveryCodes = (user.twoFactorRecoveryCodes || []).length - (method === 'recovery_code' ? 1 : 0);
+  if (method === 'recovery_code') {
+    console.log(`[TwoFactor] Recovery code used by user ${user._id} (${remainingRecoveryCodes} left)`);
+  }
+  return { user, method, remainingRecoveryCodes };
+};
+
+/**
+ * Called when a new login challenge is issued (password accepted): restart the attempt counter.
+ * @param {string} userId
+ */
+const resetFailedAttempts = (userId) => User.updateOne({ _id: userId }, { $set: { twoFactorFailedAttempts: 0 } });
+
+/**
+ * Replace the recovery codes (requires a current TOTP code).
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} New recovery codes, shown once
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is not enabled');
+  }
+  if ((await consumeCode(user, { code })) !== 'totp') {
+    throw twoFactorError('Invalid authentication code', 401);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: hashes } });
+  return codes;
+};
+
+/**
+ * Turn 2FA off (by the user, with a valid code, or by an admin reset).
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.code] - Required unless options.force
+ * @param {boolean} [options.force] - Admin reset: skip the code check
+ */
+const disableTwoFactor = async (userId, { code, force = false } = {}) => {
+  const user = await loadUser(userId);
+  if (!force) {
+    if (isTwoFactorRequired(user)) {
+      throw twoFactorError('Two-factor authentication is mandatory for admin accounts', 403);
+    }
+    if (!user.twoFactorEnabled) {
+      throw twoFactorError('Two-factor authentication is not enabled');
+    }
+    if (!(await consumeCode(user, { code }))) {
+      throw twoFactorError('Invalid authentication code', 401);
+    }
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastStep: null,
+        twoFactorFailedAttempts: 0,
+        twoFactorEnabledAt: null,
+      },
+      $unset: { twoFactorRecoveryCodes: '' },
+    }
+  );
+  console.log(`[TwoFactor] ${force ? 'Reset' : 'Disabled'} for user ${user._id}`);
+  return user;
+};
+
+module.exports = {
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  beginSetup,
+  confirmSetup,
+  verifyLoginCode,
+  resetFailedAttempts,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  isTwoFactorError,
+};
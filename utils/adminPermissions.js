@@ -0,0 +1,52 @@
+/**
+ * Admin permissions
+ * Each admin account (User with role 'Admin') holds a subset of these in `adminPermissions`.
+ * Checked per route by requireAdminPermission (middleware/auth.js).
+ */
+
+const ADMIN_PERMISSIONS = {
+  USER_APPROVAL: 'user_approval', // approve, reject, deactivate and list users
+  BROADCAST_NOTIFICATIONS: 'broadcast_notifications', // send and list notifications
+  CONTACT_REPLIES: 'contact_replies', // read and reply to contact messages
+  REVIEW_MODERATION: 'review_moderation', // approve or reject reviews
+  ANALYTICS: 'analytics', // dashboard stats, reports, dispatch logs
+  SYSTEM_JOBS: 'system_jobs', // view and trigger background jobs
+  EMAIL_LOG: 'email_log', // search the email delivery log and resend emails
+  MANAGE_ADMINS: 'manage_admins', // create admins and change their permissions
+};
+
+const ALL_ADMIN_PERMISSIONS = Object.values(ADMIN_PERMISSIONS);
+
+/**
+ * @param {Object} user - User (or req.user) with adminPermissions / permissions
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasAdminPermission = (user, permission) => {
+  if (!user || user.role !== 'Admin') return false;
+  const granted = user.adminPermissions || user.permissions || [];
+  return granted.includes(permission);
+};
+
+/**
+ * Validate a permission list from a request or the command line.
+ * @param {string[]|string} input - Array or comma-separated string
+ * @returns {{ permissions: string[], invalid: string[] }}
+ */
+const parseAdminPermissions = (input) => {
+  const list = Array.isArray(input)
+    ? input
+    : String(input || '').split(',');
+  const cleaned = [...new Set(list.map(p => String(p).trim().toLowerCase()).filter(Boolean))];
+  return {
+    permissions: cleaned.filter(p => ALL_ADMIN_PERMISSIONS.includes(p)),
+    invalid: cleaned.filter(p => !ALL_ADMIN_PERMISSIONS.includes(p)),
+  };
+};
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  ALL_ADMIN_PERMISSIONS,
+  hasAdminPermission,
+  parseAdminPermissions,
+};
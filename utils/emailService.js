@@ -1,5 +1,8 @@
 const { transporter, isEmailConfigured, EMAIL_FROM } = require('../config/email');
-const { FRONTEND_URL } = require('../config/env');
+const { queueEmail } = require('../services/emailOutbox');
+const { renderEmail } = require('./emailTemplates');
+const { resolveLanguage } = require('./languages');
+const { getDelivery, getUnsubscribeUrl } = require('../services/notificationPreferences');
 
 /**
  * Get user display name based on role
@@ -19,6 +22,97 @@ const getUserDisplayName = (user) => {
   return user.email;
 };
 
+/**
+ * Role key used by the email templates ('BusinessDonor' for business donors)
+ */
+const getRoleKey = (user) => (user.role === 'Donor' && user.donorType === 'Business' ? 'BusinessDonor' : user.role);
+
+/**
+ * Donation fields shown in donation emails
+ */
+const getDonationView = (donation) => ({
+  trackingId: donation.trackingId,
+  itemName: donation.itemName,
+  foodCategory: donation.foodCategory,
+  quantity: donation.quantity,
+  expiryDate: donation.expiryDate,
+  pickupDate: donation.preferredPickupDate,
+  pickupFrom: donation.preferredPickupTimeFrom,
+  pickupTo: donation.preferredPickupTimeTo,
+  status: donation.status ? donation.status.charAt(0).toUpperCase() + donation.status.slice(1) : '',
+  donorAddress: donation.donorAddress,
+  qualityPercent: donation.aiQualityScore ? (donation.aiQualityScore * 100).toFixed(0) : null,
+  freshness: donation.aiFreshness,
+});
+
+/**
+ * Format receipt methane savings to 2 decimals
+ */
+const formatMethaneSaved = (value) => {
+  if (typeof value === 'undefined' || value === null) {
+    value = 0;
+  }
+  return typeof value === 'number' ? value.toFixed(2) : parseFloat(value || 0).toFixed(2);
+};
+
+/**
+ * Account of a recipient (user object or email address) with its id and preferred language;
+ * null for addresses that don't belong to a user
+ */
+const getRecipientAccount = async (recipient, { withId = false } = {}) => {
+  if (recipient && typeof recipient === 'object' && recipient.preferredLanguage && (recipient._id || !withId)) {
+    return recipient;
+  }
+  const email = typeof recipient === 'string' ? recipient : recipient?.email;
+  if (!email) return null;
+
+  // Import User model here to avoid circular dependencies
+  const User = require('../models/User');
+  return User.findOne({ email: email.toLowerCase() }).select('preferredLanguage').lean();
+};
+
+/**
+ * Render a template in the recipient's language and queue it in the outbox.
+ * Emails tied to a notification event follow the recipient's preferences: they are dropped
+ * when the user opted out, held until quiet hours end, and carry an unsubscribe link.
+ * @param {string} template - Template name (templates/emails/<template>.html)
+ * @param {Object|string} recipient - User (email + preferredLanguage) or email address
+ * @param {Object} data - Template variables
+ * @param {Object} [options]
+ * @param {string} [options.language] - Overrides the recipient's stored language
+ * @param {Object[]} [options.attachments]
+ * @param {string} [options.event] - Notification event (services/notificationPreferences.js)
+ * @returns {Promise<Object|null>} The queued EmailMessage, or null when the recipient opted out
+ */
+const queueTemplatedEmail = async (template, recipient, data, { language, attachments, event } = {}) => {
+  const to = typeof recipient === 'string' ? recipient : recipient.email;
+  const account = await getRecipientAccount(recipient, { withId: !!event });
+
+  let sendAt = null;
+  let unsubscribeUrl = null;
+  if (event && account?._id) {
+    const { allowed, deferUntil } = await getDelivery(account._id, event, 'email');
+    if (!allowed) {
+      console.log(`[EmailService] Skipping ${template} email to ${to}: ${event} emails are turned off`);
+      return null;
+    }
+    sendAt = deferUntil;
+    unsubscribeUrl = getUnsubscribeUrl(account._id, event);
+  }
+
+  const templateData = { ...data, unsubscribeUrl };
+  const rendered = renderEmail(template, templateData, language || resolveLanguage(account?.preferredLanguage));
+
+  return queueEmail(template, {
+    from: EMAIL_FROM,
+    to,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    ...(attachments ? { attachments } : {}),
+  }, { sendAt, data: templateData, language: rendered.language });
+};
+
 /**
  * Send welcome email to Individual Donors
  * (Account is immediately active)
@@ -30,83 +124,8 @@ const sendWelcomeEmail = async (user) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Welcome to FoodLoop! 🎉',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #f9f9f9;
-              padding: 30px;
-              border-radius: 0 0 10px 10px;
-            }
-            .button {
-              display: inline-block;
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 12px 30px;
-              text-decoration: none;
-              border-radius: 5px;
-              margin-top: 20px;
-            }
-            .footer {
-              text-align: center;
-              margin-top: 30px;
-              color: #666;
-              font-size: 12px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Welcome to FoodLoop!</h1>
-          </div>
-          <div class="content">
-            <p>Hello ${userName},</p>
-            <p>Thank you for joining FoodLoop! We're excited to have you as part of our community.</p>
-            <p>Your account has been successfully created and is <strong>ready to use</strong>. You can now:</p>
-            <ul>
-              <li>Start donating food to help reduce waste</li>
-              <li>Connect with receivers in your area</li>
-              <li>Make a positive impact in your community</li>
-            </ul>
-            <p>You can log in to your account and start using FoodLoop right away!</p>
-            <p>If you have any questions, feel free to reach out to us.</p>
-            <p>Best regards,<br>The FoodLoop Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply to this message.</p>
-            <p>&copy; ${new Date().getFullYear()} FoodLoop. All rights reserved.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Welcome email sent to ${user.email}`);
+    await queueTemplatedEmail('welcome', user, { name: getUserDisplayName(user) });
+    console.log(`✅ Welcome email queued for ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending welcome email to ${user.email}:`, error.message);
     // Don't throw error - email failure shouldn't break signup
@@ -124,88 +143,28 @@ const sendPendingApprovalEmail = async (user) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-    const roleDisplay = user.role === 'Donor' && user.donorType === 'Business' 
-      ? 'Business Donor' 
-      : user.role;
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Your FoodLoop Registration is Under Review',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #f9f9f9;
-              padding: 30px;
-              border-radius: 0 0 10px 10px;
-            }
-            .info-box {
-              background: #fff3cd;
-              border-left: 4px solid #ffc107;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .footer {
-              text-align: center;
-              margin-top: 30px;
-              color: #666;
-              font-size: 12px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Registration Received</h1>
-          </div>
-          <div class="content">
-            <p>Hello ${userName},</p>
-            <p>Thank you for registering with FoodLoop as a <strong>${roleDisplay}</strong>!</p>
-            <div class="info-box">
-              <p><strong>Your registration is currently under review.</strong></p>
-              <p>Our admin team will carefully review all the information and documents you've submitted. This process typically takes 1-2 business days.</p>
-            </div>
-            <p>Once your account is approved, you will receive an email notification and will be able to log in and start using FoodLoop.</p>
-            <p>We appreciate your patience during this review process.</p>
-            <p>If you have any questions, please don't hesitate to contact us.</p>
-            <p>Best regards,<br>The FoodLoop Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply to this message.</p>
-            <p>&copy; ${new Date().getFullYear()} FoodLoop. All rights reserved.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Pending approval email sent to ${user.email}`);
+    await queueTemplatedEmail('pending_approval', user, {
+      name: getUserDisplayName(user),
+      role: getRoleKey(user),
+    });
+    console.log(`✅ Pending approval email queued for ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending pending approval email to ${user.email}:`, error.message);
     // Don't throw error - email failure shouldn't break signup
   }
 };
 
+/**
+ * Data for the approval and activation emails (role-specific feature list)
+ */
+const getAccountReadyData = (user) => ({
+  name: getUserDisplayName(user),
+  role: getRoleKey(user),
+  isDonor: user.role === 'Donor',
+  isReceiver: user.role === 'Receiver',
+  isDriver: user.role === 'Driver',
+});
+
 /**
  * Send approval confirmation email
  * (Account has been approved by admin)
@@ -217,96 +176,8 @@ const sendApprovalEmail = async (user) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-    const roleDisplay = user.role === 'Donor' && user.donorType === 'Business' 
-      ? 'Business Donor' 
-      : user.role;
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Your FoodLoop Account Has Been Approved! ✅',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #f9f9f9;
-              padding: 30px;
-              border-radius: 0 0 10px 10px;
-            }
-            .success-box {
-              background: #d4edda;
-              border-left: 4px solid #28a745;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .button {
-              display: inline-block;
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 12px 30px;
-              text-decoration: none;
-              border-radius: 5px;
-              margin-top: 20px;
-            }
-            .footer {
-              text-align: center;
-              margin-top: 30px;
-              color: #666;
-              font-size: 12px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Account Approved! 🎉</h1>
-          </div>
-          <div class="content">
-            <p>Hello ${userName},</p>
-            <div class="success-box">
-              <p><strong>Great news! Your FoodLoop account has been approved.</strong></p>
-              <p>You can now log in and start using FoodLoop as a ${roleDisplay}.</p>
-            </div>
-            <p>Your account is now active and ready to use. You can:</p>
-            <ul>
-              ${user.role === 'Donor' ? '<li>Start donating food items</li>' : ''}
-              ${user.role === 'Receiver' ? '<li>Browse available food donations</li><li>Claim food items</li>' : ''}
-              ${user.role === 'Driver' ? '<li>View available pickup requests</li><li>Start delivering food</li>' : ''}
-              <li>Access all features of your account</li>
-            </ul>
-            <p>We're excited to have you as part of the FoodLoop community!</p>
-            <p>If you have any questions or need assistance, please don't hesitate to contact us.</p>
-            <p>Best regards,<br>The FoodLoop Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply to this message.</p>
-            <p>&copy; ${new Date().getFullYear()} FoodLoop. All rights reserved.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Approval email sent to ${user.email}`);
+    await queueTemplatedEmail('approval', user, getAccountReadyData(user));
+    console.log(`✅ Approval email queued for ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending approval email to ${user.email}:`, error.message);
     // Don't throw error - email failure shouldn't break approval
@@ -323,84 +194,8 @@ const sendRejectionEmail = async (user) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'FoodLoop Registration Update',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #f9f9f9;
-              padding: 30px;
-              border-radius: 0 0 10px 10px;
-            }
-            .info-box {
-              background: #f8d7da;
-              border-left: 4px solid #dc3545;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .footer {
-              text-align: center;
-              margin-top: 30px;
-              color: #666;
-              font-size: 12px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Registration Update</h1>
-          </div>
-          <div class="content">
-            <p>Hello ${userName},</p>
-            <p>Thank you for your interest in joining FoodLoop.</p>
-            <div class="info-box">
-              <p><strong>We regret to inform you that your FoodLoop registration could not be approved at this time.</strong></p>
-              <p>After careful review of your submitted information and documents, we were unable to approve your account registration.</p>
-            </div>
-            <p>This decision may be due to:</p>
-            <ul>
-              <li>Incomplete or missing documentation</li>
-              <li>Information that doesn't meet our verification requirements</li>
-              <li>Other compliance-related factors</li>
-            </ul>
-            <p>If you believe this is an error or would like to discuss your registration further, please contact our support team at <strong>foodloop.official27@gmail.com</strong>.</p>
-            <p>We appreciate your understanding and thank you for your interest in FoodLoop.</p>
-            <p>Best regards,<br>The FoodLoop Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply to this message.</p>
-            <p>&copy; ${new Date().getFullYear()} FoodLoop. All rights reserved.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Rejection email sent to ${user.email}`);
+    await queueTemplatedEmail('rejection', user, { name: getUserDisplayName(user) });
+    console.log(`✅ Rejection email queued for ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending rejection email to ${user.email}:`, error.message);
   }
@@ -416,77 +211,8 @@ const sendDeactivationEmail = async (user) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Your FoodLoop Account Has Been Deactivated',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #f9f9f9;
-              padding: 30px;
-              border-radius: 0 0 10px 10px;
-            }
-            .info-box {
-              background: #f8d7da;
-              border-left: 4px solid #dc3545;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .footer {
-              text-align: center;
-              margin-top: 30px;
-              color: #666;
-              font-size: 12px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Account Deactivated</h1>
-          </div>
-          <div class="content">
-            <p>Hello ${userName},</p>
-            <div class="info-box">
-              <p><strong>Your FoodLoop account has been deactivated.</strong></p>
-              <p>You will no longer be able to access your account or use FoodLoop services until your account is reactivated by an administrator.</p>
-            </div>
-            <p>If you believe this is an error or have any questions, please contact our support team at <strong>foodloop.official27@gmail.com</strong>.</p>
-            <p>We apologize for any inconvenience this may cause.</p>
-            <p>Best regards,<br>The FoodLoop Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply to this message.</p>
-            <p>&copy; ${new Date().getFullYear()} FoodLoop. All rights reserved.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Deactivation email sent to ${user.email}`);
+    await queueTemplatedEmail('deactivation', user, { name: getUserDisplayName(user) });
+    console.log(`✅ Deactivation email queued for ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending deactivation email to ${user.email}:`, error.message);
   }
@@ -502,96 +228,8 @@ const sendActivationEmail = async (user) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-    const roleDisplay = user.role === 'Donor' && user.donorType === 'Business' 
-      ? 'Business Donor' 
-      : user.role;
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Your FoodLoop Account Has Been Activated! ✅',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #f9f9f9;
-              padding: 30px;
-              border-radius: 0 0 10px 10px;
-            }
-            .success-box {
-              background: #d4edda;
-              border-left: 4px solid #28a745;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .button {
-              display: inline-block;
-              background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%);
-              color: white;
-              padding: 12px 30px;
-              text-decoration: none;
-              border-radius: 5px;
-              margin-top: 20px;
-            }
-            .footer {
-              text-align: center;
-              margin-top: 30px;
-              color: #666;
-              font-size: 12px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Account Activated! 🎉</h1>
-          </div>
-          <div class="content">
-            <p>Hello ${userName},</p>
-            <div class="success-box">
-              <p><strong>Great news! Your FoodLoop account has been activated.</strong></p>
-              <p>You can now log in and start using FoodLoop as a ${roleDisplay}.</p>
-            </div>
-            <p>Your account is now active and ready to use. You can:</p>
-            <ul>
-              ${user.role === 'Donor' ? '<li>Start donating food items</li>' : ''}
-              ${user.role === 'Receiver' ? '<li>Browse available food donations</li><li>Claim food items</li>' : ''}
-              ${user.role === 'Driver' ? '<li>View available pickup requests</li><li>Start delivering food</li>' : ''}
-              <li>Access all features of your account</li>
-            </ul>
-            <p>We're excited to have you back in the FoodLoop community!</p>
-            <p>If you have any questions or need assistance, please don't hesitate to contact us.</p>
-            <p>Best regards,<br>The FoodLoop Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply to this message.</p>
-            <p>&copy; ${new Date().getFullYear()} FoodLoop. All rights reserved.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Activation email sent to ${user.email}`);
+    await queueTemplatedEmail('activation', user, getAccountReadyData(user));
+    console.log(`✅ Activation email queued for ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending activation email to ${user.email}:`, error.message);
   }
@@ -608,113 +246,11 @@ const sendDonationLiveEmail = async (donation, user) => {
   }
 
   try {
-    const displayName = getUserDisplayName(user);
-    const expiryDate = new Date(donation.expiryDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
+    await queueTemplatedEmail('donation_live', user, {
+      name: getUserDisplayName(user),
+      donation: getDonationView(donation),
     });
-    
-    const pickupDate = new Date(donation.preferredPickupDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: '🎉 Your Donation is Now Live!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Donation Live</title>
-        </head>
-        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🎉 Your Donation is Live!</h1>
-          </div>
-          
-          <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
-            <p style="font-size: 16px; margin-bottom: 20px;">Hello ${displayName},</p>
-            
-            <p style="font-size: 16px; margin-bottom: 20px;">
-              Great news! Your donation has been successfully posted and is now live on FoodLoop.
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-              <h2 style="color: #10b981; margin-top: 0; font-size: 20px;">Donation Details</h2>
-              
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Tracking ID:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.trackingId}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Item Name:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.itemName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Category:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.foodCategory}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Quantity:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Expiry Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${expiryDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${pickupDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Window:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.preferredPickupTimeFrom} - ${donation.preferredPickupTimeTo}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Status:</td>
-                  <td style="padding: 8px 0; color: #10b981; font-weight: bold;">${donation.status.charAt(0).toUpperCase() + donation.status.slice(1)}</td>
-                </tr>
-              </table>
-            </div>
-            
-            <div style="background: #eff6ff; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
-              <p style="margin: 0; color: #1e40af; font-size: 14px;">
-                <strong>📋 What's Next?</strong><br>
-                Your donation is now visible to receivers. Once a receiver accepts your donation, a driver will be assigned for pickup.
-                You can track the status of your donation using the tracking ID above.
-              </p>
-            </div>
-            
-            <p style="font-size: 16px; margin-top: 30px;">
-              Thank you for your generous contribution to reducing food waste and helping those in need!
-            </p>
-            
-            <p style="font-size: 14px; color: #6b7280; margin-top: 30px;">
-              Best regards,<br>
-              <strong>The FoodLoop Team</strong>
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Donation live email sent to ${user.email}`);
+    console.log(`✅ Donation live email queued for ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending donation live email to ${user.email}:`, error.message);
     // Don't throw error - email failure shouldn't break donation creation
@@ -733,132 +269,12 @@ const sendNewDonationNotificationToReceiver = async (donation, donor, receiver)
   }
 
   try {
-    const donorName = getUserDisplayName(donor);
-    const receiverName = getUserDisplayName(receiver);
-    const expiryDate = new Date(donation.expiryDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-    
-    const pickupDate = new Date(donation.preferredPickupDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: receiver.email,
-      subject: '🍽️ New Food Donation Available!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>New Donation Available</title>
-        </head>
-        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🍽️ New Donation Available!</h1>
-          </div>
-          
-          <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
-            <p style="font-size: 16px; margin-bottom: 20px;">Hello ${receiverName},</p>
-            
-            <p style="font-size: 16px; margin-bottom: 20px;">
-              Great news! A new food donation has been posted on FoodLoop and is now available for claiming.
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-              <h2 style="color: #10b981; margin-top: 0; font-size: 20px;">Donation Details</h2>
-              
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Item Name:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.itemName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Category:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.foodCategory}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Quantity:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Donor:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donorName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Location:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.donorAddress}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Expiry Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${expiryDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${pickupDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Window:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.preferredPickupTimeFrom} - ${donation.preferredPickupTimeTo}</td>
-                </tr>
-                ${donation.aiQualityScore ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Quality Score:</td>
-                  <td style="padding: 8px 0; color: #111827;">${(donation.aiQualityScore * 100).toFixed(0)}%</td>
-                </tr>
-                ` : ''}
-                ${donation.aiFreshness ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Freshness:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.aiFreshness}</td>
-                </tr>
-                ` : ''}
-              </table>
-            </div>
-            
-            <div style="background: #eff6ff; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
-              <p style="margin: 0; color: #1e40af; font-size: 14px;">
-                <strong>⚡ Act Fast!</strong><br>
-                This donation is available on a first-come, first-served basis. Log in to your FoodLoop account to claim it now!
-              </p>
-            </div>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${FRONTEND_URL}/receiver/find-food" 
-                 style="display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-                View & Claim Donation
-              </a>
-            </div>
-            
-            <p style="font-size: 16px; margin-top: 30px;">
-              Thank you for being part of the FoodLoop community and helping reduce food waste!
-            </p>
-            
-            <p style="font-size: 14px; color: #6b7280; margin-top: 30px;">
-              Best regards,<br>
-              <strong>The FoodLoop Team</strong>
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ New donation notification email sent to receiver: ${receiver.email}`);
+    await queueTemplatedEmail('new_donation_notification_to_receiver', receiver, {
+      name: getUserDisplayName(receiver),
+      donorName: getUserDisplayName(donor),
+      donation: getDonationView(donation),
+    }, { event: 'new_donations' });
+    console.log(`✅ New donation notification email queued for receiver: ${receiver.email}`);
   } catch (error) {
     console.error(`❌ Error sending new donation notification email to ${receiver.email}:`, error.message);
     // Don't throw error - email failure shouldn't break the process
@@ -866,7 +282,7 @@ const sendNewDonationNotificationToReceiver = async (donation, donor, receiver)
 };
 
 /**
- * Send new donation notification emails to all registered receivers
+ * Send new donation notification emails to the approved receivers whose service area covers the donor
  * @param {Object} donation - Donation object
  * @param {Object} donor - Donor user object
  */
@@ -877,14 +293,16 @@ const sendNewDonationNotificationToReceivers = async (donation, donor) => {
   }
 
   try {
-    // Import User model here to avoid circular dependencies
-    const User = require('../models/User');
-    
-    // Fetch all receivers with status 'completed' (approved receivers)
-    const receivers = await User.find({
-      role: 'Receiver',
-      status: 'completed',
-    }).select('email receiverName');
+    // Import here to avoid circular dependencies
+    const { findUsersCoveringLocation } = require('../services/serviceAreaService');
+
+    // Approved receivers whose service area covers the pickup point (or who have none)
+    const receivers = await findUsersCoveringLocation(
+      'Receiver',
+      donation.donorLatitude,
+      donation.donorLongitude,
+      'email receiverName preferredLanguage'
+    );
 
     if (!receivers || receivers.length === 0) {
       console.log('[Donations] No approved receivers found. Skipping email notifications.');
@@ -895,18 +313,18 @@ const sendNewDonationNotificationToReceivers = async (donation, donor) => {
 
     // Send emails to all receivers asynchronously (don't wait for all to complete)
     // Use Promise.allSettled to handle individual failures gracefully
-    const emailPromises = receivers.map(receiver => 
+    const emailPromises = receivers.map(receiver =>
       sendNewDonationNotificationToReceiver(donation, donor, receiver)
     );
 
     const results = await Promise.allSettled(emailPromises);
-    
+
     // Count successful and failed emails
     const successful = results.filter(r => r.status === 'fulfilled').length;
     const failed = results.filter(r => r.status === 'rejected').length;
 
     console.log(`[Donations] Email notifications sent: ${successful} successful, ${failed} failed`);
-    
+
     if (failed > 0) {
       console.warn(`[Donations] ${failed} email notification(s) failed, but donation was still created successfully.`);
     }
@@ -927,97 +345,13 @@ const sendDonationAvailableNotificationToDriver = async (donation, donor, receiv
   }
 
   try {
-    const driverName = driver?.driverName || driver?.email || 'Driver';
-    const donorName = getUserDisplayName(donor);
-    const receiverName = getUserDisplayName(receiver);
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: driver.email,
-      subject: '🚚 New Pickup Available - FoodLoop Delivery',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .info-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .button {
-              display: inline-block;
-              padding: 12px 24px;
-              background: #1b4332;
-              color: white;
-              text-decoration: none;
-              border-radius: 6px;
-              margin-top: 20px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">🚚 New Pickup Available!</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${driverName},</p>
-            
-            <p>A new food donation pickup is now available for delivery!</p>
-            
-            <div class="info-box">
-              <strong>Donation Details:</strong><br>
-              <strong>Item:</strong> ${donation.itemName}<br>
-              <strong>Quantity:</strong> ${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}<br>
-              <strong>Tracking ID:</strong> ${donation.trackingId}<br>
-              <strong>From:</strong> ${donorName}<br>
-              <strong>To:</strong> ${receiverName}<br>
-              <strong>Pickup Address:</strong> ${donation.donorAddress || 'See details in app'}
-            </div>
-            
-            <p>Log in to your driver portal to view this pickup and accept the delivery.</p>
-            
-            <a href="${FRONTEND_URL}/driver/delivery" class="button">
-              View Available Pickups
-            </a>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Donation available notification sent to driver: ${driver.email}`);
+    await queueTemplatedEmail('donation_available_notification_to_driver', driver, {
+      name: driver?.driverName || driver?.email || 'Driver',
+      donorName: getUserDisplayName(donor),
+      receiverName: getUserDisplayName(receiver),
+      donation: getDonationView(donation),
+    }, { event: 'new_donations' });
+    console.log(`✅ Donation available notification queued for driver: ${driver.email}`);
   } catch (error) {
     console.error(`❌ Error sending donation available notification to driver ${driver.email}:`, error.message);
     throw error; // Re-throw so Promise.allSettled can catch it
@@ -1025,7 +359,7 @@ const sendDonationAvailableNotificationToDriver = async (donation, donor, receiv
 };
 
 /**
- * Send donation available notification emails to all active drivers
+ * Send donation available notification emails to the approved drivers whose service area covers the donor
  * Sent when a receiver claims a donation
  */
 const sendDonationAvailableNotificationToDrivers = async (donation, donor, receiver) => {
@@ -1035,14 +369,16 @@ const sendDonationAvailableNotificationToDrivers = async (donation, donor, recei
   }
 
   try {
-    // Import User model here to avoid circular dependencies
-    const User = require('../models/User');
-    
-    // Fetch all drivers with status 'completed' (approved drivers)
-    const drivers = await User.find({
-      role: 'Driver',
-      status: 'completed',
-    }).select('email driverName');
+    // Import here to avoid circular dependencies
+    const { findUsersCoveringLocation } = require('../services/serviceAreaService');
+
+    // Approved drivers whose service area covers the pickup point (or who have none)
+    const drivers = await findUsersCoveringLocation(
+      'Driver',
+      donation.donorLatitude,
+      donation.donorLongitude,
+      'email driverName preferredLanguage'
+    );
 
     if (!drivers || drivers.length === 0) {
       console.log('[Donations] No approved drivers found. Skipping email notifications.');
@@ -1053,18 +389,18 @@ const sendDonationAvailableNotificationToDrivers = async (donation, donor, recei
 
     // Send emails to all drivers asynchronously (don't wait for all to complete)
     // Use Promise.allSettled to handle individual failures gracefully
-    const emailPromises = drivers.map(driver => 
+    const emailPromises = drivers.map(driver =>
       sendDonationAvailableNotificationToDriver(donation, donor, receiver, driver)
     );
 
     const results = await Promise.allSettled(emailPromises);
-    
+
     // Count successful and failed emails
     const successful = results.filter(r => r.status === 'fulfilled').length;
     const failed = results.filter(r => r.status === 'rejected').length;
 
     console.log(`[Donations] Driver email notifications sent: ${successful} successful, ${failed} failed`);
-    
+
     if (failed > 0) {
       console.warn(`[Donations] ${failed} driver email notification(s) failed, but donation was still claimed successfully.`);
     }
@@ -1085,116 +421,12 @@ const sendDonationClaimedEmail = async (donation, donor, receiver) => {
   }
 
   try {
-    const donorName = getUserDisplayName(donor);
-    const receiverName = getUserDisplayName(receiver);
-    const expiryDate = new Date(donation.expiryDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-    
-    const pickupDate = new Date(donation.preferredPickupDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: donor.email,
-      subject: '🎉 Your Donation Has Been Claimed!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Donation Claimed</title>
-        </head>
-        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🎉 Your Donation Has Been Claimed!</h1>
-          </div>
-          
-          <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
-            <p style="font-size: 16px; margin-bottom: 20px;">Hello ${donorName},</p>
-            
-            <p style="font-size: 16px; margin-bottom: 20px;">
-              Great news! Your food donation has been claimed by a receiver. A driver will be allocated soon to pick up the donation.
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-              <h2 style="color: #10b981; margin-top: 0; font-size: 20px;">Donation Details</h2>
-              
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Tracking ID:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.trackingId}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Item Name:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.itemName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Category:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.foodCategory}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Quantity:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Expiry Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${expiryDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${pickupDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Window:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.preferredPickupTimeFrom} - ${donation.preferredPickupTimeTo}</td>
-                </tr>
-              </table>
-            </div>
-            
-            <div style="background: #eff6ff; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
-              <p style="margin: 0; color: #1e40af; font-size: 14px;">
-                <strong>📋 What's Next?</strong><br>
-                Your donation has been claimed by <strong>${receiverName}</strong>. A driver will be allocated soon to pick up the donation from your location. You'll receive another notification once the driver is assigned.
-              </p>
-            </div>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${FRONTEND_URL}/donor/my-donation" 
-                 style="display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-                View My Donations
-              </a>
-            </div>
-            
-            <p style="font-size: 16px; margin-top: 30px;">
-              Thank you for your generous contribution to reducing food waste and helping those in need!
-            </p>
-            
-            <p style="font-size: 14px; color: #6b7280; margin-top: 30px;">
-              Best regards,<br>
-              <strong>The FoodLoop Team</strong>
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Donation claimed email sent to donor: ${donor.email}`);
+    await queueTemplatedEmail('donation_claimed', donor, {
+      name: getUserDisplayName(donor),
+      receiverName: getUserDisplayName(receiver),
+      donation: getDonationView(donation),
+    }, { event: 'claims' });
+    console.log(`✅ Donation claimed email queued for donor: ${donor.email}`);
   } catch (error) {
     console.error(`❌ Error sending donation claimed email to ${donor.email}:`, error.message);
     // Don't throw error - email failure shouldn't break the claim process
@@ -1212,49 +444,13 @@ const sendDriverAssignedEmailToDonor = async (donation, donor, receiver, driver)
   }
   if (!donor || !donor.email) return;
   try {
-    const donorName = getUserDisplayName(donor);
-    const driverName = getUserDisplayName(driver);
-    const receiverName = receiver ? getUserDisplayName(receiver) : 'Receiver';
-    const pickupDate = new Date(donation.preferredPickupDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: donor.email,
-      subject: '🚚 A Driver Has Been Assigned to Your Donation!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Driver Assigned</title></head>
-        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🚚 Driver Assigned!</h1>
-          </div>
-          <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
-            <p style="font-size: 16px; margin-bottom: 20px;">Hello ${donorName},</p>
-            <p style="font-size: 16px; margin-bottom: 20px;">A driver has been assigned to pick up your donation. Your food will be collected and delivered to <strong>${receiverName}</strong>.</p>
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-              <h2 style="color: #10b981; margin-top: 0; font-size: 20px;">Donation Details</h2>
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Tracking ID:</td><td style="padding: 8px 0;">${donation.trackingId}</td></tr>
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Item:</td><td style="padding: 8px 0;">${donation.itemName}</td></tr>
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Date:</td><td style="padding: 8px 0;">${pickupDate}</td></tr>
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Driver:</td><td style="padding: 8px 0;">${driverName}</td></tr>
-              </table>
-            </div>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${FRONTEND_URL}/donor/my-donation" style="display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">View My Donations</a>
-            </div>
-            <p style="font-size: 14px; color: #6b7280;">Best regards,<br><strong>The FoodLoop Team</strong></p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Driver assigned email sent to donor: ${donor.email}`);
+    await queueTemplatedEmail('driver_assigned_to_donor', donor, {
+      name: getUserDisplayName(donor),
+      receiverName: receiver ? getUserDisplayName(receiver) : 'Receiver',
+      driverName: getUserDisplayName(driver),
+      donation: getDonationView(donation),
+    }, { event: 'pickups' });
+    console.log(`✅ Driver assigned email queued for donor: ${donor.email}`);
   } catch (error) {
     console.error(`❌ Error sending driver assigned email to donor ${donor.email}:`, error.message);
   }
@@ -1271,55 +467,27 @@ const sendDriverAssignedEmailToReceiver = async (donation, donor, receiver, driv
   }
   if (!receiver || !receiver.email) return;
   try {
-    const receiverName = getUserDisplayName(receiver);
-    const driverName = getUserDisplayName(driver);
-    const donorName = donor ? getUserDisplayName(donor) : 'Donor';
-    const pickupDate = new Date(donation.preferredPickupDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: receiver.email,
-      subject: '🚚 A Driver Has Been Assigned to Your Claimed Donation!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Driver Assigned</title></head>
-        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🚚 Driver Assigned!</h1>
-          </div>
-          <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
-            <p style="font-size: 16px; margin-bottom: 20px;">Hello ${receiverName},</p>
-            <p style="font-size: 16px; margin-bottom: 20px;">A driver has been assigned to your claimed donation. They will pick up the food from <strong>${donorName}</strong> and deliver it to you.</p>
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-              <h2 style="color: #10b981; margin-top: 0; font-size: 20px;">Donation Details</h2>
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Tracking ID:</td><td style="padding: 8px 0;">${donation.trackingId}</td></tr>
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Item:</td><td style="padding: 8px 0;">${donation.itemName}</td></tr>
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Quantity:</td><td style="padding: 8px 0;">${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}</td></tr>
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Date:</td><td style="padding: 8px 0;">${pickupDate}</td></tr>
-                <tr><td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Driver:</td><td style="padding: 8px 0;">${driverName}</td></tr>
-              </table>
-            </div>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${FRONTEND_URL}/receiver/my-claims" style="display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">Track My Claims</a>
-            </div>
-            <p style="font-size: 14px; color: #6b7280;">Best regards,<br><strong>The FoodLoop Team</strong></p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Driver assigned email sent to receiver: ${receiver.email}`);
+    await queueTemplatedEmail('driver_assigned_to_receiver', receiver, {
+      name: getUserDisplayName(receiver),
+      donorName: donor ? getUserDisplayName(donor) : 'Donor',
+      driverName: getUserDisplayName(driver),
+      donation: getDonationView(donation),
+    }, { event: 'pickups' });
+    console.log(`✅ Driver assigned email queued for receiver: ${receiver.email}`);
   } catch (error) {
     console.error(`❌ Error sending driver assigned email to receiver ${receiver.email}:`, error.message);
   }
 };
 
+/**
+ * Driver details shown in the pickup confirmed emails
+ */
+const getDriverView = (driver) => ({
+  name: getUserDisplayName(driver),
+  vehicleNumber: driver.vehicleNumber,
+  vehicleType: driver.vehicleType,
+});
+
 /**
  * Send pickup confirmed email to donor
  * Sent when a driver confirms pickup of the donation
@@ -1331,125 +499,12 @@ const sendPickupConfirmedEmailToDonor = async (donation, donor, driver) => {
   }
 
   try {
-    const donorName = getUserDisplayName(donor);
-    const driverName = getUserDisplayName(driver);
-    const pickupDate = new Date(donation.preferredPickupDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: donor.email,
-      subject: '🚚 Driver Has Confirmed Pickup of Your Donation!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Pickup Confirmed</title>
-        </head>
-        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🚚 Pickup Confirmed!</h1>
-          </div>
-          
-          <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
-            <p style="font-size: 16px; margin-bottom: 20px;">Hello ${donorName},</p>
-            
-            <p style="font-size: 16px; margin-bottom: 20px;">
-              Great news! A driver has confirmed pickup of your donation. The driver will be arriving at your location soon to collect the food.
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
-              <h2 style="color: #3b82f6; margin-top: 0; font-size: 20px;">Donation Details</h2>
-              
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Tracking ID:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.trackingId}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Item Name:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.itemName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Quantity:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${pickupDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Window:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.preferredPickupTimeFrom} - ${donation.preferredPickupTimeTo}</td>
-                </tr>
-              </table>
-            </div>
-            
-            <div style="background: #eff6ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
-              <h3 style="color: #3b82f6; margin-top: 0; font-size: 18px;">Driver Information</h3>
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Driver Name:</td>
-                  <td style="padding: 8px 0; color: #111827;">${driverName}</td>
-                </tr>
-                ${driver.vehicleNumber ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Vehicle Number:</td>
-                  <td style="padding: 8px 0; color: #111827;">${driver.vehicleNumber}</td>
-                </tr>
-                ` : ''}
-                ${driver.vehicleType ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Vehicle Type:</td>
-                  <td style="padding: 8px 0; color: #111827;">${driver.vehicleType}</td>
-                </tr>
-                ` : ''}
-              </table>
-            </div>
-            
-            <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-              <p style="margin: 0; color: #856404; font-size: 14px;">
-                <strong>📋 What's Next?</strong><br>
-                Please have your donation ready for pickup. The driver will arrive at your location during the specified pickup window. 
-                You can track the delivery status from your dashboard.
-              </p>
-            </div>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${FRONTEND_URL}/donor/my-donation" 
-                 style="display: inline-block; background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-                View My Donations
-              </a>
-            </div>
-            
-            <p style="font-size: 16px; margin-top: 30px;">
-              Thank you for your generous contribution!
-            </p>
-            
-            <p style="font-size: 14px; color: #6b7280; margin-top: 30px;">
-              Best regards,<br>
-              <strong>The FoodLoop Team</strong>
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Pickup confirmed email sent to donor: ${donor.email}`);
+    await queueTemplatedEmail('pickup_confirmed_to_donor', donor, {
+      name: getUserDisplayName(donor),
+      driver: getDriverView(driver),
+      donation: getDonationView(donation),
+    }, { event: 'pickups' });
+    console.log(`✅ Pickup confirmed email queued for donor: ${donor.email}`);
   } catch (error) {
     console.error(`❌ Error sending pickup confirmed email to donor ${donor.email}:`, error.message);
   }
@@ -1466,130 +521,13 @@ const sendPickupConfirmedEmailToReceiver = async (donation, receiver, driver) =>
   }
 
   try {
-    const receiverName = getUserDisplayName(receiver);
-    const driverName = getUserDisplayName(driver);
-    const donorName = donation.donorName || 'Donor';
-    const pickupDate = new Date(donation.preferredPickupDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: receiver.email,
-      subject: '🚚 Driver Has Confirmed Pickup - Your Food is on the Way!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Pickup Confirmed</title>
-        </head>
-        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">🚚 Pickup Confirmed!</h1>
-          </div>
-          
-          <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
-            <p style="font-size: 16px; margin-bottom: 20px;">Hello ${receiverName},</p>
-            
-            <p style="font-size: 16px; margin-bottom: 20px;">
-              Great news! A driver has confirmed pickup of your claimed donation. Your food is now on the way to you!
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-              <h2 style="color: #10b981; margin-top: 0; font-size: 20px;">Donation Details</h2>
-              
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Tracking ID:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.trackingId}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Item Name:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.itemName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Quantity:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">From Donor:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donorName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Date:</td>
-                  <td style="padding: 8px 0; color: #111827;">${pickupDate}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Pickup Window:</td>
-                  <td style="padding: 8px 0; color: #111827;">${donation.preferredPickupTimeFrom} - ${donation.preferredPickupTimeTo}</td>
-                </tr>
-              </table>
-            </div>
-            
-            <div style="background: #eff6ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
-              <h3 style="color: #3b82f6; margin-top: 0; font-size: 18px;">Driver Information</h3>
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Driver Name:</td>
-                  <td style="padding: 8px 0; color: #111827;">${driverName}</td>
-                </tr>
-                ${driver.vehicleNumber ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Vehicle Number:</td>
-                  <td style="padding: 8px 0; color: #111827;">${driver.vehicleNumber}</td>
-                </tr>
-                ` : ''}
-                ${driver.vehicleType ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: bold; color: #6b7280;">Vehicle Type:</td>
-                  <td style="padding: 8px 0; color: #111827;">${driver.vehicleType}</td>
-                </tr>
-                ` : ''}
-              </table>
-            </div>
-            
-            <div style="background: #d1fae5; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-              <p style="margin: 0; color: #065f46; font-size: 14px;">
-                <strong>📋 What's Next?</strong><br>
-                The driver is now on the way to pick up your donation from the donor. You can track the delivery status in real-time from your dashboard. 
-                The driver will deliver the food to your location soon.
-              </p>
-            </div>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${FRONTEND_URL}/receiver/my-claims" 
-                 style="display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-                Track My Claims
-              </a>
-            </div>
-            
-            <p style="font-size: 16px; margin-top: 30px;">
-              Thank you for being part of the FoodLoop community!
-            </p>
-            
-            <p style="font-size: 14px; color: #6b7280; margin-top: 30px;">
-              Best regards,<br>
-              <strong>The FoodLoop Team</strong>
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Pickup confirmed email sent to receiver: ${receiver.email}`);
+    await queueTemplatedEmail('pickup_confirmed_to_receiver', receiver, {
+      name: getUserDisplayName(receiver),
+      donorName: donation.donorName || 'Donor',
+      driver: getDriverView(driver),
+      donation: getDonationView(donation),
+    }, { event: 'pickups' });
+    console.log(`✅ Pickup confirmed email queued for receiver: ${receiver.email}`);
   } catch (error) {
     console.error(`❌ Error sending pickup confirmed email to receiver ${receiver.email}:`, error.message);
   }
@@ -1605,97 +543,13 @@ const sendDeliveryConfirmedEmailToDonor = async (donation, donor, receiver, driv
   }
 
   try {
-    const donorName = getUserDisplayName(donor);
-    const receiverName = getUserDisplayName(receiver);
-    const driverName = driver?.driverName || 'Driver';
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: donor.email,
-      subject: '✅ Your Donation Has Been Delivered Successfully!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .success-icon {
-              font-size: 48px;
-              margin-bottom: 20px;
-            }
-            .info-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .button {
-              display: inline-block;
-              padding: 12px 24px;
-              background: #1b4332;
-              color: white;
-              text-decoration: none;
-              border-radius: 6px;
-              margin-top: 20px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <div class="success-icon">✅</div>
-            <h1 style="margin: 0;">Delivery Confirmed!</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${donorName},</p>
-            
-            <p>Great news! Your donation has been successfully delivered to the receiver.</p>
-            
-            <div class="info-box">
-              <strong>Donation Details:</strong><br>
-              <strong>Item:</strong> ${donation.itemName}<br>
-              <strong>Quantity:</strong> ${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}<br>
-              <strong>Tracking ID:</strong> ${donation.trackingId}<br>
-              <strong>Delivered to:</strong> ${receiverName}<br>
-              <strong>Delivered by:</strong> ${driverName}
-            </div>
-            
-            <p>Thank you for your generous contribution to reducing food waste and helping those in need!</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Delivery confirmed email sent to donor: ${donor.email}`);
+    await queueTemplatedEmail('delivery_confirmed_to_donor', donor, {
+      name: getUserDisplayName(donor),
+      receiverName: getUserDisplayName(receiver),
+      driverName: driver?.driverName || 'Driver',
+      donation: getDonationView(donation),
+    }, { event: 'deliveries' });
+    console.log(`✅ Delivery confirmed email queued for donor: ${donor.email}`);
   } catch (error) {
     console.error(`❌ Error sending delivery confirmed email to donor ${donor.email}:`, error.message);
   }
@@ -1711,98 +565,15 @@ const sendDeliveryConfirmedEmailToReceiver = async (donation, receiver, driver)
   }
 
   try {
-    const receiverName = getUserDisplayName(receiver);
-    const driverName = driver?.driverName || 'Driver';
     const donor = await require('../models/User').findById(donation.donorId);
-    const donorName = donor ? getUserDisplayName(donor) : 'Donor';
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: receiver.email,
-      subject: '✅ Your Food Donation Has Arrived!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .success-icon {
-              font-size: 48px;
-              margin-bottom: 20px;
-            }
-            .info-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .button {
-              display: inline-block;
-              padding: 12px 24px;
-              background: #1b4332;
-              color: white;
-              text-decoration: none;
-              border-radius: 6px;
-              margin-top: 20px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <div class="success-icon">🎉</div>
-            <h1 style="margin: 0;">Delivery Complete!</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${receiverName},</p>
-            
-            <p>Your food donation has been successfully delivered!</p>
-            
-            <div class="info-box">
-              <strong>Donation Details:</strong><br>
-              <strong>Item:</strong> ${donation.itemName}<br>
-              <strong>Quantity:</strong> ${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}<br>
-              <strong>Tracking ID:</strong> ${donation.trackingId}<br>
-              <strong>From:</strong> ${donorName}<br>
-              <strong>Delivered by:</strong> ${driverName}
-            </div>
-            
-            <p>Please ensure the food is stored properly according to the storage recommendations.</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Delivery confirmed email sent to receiver: ${receiver.email}`);
+
+    await queueTemplatedEmail('delivery_confirmed_to_receiver', receiver, {
+      name: getUserDisplayName(receiver),
+      donorName: donor ? getUserDisplayName(donor) : 'Donor',
+      driverName: driver?.driverName || 'Driver',
+      donation: getDonationView(donation),
+    }, { event: 'deliveries' });
+    console.log(`✅ Delivery confirmed email queued for receiver: ${receiver.email}`);
   } catch (error) {
     console.error(`❌ Error sending delivery confirmed email to receiver ${receiver.email}:`, error.message);
   }
@@ -1819,99 +590,11 @@ const sendDonationExpiryWarningEmail = async (donation, donor) => {
   }
 
   try {
-    const donorName = getUserDisplayName(donor);
-    const expiryDate = new Date(donation.expiryDate);
-    const expiryTime = expiryDate.toLocaleString('en-US', {
-      weekday: 'short',
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
+    await queueTemplatedEmail('donation_expiry_warning', donor, {
+      name: getUserDisplayName(donor),
+      donation: getDonationView(donation),
     });
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: donor.email,
-      subject: '⚠️ Your Donation Will Expire Soon',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .warning-box {
-              background: #fef3c7;
-              border-left: 4px solid #f59e0b;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .info-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">⚠️ Expiry Warning</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${donorName},</p>
-            
-            <div class="warning-box">
-              <strong>⚠️ Important:</strong> Your donation will expire soon!
-            </div>
-            
-            <div class="info-box">
-              <strong>Donation Details:</strong><br>
-              <strong>Item:</strong> ${donation.itemName}<br>
-              <strong>Quantity:</strong> ${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}<br>
-              <strong>Tracking ID:</strong> ${donation.trackingId || 'N/A'}<br>
-              <strong>Expires:</strong> ${expiryTime}
-            </div>
-            
-            <p>Your donation is expiring soon. If it hasn't been claimed or picked up yet, it will be automatically removed from the platform after the expiry time.</p>
-            
-            <p>Please check the status of your donation in your dashboard. If you'd like to extend the expiry or make any changes, please contact us.</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Donation expiry warning email sent to donor: ${donor.email}`);
+    console.log(`✅ Donation expiry warning email queued for donor: ${donor.email}`);
   } catch (error) {
     console.error(`❌ Error sending donation expiry warning email to donor ${donor.email}:`, error.message);
     throw error;
@@ -1919,119 +602,39 @@ const sendDonationExpiryWarningEmail = async (donation, donor) => {
 };
 
 /**
- * Send donation deleted email to donor
- * Sent after donation is automatically deleted due to expiration
+ * Send donation expired email to donor
+ * Sent after a donation is automatically archived as expired
  */
-const sendDonationDeletedEmail = async (donation, donor) => {
+const sendDonationExpiredEmail = async (donation, donor) => {
   if (!isEmailConfigured() || !transporter) {
-    console.warn('Email not configured. Skipping donation deleted email.');
+    console.warn('Email not configured. Skipping donation expired email.');
     return;
   }
 
   try {
-    const donorName = getUserDisplayName(donor);
-    const expiryDate = new Date(donation.expiryDate);
-    const expiryTime = expiryDate.toLocaleString('en-US', {
-      weekday: 'short',
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
+    await queueTemplatedEmail('donation_expired', donor, {
+      name: getUserDisplayName(donor),
+      expiredQuantity: donation.expiredQuantity ?? donation.quantity,
+      donation: getDonationView(donation),
     });
-    
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: donor.email,
-      subject: 'Your Donation Has Been Removed - Expired',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .info-box {
-              background: #fee2e2;
-              border-left: 4px solid #ef4444;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .encouragement-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">Donation Removed</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${donorName},</p>
-            
-            <p>We wanted to inform you that your donation has been automatically removed from the platform due to expiration.</p>
-            
-            <div class="info-box">
-              <strong>Removed Donation Details:</strong><br>
-              <strong>Item:</strong> ${donation.itemName}<br>
-              <strong>Quantity:</strong> ${donation.quantity} ${donation.quantity === 1 ? 'serving' : 'servings'}<br>
-              <strong>Tracking ID:</strong> ${donation.trackingId || 'N/A'}<br>
-              <strong>Expired On:</strong> ${expiryTime}<br>
-              <strong>Status:</strong> ${donation.status}
-            </div>
-            
-            <p><strong>Reason for Removal:</strong> The donation reached its expiry date and was automatically removed to maintain food safety standards.</p>
-            
-            <div class="encouragement-box">
-              <strong>💚 Thank You for Your Contribution!</strong><br>
-              We appreciate your effort to reduce food waste. Even though this donation expired, your willingness to help makes a difference. We encourage you to create a new donation when you have food available.
-            </div>
-            
-            <p>If you have any questions or concerns, please don't hesitate to contact us.</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Donation deleted email sent to donor: ${donor.email}`);
+    console.log(`✅ Donation expired email queued for donor: ${donor.email}`);
   } catch (error) {
-    console.error(`❌ Error sending donation deleted email to donor ${donor.email}:`, error.message);
+    console.error(`❌ Error sending donation expired email to donor ${donor.email}:`, error.message);
     throw error;
   }
 };
 
+/**
+ * Impact receipt PDF attachment
+ */
+const getReceiptAttachments = (donation, pdfBuffer) => [
+  {
+    filename: `impact-receipt-${donation.trackingId || donation.donationId || 'receipt'}.pdf`,
+    content: pdfBuffer,
+    contentType: 'application/pdf',
+  },
+];
+
 /**
  * Send impact receipt email to donor with PDF attachment
  * @param {Object} receipt - Impact receipt data
@@ -2050,130 +653,20 @@ const sendReceiptEmailToDonor = async (receipt, donation, donor, pdfBuffer) => {
     if (!donor.role) {
       donor.role = 'Donor';
     }
-    const donorName = getUserDisplayName(donor);
-    const itemName = donation.itemName || donation.donation?.itemName || 'Food Item';
-    const peopleFed = receipt.peopleFed || 0;
-    
-    // Ensure methaneSaved is properly accessed and formatted
-    let methaneSavedValue = receipt.methaneSaved;
-    if (typeof methaneSavedValue === 'undefined' || methaneSavedValue === null) {
-      methaneSavedValue = 0;
-    }
-    const methaneSaved = typeof methaneSavedValue === 'number' 
-      ? methaneSavedValue.toFixed(2) 
-      : parseFloat(methaneSavedValue || 0).toFixed(2);
-    
+    const methaneSaved = formatMethaneSaved(receipt.methaneSaved);
+
     console.log(`[EmailService] Donor email - methaneSaved: ${methaneSaved} (from receipt: ${receipt.methaneSaved})`);
 
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: donor.email,
-      subject: 'Thank You! Your Donation Impact Receipt',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .impact-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .metrics {
-              display: flex;
-              justify-content: space-around;
-              margin: 20px 0;
-              flex-wrap: wrap;
-            }
-            .metric {
-              text-align: center;
-              padding: 10px;
-            }
-            .metric-value {
-              font-size: 24px;
-              font-weight: 700;
-              color: #1b4332;
-            }
-            .metric-label {
-              font-size: 12px;
-              color: #666;
-              margin-top: 5px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">Thank You for Your Donation!</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${donorName},</p>
-            
-            <p>Thank you for your generous donation of <strong>${itemName}</strong>. Your contribution has made a significant impact in our community!</p>
-            
-            <div class="impact-box">
-              <strong>Your Impact:</strong><br>
-              Your donation has helped feed <strong>${peopleFed}</strong> ${peopleFed === 1 ? 'person' : 'people'} and saved <strong>${methaneSaved} KG</strong> of methane emissions from entering the atmosphere.
-            </div>
-            
-            <div class="metrics">
-              <div class="metric">
-                <div class="metric-value">${peopleFed}</div>
-                <div class="metric-label">People Fed</div>
-              </div>
-              <div class="metric">
-                <div class="metric-value">${methaneSaved} KG</div>
-                <div class="metric-label">Methane Saved</div>
-              </div>
-            </div>
-            
-            <p>We've attached your impact receipt for your records. This receipt contains all the details about your donation and the positive impact it has created.</p>
-            
-            <p>Your commitment to reducing food waste and helping those in need is truly appreciated. Together, we are making a difference!</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-      attachments: [
-        {
-          filename: `impact-receipt-${donation.trackingId || donation.donationId || 'receipt'}.pdf`,
-          content: pdfBuffer,
-          contentType: 'application/pdf',
-        },
-      ],
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Receipt email sent to donor: ${donor.email}`);
+    await queueTemplatedEmail('receipt_to_donor', donor, {
+      name: getUserDisplayName(donor),
+      itemName: donation.itemName || donation.donation?.itemName || 'Food Item',
+      peopleFed: receipt.peopleFed || 0,
+      methaneSaved,
+    }, {
+      attachments: getReceiptAttachments(donation, pdfBuffer),
+      event: 'receipts',
+    });
+    console.log(`✅ Receipt email queued for donor: ${donor.email}`);
   } catch (error) {
     console.error(`❌ Error sending receipt email to donor ${donor.email}:`, error.message);
     throw error;
@@ -2198,134 +691,21 @@ const sendReceiptEmailToDriver = async (receipt, donation, driver, pdfBuffer) =>
     if (!driver.role) {
       driver.role = 'Driver';
     }
-    const driverName = getUserDisplayName(driver);
-    const itemName = donation.itemName || donation.donation?.itemName || 'Food Item';
-    const receiverName = donation.receiver?.receiverName || donation.receiver?.email || 'Receiver';
-    const distance = receipt.distanceTraveled?.toFixed(2) || '0.00';
-    const peopleFed = receipt.peopleFed || 0;
-    
-    // Ensure methaneSaved is properly accessed and formatted
-    let methaneSavedValue = receipt.methaneSaved;
-    if (typeof methaneSavedValue === 'undefined' || methaneSavedValue === null) {
-      methaneSavedValue = 0;
-    }
-    const methaneSaved = typeof methaneSavedValue === 'number' 
-      ? methaneSavedValue.toFixed(2) 
-      : parseFloat(methaneSavedValue || 0).toFixed(2);
-    
+    const methaneSaved = formatMethaneSaved(receipt.methaneSaved);
+
     console.log(`[EmailService] Driver email - methaneSaved: ${methaneSaved} (from receipt: ${receipt.methaneSaved})`);
 
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: driver.email,
-      subject: 'Delivery Impact Receipt - Thank You!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .impact-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .metrics {
-              display: flex;
-              justify-content: space-around;
-              margin: 20px 0;
-              flex-wrap: wrap;
-            }
-            .metric {
-              text-align: center;
-              padding: 10px;
-            }
-            .metric-value {
-              font-size: 24px;
-              font-weight: 700;
-              color: #1b4332;
-            }
-            .metric-label {
-              font-size: 12px;
-              color: #666;
-              margin-top: 5px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">Thank You for Your Delivery Service!</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${driverName},</p>
-            
-            <p>Thank you for your excellent delivery service! You played a crucial role in making this donation a success.</p>
-            
-            <div class="impact-box">
-              <strong>Your Delivery Impact:</strong><br>
-              You traveled <strong>${distance} KM</strong> to deliver <strong>${itemName}</strong> to <strong>${receiverName}</strong>, helping feed <strong>${peopleFed}</strong> ${peopleFed === 1 ? 'person' : 'people'}.
-            </div>
-            
-            <div class="metrics">
-              <div class="metric">
-                <div class="metric-value">${distance} KM</div>
-                <div class="metric-label">Distance (km)</div>
-              </div>
-              <div class="metric">
-                <div class="metric-value">${peopleFed}</div>
-                <div class="metric-label">People Fed</div>
-              </div>
-            </div>
-            
-            <p>Your dedication to reducing food waste and helping connect donors with those in need is greatly appreciated. Without your reliable delivery service, this impact would not have been possible.</p>
-            
-            <p>We've attached the impact receipt for your records. This receipt shows the complete impact of the delivery you completed.</p>
-            
-            <p>Thank you for being an essential part of the FoodLoop community!</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-      attachments: [
-        {
-          filename: `impact-receipt-${donation.trackingId || donation.donationId || 'receipt'}.pdf`,
-          content: pdfBuffer,
-          contentType: 'application/pdf',
-        },
-      ],
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Receipt email sent to driver: ${driver.email}`);
+    await queueTemplatedEmail('receipt_to_driver', driver, {
+      name: getUserDisplayName(driver),
+      itemName: donation.itemName || donation.donation?.itemName || 'Food Item',
+      receiverName: donation.receiver?.receiverName || donation.receiver?.email || 'Receiver',
+      distance: receipt.distanceTraveled?.toFixed(2) || '0.00',
+      peopleFed: receipt.peopleFed || 0,
+    }, {
+      attachments: getReceiptAttachments(donation, pdfBuffer),
+      event: 'receipts',
+    });
+    console.log(`✅ Receipt email queued for driver: ${driver.email}`);
   } catch (error) {
     console.error(`❌ Error sending receipt email to driver ${driver.email}:`, error.message);
     throw error;
@@ -2349,128 +729,18 @@ const sendReceiptEmailToReceiver = async (receipt, donation, receiver, pdfBuffer
     if (!receiver.role) {
       receiver.role = 'Receiver';
     }
-    const receiverName = getUserDisplayName(receiver);
-    const itemName = donation.itemName || donation.donation?.itemName || 'Food Item';
-    const peopleFed = receipt.peopleFed || 0;
-    const distance = receipt.distanceTraveled?.toFixed(2) || '0.00';
-
-    let methaneSavedValue = receipt.methaneSaved;
-    if (typeof methaneSavedValue === 'undefined' || methaneSavedValue === null) {
-      methaneSavedValue = 0;
-    }
-    const methaneSaved = typeof methaneSavedValue === 'number'
-      ? methaneSavedValue.toFixed(2)
-      : parseFloat(methaneSavedValue || 0).toFixed(2);
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: receiver.email,
-      subject: 'Your Impact Receipt – Thank You for Submitting!',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .impact-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-            }
-            .metrics {
-              display: flex;
-              justify-content: space-around;
-              margin: 20px 0;
-              flex-wrap: wrap;
-            }
-            .metric {
-              text-align: center;
-              padding: 10px;
-            }
-            .metric-value {
-              font-size: 24px;
-              font-weight: 700;
-              color: #1b4332;
-            }
-            .metric-label {
-              font-size: 12px;
-              color: #666;
-              margin-top: 5px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">Your Impact Receipt Is Ready</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${receiverName},</p>
-
-            <p>Thank you for submitting the impact receipt for <strong>${itemName}</strong>. Your record helps us measure the positive impact of this delivery.</p>
-
-            <div class="impact-box">
-              <strong>Impact Summary:</strong><br>
-              Your submission shows that this donation helped feed <strong>${peopleFed}</strong> ${peopleFed === 1 ? 'person' : 'people'}, with <strong>${distance} KM</strong> traveled and <strong>${methaneSaved} KG</strong> of methane emissions saved.
-            </div>
-
-            <div class="metrics">
-              <div class="metric">
-                <div class="metric-value">${peopleFed}</div>
-                <div class="metric-label">People Fed</div>
-              </div>
-              <div class="metric">
-                <div class="metric-value">${methaneSaved} KG</div>
-                <div class="metric-label">Methane Saved</div>
-              </div>
-            </div>
-
-            <p>We've attached your impact receipt PDF for your records. Donor and driver have also received their copies.</p>
-
-            <p>Thank you for being part of the FoodLoop community and helping us track impact!</p>
-
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-      attachments: [
-        {
-          filename: `impact-receipt-${donation.trackingId || donation.donationId || 'receipt'}.pdf`,
-          content: pdfBuffer,
-          contentType: 'application/pdf',
-        },
-      ],
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Receipt email sent to receiver: ${receiver.email}`);
+
+    await queueTemplatedEmail('receipt_to_receiver', receiver, {
+      name: getUserDisplayName(receiver),
+      itemName: donation.itemName || donation.donation?.itemName || 'Food Item',
+      peopleFed: receipt.peopleFed || 0,
+      distance: receipt.distanceTraveled?.toFixed(2) || '0.00',
+      methaneSaved: formatMethaneSaved(receipt.methaneSaved),
+    }, {
+      attachments: getReceiptAttachments(donation, pdfBuffer),
+      event: 'receipts',
+    });
+    console.log(`✅ Receipt email queued for receiver: ${receiver.email}`);
   } catch (error) {
     console.error(`❌ Error sending receipt email to receiver ${receiver.email}:`, error.message);
     throw error;
@@ -2489,82 +759,11 @@ const sendReviewSubmittedEmail = async (user, review) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Thank You! Your Review is Under Review',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .review-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-              font-style: italic;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">Thank You for Your Review!</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${userName},</p>
-            
-            <p>Thank you for taking the time to share your experience with FoodLoop! We truly value your feedback.</p>
-            
-            <div class="review-box">
-              "${review.reviewText}"
-            </div>
-            
-            <p><strong>Your review is currently under review.</strong></p>
-            <p>Our admin team will carefully review your submission to ensure it meets our community guidelines. This process typically takes 1-2 business days.</p>
-            
-            <p>Once approved, your review will appear on our home page for the entire FoodLoop community to see!</p>
-            
-            <p>We appreciate your patience during this review process.</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Review submitted email sent to: ${user.email}`);
+    await queueTemplatedEmail('review_submitted', user, {
+      name: getUserDisplayName(user),
+      reviewText: review.reviewText,
+    });
+    console.log(`✅ Review submitted email queued for: ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending review submitted email to ${user.email}:`, error.message);
     throw error;
@@ -2583,81 +782,11 @@ const sendReviewApprovedEmail = async (user, review) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Great News! Your Review is Now Live',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #10b981 0%, #059669 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .success-box {
-              background: #f0fdf4;
-              border-left: 4px solid #10b981;
-              padding: 15px;
-              margin: 20px 0;
-              font-style: italic;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">Your Review is Now Live! 🎉</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${userName},</p>
-            
-            <p><strong>Great news!</strong> Your review has been approved and is now live on our home page!</p>
-            
-            <div class="success-box">
-              "${review.reviewText}"
-            </div>
-            
-            <p>Your feedback is now visible to the entire FoodLoop community, helping others learn about the positive impact of our platform.</p>
-            
-            <p>Thank you for being part of the FoodLoop community and for sharing your experience!</p>
-            
-            <p>You can view your review on our <a href="${FRONTEND_URL}" style="color: #1b4332; text-decoration: none; font-weight: bold;">home page</a>.</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Review approved email sent to: ${user.email}`);
+    await queueTemplatedEmail('review_approved', user, {
+      name: getUserDisplayName(user),
+      reviewText: review.reviewText,
+    });
+    console.log(`✅ Review approved email queued for: ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending review approved email to ${user.email}:`, error.message);
     throw error;
@@ -2677,81 +806,11 @@ const sendReviewRejectedEmail = async (user, review, reason) => {
   }
 
   try {
-    const userName = getUserDisplayName(user);
-
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: user.email,
-      subject: 'Review Update',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .header {
-              background: linear-gradient(135deg, #1b4332 0%, #2d6a4f 100%);
-              color: white;
-              padding: 30px;
-              text-align: center;
-              border-radius: 10px 10px 0 0;
-            }
-            .content {
-              background: #ffffff;
-              padding: 30px;
-              border: 1px solid #e5e7eb;
-              border-top: none;
-            }
-            .reason-box {
-              background: #fef2f2;
-              border-left: 4px solid #ef4444;
-              padding: 15px;
-              margin: 20px 0;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1 style="margin: 0;">Review Update</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${userName},</p>
-            
-            <p>Thank you for taking the time to submit a review for FoodLoop.</p>
-            
-            <p>After careful review, we're sorry to inform you that your review could not be published at this time.</p>
-            
-            <div class="reason-box">
-              <strong>Reason:</strong><br>
-              ${reason}
-            </div>
-            
-            <p>We encourage you to submit a new review that aligns with our community guidelines. If you have any questions about this decision, please feel free to contact us.</p>
-            
-            <p>Thank you for your understanding and continued support of FoodLoop.</p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 12px; color: #9ca3af; text-align: center; margin: 0;">
-              This is an automated email. Please do not reply to this message.<br>
-              If you have any questions, contact us at <strong>foodloop.official27@gmail.com</strong>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Review rejected email sent to: ${user.email}`);
+    await queueTemplatedEmail('review_rejected', user, {
+      name: getUserDisplayName(user),
+      reason,
+    });
+    console.log(`✅ Review rejected email queued for: ${user.email}`);
   } catch (error) {
     console.error(`❌ Error sending review rejected email to ${user.email}:`, error.message);
     throw error;
@@ -2768,41 +827,8 @@ const sendContactConfirmationEmail = async (email, name) => {
   }
 
   try {
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: email,
-      subject: 'We received your message – FoodLoop',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">FoodLoop</h2>
-          </div>
-          <div class="content">
-            <p>Hi ${name || 'there'},</p>
-            <p>You have contacted admin. We will get back to you soon.</p>
-            <p>Thank you for reaching out.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Contact confirmation email sent to: ${email}`);
+    await queueTemplatedEmail('contact_confirmation', email, { name });
+    console.log(`✅ Contact confirmation email queued for: ${email}`);
   } catch (error) {
     console.error(`❌ Error sending contact confirmation email to ${email}:`, error.message);
     throw error;
@@ -2819,43 +845,8 @@ const sendContactReplyEmail = async (email, name, replyText) => {
   }
 
   try {
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: email,
-      subject: 'Re: Your message to FoodLoop',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .reply { background: #fff; border-left: 4px solid #1F4E36; padding: 16px; margin: 16px 0; white-space: pre-wrap; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">FoodLoop – Admin Reply</h2>
-          </div>
-          <div class="content">
-            <p>Hi ${name || 'there'},</p>
-            <p>Here is a reply from our team:</p>
-            <div class="reply">${(replyText || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')}</div>
-            <p>Thank you for contacting FoodLoop.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Contact reply email sent to: ${email}`);
+    await queueTemplatedEmail('contact_reply', email, { name, replyText });
+    console.log(`✅ Contact reply email queued for: ${email}`);
   } catch (error) {
     console.error(`❌ Error sending contact reply email to ${email}:`, error.message);
     throw error;
@@ -2872,45 +863,8 @@ const sendAdminLoginNotificationEmail = async (adminEmail, { time, location, dev
   }
 
   try {
-    const safe = (s) => (s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: adminEmail,
-      subject: 'New admin login – FoodLoop',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .row { margin: 12px 0; }
-            .label { font-weight: 600; color: #1F4E36; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">Admin Login – FoodLoop</h2>
-          </div>
-          <div class="content">
-            <p>A login to your admin account was detected.</p>
-            <div class="row"><span class="label">Time:</span> ${safe(time)}</div>
-            <div class="row"><span class="label">Location:</span> ${safe(location)}</div>
-            <div class="row"><span class="label">Device:</span> ${safe(device)}</div>
-          </div>
-          <div class="footer">
-            <p>This is an automated security notification from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Admin login notification email sent to: ${adminEmail}`);
+    await queueTemplatedEmail('admin_login_notification', adminEmail, { time, location, device });
+    console.log(`✅ Admin login notification email queued for: ${adminEmail}`);
   } catch (error) {
     console.error(`❌ Error sending admin login notification to ${adminEmail}:`, error.message);
     throw error;
@@ -2927,94 +881,47 @@ const sendPasswordResetEmail = async (email, resetLink) => {
   }
 
   try {
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: email,
-      subject: 'Reset your FoodLoop password',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .button { display: inline-block; background: #1F4E36; color: #ffffff !important; padding: 12px 24px; text-decoration: none; border-radius: 8px; margin: 16px 0; font-weight: 700; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">FoodLoop – Password Reset</h2>
-          </div>
-          <div class="content">
-            <p>You requested a password reset. Click the link below to set a new password. This link expires in 1 hour.</p>
-            <p><a href="${(resetLink || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;')}" class="button" style="color: #ffffff !important; font-weight: 700; text-decoration: none;">Reset password</a></p>
-            <p>If you did not request this, you can ignore this email.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Password reset email sent to: ${email}`);
+    await queueTemplatedEmail('password_reset', email, { resetLink });
+    console.log(`✅ Password reset email queued for: ${email}`);
   } catch (error) {
     console.error(`❌ Error sending password reset email to ${email}:`, error.message);
     throw error;
   }
 };
 
+/**
+ * Send account locked email with a one-click unlock link (too many failed logins)
+ */
+const sendAccountLockedEmail = async (email, { unlockLink, lockedUntil }) => {
+  if (!isEmailConfigured() || !transporter) {
+    console.warn('Email not configured. Skipping account locked email.');
+    return;
+  }
+
+  try {
+    await queueTemplatedEmail('account_locked', email, { unlockLink, lockedUntil });
+    console.log(`✅ Account locked email queued for: ${email}`);
+  } catch (error) {
+    console.error(`❌ Error sending account locked email to ${email}:`, error.message);
+    throw error;
+  }
+};
+
 /**
  * Send signup OTP email for email verification
+ * The account does not exist yet, so the language chosen on the signup form is passed in.
  */
-const sendSignupOtpEmail = async (email, otp) => {
+const sendSignupOtpEmail = async (email, otp, { language } = {}) => {
   if (!isEmailConfigured() || !transporter) {
     console.warn('Email not configured. Skipping signup OTP email.');
     return;
   }
 
   try {
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: email,
-      subject: 'Your FoodLoop signup verification code',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .otp { font-size: 28px; font-weight: bold; letter-spacing: 8px; color: #1F4E36; margin: 16px 0; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">FoodLoop – Verify your email</h2>
-          </div>
-          <div class="content">
-            <p>Use the code below to complete your FoodLoop account signup:</p>
-            <p class="otp">${String(otp)}</p>
-            <p>This code expires in 10 minutes. If you did not request this, you can ignore this email.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Signup OTP email sent to: ${email}`);
+    await queueTemplatedEmail('signup_otp', email, { otp: String(otp) }, {
+      language: resolveLanguage(language),
+    });
+    console.log(`✅ Signup OTP email queued for: ${email}`);
   } catch (error) {
     console.error(`❌ Error sending signup OTP email to ${email}:`, error.message);
     throw error;
@@ -3031,40 +938,8 @@ const sendPasswordChangedEmail = async (email) => {
   }
 
   try {
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: email,
-      subject: 'Your FoodLoop password has been changed',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">FoodLoop – Password Changed</h2>
-          </div>
-          <div class="content">
-            <p>Your FoodLoop account password has been changed successfully.</p>
-            <p>If you did not make this change, please reset your password immediately using the "Forgot password" link on the login page, or contact us for assistance.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated security notification from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Password changed confirmation email sent to: ${email}`);
+    await queueTemplatedEmail('password_changed', email, {});
+    console.log(`✅ Password changed confirmation email queued for: ${email}`);
   } catch (error) {
     console.error(`❌ Error sending password changed email to ${email}:`, error.message);
     throw error;
@@ -3073,53 +948,21 @@ const sendPasswordChangedEmail = async (email) => {
 
 /**
  * Send admin notification email to a user (title + message)
+ * @param {Object|string} recipient - User (email, preferredLanguage) or email address
  */
-const sendNotificationEmail = async (email, title, message) => {
+const sendNotificationEmail = async (recipient, title, message) => {
+  const email = typeof recipient === 'string' ? recipient : recipient.email;
   if (!isEmailConfigured() || !transporter) {
     console.warn('Email not configured. Skipping notification email.');
     return;
   }
 
   try {
-    const safe = (s) => (s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-    const subject = title && title.trim() ? `FoodLoop: ${safe(title)}` : 'FoodLoop – New notification';
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: email,
-      subject,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .message { background: #fff; border-left: 4px solid #1F4E36; padding: 16px; margin: 16px 0; white-space: pre-wrap; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">FoodLoop – Notification</h2>
-          </div>
-          <div class="content">
-            <p>You have a new notification from FoodLoop.</p>
-            ${title && title.trim() ? `<p><strong>${safe(title)}</strong></p>` : ''}
-            <div class="message">${safe(message)}</div>
-            <p>Log in to the app to see all your notifications.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Notification email sent to: ${email}`);
+    await queueTemplatedEmail('notification', recipient, {
+      title: title && title.trim() ? title.trim() : '',
+      message: message || '',
+    }, { event: 'broadcasts' });
+    console.log(`✅ Notification email queued for: ${email}`);
   } catch (error) {
     console.error(`❌ Error sending notification email to ${email}:`, error.message);
     throw error;
@@ -3140,44 +983,9 @@ const sendProfileUpdatedEmail = async (email, changedFields) => {
     return;
   }
 
-  const listItems = changedFields.map((f) => `<li>${f}</li>`).join('');
   try {
-    const mailOptions = {
-      from: EMAIL_FROM,
-      to: email,
-      subject: 'Your FoodLoop profile was updated',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(180deg, #1F4E36 0%, #48B47D 100%); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 24px; border-radius: 0 0 10px 10px; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-            ul { margin: 12px 0; padding-left: 24px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h2 style="margin: 0;">FoodLoop – Profile Updated</h2>
-          </div>
-          <div class="content">
-            <p>Your FoodLoop profile has been updated successfully. The following details were changed:</p>
-            <ul>${listItems}</ul>
-            <p>If you did not make these changes, please contact us or reset your password if needed.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification from FoodLoop.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Profile updated email sent to: ${email}`);
+    await queueTemplatedEmail('profile_updated', email, { changedFields });
+    console.log(`✅ Profile updated email queued for: ${email}`);
   } catch (error) {
     console.error(`❌ Error sending profile updated email to ${email}:`, error.message);
     throw error;
@@ -3205,7 +1013,7 @@ module.exports = {
   sendDeliveryConfirmedEmailToDonor,
   sendDeliveryConfirmedEmailToReceiver,
   sendDonationExpiryWarningEmail,
-  sendDonationDeletedEmail,
+  sendDonationExpiredEmail,
   sendReceiptEmailToDonor,
   sendReceiptEmailToDriver,
   sendReceiptEmailToReceiver,
@@ -3216,6 +1024,7 @@ module.exports = {
   sendContactReplyEmail,
   sendAdminLoginNotificationEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
   sendPasswordChangedEmail,
   sendSignupOtpEmail,
   sendProfileUpdatedEmail,
@@ -0,0 +1,261 @@
+/**
+ * Transactional email templates
+ * Bodies live in templates/emails/<name>.html and are wrapped in layout.html.
+ * Strings come from templates/emails/locales/<lang>.json; missing keys fall back to English.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compile } = require('./templateEngine');
+const { FRONTEND_URL } = require('../config/env');
+const { DEFAULT_LANGUAGE, LANGUAGE_LOCALES, SUPPORTED_LANGUAGES, resolveLanguage } = require('./languages');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const SUPPORT_EMAIL = 'foodloop.official27@gmail.com';
+const TIME_ZONE = 'Asia/Colombo';
+
+const sampleDonation = {
+  trackingId: 'FL-20250115-0042',
+  itemName: 'Vegetable Fried Rice',
+  foodCategory: 'Cooked Meals',
+  quantity: 25,
+  expiryDate: new Date('2025-01-15T20:00:00+05:30'),
+  pickupDate: new Date('2025-01-15T12:00:00+05:30'),
+  pickupFrom: '12:00',
+  pickupTo: '14:00',
+  status: 'Live',
+  donorAddress: '42 Galle Road, Colombo 03',
+  qualityPercent: 92,
+  freshness: 'Fresh',
+};
+
+const sampleDriver = { name: 'Kasun Perera', vehicleNumber: 'WP CAB-1234', vehicleType: 'Van' };
+
+/**
+ * Registered templates: header theme and sample data for admin previews
+ * sensitive: the email carries a one-time secret (reset/unlock link, OTP). The outbox drops its
+ * body once delivery is over, admins never see it and it cannot be resent.
+ */
+const EMAIL_TEMPLATES = {
+  welcome: { sample: { name: 'Nimal Silva' } },
+  pending_approval: { sample: { name: 'Green Leaf Café', role: 'BusinessDonor' } },
+  approval: { sample: { name: 'Hope Shelter', role: 'Receiver', isReceiver: true } },
+  rejection: { sample: { name: 'Hope Shelter' } },
+  deactivation: { sample: { name: 'Nimal Silva' } },
+  activation: { sample: { name: 'Kasun Perera', role: 'Driver', isDriver: true } },
+  donation_live: { sample: { name: 'Nimal Silva', donation: sampleDonation } },
+  new_donation_notification_to_receiver: {
+    sample: { name: 'Hope Shelter', donorName: 'Nimal Silva', donation: sampleDonation },
+  },
+  donation_available_notification_to_driver: {
+    sample: { name: 'Kasun Perera', donorName: 'Nimal Silva', receiverName: 'Hope Shelter', donation: sampleDonation },
+  },
+  donation_claimed: { sample: { name: 'Nimal Silva', receiverName: 'Hope Shelter', donation: sampleDonation } },
+  driver_assigned_to_donor: {
+    sample: { name: 'Nimal Silva', receiverName: 'Hope Shelter', driverName: 'Kasun Perera', donation: sampleDonation },
+  },
+  driver_assigned_to_receiver: {
+    sample: { name: 'Hope Shelter', donorName: 'Nimal Silva', driverName: 'Kasun Perera', donation: sampleDonation },
+  },
+  pickup_confirmed_to_donor: { sample: { name: 'Nimal Silva', driver: sampleDriver, donation: sampleDonation } },
+  pickup_confirmed_to_receiver: {
+    sample: { name: 'Hope Shelter', donorName: 'Nimal Silva', driver: sampleDriver, donation: sampleDonation },
+  },
+  delivery_confirmed_to_donor: {
+    sample: { name: 'Nimal Silva', receiverName: 'Hope Shelter', driverName: 'Kasun Perera', donation: sampleDonation },
+  },
+  delivery_confirmed_to_receiver: {
+    sample: { name: 'Hope Shelter', donorName: 'Nimal Silva', driverName: 'Kasun Perera', donation: sampleDonation },
+  },
+  donation_expiry_warning: { theme: 'warning', sample: { name: 'Nimal Silva', donation: sampleDonation } },
+  donation_expired: { theme: 'danger', sample: { name: 'Nimal Silva', donation: sampleDonation, expiredQuantity: 10 } },
+  receipt_to_donor: {
+    sample: { name: 'Nimal Silva', itemName: 'Vegetable Fried Rice', peopleFed: 25, methaneSaved: '1.88' },
+  },
+  receipt_to_driver: {
+    sample: { name: 'Kasun Perera', itemName: 'Vegetable Fried Rice', receiverName: 'Hope Shelter', distance: '7.40', peopleFed: 25 },
+  },
+  receipt_to_receiver: {
+    sample: { name: 'Hope Shelter', itemName: 'Vegetable Fried Rice', peopleFed: 25, distance: '7.40', methaneSaved: '1.88' },
+  },
+  review_submitted: { sample: { name: 'Nimal Silva', reviewText: 'FoodLoop made donating our leftovers effortless.' } },
+  review_approved: { sample: { name: 'Nimal Silva', reviewText: 'FoodLoop made donating our leftovers effortless.' } },
+  review_rejected: { sample: { name: 'Nimal Silva', reason: 'The review contained personal contact details.' } },
+  contact_confirmation: { sample: { name: 'Nimal Silva' } },
+  contact_reply: { sample: { name: 'Nimal Silva', replyText: 'Thanks for reaching out! Pickups in Kandy start next month.' } },
+  admin_login_notification: {
+    sample: { time: '15 Jan 2025, 09:30', location: 'Colombo, Sri Lanka', device: 'Chrome on Windows' },
+  },
+  password_reset: { sensitive: true, sample: { resetLink: `${FRONTEND_URL}/reset-password?token=sample` } },
+  account_locked: {
+    sensitive: true,
+    sample: { unlockLink: `${FRONTEND_URL}/unlock-account?token=sample`, lockedUntil: new Date('2025-01-15T10:00:00+05:30') },
+  },
+  signup_otp: { sensitive: true, sample: { otp: '482913' } },
+  password_changed: { sample: {} },
+  notification: { sample: { title: 'Scheduled maintenance', message: 'FoodLoop will be unavailable on Sunday from 1 AM to 3 AM.' } },
+  profile_updated: { sample: { changedFields: ['Name', 'Contact Number'] } },
+};
+
+const catalogs = {};
+const compiled = new Map();
+
+const readFile = (file) => fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+
+const getCompiled = (key, source) => {
+  if (!compiled.has(key)) compiled.set(key, compile(source()));
+  return compiled.get(key);
+};
+
+const getCatalog = (language) => {
+  if (!catalogs[language]) {
+    catalogs[language] = JSON.parse(readFile(path.join('locales', `${language}.json`)));
+  }
+  return catalogs[language];
+};
+
+/**
+ * Strings for one section in the given language, with English for any missing key
+ */
+const getSection = (language, section) => ({
+  ...getCatalog(DEFAULT_LANGUAGE)[section],
+  ...(language === DEFAULT_LANGUAGE ? {} : getCatalog(language)[section]),
+});
+
+const formatDate = (locale, options) => (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString(locale, { timeZone: TIME_ZONE, ...options });
+};
+
+const buildHelpers = (language, strings) => {
+  const locale = LANGUAGE_LOCALES[language];
+  return {
+    date: formatDate(locale, { year: 'numeric', month: 'long', day: 'numeric' }),
+    datetime: formatDate(locale, {
+      weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+    }),
+    servings: (count) => `${count} ${Number(count) === 1 ? strings.common.serving : strings.common.servings}`,
+    people: (count) => (Number(count) === 1 ? strings.common.person : strings.common.people),
+    role: (role) => strings.roles[role] || role,
+    field: (name) => strings.fields[name] || name,
+  };
+};
+
+/**
+ * Render every string in a section with the email data (values are HTML-escaped)
+ */
+const renderSection = (language, section, strings, data, helpers) => Object.fromEntries(
+  Object.entries(strings).map(([key, source]) => [
+    key,
+    getCompiled(`${language}:${section}.${key}`, () => source)(data, helpers),
+  ])
+);
+
+const decodeEntities = (value) => value
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&copy;/g, '©')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Plain-text alternative for an HTML fragment
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToText = (html) => decodeEntities(html
+  .replace(/<(style|head)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<\/td>\s*<td[^>]*>/gi, ': ')
+  .replace(/<\/tr>/gi, '\n')
+  .replace(/<\/(p|div|h1|h2|ul|table)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, ''))
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Render a transactional email
+ * @param {string} template - Name registered in EMAIL_TEMPLATES
+ * @param {Object} data - Template variables (escaped on output); unsubscribeUrl adds a footer link
+ * @param {string} [language] - Recipient language; unsupported values fall back to English
+ * @returns {{ subject: string, html: string, text: string, language: string }}
+ */
+const renderEmail = (template, data = {}, language) => {
+  const definition = EMAIL_TEMPLATES[template];
+  if (!definition) throw new Error(`Unknown email template: ${template}`);
+
+  const lang = resolveLanguage(language);
+  const context = { supportEmail: SUPPORT_EMAIL, frontendUrl: FRONTEND_URL, ...data };
+  const strings = {
+    common: getSection(lang, 'common'),
+    labels: getSection(lang, 'labels'),
+    roles: getSection(lang, 'roles'),
+    fields: getSection(lang, 'fields'),
+    [template]: getSection(lang, template),
+  };
+  const helpers = buildHelpers(lang, strings);
+  const t = {
+    common: renderSection(lang, 'common', strings.common, context, helpers),
+    labels: renderSection(lang, 'labels', strings.labels, context, helpers),
+    [template]: renderSection(lang, template, strings[template], context, helpers),
+  };
+
+  const body = getCompiled(template, () => readFile(`${template}.html`))({ ...context, t }, helpers);
+  const subject = decodeEntities(t[template].subject);
+  const heading = t[template].heading;
+  const html = getCompiled('layout', () => readFile('layout.html'))({
+    lang,
+    subject,
+    theme: definition.theme || '',
+    heading,
+    body,
+    year: new Date().getFullYear(),
+    unsubscribeUrl: context.unsubscribeUrl,
+    t,
+  }, helpers);
+  const text = [htmlToText(heading), htmlToText(body), '--', htmlToText(t.common.automated), htmlToText(t.common.contactUs)]
+    .concat(context.unsubscribeUrl ? [`${htmlToText(t.common.unsubscribe)}: ${context.unsubscribeUrl}`] : [])
+    .join('\n\n');
+
+  return { subject, html, text, language: lang };
+};
+
+/**
+ * @returns {string[]} Registered template names
+ */
+const listEmailTemplates = () => Object.keys(EMAIL_TEMPLATES);
+
+const isEmailTemplate = (name) => Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, name);
+
+/**
+ * @param {string} name
+ * @returns {boolean} True if emails from this template carry a one-time link or code
+ */
+const isSensitiveTemplate = (name) => Boolean(isEmailTemplate(name) && EMAIL_TEMPLATES[name].sensitive);
+
+/**
+ * Render a template with its sample data (admin preview)
+ * @param {string} template
+ * @param {string} [language]
+ */
+const previewEmail = (template, language) => renderEmail(template, EMAIL_TEMPLATES[template].sample, language);
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  SUPPORT_EMAIL,
+  renderEmail,
+  previewEmail,
+  listEmailTemplates,
+  isEmailTemplate,
+  isSensitiveTemplate,
+  htmlToText,
+};
@@ -0,0 +1,79 @@
+/**
+ * Food safety rules for food in transit.
+ * Hot food must stay at or above 60°C and cold food at or below 5°C. Perishable food may
+ * spend only a limited time between pickup and drop-off (the "2-hour rule" for cooked and
+ * raw food, a little longer for desserts, drinks and snacks). Dry goods have no window.
+ */
+
+const SAFE_TEMPERATURE_C = {
+  Hot: { min: 60 },
+  Cold: { max: 5 },
+  Dry: {},
+};
+
+// Longest safe pickup-to-delivery time by category, for Hot and Cold storage
+const HOLDING_WINDOW_MINUTES = {
+  'Cooked Meals': 120,
+  'Raw Food': 120,
+  Desserts: 180,
+  Beverages: 240,
+  Snacks: 240,
+};
+
+const SAFETY_CHECK_STAGES = ['pickup', 'dropoff'];
+const FOOD_CONDITIONS = ['good', 'acceptable', 'spoiled'];
+
+/**
+ * @param {Object} donation - { foodCategory, storageRecommendation }
+ * @returns {number|null} Minutes allowed in transit, or null when there is no limit
+ */
+const getHoldingWindowMinutes = (donation) => {
+  if (!['Hot', 'Cold'].includes(donation?.storageRecommendation)) return null;
+  return HOLDING_WINDOW_MINUTES[donation.foodCategory] ?? 120;
+};
+
+/**
+ * @param {string} storage - 'Hot' | 'Cold' | 'Dry'
+ * @param {number|null} temperatureC
+ * @returns {boolean} False only for a reading outside the safe range for the storage type
+ */
+const isTemperatureSafe = (storage, temperatureC) => {
+  if (temperatureC == null) return true;
+  const range = SAFE_TEMPERATURE_C[storage] || {};
+  if (range.min != null && temperatureC < range.min) return false;
+  if (range.max != null && temperatureC > range.max) return false;
+  return true;
+};
+
+/**
+ * @param {string} storage
+ * @returns {string} e.g. '60°C or above'
+ */
+const describeSafeTemperature = (storage) => {
+  const range = SAFE_TEMPERATURE_C[storage] || {};
+  if (range.min != null) return `${range.min}°C or above`;
+  if (range.max != null) return `${range.max}°C or below`;
+  return 'room temperature';
+};
+
+/**
+ * Minutes between two dates (rounded), or null if either is missing
+ * @param {Date|string|null} from
+ * @param {Date|string|null} to
+ * @returns {number|null}
+ */
+const minutesBetween = (from, to) => {
+  if (!from || !to) return null;
+  return Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+};
+
+module.exports = {
+  SAFE_TEMPERATURE_C,
+  HOLDING_WINDOW_MINUTES,
+  SAFETY_CHECK_STAGES,
+  FOOD_CONDITIONS,
+  getHoldingWindowMinutes,
+  isTemperatureSafe,
+  describeSafeTemperature,
+  minutesBetween,
+};
@@ -0,0 +1,203 @@
+/**
+ * Geospatial helpers
+ * Sri Lanka bounds, GeoJSON points for 2dsphere indexes, and the shared
+ * query parsing / cursor pagination used by the location-based listings
+ */
+
+// Sri Lanka is approximately: lat 5.9-9.8, lng 79.7-81.9 (padded)
+const SRI_LANKA_BOUNDS = {
+  minLat: 5,
+  maxLat: 10,
+  minLng: 79,
+  maxLng: 82,
+};
+
+const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Check that coordinates are finite numbers inside Sri Lanka
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean}
+ */
+const isWithinSriLanka = (lat, lng) => {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= SRI_LANKA_BOUNDS.minLat && lat <= SRI_LANKA_BOUNDS.maxLat &&
+    lng >= SRI_LANKA_BOUNDS.minLng && lng <= SRI_LANKA_BOUNDS.maxLng;
+};
+
+/**
+ * Build a GeoJSON point (note GeoJSON order is [lng, lat])
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{ type: 'Point', coordinates: number[] }|undefined} undefined when coordinates are missing
+ */
+const toGeoPoint = (lat, lng) => {
+  if (lat == null || lng == null) return undefined;
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+  if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) return undefined;
+  return { type: 'Point', coordinates: [lngNum, latNum] };
+};
+
+/**
+ * Mongoose path definition for an optional GeoJSON point (index it with '2dsphere')
+ */
+const geoPointField = () => ({
+  type: {
+    type: String,
+    enum: ['Point'],
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined,
+  },
+});
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} values - Sort key values of the last item on the page
+ * @returns {string} Opaque base64url cursor
+ */
+const encodeCursor = (values) => {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} Sort key values, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return values && typeof values === 'object' && values.id ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse and validate the shared location/filter/pagination query params
+ * (lat, lng, radiusKm, category, storage, maxHoursToExpiry, sort, limit, cursor)
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {string[]} [options.sorts] - Allowed sort values (first is the default without a location)
+ * @param {number} [options.defaultLimit]
+ * @param {number} [options.maxLimit]
+ * @returns {{ errors: Array<{field: string, message: string}>, params: Object }}
+ */
+const parseLocationQuery = (query, { sorts = ['newest', 'distance', 'expiry'], defaultLimit = 50, maxLimit = 100 } = {}) => {
+  const errors = [];
+  const params = {
+    lat: null,
+    lng: null,
+    radiusKm: null,
+    category: null,
+    storage: null,
+    maxHoursToExpiry: null,
+    sort: null,
+    limit: defaultLimit,
+    cursor: null,
+  };
+
+  const hasLat = query.lat != null && query.lat !== '';
+  const hasLng = query.lng != null && query.lng !== '';
+  if (hasLat || hasLng) {
+    const lat = Number(query.lat);
+    const lng = Number(query.lng);
+    if (!hasLat || !hasLng) {
+      errors.push({ field: hasLat ? 'lng' : 'lat', message: 'lat and lng must be provided together' });
+    } else if (!isWithinSriLanka(lat, lng)) {
+      errors.push({ field: 'lat', message: `Coordinates must be within Sri Lanka (lat ${SRI_LANKA_BOUNDS.minLat}-${SRI_LANKA_BOUNDS.maxLat}, lng ${SRI_LANKA_BOUNDS.minLng}-${SRI_LANKA_BOUNDS.maxLng})` });
+    } else {
+      params.lat = lat;
+      params.lng = lng;
+    }
+  }
+
+  if (query.radiusKm != null && query.radiusKm !== '') {
+    const radiusKm = Number(query.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 500) {
+      errors.push({ field: 'radiusKm', message: 'radiusKm must be a number between 0 and 500' });
+    } else {
+      params.radiusKm = radiusKm;
+    }
+  }
+
+  if (query.category) {
+    const validCategories = ['Cooked Meals', 'Raw Food', 'Beverages', 'Snacks', 'Desserts'];
+    const categories = String(query.category).split(',').map(c => c.trim()).filter(Boolean);
+    const invalid = categories.filter(c => !validCategories.includes(c));
+    if (invalid.length > 0) {
+      errors.push({ field: 'category', message: `Invalid category: ${invalid.join(', ')}` });
+    } else {
+      params.category = categories;
+    }
+  }
+
+  if (query.storage) {
+    const validStorage = ['Hot', 'Cold', 'Dry'];
+    const storage = String(query.storage).split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = storage.filter(s => !validStorage.includes(s));
+    if (invalid.length > 0) {
+      errors.push({ field: 'storage', message: `Invalid storage: ${invalid.join(', ')}` });
+    } else {
+      params.storage = storage;
+    }
+  }
+
+  if (query.maxHoursToExpiry != null && query.maxHoursToExpiry !== '') {
+    const hours = Number(query.maxHoursToExpiry);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      errors.push({ field: 'maxHoursToExpiry', message: 'maxHoursToExpiry must be a positive number' });
+    } else {
+      params.maxHoursToExpiry = hours;
+    }
+  }
+
+  if (query.sort) {
+    if (!sorts.includes(query.sort)) {
+      errors.push({ field: 'sort', message: `sort must be one of: ${sorts.join(', ')}` });
+    } else {
+      params.sort = query.sort;
+    }
+  }
+
+  if (query.limit != null && query.limit !== '') {
+    const limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      errors.push({ field: 'limit', message: `limit must be between 1 and ${maxLimit}` });
+    } else {
+      params.limit = limit;
+    }
+  }
+
+  if (query.cursor) {
+    params.cursor = decodeCursor(query.cursor);
+    if (!params.cursor) {
+      errors.push({ field: 'cursor', message: 'Invalid cursor' });
+    }
+  }
+
+  return { errors, params };
+};
+
+/**
+ * Convert km to radians for $centerSphere
+ * @param {number} km
+ * @returns {number}
+ */
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+module.exports = {
+  SRI_LANKA_BOUNDS,
+  isWithinSriLanka,
+  toGeoPoint,
+  geoPointField,
+  encodeCursor,
+  decodeCursor,
+  parseLocationQuery,
+  kmToRadians,
+};
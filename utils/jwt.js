@@ -1,20 +1,23 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/env');
+const { JWT_SECRET, ACCESS_TOKEN_TTL } = require('../config/env');
 
 /**
- * Generate JWT token for user
+ * Generate a short-lived access token for user
  * @param {Object} user - User object with id, email, role
+ * @param {String} sessionId - Session the token belongs to (checked on every request)
  * @returns {String} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   const payload = {
     id: user._id,
     email: user.email,
     role: user.role,
+    sid: sessionId,
   };
 
   const token = jwt.sign(payload, JWT_SECRET, {
-    expiresIn: '7d', // Token expires in 7 days
+    expiresIn: ACCESS_TOKEN_TTL,
   });
 
   return token;
@@ -34,7 +37,72 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generate an opaque refresh token (only its hash is stored)
+ * @returns {String} Random token
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Hash a refresh token for storage/lookup
+ * @param {String} token - Refresh token
+ * @returns {String} sha256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Generate a short-lived token for an unfinished login step (e.g. the 2FA code)
+ * It carries no session id, so it is never accepted as an access token.
+ * @param {Object} user - User object with _id
+ * @param {String} purpose - Step it unlocks ('2fa_login' | '2fa_setup')
+ * @returns {String} JWT token
+ */
+const generateChallengeToken = (user, purpose) => jwt.sign(
+  { id: user._id, purpose },
+  JWT_SECRET,
+  { expiresIn: '10m' }
+);
+
+/**
+ * Verify a login-step token
+ * @param {String} token - Token from generateChallengeToken
+ * @param {String} purpose - Expected purpose
+ * @returns {Object} Decoded payload
+ */
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid or expired token');
+  }
+  return decoded;
+};
+
+/**
+ * Generate a token for a one-click unsubscribe link in a notification email
+ * It does not expire, so links in old emails keep working; it only turns emails off.
+ * @param {String} userId - Recipient user id
+ * @param {String} event - Notification event the email belongs to
+ * @returns {String} JWT token
+ */
+const generateUnsubscribeToken = (userId, event) => jwt.sign(
+  { id: userId.toString(), event, purpose: 'unsubscribe' },
+  JWT_SECRET
+);
+
+/**
+ * Verify an unsubscribe token
+ * @param {String} token - Token from generateUnsubscribeToken
+ * @returns {Object} Decoded payload ({ id, event })
+ */
+const verifyUnsubscribeToken = (token) => verifyChallengeToken(token, 'unsubscribe');
+
 module.exports = {
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateUnsubscribeToken,
+  verifyUnsubscribeToken,
+  generateRefreshToken,
+  hashToken,
 };
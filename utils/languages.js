@@ -0,0 +1,30 @@
+/**
+ * Languages supported across FoodLoop (emails, chatbot)
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'ta', 'si'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Locale used for dates and numbers in each language
+const LANGUAGE_LOCALES = {
+  en: 'en-US',
+  ta: 'ta-LK',
+  si: 'si-LK',
+};
+
+const isSupportedLanguage = (language) => SUPPORTED_LANGUAGES.includes(language);
+
+/**
+ * @param {string} [language]
+ * @returns {string} The language if supported, otherwise the default
+ */
+const resolveLanguage = (language) => (isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE);
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_LOCALES,
+  isSupportedLanguage,
+  resolveLanguage,
+};
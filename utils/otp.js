@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+// TOTP parameters (RFC 6238 defaults, what authenticator apps expect)
+const TOTP_ISSUER = 'FoodLoop';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW = 1; // accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Hash a one-time code for storage (same approach as PendingSignup.otpHash)
+ * @param {String|Number} code
+ * @returns {String} sha256 hex digest
+ */
+const hashOtp = (code) => crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {String} base32 secret (160 bits)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauth:// URI for authenticator apps (the client renders it as a QR code)
+ * @param {String} secret - base32 secret
+ * @param {String} accountName - Usually the user's email
+ * @returns {String}
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const hotp = (key, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(binary).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a TOTP code against a secret
+ * @param {String} secret - base32 secret
+ * @param {String} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {Number} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @returns {Number|null} The matched time step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, { afterStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (afterStep != null && step <= afterStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generate single-use recovery codes
+ * @returns {{ codes: String[], hashes: String[] }} Plain codes (show once) and their hashes (store)
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(normalizeRecoveryCode).map(hashOtp) };
+};
+
+/**
+ * Normalise a recovery code as typed (case, spaces, missing dash) before hashing
+ * @param {String} code
+ * @returns {String}
+ */
+const normalizeRecoveryCode = (code) => {
+  const compact = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return compact.length === 10 ? `${compact.slice(0, 5)}-${compact.slice(5)}` : compact;
+};
+
+module.exports = {
+  hashOtp,
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
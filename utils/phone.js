@@ -0,0 +1,44 @@
+/**
+ * Sri Lankan phone numbers
+ * Contact numbers are stored in E.164 (+94 followed by the 9-digit national number)
+ * so they can be used for SMS. Accepts the usual ways people type them:
+ * 077 123 4567, 0771234567, 771234567, 94771234567, +94 77 123 4567, 0094771234567.
+ */
+
+const SRI_LANKA_COUNTRY_CODE = '94';
+const NATIONAL_NUMBER_PATTERN = /^[1-9]\d{8}$/;
+const MOBILE_E164_PATTERN = /^\+947\d{8}$/;
+
+/**
+ * @param {string} raw - Number as entered
+ * @returns {string|null} E.164 number (e.g. +94771234567), or null if it is not a Sri Lankan number
+ */
+const normalizeSriLankaPhone = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  let digits = String(raw).trim().replace(/[\s\-().]/g, '');
+  if (!/^\+?\d+$/.test(digits)) return null;
+
+  if (digits.startsWith('+')) {
+    if (!digits.startsWith(`+${SRI_LANKA_COUNTRY_CODE}`)) return null;
+    digits = digits.slice(3);
+  } else if (digits.startsWith(`00${SRI_LANKA_COUNTRY_CODE}`)) {
+    digits = digits.slice(4);
+  } else if (digits.startsWith(SRI_LANKA_COUNTRY_CODE) && digits.length === 11) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0') && digits.length === 10) {
+    digits = digits.slice(1);
+  }
+
+  return NATIONAL_NUMBER_PATTERN.test(digits) ? `+${SRI_LANKA_COUNTRY_CODE}${digits}` : null;
+};
+
+/**
+ * @param {string} e164
+ * @returns {boolean} True for Sri Lankan mobile numbers (07x), the only ones that can receive SMS
+ */
+const isSriLankaMobile = (e164) => MOBILE_E164_PATTERN.test(String(e164 || ''));
+
+module.exports = {
+  normalizeSriLankaPhone,
+  isSriLankaMobile,
+};
@@ -0,0 +1,66 @@
+/**
+ * Sri Lanka's 25 administrative districts
+ * Each entry is the district capital; a point is placed in the district with the
+ * nearest capital, which is close enough for notification targeting.
+ */
+
+const { calculateDistance } = require('./distanceService');
+
+const SRI_LANKA_DISTRICTS = {
+  Ampara: { latitude: 7.2975, longitude: 81.682 },
+  Anuradhapura: { latitude: 8.3114, longitude: 80.4037 },
+  Badulla: { latitude: 6.9934, longitude: 81.055 },
+  Batticaloa: { latitude: 7.731, longitude: 81.6747 },
+  Colombo: { latitude: 6.9271, longitude: 79.8612 },
+  Galle: { latitude: 6.0535, longitude: 80.221 },
+  Gampaha: { latitude: 7.0917, longitude: 80.0 },
+  Hambantota: { latitude: 6.1241, longitude: 81.1185 },
+  Jaffna: { latitude: 9.6615, longitude: 80.0255 },
+  Kalutara: { latitude: 6.5854, longitude: 79.9607 },
+  Kandy: { latitude: 7.2906, longitude: 80.6337 },
+  Kegalle: { latitude: 7.2513, longitude: 80.3464 },
+  Kilinochchi: { latitude: 9.3803, longitude: 80.377 },
+  Kurunegala: { latitude: 7.4863, longitude: 80.3647 },
+  Mannar: { latitude: 8.981, longitude: 79.9044 },
+  Matale: { latitude: 7.4675, longitude: 80.6234 },
+  Matara: { latitude: 5.9549, longitude: 80.555 },
+  Monaragala: { latitude: 6.8728, longitude: 81.3507 },
+  Mullaitivu: { latitude: 9.2671, longitude: 80.8142 },
+  'Nuwara Eliya': { latitude: 6.9497, longitude: 80.7891 },
+  Polonnaruwa: { latitude: 7.9403, longitude: 81.0188 },
+  Puttalam: { latitude: 8.0362, longitude: 79.8283 },
+  Ratnapura: { latitude: 6.6828, longitude: 80.3992 },
+  Trincomalee: { latitude: 8.5874, longitude: 81.2152 },
+  Vavuniya: { latitude: 8.7514, longitude: 80.4971 },
+};
+
+const DISTRICT_NAMES = Object.keys(SRI_LANKA_DISTRICTS);
+
+const isDistrict = (name) => Object.prototype.hasOwnProperty.call(SRI_LANKA_DISTRICTS, name);
+
+/**
+ * District a point falls in (nearest district capital)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string|null} District name, or null without coordinates
+ */
+const getDistrictForLocation = (latitude, longitude) => {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  let nearest = null;
+  let nearestKm = Infinity;
+  for (const [name, capital] of Object.entries(SRI_LANKA_DISTRICTS)) {
+    const km = calculateDistance(latitude, longitude, capital.latitude, capital.longitude);
+    if (km < nearestKm) {
+      nearest = name;
+      nearestKm = km;
+    }
+  }
+  return nearest;
+};
+
+module.exports = {
+  SRI_LANKA_DISTRICTS,
+  DISTRICT_NAMES,
+  isDistrict,
+  getDistrictForLocation,
+};
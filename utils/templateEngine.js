@@ -0,0 +1,153 @@
+/**
+ * Minimal template engine (Handlebars-like subset) for email templates
+ *   {{path}}            value, HTML-escaped
+ *   {{{path}}}          value, raw
+ *   {{helper path ...}} helper call (args are paths, numbers or "strings"), HTML-escaped
+ *   {{#if path}}..{{else}}..{{/if}}
+ *   {{#each path}}..{{/each}}  (inside: `this`, the item's fields, @index)
+ *   {{!-- comment --}}
+ */
+
+const TOKEN = /\{\{!--[\s\S]*?--\}\}|\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Parse a template into a tree of text, value and block nodes.
+ * @param {string} source
+ * @returns {Object[]}
+ */
+const parse = (source) => {
+  const root = [];
+  // Open blocks; `target` is the branch new nodes are appended to
+  const stack = [{ node: null, target: root }];
+  const current = () => stack[stack.length - 1];
+  let last = 0;
+  let match;
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(source)) !== null) {
+    if (match.index > last) {
+      current().target.push({ type: 'text', text: source.slice(last, match.index) });
+    }
+    last = TOKEN.lastIndex;
+
+    if (match[1] !== undefined) {
+      current().target.push({ type: 'value', expr: match[1], raw: true });
+      continue;
+    }
+    const tag = match[2];
+    if (tag === undefined) continue; // comment
+
+    const block = tag.match(/^#(if|each)\s+([\s\S]+)$/);
+    if (block) {
+      const node = { type: block[1], expr: block[2].trim(), children: [], inverse: [] };
+      current().target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (tag === 'else') {
+      const open = current();
+      if (open.node?.type !== 'if' || open.target === open.node.inverse) {
+        throw new Error('Unexpected {{else}}');
+      }
+      open.target = open.node.inverse;
+    } else if (tag === '/if' || tag === '/each') {
+      if (current().node?.type !== tag.slice(1)) throw new Error(`Unexpected {{${tag}}}`);
+      stack.pop();
+    } else {
+      current().target.push({ type: 'value', expr: tag, raw: false });
+    }
+  }
+  if (last < source.length) {
+    current().target.push({ type: 'text', text: source.slice(last) });
+  }
+  if (stack.length > 1) throw new Error(`Unclosed {{#${current().node.type}}}`);
+  return root;
+};
+
+const lookup = (scopes, path) => {
+  if (path === 'this') return scopes[scopes.length - 1];
+  const parts = path.split('.');
+  let value;
+  if (parts[0] === 'this') {
+    value = scopes[scopes.length - 1];
+    parts.shift();
+  } else {
+    const scope = [...scopes].reverse().find(s => s !== null && typeof s === 'object' && parts[0] in s);
+    if (!scope) return undefined;
+    value = scope;
+  }
+  for (const part of parts) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+};
+
+const evaluate = (expr, scopes, helpers) => {
+  const args = expr.match(/"[^"]*"|\S+/g) || [];
+  const resolve = (arg) => {
+    if (/^".*"$/.test(arg)) return arg.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(arg)) return Number(arg);
+    return lookup(scopes, arg);
+  };
+  if (args.length > 1) {
+    const helper = helpers[args[0]];
+    if (!helper) throw new Error(`Unknown template helper: ${args[0]}`);
+    return helper(...args.slice(1).map(resolve));
+  }
+  return resolve(args[0]);
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+const renderNodes = (nodes, scopes, helpers) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.text;
+    case 'value': {
+      const value = evaluate(node.expr, scopes, helpers);
+      if (value === null || value === undefined) return '';
+      return node.raw ? String(value) : escapeHtml(value);
+    }
+    case 'if':
+      return isTruthy(evaluate(node.expr, scopes, helpers))
+        ? renderNodes(node.children, scopes, helpers)
+        : renderNodes(node.inverse, scopes, helpers);
+    case 'each': {
+      const list = evaluate(node.expr, scopes, helpers);
+      if (!Array.isArray(list)) return '';
+      return list.map((item, index) => renderNodes(node.children, [...scopes, { '@index': index }, item], helpers)).join('');
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Compile a template once; the returned function renders it with data.
+ * @param {string} source
+ * @returns {(data: Object, helpers?: Object) => string}
+ */
+const compile = (source) => {
+  const nodes = parse(source);
+  return (data = {}, helpers = {}) => renderNodes(nodes, [data], helpers);
+};
+
+/**
+ * @param {string} source
+ * @param {Object} data
+ * @param {Object} [helpers]
+ * @returns {string}
+ */
+const render = (source, data, helpers) => compile(source)(data, helpers);
+
+module.exports = {
+  compile,
+  render,
+  escapeHtml,
+};